@@ -3,12 +3,18 @@ const mongoose = require("mongoose")
 const passport = require("./config/passport")
 const session = require("express-session")
 const cors = require("cors")
-const jwt = require("jsonwebtoken")
 require("dotenv").config()
 
 const app = express()
 
-app.use(express.json())
+// Behind Nginx, lets req.ip (and the callback IP allowlist) see the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops)
+}
+
+// Keep the raw body for callback signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf } }))
 app.use(express.urlencoded({ extended: true }))
 app.use(cors())
 
@@ -33,61 +39,48 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 const auth = require("./middleware/auth")
-
-const devAuth = (req, res, next) => {
-  // In test environment, always create a mock user
-  if (process.env.NODE_ENV === 'test') {
-    req.user = {
-      _id: "test-user-id",
-      email: "test@example.com",
-      phoneNumber: "1234567890",
-      role: "user"
+const { devAuth, devAuthEnabled, getDevUser, warnOnStartup } = require("./middleware/devAuth")
+
+warnOnStartup()
+
+// Developer auth mode only (DEV_AUTH=true): sign in as the developer account
+if (devAuthEnabled) {
+  const SessionService = require("./services/SessionService")
+  app.get("/api/dev/token", async (req, res) => {
+    try {
+      const user = await getDevUser()
+      const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req)
+      res.json({
+        token,
+        refreshToken,
+        expiresIn,
+        message: "Development token generated. Use this in Authorization header: Bearer <token>",
+      })
+    } catch (error) {
+      console.error("Dev token error:", error)
+      res.status(500).json({ message: "Server error" })
     }
-    return next()
-  }
-  
-  // In development, check for Authorization header
-  if (process.env.NODE_ENV !== "production") {
-    if (!req.header("Authorization")) {
-      req.user = {
-        _id: "dev-user-id",
-        email: "dev@example.com",
-        phoneNumber: "1234567890",
-        role: "user"
-      }
-      return next()
-    }
-  }
-  return auth(req, res, next)
-}
-
-if (process.env.NODE_ENV !== "production") {
-  app.get("/api/dev/token", (req, res) => {
-    const token = jwt.sign(
-      { id: "dev-user-id" },
-      process.env.JWT_SECRET || "dev-secret",
-      { expiresIn: "24h" }
-    )
-    res.json({
-      token,
-      message: "Development token generated. Use this in Authorization header: Bearer <token>"
-    })
   })
 }
 
 app.use("/api/auth", require("./routes/authRoutes"))
+app.use("/api/profile", require("./routes/profileRoutes"))
+app.use("/api/admin/users", require("./routes/adminUserRoutes"))
+
+// Provider callbacks are not user-authenticated, so they must pass webhook verification instead
+const { verifyWebhook } = require("./middleware/webhookVerification");
 
-// Airtel callback webhook (no authentication required - must be before devAuth)
+// Airtel callback webhook (no authentication required - must be before auth)
 const AirtelPaymentController = require("./controllers/AirtelPaymentController");
 const airtelPaymentController = new AirtelPaymentController();
-app.post("/api/airtel-payments/callback", (req, res) => airtelPaymentController.callback(req, res));
+app.post("/api/airtel-payments/callback", verifyWebhook("AIRTEL"), (req, res) => airtelPaymentController.callback(req, res));
 
-// MTN callback webhook (no authentication required - must be before devAuth)
+// MTN callback webhook (no authentication required - must be before auth)
 const MTNPaymentController = require("./controllers/MTNPaymentController");
 const mtnPaymentController = new MTNPaymentController();
-app.post("/api/mtn-payment/callback", (req, res) => mtnPaymentController.callback(req, res));
+app.post("/api/mtn-payment/callback", verifyWebhook("MTN"), (req, res) => mtnPaymentController.callback(req, res));
 
-app.use(devAuth)
+app.use(devAuthEnabled ? devAuth : auth)
 
 app.use("/api/categories", require("./routes/categoryRoutes"))
 app.use("/api/courses", require("./routes/courseRoutes"))
@@ -96,6 +89,8 @@ app.use("/api/questions", require("./routes/questionRoutes"))
 app.use("/api/exams", require("./routes/examRoutes"))
 app.use("/api/enrollments", require("./routes/enrollmentRoutes"))
 app.use("/api/exam-attempts", require("./routes/examAttemptRoutes"))
+app.use("/api/exam-blueprints", require("./routes/examBlueprintRoutes"))
+app.use("/api/practice", require("./routes/practiceRoutes"))
 
 // Payment Service Routes
 app.use("/api/payments", require("./routes/paymentRoutes"))
@@ -115,8 +110,23 @@ app.use("/api/airtel-payments", require("./routes/airtelPaymentRoutes"))
 // Subscription Routes
 app.use("/api/subscriptions", require("./routes/subscriptionRoutes"))
 
+// Subscription Plan Catalogue Routes
+app.use("/api/plans", require("./routes/planRoutes"))
+
+// Reconciliation Routes (admin)
+app.use("/api/reconciliation", require("./routes/reconciliationRoutes"))
+
+// Payment Ledger and Settlement Report Routes (admin)
+app.use("/api/ledger", require("./routes/ledgerRoutes"))
+
+// Audit Log Routes (admin)
+app.use("/api/audit-logs", require("./routes/auditLogRoutes"))
+
 // Alias route for subscription payment (simpler endpoint)
-app.post("/api/payment", (req, res) => {
+const { idempotent } = require("./middleware/idempotency")
+const { authorize } = require("./middleware/permissions")
+const { rateLimit } = require("./middleware/rateLimit")
+app.post("/api/payment", authorize("subscriptions:create"), rateLimit("payment", { dto: true }), idempotent(), (req, res) => {
   const SubscriptionController = require("./controllers/SubscriptionController");
   const subscriptionController = new SubscriptionController();
   return subscriptionController.createSubscriptionPayment(req, res);
@@ -133,8 +143,36 @@ app.use((err, req, res, next) => {
 
 // Only start server if not in test environment
 if (process.env.NODE_ENV !== 'test') {
+  // Fail now rather than on the first code sent if no usable SMS gateway is configured
+  require("./services/sms").getSmsProvider()
+
+  // Per-IP rate limits count req.ip, which is the proxy's address unless TRUST_PROXY is set
+  if (require("./config/rateLimits").RATE_LIMIT_ENABLED && !process.env.TRUST_PROXY) {
+    console.warn("TRUST_PROXY is not set: per-IP rate limits treat every client behind a proxy as one. Set it when running behind Nginx.")
+  }
+
   const PORT = process.env.PORT || 4000
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
+
+  // Poll providers for payments whose callbacks never arrived
+  const ReconciliationService = require("./services/ReconciliationService")
+  new ReconciliationService().start()
+
+  // Move ended subscriptions through grace into EXPIRED
+  const SubscriptionLifecycleService = require("./services/SubscriptionLifecycleService")
+  new SubscriptionLifecycleService().start()
+
+  // Write yesterday's settlement report once the day is over
+  const LedgerService = require("./services/LedgerService")
+  new LedgerService().start()
+
+  // Drop audit log entries older than the retention period
+  const AuditService = require("./services/AuditService")
+  new AuditService().start()
+
+  // Submit exam attempts whose time ran out
+  const ExamAttemptService = require("./services/ExamAttemptService")
+  ExamAttemptService.start()
 }
 
 module.exports = app
@@ -79,7 +79,51 @@ async function sendVerificationEmail(userEmail, userName, verificationCode) {
   }
 }
 
+// Function to send a password reset code
+async function sendPasswordResetEmail(userEmail, userName, resetCode, expiresInMinutes) {
+  try {
+    if (!userEmail) {
+      throw new Error('User email is required');
+    }
+
+    if (!resetCode) {
+      throw new Error('Reset code is required');
+    }
+
+    const templatePath = path.join(__dirname, 'templates', 'password-reset-email-template.html');
+    const template = await fs.readFile(templatePath, 'utf8');
+
+    const htmlContent = replacePlaceholders(template, {
+      userName: userName || 'there',
+      resetCode,
+      expiresInMinutes: String(expiresInMinutes)
+    });
+
+    const mailOptions = {
+      from: '"Tsinda cyane" <noreply@example.com>',
+      to: userEmail,
+      subject: 'Reset Your Password',
+      text: `Hello ${userName || 'there'}, your password reset code is: ${resetCode}. This code will expire in ${expiresInMinutes} minutes. If you didn't request it, ignore this email.`,
+      html: htmlContent
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+
+    return {
+      success: true,
+      messageId: info.messageId
+    };
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 module.exports = {
   sendVerificationEmail,
+  sendPasswordResetEmail,
   closeTransporter,
 };
\ No newline at end of file
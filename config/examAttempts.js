@@ -0,0 +1,19 @@
+// Exam attempt modes and timing
+//
+// "practice" attempts show whether each answer is right, with the explanation,
+// as soon as it is submitted, and have no time limit. "exam" attempts simulate
+// the real theory test: no feedback until the end, no going back to change an
+// answer once the next question is answered, and a strict deadline.
+//
+// An attempt's deadline is its start time plus the exam's duration. Answers are
+// accepted until the deadline plus a short grace window for network delays; after
+// that the server refuses them, and a background sweep completes and scores
+// attempts that were left open.
+
+const SECOND = 1000
+
+module.exports = {
+  ATTEMPT_MODES: ["practice", "exam"],
+  GRACE_MS: (Number(process.env.EXAM_ATTEMPT_GRACE_SECONDS) || 30) * SECOND,
+  EXPIRY_SWEEP_INTERVAL_MS: Number(process.env.EXAM_ATTEMPT_SWEEP_INTERVAL_MS) || 60 * SECOND,
+}
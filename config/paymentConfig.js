@@ -46,6 +46,85 @@ const config = {
     supportedStatuses: ['PENDING', 'SUCCESSFUL', 'FAILED', 'CANCELLED']
   },
 
+  // Subscription Access Configuration
+  subscription: {
+    // Daily uses allowed without an active subscription (0 disables the free tier)
+    freeTier: {
+      randomQuestions: parseInt(process.env.FREE_TIER_RANDOM_QUESTIONS_PER_DAY ?? 3),
+      examAttempts: parseInt(process.env.FREE_TIER_EXAM_ATTEMPTS_PER_DAY ?? 1),
+      courseContent: parseInt(process.env.FREE_TIER_COURSE_CONTENT_PER_DAY ?? 0),
+      practice: parseInt(process.env.FREE_TIER_PRACTICE_PER_DAY ?? 3),
+      practiceReviews: parseInt(process.env.FREE_TIER_PRACTICE_REVIEWS_PER_DAY ?? 30)
+    },
+    // Roles that are never gated by subscription status
+    exemptRoles: (process.env.SUBSCRIPTION_EXEMPT_ROLES || 'admin,instructor').split(','),
+    paymentEndpoint: '/api/subscriptions/payment',
+    plansEndpoint: '/api/plans',
+    // Days after endDate during which access continues and a renewal continues the old period
+    gracePeriodDays: parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS ?? 3),
+    expirySweepIntervalMs: parseInt(process.env.SUBSCRIPTION_EXPIRY_SWEEP_INTERVAL_MS) || 3600000 // 1 hour
+  },
+
+  // Reconciliation Job Configuration
+  reconciliation: {
+    enabled: process.env.RECONCILIATION_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS) || 300000, // 5 minutes
+    staleAfterMs: parseInt(process.env.RECONCILIATION_STALE_AFTER_MS) || 600000, // 10 minutes
+    expireAfterMs: parseInt(process.env.RECONCILIATION_EXPIRE_AFTER_MS) || 86400000, // 24 hours
+    maxAttempts: parseInt(process.env.RECONCILIATION_MAX_ATTEMPTS) || 8,
+    backoffBaseMs: parseInt(process.env.RECONCILIATION_BACKOFF_BASE_MS) || 300000, // 5 minutes
+    backoffMaxMs: parseInt(process.env.RECONCILIATION_BACKOFF_MAX_MS) || 14400000, // 4 hours
+    batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE) || 50
+  },
+
+  // Payment Ledger Configuration
+  ledger: {
+    // Percentage of each collection the channel keeps as a fee (0 posts no fee journal)
+    feePercent: {
+      MTN: parseFloat(process.env.LEDGER_MTN_FEE_PERCENT) || 0,
+      AIRTEL: parseFloat(process.env.LEDGER_AIRTEL_FEE_PERCENT) || 0
+    },
+    // Largest ledger/provider balance difference still reported as MATCHED
+    balanceTolerance: parseFloat(process.env.LEDGER_BALANCE_TOLERANCE) || 0,
+    settlementReportsEnabled: process.env.SETTLEMENT_REPORTS_ENABLED !== 'false',
+    // How often to check whether yesterday's settlement report still needs generating
+    settlementCheckIntervalMs: parseInt(process.env.SETTLEMENT_CHECK_INTERVAL_MS) || 3600000 // 1 hour
+  },
+
+  // Audit Log Configuration
+  audit: {
+    // Entries older than this are purged (0 keeps them forever)
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS ?? 365),
+    purgeIntervalMs: parseInt(process.env.AUDIT_LOG_PURGE_INTERVAL_MS) || 86400000 // 1 day
+  },
+
+  // Idempotency-Key Configuration (payment initiation endpoints)
+  idempotency: {
+    headerName: 'Idempotency-Key',
+    maxKeyLength: 255,
+    ttlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 86400000, // 24 hours
+    lockTimeoutMs: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60000 // 1 minute
+  },
+
+  // Callback Webhook Verification Configuration
+  // A check is skipped when its setting is empty; confirmation is on unless disabled
+  webhooks: {
+    airtel: {
+      secret: process.env.AIRTEL_CALLBACK_SECRET,
+      signatureHeader: (process.env.AIRTEL_CALLBACK_SIGNATURE_HEADER || 'x-callback-signature').toLowerCase(),
+      signatureScheme: process.env.AIRTEL_CALLBACK_SIGNATURE_SCHEME || 'hmac', // hmac or token
+      allowedIps: (process.env.AIRTEL_CALLBACK_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean),
+      confirmWithProvider: process.env.AIRTEL_CALLBACK_CONFIRM !== 'false'
+    },
+    mtn: {
+      secret: process.env.MTN_CALLBACK_SECRET,
+      signatureHeader: (process.env.MTN_CALLBACK_SIGNATURE_HEADER || 'x-callback-signature').toLowerCase(),
+      signatureScheme: process.env.MTN_CALLBACK_SIGNATURE_SCHEME || 'hmac', // hmac or token
+      allowedIps: (process.env.MTN_CALLBACK_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean),
+      confirmWithProvider: process.env.MTN_CALLBACK_CONFIRM !== 'false'
+    }
+  },
+
   // Database Configuration
   database: {
     paymentCollection: 'payments',
@@ -139,6 +218,18 @@ function getServiceConfig(serviceName) {
       return config.airtel;
     case 'payment':
       return config.payment;
+    case 'subscription':
+      return config.subscription;
+    case 'reconciliation':
+      return config.reconciliation;
+    case 'ledger':
+      return config.ledger;
+    case 'idempotency':
+      return config.idempotency;
+    case 'audit':
+      return config.audit;
+    case 'webhooks':
+      return config.webhooks;
     case 'database':
       return config.database;
     case 'api':
@@ -0,0 +1,57 @@
+// Role permissions
+//
+// A permission is "<resource>:<action>". The ":own" form only covers records
+// the user owns (their own enrollment, a course they teach, ...), which
+// controllers check with canAccess() once the record is loaded.
+// "*" grants everything.
+
+const USER_PERMISSIONS = [
+  "courses:read",
+  "exams:read",
+  "questions:read",
+  "enrollments:create",
+  "enrollments:read:own",
+  "enrollments:update:own",
+  "examAttempts:create",
+  "examAttempts:read:own",
+  "examAttempts:update:own",
+  "practice:use",
+  "subscriptions:create",
+  "subscriptions:read:own",
+  "payments:create",
+]
+
+const INSTRUCTOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  "courses:create",
+  "courses:update:own",
+  "courses:delete:own",
+  "questions:create",
+  // See which answer is correct, and why, outside a completed attempt's review
+  "questions:answers",
+  "questions:update:own",
+  "questions:delete:own",
+  "exams:create",
+  "exams:update:own",
+  "exams:publish:own",
+  "exams:delete:own",
+  "uploads:create",
+]
+
+// Permissions only admins hold (through "*"):
+// users:read, users:manage, categories:manage, blueprints:manage, courses/questions/exams actions on any record,
+// enrollments:read, examAttempts:read, subscriptions:read, subscriptions:refund,
+// plans:manage, payments:manage, payments:disburse, providers:manage,
+// reconciliation:manage, ledger:manage, audit:read
+const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  instructor: INSTRUCTOR_PERMISSIONS,
+  admin: ["*"],
+}
+
+const ROLES = Object.keys(ROLE_PERMISSIONS)
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+}
@@ -0,0 +1,38 @@
+// Rate limits and account lockout
+//
+// Each rule counts requests in fixed windows, per client IP and per account
+// (the phone number, email or user ID the request is about). A request is
+// refused once either bucket is over its limit.
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+const RATE_LIMITS = {
+  login: { windowMs: 15 * MINUTE, perIp: 20, perAccount: 10 },
+  verify: { windowMs: 15 * MINUTE, perIp: 20, perAccount: 5 },
+  resendVerification: { windowMs: HOUR, perIp: 10, perAccount: 3 },
+  forgotPassword: { windowMs: HOUR, perIp: 10, perAccount: 5 },
+  resetPassword: { windowMs: 15 * MINUTE, perIp: 20, perAccount: 10 },
+  requestLoginCode: { windowMs: HOUR, perIp: 10, perAccount: 5 },
+  loginWithCode: { windowMs: 15 * MINUTE, perIp: 20, perAccount: 10 },
+  refresh: { windowMs: 15 * MINUTE, perIp: 60 },
+  payment: { windowMs: 15 * MINUTE, perIp: 30, perAccount: 20 },
+}
+
+// Failed password or login code attempts before the account is locked
+const LOCKOUT = {
+  maxFailures: Number(process.env.LOCKOUT_MAX_FAILURES) || 5,
+  durationMs: (Number(process.env.LOCKOUT_DURATION_MINUTES) || 15) * MINUTE,
+}
+
+// Wrong verification codes before the code is discarded and a new one must be requested
+const MAX_VERIFICATION_ATTEMPTS = 5
+
+module.exports = {
+  RATE_LIMITS,
+  LOCKOUT,
+  MAX_VERIFICATION_ATTEMPTS,
+  // "mongo" shares counters between app instances, "memory" keeps them in this process
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || "mongo",
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== "false",
+}
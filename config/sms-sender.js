@@ -0,0 +1,69 @@
+require('dotenv').config();
+const { getSmsProvider } = require('../services/sms');
+
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '250';
+
+// Users sign up with local (0780...) or international numbers; gateways want +250780...
+function toInternational(phoneNumber) {
+  const digits = String(phoneNumber).replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('0')) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  return `+${digits}`;
+}
+
+// Send an SMS through the provider named by SMS_PROVIDER (console by default)
+async function sendSms(phoneNumber, message) {
+  try {
+    if (!phoneNumber) {
+      throw new Error('Phone number is required');
+    }
+
+    if (!message) {
+      throw new Error('Message is required');
+    }
+
+    const { messageId } = await getSmsProvider().send(toInternational(phoneNumber), message);
+
+    return {
+      success: true,
+      messageId
+    };
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Function to send an account verification code by SMS
+async function sendVerificationSms(phoneNumber, verificationCode) {
+  return sendSms(
+    phoneNumber,
+    `Tsinda Cyane: your verification code is ${verificationCode}. It expires in 60 minutes.`
+  );
+}
+
+// Function to send a password reset code by SMS
+async function sendPasswordResetSms(phoneNumber, resetCode, expiresInMinutes) {
+  return sendSms(
+    phoneNumber,
+    `Tsinda Cyane: your password reset code is ${resetCode}. It expires in ${expiresInMinutes} minutes. Ignore this message if you did not ask for it.`
+  );
+}
+
+// Function to send a one-time login code by SMS
+async function sendLoginCodeSms(phoneNumber, loginCode, expiresInMinutes) {
+  return sendSms(
+    phoneNumber,
+    `Tsinda Cyane: your login code is ${loginCode}. It expires in ${expiresInMinutes} minutes. Never share it with anyone.`
+  );
+}
+
+module.exports = {
+  sendSms,
+  sendVerificationSms,
+  sendPasswordResetSms,
+  sendLoginCodeSms,
+};
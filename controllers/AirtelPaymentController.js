@@ -1,6 +1,8 @@
 const AirtelPaymentService = require('../services/AirtelPaymentService');
 const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
 const AirtelCallback = require('../models/AirtelCallback');
+const SubscriptionSettlementService = require('../services/SubscriptionSettlementService');
+const { getProvider } = require('../services/providers');
 
 /**
  * Airtel Payment Controller
@@ -10,6 +12,8 @@ const AirtelCallback = require('../models/AirtelCallback');
 class AirtelPaymentController {
   constructor() {
     this.airtelPaymentService = new AirtelPaymentService();
+    this.settlementService = new SubscriptionSettlementService();
+    this.provider = getProvider('AIRTEL');
   }
 
   /**
@@ -116,31 +120,24 @@ class AirtelPaymentController {
    * POST /api/airtel-payments/callback
    * Receives transaction status updates from Airtel
    * This endpoint does NOT require authentication (as per Airtel docs)
+   * Authenticity is checked by the verifyWebhook('AIRTEL') middleware first
    */
   async callback(req, res) {
     try {
       const callbackData = req.body;
 
       // Validate callback data
-      if (!callbackData || !callbackData.transaction) {
-        console.error('Invalid callback data received:', callbackData);
+      const parsed = this.provider.parseCallback({ body: callbackData, headers: req.headers, query: req.query });
+      if (!parsed.valid) {
+        console.error('Invalid Airtel callback received:', parsed.error, callbackData);
         return res.status(400).json({ 
           success: false, 
-          message: 'Invalid callback data' 
+          message: parsed.error 
         });
       }
 
       const transaction = callbackData.transaction;
 
-      // Validate required fields
-      if (!transaction.id || !transaction.status_code || !transaction.airtel_money_id) {
-        console.error('Missing required callback fields:', transaction);
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Missing required transaction fields' 
-        });
-      }
-
       // Extract request metadata
       const ipAddress = req.ip || req.connection.remoteAddress;
       const userAgent = req.get('user-agent') || 'Unknown';
@@ -153,7 +150,8 @@ class AirtelPaymentController {
         message: transaction.message || '',
         callbackData: callbackData,
         ipAddress: ipAddress,
-        userAgent: userAgent
+        userAgent: userAgent,
+        metadata: { verification: req.webhookVerification }
       });
 
       await callback.save();
@@ -168,16 +166,16 @@ class AirtelPaymentController {
         timestamp: new Date().toISOString()
       });
 
-      // Process the callback
-      // TODO: Update transaction status in database if you have an AirtelPayment model
-      // Example:
-      // const payment = await AirtelPayment.findOne({ transactionId: transaction.id });
-      // if (payment) {
-      //   payment.status = transaction.status_code === 'TS' ? 'SUCCESSFUL' : 'FAILED';
-      //   payment.airtel_money_id = transaction.airtel_money_id;
-      //   payment.airtelResponse = callbackData;
-      //   await payment.save();
-      // }
+      // Settle the matching subscription (duplicates and late callbacks are no-ops)
+      const settlement = await this.settlementService.settleFromCallback('AIRTEL', parsed, callback._id, req.callbackRecord);
+      callback.metadata = {
+        ...callback.metadata,
+        settlement: {
+          subscriptionId: settlement.subscription ? String(settlement.subscription._id) : null,
+          applied: settlement.applied,
+          reason: settlement.reason
+        }
+      };
 
       // Mark callback as processed
       await callback.markAsProcessed();
@@ -188,7 +186,8 @@ class AirtelPaymentController {
         success: true,
         message: 'Callback received and processed',
         transactionId: transaction.id,
-        callbackId: callback._id
+        callbackId: callback._id,
+        settlement: callback.metadata.settlement
       });
     } catch (error) {
       console.error('Airtel callback error:', error);
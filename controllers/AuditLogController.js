@@ -0,0 +1,57 @@
+const AuditService = require('../services/AuditService');
+const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
+
+/**
+ * Audit Log Controller
+ * Admin access to the audit log of sensitive actions
+ */
+class AuditLogController {
+  constructor() {
+    this.auditService = new AuditService();
+  }
+
+  /**
+   * Get Audit Log Entries
+   * GET /api/audit-logs
+   */
+  async getEntries(req, res) {
+    try {
+      const filters = {
+        actorId: req.query.actorId,
+        action: req.query.action,
+        targetType: req.query.targetType,
+        targetId: req.query.targetId,
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        limit: parseInt(req.query.limit) || 50,
+        skip: parseInt(req.query.skip) || 0
+      };
+
+      const result = await this.auditService.getEntries(filters);
+      const response = SuccessResponseDTO.fromData(result, 'Audit log entries retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get audit log entries error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get audit log entries');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get Audit Log Entry by ID
+   * GET /api/audit-logs/:id
+   */
+  async getEntryById(req, res) {
+    try {
+      const result = await this.auditService.getEntryById(req.params.id);
+      const response = SuccessResponseDTO.fromData(result, 'Audit log entry retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get audit log entry error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get audit log entry');
+      res.status(404).json(errorResponse);
+    }
+  }
+}
+
+module.exports = AuditLogController;
@@ -0,0 +1,152 @@
+const LedgerService = require('../services/LedgerService');
+const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
+
+/**
+ * Ledger Controller
+ * Admin access to ledger entries and daily settlement reports
+ */
+class LedgerController {
+  constructor() {
+    this.ledgerService = new LedgerService();
+  }
+
+  /**
+   * Get Ledger Entries
+   * GET /api/ledger/entries
+   */
+  async getEntries(req, res) {
+    try {
+      const filters = {
+        subscriptionId: req.query.subscriptionId,
+        channel: req.query.channel,
+        currency: req.query.currency,
+        journalType: req.query.journalType,
+        account: req.query.account,
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        limit: parseInt(req.query.limit) || 50,
+        skip: parseInt(req.query.skip) || 0
+      };
+
+      const result = await this.ledgerService.getEntries(filters);
+      const response = SuccessResponseDTO.fromData(result, 'Ledger entries retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get ledger entries error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get ledger entries');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get the ledger of one subscription
+   * GET /api/ledger/subscriptions/:id
+   */
+  async getSubscriptionLedger(req, res) {
+    try {
+      const result = await this.ledgerService.getSubscriptionLedger(req.params.id);
+      const response = SuccessResponseDTO.fromData(result, 'Subscription ledger retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get subscription ledger error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get subscription ledger');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Post missing collections and refunds
+   * POST /api/ledger/backfill
+   */
+  async backfill(req, res) {
+    try {
+      const result = await this.ledgerService.backfill({
+        dateFrom: req.body.dateFrom,
+        dateTo: req.body.dateTo
+      });
+      const response = SuccessResponseDTO.fromData(result, 'Ledger backfill completed');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Ledger backfill error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to backfill ledger');
+      res.status(500).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get Settlement Reports
+   * GET /api/ledger/settlements
+   */
+  async getSettlementReports(req, res) {
+    try {
+      const filters = {
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        limit: parseInt(req.query.limit) || 31,
+        skip: parseInt(req.query.skip) || 0
+      };
+
+      const result = await this.ledgerService.getSettlementReports(filters);
+      const response = SuccessResponseDTO.fromData(result, 'Settlement reports retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get settlement reports error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get settlement reports');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get the settlement report of a day
+   * GET /api/ledger/settlements/:date
+   */
+  async getSettlementReport(req, res) {
+    try {
+      const result = await this.ledgerService.getSettlementReport(req.params.date);
+      const response = SuccessResponseDTO.fromData(result, 'Settlement report retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get settlement report error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get settlement report');
+      res.status(404).json(errorResponse);
+    }
+  }
+
+  /**
+   * Generate (or regenerate) the settlement report of a day
+   * POST /api/ledger/settlements/:date
+   */
+  async generateSettlementReport(req, res) {
+    try {
+      const result = await this.ledgerService.generateSettlementReport(req.params.date, {
+        trigger: 'MANUAL',
+        generatedBy: req.user._id
+      });
+      const response = SuccessResponseDTO.fromData(result, 'Settlement report generated successfully');
+      res.status(201).json(response);
+    } catch (error) {
+      console.error('Generate settlement report error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to generate settlement report');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Export the settlement report of a day as CSV
+   * GET /api/ledger/settlements/:date/export
+   */
+  async exportSettlementReport(req, res) {
+    try {
+      const report = await this.ledgerService.getSettlementReport(req.params.date);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="settlement-${report.date}.csv"`);
+      res.status(200).send(this.ledgerService.toCsv(report));
+    } catch (error) {
+      console.error('Export settlement report error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to export settlement report');
+      res.status(404).json(errorResponse);
+    }
+  }
+}
+
+module.exports = LedgerController;
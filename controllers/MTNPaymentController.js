@@ -2,10 +2,14 @@ const MTNPaymentService = require('../services/MTNPaymentService');
 const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
 const MTNCallback = require('../models/MTNCallback');
 const Payment = require('../models/Payment');
+const SubscriptionSettlementService = require('../services/SubscriptionSettlementService');
+const { getProvider } = require('../services/providers');
 
 class MTNPaymentController {
   constructor() {
     this.paymentService = new MTNPaymentService();
+    this.settlementService = new SubscriptionSettlementService();
+    this.provider = getProvider('MTN');
   }
 
   async callback(req, res) {
@@ -13,20 +17,12 @@ class MTNPaymentController {
       const callbackData = req.body;
 
       // Validate callback data
-      if (!callbackData) {
-        console.error('Invalid callback data received: empty body');
+      const parsed = this.provider.parseCallback({ body: callbackData, headers: req.headers, query: req.query });
+      if (!parsed.valid) {
+        console.error('Invalid MTN callback received:', parsed.error, callbackData);
         return res.status(400).json({ 
           success: false, 
-          message: 'Invalid callback data' 
-        });
-      }
-
-      // Validate required fields based on MTN callback format
-      if (!callbackData.externalId || !callbackData.status || !callbackData.amount || !callbackData.currency) {
-        console.error('Missing required callback fields:', callbackData);
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Missing required fields: externalId, status, amount, currency' 
+          message: parsed.error 
         });
       }
 
@@ -46,7 +42,8 @@ class MTNPaymentController {
         payerMessage: callbackData.payerMessage || null,
         callbackData: callbackData,
         ipAddress: ipAddress,
-        userAgent: userAgent
+        userAgent: userAgent,
+        metadata: { verification: req.webhookVerification }
       });
 
       await callback.save();
@@ -107,6 +104,17 @@ class MTNPaymentController {
         }
       }
 
+      // Settle the matching subscription (externalId is the subscription transactionId)
+      const settlement = await this.settlementService.settleFromCallback('MTN', parsed, callback._id, req.callbackRecord);
+      callback.metadata = {
+        ...callback.metadata,
+        settlement: {
+          subscriptionId: settlement.subscription ? String(settlement.subscription._id) : null,
+          applied: settlement.applied,
+          reason: settlement.reason
+        }
+      };
+
       // Mark callback as processed
       await callback.markAsProcessed();
 
@@ -115,7 +123,8 @@ class MTNPaymentController {
       res.status(200).json({
         success: true,
         message: 'Callback received and processed',
-        callbackId: callback._id
+        callbackId: callback._id,
+        settlement: callback.metadata.settlement
       });
     } catch (error) {
       console.error('MTN callback error:', error);
@@ -0,0 +1,123 @@
+const PlanService = require('../services/PlanService');
+const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
+const { hasPermission } = require('../middleware/permissions');
+
+/**
+ * Plan Controller
+ * Handles the subscription plan catalogue
+ */
+class PlanController {
+  constructor() {
+    this.planService = new PlanService();
+  }
+
+  /**
+   * Get Plans
+   * GET /api/plans
+   * Admins can pass ?includeInactive=true to see deactivated plans and price history
+   */
+  async getPlans(req, res) {
+    try {
+      const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user, 'plans:manage');
+      const result = await this.planService.getPlans(includeInactive);
+      const response = SuccessResponseDTO.fromData(result, 'Plans retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get plans error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get plans');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get Plan by ID
+   * GET /api/plans/:id
+   */
+  async getPlanById(req, res) {
+    try {
+      const result = await this.planService.getPlanById(req.params.id, hasPermission(req.user, 'plans:manage'));
+      const response = SuccessResponseDTO.fromData(result, 'Plan retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get plan by ID error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get plan');
+      res.status(404).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get Plan Price Quote
+   * GET /api/plans/:id/quote?numberOfMonths=3&currency=RWF
+   */
+  async getQuote(req, res) {
+    try {
+      const numberOfMonths = req.query.numberOfMonths !== undefined ? parseInt(req.query.numberOfMonths) : undefined;
+      const result = await this.planService.quote(req.params.id, numberOfMonths, req.query.currency || 'RWF');
+      const response = SuccessResponseDTO.fromData(result, 'Plan quote computed successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get plan quote error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to compute plan quote');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Create Plan
+   * POST /api/plans
+   */
+  async createPlan(req, res) {
+    try {
+      const { code, name, durationMonths, prices } = req.body;
+      if (!code || !name || !durationMonths || !Array.isArray(prices) || prices.length === 0) {
+        const errorResponse = ErrorResponseDTO.fromError(
+          new Error('Missing required fields: code, name, durationMonths, prices'),
+          'Missing required fields'
+        );
+        return res.status(400).json(errorResponse);
+      }
+
+      const result = await this.planService.createPlan(req.body, req.user.id);
+      const response = SuccessResponseDTO.fromData(result, 'Plan created successfully');
+      res.status(201).json(response);
+    } catch (error) {
+      console.error('Create plan error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to create plan');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Update Plan
+   * PUT /api/plans/:id
+   */
+  async updatePlan(req, res) {
+    try {
+      const result = await this.planService.updatePlan(req.params.id, req.body, req.user.id);
+      const response = SuccessResponseDTO.fromData(result, 'Plan updated successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Update plan error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to update plan');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Deactivate Plan
+   * DELETE /api/plans/:id
+   */
+  async deactivatePlan(req, res) {
+    try {
+      const result = await this.planService.deactivatePlan(req.params.id);
+      const response = SuccessResponseDTO.fromData(result, 'Plan deactivated successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Deactivate plan error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to deactivate plan');
+      res.status(400).json(errorResponse);
+    }
+  }
+}
+
+module.exports = PlanController;
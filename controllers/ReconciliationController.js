@@ -0,0 +1,81 @@
+const ReconciliationService = require('../services/ReconciliationService');
+const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
+
+/**
+ * Reconciliation Controller
+ * Admin access to reconciliation reports and manual runs
+ */
+class ReconciliationController {
+  constructor() {
+    this.reconciliationService = new ReconciliationService();
+  }
+
+  /**
+   * Get Reconciliation Reports
+   * GET /api/reconciliation/reports
+   */
+  async getReports(req, res) {
+    try {
+      const filters = {
+        trigger: req.query.trigger,
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        limit: parseInt(req.query.limit) || 20,
+        skip: parseInt(req.query.skip) || 0
+      };
+
+      const result = await this.reconciliationService.getReports(filters);
+      const response = SuccessResponseDTO.fromData(result, 'Reconciliation reports retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get reconciliation reports error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get reconciliation reports');
+      res.status(400).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get Reconciliation Report by ID
+   * GET /api/reconciliation/reports/:id
+   */
+  async getReportById(req, res) {
+    try {
+      const result = await this.reconciliationService.getReportById(req.params.id);
+      const response = SuccessResponseDTO.fromData(result, 'Reconciliation report retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get reconciliation report error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get reconciliation report');
+      res.status(404).json(errorResponse);
+    }
+  }
+
+  /**
+   * Run Reconciliation Now
+   * POST /api/reconciliation/run
+   */
+  async runNow(req, res) {
+    if (this.reconciliationService.isRunning()) {
+      const errorResponse = ErrorResponseDTO.fromError(
+        { code: 'RECONCILIATION_IN_PROGRESS', message: 'Reconciliation run already in progress' },
+        'Reconciliation run already in progress'
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    try {
+      const report = await this.reconciliationService.run({
+        trigger: 'MANUAL',
+        triggeredBy: req.user.id
+      });
+      const response = SuccessResponseDTO.fromData(report.toReportDTO(), 'Reconciliation run completed');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Manual reconciliation error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to run reconciliation');
+      res.status(500).json(errorResponse);
+    }
+  }
+}
+
+module.exports = ReconciliationController;
@@ -1,5 +1,9 @@
 const SubscriptionService = require('../services/SubscriptionService');
+const SubscriptionLifecycleService = require('../services/SubscriptionLifecycleService');
+const SubscriptionRefundService = require('../services/SubscriptionRefundService');
+const { hasProvider, getChannels } = require('../services/providers');
 const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
+const { canAccess } = require('../middleware/permissions');
 
 /**
  * Subscription Controller
@@ -8,6 +12,19 @@ const { ErrorResponseDTO, SuccessResponseDTO } = require('../dto/PaymentDTO');
 class SubscriptionController {
   constructor() {
     this.subscriptionService = new SubscriptionService();
+    this.lifecycleService = new SubscriptionLifecycleService();
+    this.refundService = new SubscriptionRefundService();
+  }
+
+  /**
+   * Send a 403 for a subscription the user may not see
+   */
+  sendForbidden(res) {
+    const errorResponse = ErrorResponseDTO.fromError(
+      { code: 'FORBIDDEN', message: 'Not authorized' },
+      'Not authorized'
+    );
+    res.status(403).json(errorResponse);
   }
 
   /**
@@ -16,21 +33,21 @@ class SubscriptionController {
    */
   async createSubscriptionPayment(req, res) {
     try {
-      const { userId, amount, numberOfMonths, msisdn, paymentChannel, country, currency } = req.body;
+      const { userId, planId, numberOfMonths, msisdn, paymentChannel, country, currency } = req.body;
 
-      // Validate required fields
-      if (!userId || !amount || !numberOfMonths || !msisdn || !paymentChannel) {
+      // Validate required fields (the amount is computed from the plan on the server)
+      if (!userId || !planId || !msisdn || !paymentChannel) {
         const errorResponse = ErrorResponseDTO.fromError(
-          new Error('Missing required fields: userId, amount, numberOfMonths, msisdn, paymentChannel'),
+          new Error('Missing required fields: userId, planId, msisdn, paymentChannel'),
           'Missing required fields'
         );
         return res.status(400).json(errorResponse);
       }
 
       // Validate payment channel
-      if (!['MTN', 'AIRTEL'].includes(paymentChannel.toUpperCase())) {
+      if (!hasProvider(paymentChannel)) {
         const errorResponse = ErrorResponseDTO.fromError(
-          new Error('Invalid payment channel. Must be "MTN" or "AIRTEL"'),
+          new Error(`Invalid payment channel. Must be one of: ${getChannels().join(', ')}`),
           'Invalid payment channel'
         );
         return res.status(400).json(errorResponse);
@@ -38,8 +55,8 @@ class SubscriptionController {
 
       const subscriptionData = {
         userId,
-        amount: parseFloat(amount),
-        numberOfMonths: parseInt(numberOfMonths),
+        planId,
+        numberOfMonths: numberOfMonths !== undefined ? parseInt(numberOfMonths) : undefined,
         msisdn, // Use msisdn from API request, not from .env
         paymentChannel: paymentChannel.toUpperCase(),
         country: country || 'RW',
@@ -64,6 +81,10 @@ class SubscriptionController {
     try {
       const { id } = req.params;
       const result = await this.subscriptionService.getSubscriptionById(id);
+      if (!canAccess(req.user, 'subscriptions:read', result.userId)) {
+        return this.sendForbidden(res);
+      }
+
       const response = SuccessResponseDTO.fromData(result, 'Subscription retrieved successfully');
       res.status(200).json(response);
     } catch (error) {
@@ -73,6 +94,68 @@ class SubscriptionController {
     }
   }
 
+  /**
+   * Get the authenticated user's subscription status
+   * GET /api/subscriptions/me/status
+   */
+  async getMyStatus(req, res) {
+    try {
+      const result = await this.lifecycleService.getStatus(req.user._id);
+      const response = SuccessResponseDTO.fromData(result, 'Subscription status retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get subscription status error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get subscription status');
+      res.status(500).json(errorResponse);
+    }
+  }
+
+  /**
+   * Refund the unused months of a subscription (admin)
+   * POST /api/subscriptions/:id/refund
+   */
+  async refundSubscription(req, res) {
+    try {
+      const result = await this.refundService.refundSubscription(req.params.id, {
+        reason: req.body.reason,
+        requestedBy: req.user._id
+      });
+
+      // The failed attempt is recorded on the subscription either way
+      if (result.refund.status === 'FAILED') {
+        const errorResponse = ErrorResponseDTO.fromError(
+          { code: 'REFUND_FAILED', message: result.refund.error || 'Refund failed', details: result },
+          'Subscription refund failed'
+        );
+        return res.status(502).json(errorResponse);
+      }
+
+      const response = SuccessResponseDTO.fromData(result, 'Subscription refund initiated successfully');
+      res.status(201).json(response);
+    } catch (error) {
+      console.error('Refund subscription error:', error);
+      const statusCode = error.message.includes('Another refund') ? 409 : 400;
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to refund subscription');
+      res.status(statusCode).json(errorResponse);
+    }
+  }
+
+  /**
+   * Get refund attempts for a subscription (admin)
+   * GET /api/subscriptions/:id/refunds
+   */
+  async getRefunds(req, res) {
+    try {
+      const result = await this.refundService.refreshRefunds(req.params.id);
+      const response = SuccessResponseDTO.fromData(result, 'Subscription refunds retrieved successfully');
+      res.status(200).json(response);
+    } catch (error) {
+      console.error('Get subscription refunds error:', error);
+      const errorResponse = ErrorResponseDTO.fromError(error, 'Failed to get subscription refunds');
+      res.status(404).json(errorResponse);
+    }
+  }
+
   /**
    * Get Subscriptions by User ID
    * GET /api/subscriptions/user/:userId
@@ -80,6 +163,10 @@ class SubscriptionController {
   async getSubscriptionsByUserId(req, res) {
     try {
       const { userId } = req.params;
+      if (!canAccess(req.user, 'subscriptions:read', userId)) {
+        return this.sendForbidden(res);
+      }
+
       const result = await this.subscriptionService.getSubscriptionsByUserId(userId);
       const response = SuccessResponseDTO.fromData(result, 'Subscriptions retrieved successfully');
       res.status(200).json(response);
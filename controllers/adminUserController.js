@@ -0,0 +1,270 @@
+const User = require("../models/User")
+const Subscription = require("../models/Subscription")
+const { validationResult } = require("express-validator")
+const SessionService = require("../services/SessionService")
+const AuditService = require("../services/AuditService")
+const SubscriptionLifecycleService = require("../services/SubscriptionLifecycleService")
+
+const auditService = new AuditService()
+const lifecycleService = new SubscriptionLifecycleService()
+
+const MAX_PAGE_SIZE = 100
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// IDs of users whose subscription gives access right now (grace period included),
+// and of every user who ever had a paid subscription. Pass userIds to only look at those users.
+const getSubscriberIds = async (userIds) => {
+  const now = new Date()
+  const scope = userIds ? { userId: { $in: userIds } } : {}
+  const [active, ever] = await Promise.all([
+    Subscription.distinct("userId", {
+      ...scope,
+      status: "SUCCESSFUL",
+      startDate: { $lte: now },
+      endDate: { $gt: new Date(now.getTime() - lifecycleService.getGraceMs()) },
+    }),
+    Subscription.distinct("userId", { ...scope, status: { $in: ["SUCCESSFUL", "EXPIRED"] } }),
+  ])
+  return { active, ever }
+}
+
+const subscriptionStatusOf = (userId, subscribers) => {
+  if (subscribers.active.includes(userId)) return "active"
+  if (subscribers.ever.includes(userId)) return "expired"
+  return "none"
+}
+
+// Search users with pagination
+// Query: q (name, phone or email), role, verified, suspended, subscriptionStatus (active, expired, none), page, limit
+exports.getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE)
+    const { q, role, verified, suspended, subscriptionStatus } = req.query
+
+    const filter = {}
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i")
+      filter.$or = [{ name: pattern }, { phoneNumber: pattern }, { email: pattern }]
+    }
+    if (role) filter.role = role
+    if (verified !== undefined) filter.isVerified = verified === "true"
+    if (suspended !== undefined) filter.suspended = suspended === "true"
+
+    if (subscriptionStatus) {
+      const subscribers = await getSubscriberIds()
+      if (subscriptionStatus === "active") {
+        filter._id = { $in: subscribers.active }
+      } else if (subscriptionStatus === "expired") {
+        filter._id = { $in: subscribers.ever, $nin: subscribers.active }
+      } else {
+        filter._id = { $nin: subscribers.ever }
+      }
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(User.PRIVATE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ])
+    const subscribers = await getSubscriberIds(users.map((user) => user._id))
+
+    res.json({
+      users: users.map((user) => ({
+        ...user.toObject(),
+        subscriptionStatus: subscriptionStatusOf(user._id, subscribers),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Get users error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Get one user with their subscriptions and signed-in devices
+exports.getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(User.PRIVATE_FIELDS)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const [subscriptions, sessions, access, everSubscribed] = await Promise.all([
+      Subscription.find({ userId: user._id }).sort({ createdAt: -1 }).limit(20),
+      SessionService.listSessions(user._id),
+      lifecycleService.getAccessSubscription(user._id),
+      Subscription.exists({ userId: user._id, status: { $in: ["SUCCESSFUL", "EXPIRED"] } }),
+    ])
+
+    let subscriptionStatus = "none"
+    if (access) subscriptionStatus = "active"
+    else if (everSubscribed) subscriptionStatus = "expired"
+
+    res.json({
+      user,
+      subscriptionStatus,
+      subscriptions: subscriptions.map((subscription) => subscription.toSubscriptionDTO()),
+      sessions,
+    })
+  } catch (error) {
+    console.error("Get user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Change a user's role (user, instructor or admin)
+exports.updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    // Keeps the last admin from locking everyone out by accident
+    if (req.params.id === String(req.user._id)) {
+      return res.status(400).json({ message: "You cannot change your own role" })
+    }
+
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const previousRole = user.role
+    if (previousRole !== req.body.role) {
+      user.role = req.body.role
+      await user.save()
+
+      await auditService.record(req, {
+        action: "user.role.change",
+        target: { type: "User", id: user._id },
+        before: { role: previousRole },
+        after: { role: user.role },
+      })
+    }
+
+    res.json({ message: "Role updated successfully", user: { id: user._id, role: user.role } })
+  } catch (error) {
+    console.error("Update role error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Suspend a user and sign them out everywhere
+exports.suspendUser = async (req, res) => {
+  try {
+    if (req.params.id === String(req.user._id)) {
+      return res.status(400).json({ message: "You cannot suspend yourself" })
+    }
+
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.suspended) {
+      return res.status(400).json({ message: "User is already suspended" })
+    }
+
+    user.suspended = true
+    user.suspendedAt = Date.now()
+    user.suspendedReason = req.body.reason
+    user.suspendedBy = req.user._id
+    await user.save()
+
+    const revokedSessions = await SessionService.revokeAllSessions(user._id)
+
+    await auditService.record(req, {
+      action: "user.suspend",
+      target: { type: "User", id: user._id },
+      before: { suspended: false },
+      after: { suspended: true },
+      details: { reason: req.body.reason, revokedSessions },
+    })
+
+    res.json({ message: "User suspended successfully", userId: user._id })
+  } catch (error) {
+    console.error("Suspend user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Lift a suspension
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (!user.suspended) {
+      return res.status(400).json({ message: "User is not suspended" })
+    }
+
+    const before = { suspended: true, suspendedReason: user.suspendedReason }
+    user.suspended = false
+    user.suspendedAt = undefined
+    user.suspendedReason = undefined
+    user.suspendedBy = undefined
+    await user.save()
+
+    await auditService.record(req, {
+      action: "user.unsuspend",
+      target: { type: "User", id: user._id },
+      before,
+      after: { suspended: false },
+    })
+
+    res.json({ message: "User unsuspended successfully", userId: user._id })
+  } catch (error) {
+    console.error("Unsuspend user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Mark a user's account as verified without a code (e.g. after checking their ID in person)
+exports.verifyUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: "Account already verified" })
+    }
+
+    user.isVerified = true
+    user.verificationCode = undefined
+    user.verificationCodeExpires = undefined
+    user.verificationAttempts = 0
+    await user.save()
+
+    await auditService.record(req, {
+      action: "user.verify",
+      target: { type: "User", id: user._id },
+      before: { isVerified: false },
+      after: { isVerified: true },
+    })
+
+    res.json({ message: "User verified successfully", userId: user._id })
+  } catch (error) {
+    console.error("Verify user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
@@ -1,21 +1,64 @@
 const User = require("../models/User")
-const jwt = require("jsonwebtoken")
 const { validationResult } = require("express-validator")
 const crypto = require("crypto")
-const { sendVerificationEmail } = require("../config/email-sender")
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "24h",
-  })
-}
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../config/email-sender")
+const { sendVerificationSms, sendPasswordResetSms, sendLoginCodeSms } = require("../config/sms-sender")
+const SessionService = require("../services/SessionService")
+const RateLimitService = require("../services/RateLimitService")
+const AuditService = require("../services/AuditService")
+const { LOCKOUT, MAX_VERIFICATION_ATTEMPTS } = require("../config/rateLimits")
+const { generateOneTimeCode, hashOneTimeCode, oneTimeCodeMatches } = require("../utils/oneTimeCode")
+
+// Password reset codes
+const RESET_CODE_TTL_MINUTES = 15
+const RESET_CODE_RESEND_SECONDS = 60
+const RESET_CODE_MAX_ATTEMPTS = 5
+
+// Passwordless login codes
+const LOGIN_CODE_TTL_MINUTES = 5
+const LOGIN_CODE_RESEND_SECONDS = 60
+const LOGIN_CODE_MAX_SENDS_PER_HOUR = 5
+const LOGIN_CODE_MAX_ATTEMPTS = 5
 
 // Generate random verification code
 const generateVerificationCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString()
 }
 
+// Seconds left on an account lockout, 0 when the account is not locked
+const lockedForSeconds = (user) => {
+  if (!user.lockUntil || user.lockUntil <= Date.now()) return 0
+  return Math.ceil((user.lockUntil - Date.now()) / 1000)
+}
+
+const sendLocked = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter))
+  return res.status(423).json({
+    message: "Account temporarily locked after too many failed attempts. Please try again later",
+    retryAfter,
+  })
+}
+
+// Count a wrong password or login code; enough of them lock the account for a while
+const recordLoginFailure = async (user) => {
+  user.failedLoginAttempts += 1
+  if (user.failedLoginAttempts >= LOCKOUT.maxFailures) {
+    user.lockUntil = Date.now() + LOCKOUT.durationMs
+    user.failedLoginAttempts = 0
+  }
+  await user.save()
+}
+
+const clearLoginFailures = (user) => {
+  user.failedLoginAttempts = 0
+  user.lockUntil = undefined
+}
+
+const findUserByPhoneOrEmail = ({ phoneNumber, email }) => {
+  if (phoneNumber) return User.findOne({ phoneNumber })
+  return User.findOne({ email: email.toLowerCase() })
+}
+
 // Register new user
 exports.signup = async (req, res) => {
   try {
@@ -24,7 +67,7 @@ exports.signup = async (req, res) => {
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const { phoneNumber, email, password, name, role } = req.body
+    const { phoneNumber, email, password, name } = req.body
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -50,12 +93,14 @@ exports.signup = async (req, res) => {
       verificationCode,
       verificationCodeExpires,
       name,
-      role: role || "user"
+      // Instructor and admin roles are only granted by an admin
+      role: "user"
     })
 
     await user.save()
 
-    // TODO: Send verification code via SMS or email
+    // Most learners only read SMS, so send the code both ways
+    sendVerificationSms(phoneNumber, verificationCode)
     sendVerificationEmail(email, name, verificationCode)
 
     res.status(201).json({
@@ -84,12 +129,27 @@ exports.login = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" })
+    }
+
+    const lockedFor = lockedForSeconds(user)
+    if (lockedFor) {
+      return sendLocked(res, lockedFor)
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password)
     if (!isMatch) {
+      await recordLoginFailure(user)
       return res.status(401).json({ message: "Invalid credentials" })
     }
 
+    if (user.failedLoginAttempts || user.lockUntil) {
+      clearLoginFailures(user)
+      await user.save()
+    }
+
     // Check if user is verified
     if (!user.isVerified) {
       return res.status(401).json({
@@ -98,11 +158,13 @@ exports.login = async (req, res) => {
       })
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req)
 
     res.json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         phoneNumber: user.phoneNumber,
@@ -130,7 +192,14 @@ exports.verifyAccount = async (req, res) => {
       return res.status(400).json({ message: "Account already verified" })
     }
 
+    // Too many wrong codes discard the code, so it cannot be guessed
+    if (user.verificationAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+      return res.status(400).json({ message: "Too many wrong codes. Please request a new verification code" })
+    }
+
     if (user.verificationCode !== verificationCode) {
+      user.verificationAttempts += 1
+      await user.save()
       return res.status(400).json({ message: "Invalid verification code" })
     }
 
@@ -141,14 +210,17 @@ exports.verifyAccount = async (req, res) => {
     user.isVerified = true
     user.verificationCode = undefined
     user.verificationCodeExpires = undefined
+    user.verificationAttempts = 0
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req)
 
     res.json({
       message: "Account verified successfully",
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         phoneNumber: user.phoneNumber,
@@ -182,9 +254,10 @@ exports.resendVerificationCode = async (req, res) => {
 
     user.verificationCode = verificationCode
     user.verificationCodeExpires = verificationCodeExpires
+    user.verificationAttempts = 0
     await user.save()
 
-    // TODO: Send verification code via SMS or email
+    sendVerificationSms(user.phoneNumber, verificationCode)
     sendVerificationEmail(user.email, user.name, verificationCode)
 
     res.json({
@@ -202,11 +275,17 @@ exports.googleCallback = async (req, res) => {
   try {
     // This function will be called after successful Google authentication
     // The user object will be available in req.user (set by Passport.js)
-    const token = generateToken(req.user._id)
+    if (req.user.suspended) {
+      return res.redirect(`${process.env.FRONTEND_URL}/auth/error?reason=suspended`)
+    }
 
-    // Redirect to frontend with token
+    const { token, refreshToken } = await SessionService.createSession(req.user, req)
+
+    // Redirect to frontend with tokens
     // You can customize this URL to match your frontend
-    res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}`)
+    // The refresh token goes in the fragment, which browsers never send to a server
+    // (so it stays out of access logs and Referer headers)
+    res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}#refreshToken=${encodeURIComponent(refreshToken)}`)
   } catch (error) {
     console.error("Google callback error:", error)
     res.redirect(`${process.env.FRONTEND_URL}/auth/error`)
@@ -216,7 +295,7 @@ exports.googleCallback = async (req, res) => {
 // Get current user
 exports.getCurrentUser = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password -verificationCode -verificationCodeExpires")
+    const user = await User.findById(req.user.id).select(User.PRIVATE_FIELDS)
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
@@ -229,7 +308,7 @@ exports.getCurrentUser = async (req, res) => {
 
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find({}).select("-password -verificationCode -verificationCodeExpires")
+    const users = await User.find({}).select(User.PRIVATE_FIELDS)
     res.json(users)
   } catch (error) {
     console.error("Get all users error:", error)
@@ -303,9 +382,315 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await SessionService.revokeAllSessions(user._id, { except: req.authSessionId, reason: "password_change" });
+
     res.json({ message: "Password updated successfully" });
   } catch (error) {
     console.error("Update password error:", error);
     res.status(500).json({ message: "Server error" });
   }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const tokens = await SessionService.rotate(req.body.refreshToken, req)
+    if (!tokens) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" })
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Sign out of the current device
+exports.logout = async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user._id, req.authSessionId, "logout")
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// List the devices the user is signed in on
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user._id)
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id === req.authSessionId,
+      })),
+    )
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Sign out of one device
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeSession(req.user._id, req.params.id)
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+    res.json({ message: "Session revoked successfully" })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Sign out of every other device
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await SessionService.revokeAllSessions(req.user._id, { except: req.authSessionId })
+    res.json({ message: "Other sessions revoked successfully", count })
+  } catch (error) {
+    console.error("Revoke sessions error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Send a password reset code by email and SMS.
+// Always answers the same way so the endpoint does not reveal which accounts exist.
+exports.forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const response = {
+      message: "If an account matches, a password reset code has been sent by SMS and email",
+    }
+
+    const user = await findUserByPhoneOrEmail(req.body)
+    if (!user || user.authMethod !== "local") {
+      return res.json(response)
+    }
+
+    // One code per account per cooldown; repeated requests are ignored
+    if (user.resetPasswordRequestedAt && Date.now() - user.resetPasswordRequestedAt < RESET_CODE_RESEND_SECONDS * 1000) {
+      return res.json(response)
+    }
+
+    const resetCode = generateOneTimeCode()
+    user.resetPasswordToken = hashOneTimeCode(resetCode)
+    user.resetPasswordExpires = Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000
+    user.resetPasswordAttempts = 0
+    user.resetPasswordRequestedAt = Date.now()
+    await user.save()
+
+    sendPasswordResetSms(user.phoneNumber, resetCode, RESET_CODE_TTL_MINUTES)
+    sendPasswordResetEmail(user.email, user.name, resetCode, RESET_CODE_TTL_MINUTES)
+
+    res.json(response)
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Set a new password with a reset code, then sign out every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { resetCode, newPassword } = req.body
+    const invalidCode = { message: "Invalid or expired reset code" }
+
+    const user = await findUserByPhoneOrEmail(req.body)
+    if (!user || !user.resetPasswordToken) {
+      return res.status(400).json(invalidCode)
+    }
+
+    if (Date.now() > user.resetPasswordExpires || user.resetPasswordAttempts >= RESET_CODE_MAX_ATTEMPTS) {
+      return res.status(400).json(invalidCode)
+    }
+
+    if (!oneTimeCodeMatches(user.resetPasswordToken, resetCode)) {
+      user.resetPasswordAttempts += 1
+      await user.save()
+      return res.status(400).json(invalidCode)
+    }
+
+    // The code is single use
+    user.password = newPassword
+    user.resetPasswordToken = undefined
+    user.resetPasswordExpires = undefined
+    user.resetPasswordAttempts = 0
+    // Proving ownership of the account also lifts a lockout
+    clearLoginFailures(user)
+    await user.save()
+
+    await SessionService.revokeAllSessions(user._id, { reason: "password_reset" })
+
+    res.json({ message: "Password reset successfully. Please log in with your new password." })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Send a one-time login code to a phone number.
+// Always answers the same way so the endpoint does not reveal which numbers are registered.
+exports.requestLoginCode = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const sent = { message: "If the number is registered, a login code has been sent by SMS" }
+
+    const user = await User.findOne({ phoneNumber: req.body.phoneNumber })
+    if (!user) {
+      return res.json(sent)
+    }
+
+    const now = Date.now()
+
+    // Resend throttling: one code per cooldown and a few per hour. Throttled requests
+    // get the same answer without a new code (a 429 here would only come for registered
+    // numbers); the requestLoginCode rate limit refuses any number asked for too often.
+    if (user.loginCodeRequestedAt && now - user.loginCodeRequestedAt < LOGIN_CODE_RESEND_SECONDS * 1000) {
+      return res.json(sent)
+    }
+
+    if (!user.loginCodeWindowStart || now - user.loginCodeWindowStart >= 60 * 60 * 1000) {
+      user.loginCodeWindowStart = now
+      user.loginCodeSendCount = 0
+    }
+    if (user.loginCodeSendCount >= LOGIN_CODE_MAX_SENDS_PER_HOUR) {
+      return res.json(sent)
+    }
+
+    const loginCode = generateOneTimeCode()
+    user.loginCode = hashOneTimeCode(loginCode)
+    user.loginCodeExpires = now + LOGIN_CODE_TTL_MINUTES * 60 * 1000
+    user.loginCodeAttempts = 0
+    user.loginCodeRequestedAt = now
+    user.loginCodeSendCount += 1
+    await user.save()
+
+    sendLoginCodeSms(user.phoneNumber, loginCode, LOGIN_CODE_TTL_MINUTES)
+
+    res.json(sent)
+  } catch (error) {
+    console.error("Request login code error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Log in with a phone number and the one-time code sent to it
+exports.loginWithCode = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { phoneNumber, loginCode } = req.body
+    const invalidCode = { message: "Invalid or expired login code" }
+
+    const user = await User.findOne({ phoneNumber })
+    if (!user || !user.loginCode) {
+      return res.status(401).json(invalidCode)
+    }
+
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" })
+    }
+
+    const lockedFor = lockedForSeconds(user)
+    if (lockedFor) {
+      return sendLocked(res, lockedFor)
+    }
+
+    if (Date.now() > user.loginCodeExpires || user.loginCodeAttempts >= LOGIN_CODE_MAX_ATTEMPTS) {
+      return res.status(401).json(invalidCode)
+    }
+
+    if (!oneTimeCodeMatches(user.loginCode, loginCode)) {
+      user.loginCodeAttempts += 1
+      await recordLoginFailure(user)
+      return res.status(401).json(invalidCode)
+    }
+
+    // The code is single use. Receiving it also proves the user owns the number.
+    user.loginCode = undefined
+    user.loginCodeExpires = undefined
+    user.loginCodeAttempts = 0
+    clearLoginFailures(user)
+    if (!user.isVerified) {
+      user.isVerified = true
+      user.verificationCode = undefined
+      user.verificationCodeExpires = undefined
+    }
+    await user.save()
+
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req)
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        phoneNumber: user.phoneNumber,
+        email: user.email,
+        role: user.role,
+      },
+    })
+  } catch (error) {
+    console.error("Login with code error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Lift a lockout and clear the account's rate limit counters
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    clearLoginFailures(user)
+    user.verificationAttempts = 0
+    user.loginCodeAttempts = 0
+    await user.save()
+
+    await RateLimitService.resetAccount(user._id, user.phoneNumber, user.email)
+
+    await new AuditService().record(req, {
+      action: "user.unlock",
+      target: { type: "User", id: user._id },
+    })
+
+    res.json({ message: "User unlocked successfully", userId: user._id })
+  } catch (error) {
+    console.error("Unlock user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
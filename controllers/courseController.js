@@ -1,11 +1,18 @@
 const Course = require("../models/Course")
 const Category = require("../models/Category")
 const { validationResult } = require("express-validator")
+const { canAccess } = require("../middleware/permissions")
+const { consumeFreeTier } = require("../middleware/subscriptionAccess")
+
+// Course lists are public; the content itself is only served by getCourseById,
+// behind the subscription check
+const WITHOUT_CONTENT = "-videoUrl -documentUrl"
 
 // Get all courses
 exports.getAllCourses = async (req, res) => {
   try {
     const courses = await Course.find()
+      .select(WITHOUT_CONTENT)
       .populate("category", "categoryName")
       .populate("instructor", "email phoneNumber")
       .sort({ createdAt: -1 })
@@ -28,6 +35,8 @@ exports.getCourseById = async (req, res) => {
       return res.status(404).json({ message: "Course not found" })
     }
 
+    if (!(await consumeFreeTier(req, res))) return
+
     res.json(course)
   } catch (error) {
     console.error("Get course by ID error:", error)
@@ -39,6 +48,7 @@ exports.getCourseById = async (req, res) => {
 exports.getCoursesByCategory = async (req, res) => {
   try {
     const courses = await Course.find({ category: req.params.categoryId })
+      .select(WITHOUT_CONTENT)
       .populate("category", "categoryName")
       .populate("instructor", "email phoneNumber")
       .sort({ createdAt: -1 })
@@ -118,9 +128,9 @@ exports.updateCourse = async (req, res) => {
       return res.status(404).json({ message: "Course not found" })
     }
 
-    // Check if user is the course instructor
-    if (course.instructor.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this course" })
+    // Check if user is the course instructor (or an admin)
+    if (!canAccess(req.user, "courses:update", course.instructor)) {
+      return res.status(403).json({ message: "Not authorized to update this course" })
     }
 
     // Check if category exists (if changed)
@@ -160,9 +170,9 @@ exports.deleteCourse = async (req, res) => {
       return res.status(404).json({ message: "Course not found" })
     }
 
-    // Check if user is the course instructor
-    if (course.instructor.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to delete this course" })
+    // Check if user is the course instructor (or an admin)
+    if (!canAccess(req.user, "courses:delete", course.instructor)) {
+      return res.status(403).json({ message: "Not authorized to delete this course" })
     }
 
     await course.deleteOne()
@@ -3,15 +3,11 @@ const Course = require("../models/Course")
 const Exam = require("../models/Exam")
 const ExamAttempt = require("../models/ExamAttempt")
 const { validationResult } = require("express-validator")
+const { canAccess } = require("../middleware/permissions")
 
-// Get all enrollments (admin only)
+// Get all enrollments (admin only, enforced by the route)
 exports.getAllEnrollments = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized" })
-    }
-
     const enrollments = await CourseEnrollment.find()
       .populate("user", "email phoneNumber")
       .populate("course", "title")
@@ -53,8 +49,8 @@ exports.getEnrollmentById = async (req, res) => {
     }
 
     // Check if user is authorized to view this enrollment
-    if (enrollment.user.toString() !== req.user.id && req.user.role !== "admin") {
-      return res.status(401).json({ message: "Not authorized" })
+    if (!canAccess(req.user, "enrollments:read", enrollment.user)) {
+      return res.status(403).json({ message: "Not authorized" })
     }
 
     res.json(enrollment)
@@ -128,8 +124,8 @@ exports.updateProgress = async (req, res) => {
     }
 
     // Check if user is authorized
-    if (enrollment.user.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized" })
+    if (!canAccess(req.user, "enrollments:update", enrollment.user)) {
+      return res.status(403).json({ message: "Not authorized" })
     }
 
     // Update progress
@@ -1,8 +1,17 @@
 const ExamAttempt = require("../models/ExamAttempt")
 const Exam = require("../models/Exam")
 const Question = require("../models/Question")
-const CourseEnrollment = require("../models/CourseEnrollment")
 const { validationResult } = require("express-validator")
+const ExamAttemptService = require("../services/ExamAttemptService")
+const { canAccess } = require("../middleware/permissions")
+const { consumeFreeTier } = require("../middleware/subscriptionAccess")
+const {
+  canSeeAnswers,
+  populateExamQuestions,
+  toLearnerAttempt,
+  serializeAttempts,
+  toAttemptReview,
+} = require("../utils/questionSerializer")
 
 // Start a new exam attempt
 exports.startExamAttempt = async (req, res) => {
@@ -16,7 +25,8 @@ exports.startExamAttempt = async (req, res) => {
 
     // Check if exam exists
     const exam = await Exam.findById(examId)
-    if (exam === null) {
+    // A mock exam generated from a blueprint can only be taken by the learner it was built for
+    if (exam === null || (exam.generatedFor && exam.generatedFor !== req.user.id)) {
       return res.status(404).json({ message: "Exam not found" })
     }
 
@@ -25,39 +35,40 @@ exports.startExamAttempt = async (req, res) => {
       return res.status(400).json({ message: "Exam is not available" })
     }
 
-    // Check if user already has an in-progress attempt
+    const mode = req.body.mode || exam.defaultMode
+    if (!exam.attemptModes.includes(mode)) {
+      return res.status(400).json({ message: `This exam cannot be taken in ${mode} mode` })
+    }
+
+    // Check if user already has an in-progress attempt in this mode
+    // (attempts from before modes existed count as exam mode)
     const existingAttempt = await ExamAttempt.findOne({
       user: req.user.id,
       exam: examId,
       status: "in-progress",
+      mode: mode === "practice" ? "practice" : { $ne: "practice" },
     })
 
     if (existingAttempt) {
-      return res.json(existingAttempt)
+      // An attempt whose time ran out is scored and a new one is started
+      if (existingAttempt.isOverdue()) {
+        await ExamAttemptService.finish(existingAttempt, exam, { autoSubmitted: true })
+      } else {
+        await existingAttempt.populate(populateExamQuestions)
+        return res.json(toLearnerAttempt(existingAttempt))
+      }
     }
 
-    // Create new attempt
-    const examAttempt = new ExamAttempt({
-      user: req.user.id,
-      exam: examId,
-      course: exam.course,
-      startTime: new Date(),
-      answers: [],
-      status: "in-progress",
-    })
+    // Only a new attempt uses up the free tier
+    if (!(await consumeFreeTier(req, res))) return
 
-    await examAttempt.save()
+    // Create new attempt
+    const examAttempt = await ExamAttemptService.createAttempt(req.user.id, exam, mode)
 
     // Return the attempt with exam questions
-    const populatedAttempt = await ExamAttempt.findById(examAttempt._id).populate({
-      path: "exam",
-      populate: {
-        path: "questions",
-        select: "text imageUrl answerOptions difficulty rightAnswerDescription",
-      },
-    })
+    const populatedAttempt = await ExamAttempt.findById(examAttempt._id).populate(populateExamQuestions)
 
-    res.status(201).json(populatedAttempt)
+    res.status(201).json(toLearnerAttempt(populatedAttempt))
   } catch (error) {
     console.error("Start exam attempt error:", error)
     res.status(500).json({ message: "Server error" })
@@ -85,6 +96,18 @@ exports.submitAnswer = async (req, res) => {
       return res.status(404).json({ message: "Active exam attempt not found" })
     }
 
+    // The server's clock decides: answers after the deadline and grace window are refused
+    if (attempt.isOverdue()) {
+      const exam = await Exam.findById(attempt.exam)
+      if (exam) {
+        await ExamAttemptService.finish(attempt, exam, { autoSubmitted: true })
+      }
+      return res.status(409).json({
+        message: "Time is up. Your exam has been submitted",
+        attempt: toLearnerAttempt(attempt),
+      })
+    }
+
     // Check if question exists
     const question = await Question.findById(questionId)
     if (!question) {
@@ -99,6 +122,11 @@ exports.submitAnswer = async (req, res) => {
     // Check if answer already exists for this question
     const existingAnswerIndex = attempt.answers.findIndex((answer) => answer.questionId.toString() === questionId)
 
+    // In exam mode only the latest answer can still be changed, as on the real test
+    if (attempt.mode === "exam" && existingAnswerIndex !== -1 && existingAnswerIndex !== attempt.answers.length - 1) {
+      return res.status(409).json({ message: "Answers cannot be changed after moving on to another question" })
+    }
+
     // Determine if the selected answer is correct
     const isCorrect = question.answerOptions[selectedOption].isCorrect
 
@@ -120,10 +148,17 @@ exports.submitAnswer = async (req, res) => {
 
     await attempt.save()
 
+    // Practice mode explains each answer right away; exam mode only shows results once completed
     res.json({
       message: "Answer submitted successfully",
-      isCorrect,
-      attempt,
+      ...(attempt.mode === "practice" && {
+        feedback: {
+          isCorrect,
+          correctOption: question.answerOptions.findIndex((option) => option.isCorrect),
+          rightAnswerDescription: question.rightAnswerDescription,
+        },
+      }),
+      attempt: toLearnerAttempt(attempt),
     })
   } catch (error) {
     console.error("Submit answer error:", error)
@@ -147,57 +182,8 @@ exports.completeExamAttempt = async (req, res) => {
       return res.status(404).json({ message: "Active exam attempt not found" })
     }
 
-    // Get the exam to calculate score
-    const exam = attempt.exam
-
-    // Calculate score
-    const totalQuestions = exam.questions.length
-    const correctAnswers = attempt.answers.filter((answer) => answer.isCorrect).length
-    const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0
-
-    // Determine if passed
-    const isPassed = score >= exam.passingScore
-
-    // Update attempt
-    attempt.endTime = new Date()
-    attempt.score = score
-    attempt.isPassed = isPassed
-    attempt.status = "completed"
-
-    await attempt.save()
-
-    // If this is a course exam and the user passed, update course progress
-    if (exam.course && isPassed) {
-      const enrollment = await CourseEnrollment.findOne({
-        user: req.user.id,
-        course: exam.course,
-        status: "active",
-      })
-
-      if (enrollment) {
-        // Update progress based on exams completed
-        // This is a simplified approach - you might want to implement a more sophisticated progress tracking
-        const courseExams = await Exam.find({ course: exam.course, status: "Published" })
-        const completedExams = await ExamAttempt.countDocuments({
-          user: req.user.id,
-          course: exam.course,
-          status: "completed",
-          isPassed: true,
-        })
-
-        if (courseExams.length > 0) {
-          const progress = Math.min(Math.round((completedExams / courseExams.length) * 100), 100)
-          enrollment.progress = progress
-
-          // If progress is 100%, mark course as completed
-          if (progress === 100 && !enrollment.completedAt) {
-            enrollment.completedAt = new Date()
-          }
-
-          await enrollment.save()
-        }
-      }
-    }
+    await ExamAttemptService.finish(attempt, attempt.exam)
+    const { score, isPassed } = attempt
 
     // Return the completed attempt
     const populatedAttempt = await ExamAttempt.findById(attempt._id).populate("exam").populate({
@@ -207,7 +193,7 @@ exports.completeExamAttempt = async (req, res) => {
 
     res.json({
       message: "Exam completed successfully",
-      attempt: populatedAttempt,
+      attempt: toLearnerAttempt(populatedAttempt),
       score,
       isPassed,
     })
@@ -225,7 +211,7 @@ exports.getUserExamAttempts = async (req, res) => {
       .populate("course", "title")
       .sort({ createdAt: -1 })
 
-    res.json(attempts)
+    res.json(serializeAttempts(req.user, attempts))
   } catch (error) {
     console.error("Get user exam attempts error:", error)
     res.status(500).json({ message: "Server error" })
@@ -245,17 +231,45 @@ exports.getExamAttemptById = async (req, res) => {
     }
 
     // Check if user is authorized to view this attempt
-    if (attempt.user.toString() !== req.user.id && req.user.role !== "admin") {
-      return res.status(401).json({ message: "Not authorized" })
+    if (!canAccess(req.user, "examAttempts:read", attempt.user)) {
+      return res.status(403).json({ message: "Not authorized" })
     }
 
-    res.json(attempt)
+    res.json(canSeeAnswers(req.user) ? attempt : toLearnerAttempt(attempt))
   } catch (error) {
     console.error("Get exam attempt by ID error:", error)
     res.status(500).json({ message: "Server error" })
   }
 }
 
+// Review a completed attempt: every question with the correct answer, the
+// learner's choice and the explanation
+exports.getExamAttemptReview = async (req, res) => {
+  try {
+    const attempt = await ExamAttempt.findById(req.params.id).populate({
+      path: "exam",
+      populate: { path: "questions" },
+    })
+
+    if (!attempt) {
+      return res.status(404).json({ message: "Exam attempt not found" })
+    }
+
+    if (!canAccess(req.user, "examAttempts:read", attempt.user)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    if (attempt.status !== "completed") {
+      return res.status(409).json({ message: "Answers can only be reviewed once the exam is completed" })
+    }
+
+    res.json(toAttemptReview(attempt))
+  } catch (error) {
+    console.error("Get exam attempt review error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
 // Get all completed exams for a user
 exports.getUserCompletedExams = async (req, res) => {
   try {
@@ -274,7 +288,7 @@ exports.getUserCompletedExams = async (req, res) => {
       .populate("course", "title")
       .sort({ endTime: -1 })
 
-    res.json(completedAttempts)
+    res.json(serializeAttempts(req.user, completedAttempts))
   } catch (error) {
     console.error("Get user completed exams error:", error)
     res.status(500).json({ message: "Server error" })
@@ -293,7 +307,7 @@ exports.getUserPassedExams = async (req, res) => {
       .populate("course", "title")
       .sort({ endTime: -1 })
 
-    res.json(passedAttempts)
+    res.json(serializeAttempts(req.user, passedAttempts))
   } catch (error) {
     console.error("Get user passed exams error:", error)
     res.status(500).json({ message: "Server error" })
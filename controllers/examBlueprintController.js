@@ -0,0 +1,186 @@
+const ExamBlueprint = require("../models/ExamBlueprint")
+const ExamAttempt = require("../models/ExamAttempt")
+const Category = require("../models/Category")
+const { validationResult } = require("express-validator")
+const { hasPermission } = require("../middleware/permissions")
+const { consumeFreeTier } = require("../middleware/subscriptionAccess")
+const ExamBlueprintService = require("../services/ExamBlueprintService")
+const ExamAttemptService = require("../services/ExamAttemptService")
+const { populateExamQuestions, toLearnerAttempt } = require("../utils/questionSerializer")
+
+// Check that every section's category exists
+const missingCategories = async (sections) => {
+  const categoryIds = [...new Set(sections.map((section) => section.category))]
+  const found = await Category.distinct("_id", { _id: { $in: categoryIds } })
+  return categoryIds.filter((id) => !found.includes(id))
+}
+
+// Get all blueprints. Learners only see active ones.
+exports.getAllBlueprints = async (req, res) => {
+  try {
+    const filter = hasPermission(req.user, "blueprints:manage") ? {} : { status: "Active" }
+    const blueprints = await ExamBlueprint.find(filter)
+      .populate("sections.category", "categoryName")
+      .sort({ createdAt: -1 })
+
+    res.json(blueprints)
+  } catch (error) {
+    console.error("Get all blueprints error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Get blueprint by ID
+exports.getBlueprintById = async (req, res) => {
+  try {
+    const blueprint = await ExamBlueprint.findById(req.params.id).populate("sections.category", "categoryName")
+
+    if (!blueprint || (blueprint.status !== "Active" && !hasPermission(req.user, "blueprints:manage"))) {
+      return res.status(404).json({ message: "Blueprint not found" })
+    }
+
+    res.json(blueprint)
+  } catch (error) {
+    console.error("Get blueprint by ID error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Create new blueprint
+exports.createBlueprint = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { name, description, language, duration, passingScore, sections, recentDays, status } = req.body
+
+    const missing = await missingCategories(sections)
+    if (missing.length > 0) {
+      return res.status(400).json({ message: "Category not found", categories: missing })
+    }
+
+    const existingBlueprint = await ExamBlueprint.findOne({ name })
+    if (existingBlueprint) {
+      return res.status(400).json({ message: "A blueprint with this name already exists" })
+    }
+
+    const blueprint = new ExamBlueprint({
+      name,
+      description,
+      language,
+      duration,
+      passingScore,
+      sections,
+      recentDays,
+      status,
+      createdBy: req.user.id,
+    })
+
+    await blueprint.save()
+
+    res.status(201).json(blueprint)
+  } catch (error) {
+    console.error("Create blueprint error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Update blueprint. Mock exams already generated keep their questions.
+exports.updateBlueprint = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const blueprint = await ExamBlueprint.findById(req.params.id)
+    if (!blueprint) {
+      return res.status(404).json({ message: "Blueprint not found" })
+    }
+
+    const { name, description, language, duration, passingScore, sections, recentDays, status } = req.body
+
+    if (sections) {
+      const missing = await missingCategories(sections)
+      if (missing.length > 0) {
+        return res.status(400).json({ message: "Category not found", categories: missing })
+      }
+    }
+
+    if (name && name !== blueprint.name) {
+      const existingBlueprint = await ExamBlueprint.findOne({ name })
+      if (existingBlueprint) {
+        return res.status(400).json({ message: "A blueprint with this name already exists" })
+      }
+    }
+
+    if (name) blueprint.name = name
+    if (description !== undefined) blueprint.description = description
+    if (language) blueprint.language = language
+    if (duration) blueprint.duration = duration
+    if (passingScore !== undefined) blueprint.passingScore = passingScore
+    if (sections) blueprint.sections = sections
+    if (recentDays !== undefined) blueprint.recentDays = recentDays
+    if (status) blueprint.status = status
+
+    await blueprint.save()
+
+    res.json(blueprint)
+  } catch (error) {
+    console.error("Update blueprint error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Delete blueprint. Mock exams generated from it are kept.
+exports.deleteBlueprint = async (req, res) => {
+  try {
+    const blueprint = await ExamBlueprint.findById(req.params.id)
+    if (!blueprint) {
+      return res.status(404).json({ message: "Blueprint not found" })
+    }
+
+    await ExamBlueprint.deleteOne({ _id: blueprint._id })
+
+    res.json({ message: "Blueprint removed" })
+  } catch (error) {
+    console.error("Delete blueprint error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Generate a fresh mock exam from a blueprint and start an attempt on it
+exports.startMockExam = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const blueprint = await ExamBlueprint.findById(req.params.id)
+    if (!blueprint || blueprint.status !== "Active") {
+      return res.status(404).json({ message: "Blueprint not found" })
+    }
+
+    const { exam, shortfall } = await ExamBlueprintService.generateExam(blueprint, req.user.id)
+    if (shortfall) {
+      return res.status(409).json({
+        message: "There are not enough active questions to build this mock exam",
+        shortfall,
+      })
+    }
+
+    if (!(await consumeFreeTier(req, res))) return
+    await exam.save()
+
+    const attempt = await ExamAttemptService.createAttempt(req.user.id, exam, exam.defaultMode)
+    const populatedAttempt = await ExamAttempt.findById(attempt._id).populate(populateExamQuestions)
+
+    res.status(201).json(toLearnerAttempt(populatedAttempt))
+  } catch (error) {
+    console.error("Start mock exam error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
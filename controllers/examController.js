@@ -3,6 +3,8 @@ const Question = require("../models/Question")
 const Category = require("../models/Category")
 const Course = require("../models/Course")
 const { validationResult } = require("express-validator")
+const { canAccess } = require("../middleware/permissions")
+const { serializeExam } = require("../utils/questionSerializer")
 
 // Get all exams
 exports.getAllExams = async (req, res) => {
@@ -33,7 +35,7 @@ exports.getExamById = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    res.json(exam)
+    res.json(serializeExam(req.user, exam))
   } catch (error) {
     console.error("Get exam by ID error:", error)
     res.status(500).json({ message: "Server error" })
@@ -99,7 +101,7 @@ exports.createExam = async (req, res) => {
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const { title, description, language, duration, passingScore, questions, category, course, status } = req.body
+    const { title, description, language, duration, passingScore, questions, category, course, status, attemptModes, defaultMode } = req.body
 
     // Check if category exists
     const categoryExists = await Category.findById(category)
@@ -140,9 +142,15 @@ exports.createExam = async (req, res) => {
       category,
       course,
       status: status || "Draft",
+      attemptModes,
+      defaultMode,
       createdBy: req.user.id,
     })
 
+    if (!exam.attemptModes.includes(exam.defaultMode)) {
+      return res.status(400).json({ message: "Default mode must be one of the exam's attempt modes" })
+    }
+
     await exam.save()
 
     res.status(201).json(exam)
@@ -170,6 +178,8 @@ exports.createRandomExam = async (req, res) => {
       difficulty,
       course,
       status,
+      attemptModes,
+      defaultMode,
     } = req.body
 
     // Validate question count
@@ -233,9 +243,15 @@ exports.createRandomExam = async (req, res) => {
       language,
       isAutogenerated: true,
       status: status || "Published",
+      attemptModes,
+      defaultMode,
       createdBy: req.user.id,
     })
 
+    if (!exam.attemptModes.includes(exam.defaultMode)) {
+      return res.status(400).json({ message: "Default mode must be one of the exam's attempt modes" })
+    }
+
     await exam.save()
 
     // Populate the exam with question details for the response
@@ -263,7 +279,7 @@ exports.updateExam = async (req, res) => {
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const { title, description, duration, passingScore, questions, category, course, status } = req.body
+    const { title, description, duration, passingScore, questions, category, course, status, attemptModes, defaultMode } = req.body
 
     // Check if exam exists
     const exam = await Exam.findById(req.params.id)
@@ -271,9 +287,9 @@ exports.updateExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:update", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to update this exam" })
     }
 
     // Check if category exists (if changed)
@@ -316,6 +332,12 @@ exports.updateExam = async (req, res) => {
     if (category) exam.category = category
     if (course !== undefined) exam.course = course
     if (status) exam.status = status
+    if (attemptModes) exam.attemptModes = attemptModes
+    if (defaultMode) exam.defaultMode = defaultMode
+
+    if (!exam.attemptModes.includes(exam.defaultMode)) {
+      return res.status(400).json({ message: "Default mode must be one of the exam's attempt modes" })
+    }
 
     await exam.save()
 
@@ -334,9 +356,9 @@ exports.publishExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to publish this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:publish", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to publish this exam" })
     }
 
     // Update exam status to Published
@@ -361,9 +383,9 @@ exports.regenerateExamQuestions = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:update", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to update this exam" })
     }
 
     // Validate question count if provided
@@ -433,9 +455,9 @@ exports.deleteExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to delete this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:delete", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to delete this exam" })
     }
 
     await exam.deleteOne()
@@ -458,9 +480,9 @@ exports.addQuestionToExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:update", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to update this exam" })
     }
 
     // Check if question exists and is active
@@ -500,9 +522,9 @@ exports.removeQuestionFromExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" })
     }
 
-    // Check if user is the exam creator
-    if (exam.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this exam" })
+    // Check if user is the exam creator (or an admin)
+    if (!canAccess(req.user, "exams:update", exam.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to update this exam" })
     }
 
     // Check if question is in the exam
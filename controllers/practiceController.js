@@ -0,0 +1,97 @@
+const Question = require("../models/Question")
+const { validationResult } = require("express-validator")
+const SpacedRepetitionService = require("../services/SpacedRepetitionService")
+const { toLearnerQuestion } = require("../utils/questionSerializer")
+const { consumeFreeTier } = require("../middleware/subscriptionAccess")
+
+const MAX_PRACTICE_QUESTIONS = 50
+
+const toSchedule = (review) => ({
+  dueAt: review.dueAt,
+  interval: review.interval,
+  repetitions: review.repetitions,
+  easeFactor: review.easeFactor,
+})
+
+// Get the questions due for review, topped up with new ones
+// Query: limit (default 10, max 50), categoryId
+exports.getNextQuestions = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    if (!(await consumeFreeTier(req, res))) return
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PRACTICE_QUESTIONS)
+    const { dueCount, items, weakCategories } = await SpacedRepetitionService.nextQuestions(req.user.id, {
+      limit,
+      categoryId: req.query.categoryId,
+    })
+
+    res.json({
+      dueCount,
+      weakCategories,
+      questions: items.map(({ question, review }) => ({
+        ...toLearnerQuestion(question),
+        schedule: review ? toSchedule(review) : null,
+      })),
+    })
+  } catch (error) {
+    console.error("Get next practice questions error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Answer a practice question. Only questions in the learner's queue (due, or
+// served by getNextQuestions) can be answered, and never one from an exam they
+// are taking. Returns the correct answer with its explanation and when the
+// question comes back.
+exports.reviewQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { questionId, selectedOption, quality } = req.body
+
+    const question = await Question.findById(questionId)
+    if (!question || question.status !== "Active") {
+      return res.status(404).json({ message: "Question not found" })
+    }
+
+    if (selectedOption >= question.answerOptions.length) {
+      return res.status(400).json({ message: "Invalid answer option" })
+    }
+
+    if (await SpacedRepetitionService.isInRunningExam(req.user.id, question._id)) {
+      return res.status(409).json({ message: "This question is part of an exam you are taking" })
+    }
+
+    if (!(await SpacedRepetitionService.dueReview(req.user.id, question._id))) {
+      return res.status(409).json({ message: "This question is not due for practice" })
+    }
+
+    // Only an accepted answer uses up the free tier
+    if (!(await consumeFreeTier(req, res))) return
+
+    const isCorrect = question.answerOptions[selectedOption].isCorrect
+    const review = await SpacedRepetitionService.recordAnswer(
+      req.user.id,
+      question,
+      SpacedRepetitionService.qualityOf(isCorrect, quality),
+    )
+
+    res.json({
+      isCorrect,
+      correctOption: question.answerOptions.findIndex((option) => option.isCorrect),
+      rightAnswerDescription: question.rightAnswerDescription,
+      schedule: toSchedule(review),
+    })
+  } catch (error) {
+    console.error("Review practice question error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
@@ -0,0 +1,239 @@
+const User = require("../models/User")
+const { validationResult } = require("express-validator")
+const UploadService = require("../services/uploadService")
+const AccountService = require("../services/AccountService")
+const { sendVerificationEmail } = require("../config/email-sender")
+const { generateOneTimeCode, hashOneTimeCode, oneTimeCodeMatches } = require("../utils/oneTimeCode")
+
+// Email change codes
+const EMAIL_CODE_TTL_MINUTES = 60
+const EMAIL_CODE_MAX_ATTEMPTS = 5
+
+const AVATAR_TYPES = ["image/jpeg", "image/png", "image/webp"]
+
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  phoneNumber: user.phoneNumber,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  bio: user.bio,
+  profilePicture: user.profilePicture,
+  role: user.role,
+  authMethod: user.authMethod,
+  isVerified: user.isVerified,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+})
+
+// Get the current user's profile
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+    res.json(toProfile(user))
+  } catch (error) {
+    console.error("Get profile error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Update name and bio. A new email is only applied once its code is confirmed.
+exports.updateProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const user = await User.findById(req.user._id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const { name, bio, email } = req.body
+    if (name !== undefined) user.name = name
+    if (bio !== undefined) user.bio = bio
+
+    let emailChangeRequested = false
+    if (email !== undefined && email.toLowerCase() !== user.email) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() })
+      if (existingUser) {
+        return res.status(400).json({ message: "Email already in use" })
+      }
+
+      const code = generateOneTimeCode()
+      user.pendingEmail = email
+      user.emailChangeCode = hashOneTimeCode(code)
+      user.emailChangeExpires = Date.now() + EMAIL_CODE_TTL_MINUTES * 60 * 1000
+      user.emailChangeAttempts = 0
+      emailChangeRequested = true
+
+      sendVerificationEmail(email, user.name, code)
+    }
+
+    await user.save()
+
+    res.json({
+      message: emailChangeRequested
+        ? "Profile updated. Enter the code sent to your new email address to confirm it."
+        : "Profile updated successfully",
+      user: toProfile(user),
+    })
+  } catch (error) {
+    console.error("Update profile error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Confirm a new email address with the code sent to it
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const invalidCode = { message: "Invalid or expired verification code" }
+
+    const user = await User.findById(req.user._id)
+    if (!user || !user.pendingEmail || !user.emailChangeCode) {
+      return res.status(400).json(invalidCode)
+    }
+
+    if (Date.now() > user.emailChangeExpires || user.emailChangeAttempts >= EMAIL_CODE_MAX_ATTEMPTS) {
+      return res.status(400).json(invalidCode)
+    }
+
+    if (!oneTimeCodeMatches(user.emailChangeCode, req.body.verificationCode)) {
+      user.emailChangeAttempts += 1
+      await user.save()
+      return res.status(400).json(invalidCode)
+    }
+
+    // The address may have been taken while the code was pending
+    const existingUser = await User.findOne({ email: user.pendingEmail })
+    if (existingUser) {
+      return res.status(400).json({ message: "Email already in use" })
+    }
+
+    user.email = user.pendingEmail
+    user.pendingEmail = undefined
+    user.emailChangeCode = undefined
+    user.emailChangeExpires = undefined
+    user.emailChangeAttempts = 0
+    await user.save()
+
+    res.json({ message: "Email updated successfully", user: toProfile(user) })
+  } catch (error) {
+    console.error("Confirm email change error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Upload a new profile picture, replacing the previous one
+exports.uploadProfilePicture = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" })
+    }
+
+    if (!AVATAR_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        message: "Invalid file type. Only JPEG, PNG, and WebP images are allowed",
+      })
+    }
+
+    const user = await User.findById(req.user._id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const previousPicture = user.profilePicture
+    user.profilePicture = await UploadService.uploadFile(req.file.buffer, req.file.originalname, req.file.mimetype, "avatars")
+    await user.save()
+
+    if (previousPicture) {
+      UploadService.deleteFile(previousPicture).catch((error) => console.error("Delete old profile picture error:", error))
+    }
+
+    res.json({ message: "Profile picture updated successfully", profilePicture: user.profilePicture })
+  } catch (error) {
+    console.error("Upload profile picture error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Remove the profile picture
+exports.deleteProfilePicture = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.profilePicture) {
+      UploadService.deleteFile(user.profilePicture).catch((error) => console.error("Delete profile picture error:", error))
+      user.profilePicture = undefined
+      await user.save()
+    }
+
+    res.json({ message: "Profile picture removed successfully" })
+  } catch (error) {
+    console.error("Delete profile picture error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Download everything stored about the current user as JSON
+exports.exportData = async (req, res) => {
+  try {
+    const data = await AccountService.exportData(req.user._id)
+    res.set("Content-Disposition", `attachment; filename="tsinda-account-${req.user._id}.json"`)
+    res.json(data)
+  } catch (error) {
+    console.error("Export account data error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+// Delete the current user's account. Local accounts confirm with their password,
+// Google accounts with { "confirm": "DELETE" }.
+exports.deleteAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.role !== "user") {
+      return res.status(409).json({ message: "Instructor and admin accounts are closed by an admin" })
+    }
+
+    if (user.password) {
+      if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+        return res.status(401).json({ message: "Password is incorrect" })
+      }
+    } else if (req.body.confirm !== "DELETE") {
+      return res.status(400).json({ message: 'Send { "confirm": "DELETE" } to delete your account' })
+    }
+
+    if (await AccountService.hasPendingPayment(user._id)) {
+      return res.status(409).json({ message: "A payment is still in progress. Please try again once it has completed" })
+    }
+
+    // Also signs the user out everywhere, as their sessions are deleted
+    await AccountService.deleteAccount(user)
+
+    if (user.profilePicture) {
+      UploadService.deleteFile(user.profilePicture).catch((error) => console.error("Delete profile picture error:", error))
+    }
+
+    res.json({ message: "Account deleted successfully" })
+  } catch (error) {
+    console.error("Delete account error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
@@ -1,6 +1,9 @@
 const Question = require("../models/Question")
 const Category = require("../models/Category")
 const { validationResult } = require("express-validator")
+const { canAccess } = require("../middleware/permissions")
+const { consumeFreeTier } = require("../middleware/subscriptionAccess")
+const { serializeQuestions } = require("../utils/questionSerializer")
 
 // Get all questions
 exports.getAllQuestions = async (req, res) => {
@@ -10,7 +13,7 @@ exports.getAllQuestions = async (req, res) => {
       .populate("createdBy", "email phoneNumber")
       .sort({ createdAt: -1 })
 
-    res.json(questions)
+    res.json(serializeQuestions(req.user, questions))
   } catch (error) {
     console.error("Get all questions error:", error)
     res.status(500).json({ message: "Server error" })
@@ -28,7 +31,7 @@ exports.getQuestionById = async (req, res) => {
       return res.status(404).json({ message: "Question not found" })
     }
 
-    res.json(question)
+    res.json(serializeQuestions(req.user, [question])[0])
   } catch (error) {
     console.error("Get question by ID error:", error)
     res.status(500).json({ message: "Server error" })
@@ -45,7 +48,7 @@ exports.getQuestionsByCategory = async (req, res) => {
       .populate("category", "categoryName")
       .sort({ createdAt: -1 })
 
-    res.json(questions)
+    res.json(serializeQuestions(req.user, questions))
   } catch (error) {
     console.error("Get questions by category error:", error)
     res.status(500).json({ message: "Server error" })
@@ -69,6 +72,11 @@ exports.getQuestionsByCreator = async (req, res) => {
 // Get random questions
 exports.getRandomQuestions = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { count = 10, categoryId, difficulty, language = "KIN" } = req.query;
     const questionCount = Number.parseInt(count);
     if (isNaN(questionCount) || questionCount < 1 || questionCount > 100) {
@@ -110,6 +118,8 @@ exports.getRandomQuestions = async (req, res) => {
         message: "No questions found matching the criteria",
       });
     }
+
+    if (!(await consumeFreeTier(req, res))) return;
     const fetchCount = Math.min(questionCount, totalQuestions);
 
     // Fetch random questions
@@ -132,7 +142,7 @@ exports.getRandomQuestions = async (req, res) => {
       questionCount: fetchCount,
       category: categoryId || "",
       language,
-      questions: randomQuestions,
+      questions: serializeQuestions(req.user, randomQuestions),
     };
     res.json(examInfo);
   } catch (error) {
@@ -186,6 +196,8 @@ exports.getRandomQuestionsByCategory = async (req, res) => {
         message: "No questions found in this category",
       });
     }
+
+    if (!(await consumeFreeTier(req, res))) return;
     
     const fetchCount = Math.min(questionCount, totalQuestions);
 
@@ -210,7 +222,7 @@ exports.getRandomQuestionsByCategory = async (req, res) => {
       category: categoryId,
       categoryName: category.categoryName,
       language: category.language,
-      questions: randomQuestions,
+      questions: serializeQuestions(req.user, randomQuestions),
     };
     
     res.json(examInfo);
@@ -286,9 +298,9 @@ exports.updateQuestion = async (req, res) => {
       return res.status(404).json({ message: "Question not found" })
     }
 
-    // Check if user is the question creator
-    if (question.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to update this question" })
+    // Check if user is the question creator (or an admin)
+    if (!canAccess(req.user, "questions:update", question.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to update this question" })
     }
 
     // Check if category exists (if changed)
@@ -342,9 +354,9 @@ exports.deleteQuestion = async (req, res) => {
       return res.status(404).json({ message: "Question not found" })
     }
 
-    // Check if user is the question creator
-    if (question.createdBy.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized to delete this question" })
+    // Check if user is the question creator (or an admin)
+    if (!canAccess(req.user, "questions:delete", question.createdBy)) {
+      return res.status(403).json({ message: "Not authorized to delete this question" })
     }
 
     await question.deleteOne()
@@ -0,0 +1,70 @@
+const AuditService = require("../services/AuditService")
+
+const auditService = new AuditService()
+
+// ID of a record created by the request, read from the usual response shapes:
+// the record itself, { exam } from the exam generators, or a payment DTO's data
+const createdIdOf = (body) => {
+  if (!body || typeof body !== "object") return undefined
+  const record = body.exam || body.data || body
+  return record._id || record.id
+}
+
+const snapshot = async (model, id) => {
+  if (!model || !id) return null
+  return model.findById(id).lean()
+}
+
+// Record a successful request in the audit log. Must run after the auth middleware.
+// Options:
+//   target   - type of the affected record, e.g. "Exam"
+//   model    - Mongoose model of the target; its document is read before and after
+//              the request so the entry holds the changed fields
+//   targetId - (req, responseBody) => ID of the target, defaults to req.params.id
+//              or the ID of the record the response returns
+// Without a model the (redacted) request body is kept in the entry's details.
+// Failed requests (status 400 and up) are not recorded, and a failure to write
+// the entry is logged without affecting the response.
+const auditAction = (action, { target, model, targetId } = {}) => async (req, res, next) => {
+  const idOf = (body) => (targetId ? targetId(req, body) : req.params.id || createdIdOf(body))
+
+  let before = null
+  try {
+    before = await snapshot(model, idOf())
+  } catch (error) {
+    console.error(`Audit snapshot error (${action}):`, error)
+  }
+
+  let responseBody
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    responseBody = body
+    return json(body)
+  }
+
+  res.on("finish", async () => {
+    if (res.statusCode >= 400) return
+
+    try {
+      const id = idOf(responseBody)
+      const after = await snapshot(model, id)
+      const changes = model ? auditService.diff(before, after) : {}
+
+      await auditService.record(req, {
+        action,
+        target: { type: target, id: id !== undefined ? String(id) : undefined },
+        before: changes.before,
+        after: changes.after,
+        details: model ? undefined : { body: req.body },
+      })
+    } catch (error) {
+      console.error(`Audit log error (${action}):`, error)
+    }
+  })
+
+  next()
+}
+
+module.exports = {
+  auditAction,
+}
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const SessionService = require("../services/SessionService")
 
 module.exports = async (req, res, next) => {
   try {
@@ -13,6 +14,11 @@ module.exports = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+    // Access tokens belong to a session; reject them once it is revoked or expired
+    if (!decoded.sid || !(await SessionService.isActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ message: "Token is not valid" })
+    }
+
     // Find user
     const user = await User.findById(decoded.id).select("-password")
 
@@ -20,8 +26,13 @@ module.exports = async (req, res, next) => {
       return res.status(401).json({ message: "Token is not valid" })
     }
 
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" })
+    }
+
     // Add user to request
     req.user = user
+    req.authSessionId = decoded.sid
     next()
   } catch (error) {
     console.error("Auth middleware error:", error)
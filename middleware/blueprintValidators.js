@@ -0,0 +1,58 @@
+const { body } = require("express-validator")
+
+const sectionValidators = (optional) => [
+  (optional ? body("sections").optional() : body("sections"))
+    .isArray({ min: 1 })
+    .withMessage("Sections must be a non-empty array"),
+  body("sections.*.category").notEmpty().withMessage("Section category is required"),
+  body("sections.*.difficulty")
+    .optional()
+    .isIn(["Easy", "Medium", "Difficult"])
+    .withMessage("Difficulty must be Easy, Medium, or Difficult"),
+  body("sections.*.questionCount")
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Section question count must be between 1 and 100"),
+]
+
+exports.createBlueprintValidator = [
+  body("name")
+    .notEmpty()
+    .withMessage("Blueprint name is required")
+    .isLength({ min: 5, max: 100 })
+    .withMessage("Name must be between 5 and 100 characters"),
+  body("description").optional().isString().withMessage("Description must be a string"),
+  body("language")
+    .isIn(["English", "French", "Kinyarwanda"])
+    .withMessage("Language must be English, French, or Kinyarwanda"),
+  body("duration")
+    .notEmpty()
+    .withMessage("Duration is required")
+    .isInt({ min: 1 })
+    .withMessage("Duration must be at least 1 minute"),
+  body("passingScore")
+    .notEmpty()
+    .withMessage("Passing score is required")
+    .isInt({ min: 0, max: 100 })
+    .withMessage("Passing score must be between 0 and 100"),
+  ...sectionValidators(false),
+  body("recentDays").optional().isInt({ min: 0 }).withMessage("Recent days must be 0 or more"),
+  body("status").optional().isIn(["Active", "Inactive"]).withMessage("Status must be Active or Inactive"),
+]
+
+exports.updateBlueprintValidator = [
+  body("name").optional().isLength({ min: 5, max: 100 }).withMessage("Name must be between 5 and 100 characters"),
+  body("description").optional().isString().withMessage("Description must be a string"),
+  body("language")
+    .optional()
+    .isIn(["English", "French", "Kinyarwanda"])
+    .withMessage("Language must be English, French, or Kinyarwanda"),
+  body("duration").optional().isInt({ min: 1 }).withMessage("Duration must be at least 1 minute"),
+  body("passingScore").optional().isInt({ min: 0, max: 100 }).withMessage("Passing score must be between 0 and 100"),
+  ...sectionValidators(true),
+  body("recentDays").optional().isInt({ min: 0 }).withMessage("Recent days must be 0 or more"),
+  body("status").optional().isIn(["Active", "Inactive"]).withMessage("Status must be Active or Inactive"),
+]
+
+exports.startMockExamValidator = [
+  body("mode").optional().equals("exam").withMessage("Mock exams can only be taken in exam mode"),
+]
@@ -0,0 +1,64 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const auth = require("./auth")
+
+// Developer auth mode: requests without an Authorization header act as a real,
+// local developer account. Only on with DEV_AUTH=true, and never in production.
+const devAuthRequested = process.env.DEV_AUTH === "true"
+const devAuthEnabled = devAuthRequested && process.env.NODE_ENV !== "production"
+
+const DEV_USER = {
+  email: process.env.DEV_AUTH_EMAIL || "dev@tsinda.local",
+  phoneNumber: process.env.DEV_AUTH_PHONE || "0700000000",
+  role: process.env.DEV_AUTH_ROLE || "user",
+}
+
+// Print the state of developer auth where nobody can miss it
+const warnOnStartup = () => {
+  if (devAuthRequested && !devAuthEnabled) {
+    console.error("!!! DEV_AUTH=true is ignored because NODE_ENV=production. Remove it from the environment. !!!")
+  }
+  if (devAuthEnabled) {
+    const line = "!".repeat(72)
+    console.warn(line)
+    console.warn(`!!! DEV_AUTH is ON: requests without a token act as ${DEV_USER.email} (${DEV_USER.role})`)
+    console.warn("!!! Never enable it on a server reachable by anyone else")
+    console.warn(line)
+  }
+}
+
+// Find or create the developer account
+const getDevUser = async () => {
+  const existing = await User.findOne({ email: DEV_USER.email }).select("-password")
+  if (existing) return existing
+
+  const user = await User.create({
+    ...DEV_USER,
+    name: "Developer",
+    password: crypto.randomBytes(24).toString("hex"),
+    authMethod: "local",
+    isVerified: true,
+  })
+  return User.findById(user._id).select("-password")
+}
+
+const devAuth = async (req, res, next) => {
+  if (req.header("Authorization")) {
+    return auth(req, res, next)
+  }
+
+  try {
+    req.user = await getDevUser()
+    next()
+  } catch (error) {
+    console.error("Dev auth error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+}
+
+module.exports = {
+  devAuth,
+  devAuthEnabled,
+  getDevUser,
+  warnOnStartup,
+}
@@ -1,6 +1,10 @@
 const { body } = require("express-validator")
+const { ATTEMPT_MODES } = require("../config/examAttempts")
 
-exports.startExamValidator = [body("examId").notEmpty().withMessage("Exam ID is required")]
+exports.startExamValidator = [
+  body("examId").notEmpty().withMessage("Exam ID is required"),
+  body("mode").optional().isIn(ATTEMPT_MODES).withMessage("Mode must be practice or exam"),
+]
 
 exports.submitAnswerValidator = [
   body("attemptId").notEmpty().withMessage("Attempt ID is required"),
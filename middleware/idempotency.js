@@ -0,0 +1,90 @@
+const IdempotencyService = require('../services/IdempotencyService');
+const { getServiceConfig } = require('../config/paymentConfig');
+const { ErrorResponseDTO } = require('../dto/PaymentDTO');
+
+const idempotencyService = new IdempotencyService();
+const idempotencyConfig = getServiceConfig('idempotency');
+
+/**
+ * Idempotency Middleware
+ * Honours an optional Idempotency-Key header on payment initiation routes.
+ * The first request under a key runs normally and its response is stored;
+ * a retry with the same body gets that response back (with an
+ * Idempotent-Replayed header) and a different body is rejected.
+ * Responses with a 5xx status are not stored, so the request can be retried.
+ * Must run after the auth middleware, as keys are scoped to the user.
+ */
+const idempotent = () => async (req, res, next) => {
+  const key = req.get(idempotencyConfig.headerName);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > idempotencyConfig.maxKeyLength) {
+    const errorResponse = ErrorResponseDTO.fromError(
+      {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: `${idempotencyConfig.headerName} must be 1 to ${idempotencyConfig.maxKeyLength} characters`
+      },
+      'Invalid idempotency key'
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const { state, record } = await idempotencyService.claim({
+      key,
+      userId: req.user ? String(req.user._id) : 'anonymous',
+      endpoint: `${req.method} ${req.baseUrl}${req.route.path}`,
+      requestHash: idempotencyService.fingerprint(req.body)
+    });
+
+    if (state === 'MISMATCH') {
+      const errorResponse = ErrorResponseDTO.fromError(
+        {
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: `${idempotencyConfig.headerName} was already used for a request with a different body`,
+          details: { key, firstUsedAt: record.createdAt }
+        },
+        'Idempotency key reused'
+      );
+      return res.status(422).json(errorResponse);
+    }
+
+    if (state === 'IN_PROGRESS') {
+      const errorResponse = ErrorResponseDTO.fromError(
+        {
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this idempotency key is still being processed, retry shortly',
+          details: { key }
+        },
+        'Request in progress'
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    if (state === 'REPLAY') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store whatever the route responds with
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode >= 500
+        ? idempotencyService.release(record)
+        : idempotencyService.complete(record, res.statusCode, body);
+      store.catch(error => console.error('Failed to store idempotent response:', error));
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  idempotent
+};
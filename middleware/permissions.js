@@ -0,0 +1,38 @@
+const { ROLE_PERMISSIONS } = require("../config/permissions")
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  if (!user) return false
+  const granted = ROLE_PERMISSIONS[user.role] || []
+  return granted.includes("*") || granted.includes(permission)
+}
+
+// Check a permission against a record owned by owner (an ID or a populated user).
+// Passes with the permission itself, or with its ":own" form when the user is the owner.
+const canAccess = (user, permission, owner) => {
+  if (hasPermission(user, permission)) return true
+  if (!hasPermission(user, `${permission}:own`) || owner === undefined || owner === null) return false
+
+  const ownerId = owner._id !== undefined ? owner._id : owner
+  return String(ownerId) === String(user._id)
+}
+
+// Route guard: the user needs at least one of the permissions.
+// Must run after the auth middleware.
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "No token, authorization denied" })
+  }
+
+  if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+    return res.status(403).json({ message: "Not authorized" })
+  }
+
+  next()
+}
+
+module.exports = {
+  hasPermission,
+  canAccess,
+  authorize,
+}
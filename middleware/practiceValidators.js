@@ -0,0 +1,12 @@
+const { body, query } = require("express-validator")
+
+exports.nextQuestionsValidator = [
+  query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  query("categoryId").optional().notEmpty().withMessage("Category ID cannot be empty"),
+]
+
+exports.reviewQuestionValidator = [
+  body("questionId").notEmpty().withMessage("Question ID is required"),
+  body("selectedOption").isInt({ min: 0, max: 3 }).withMessage("Selected option must be between 0 and 3"),
+  body("quality").optional().isInt({ min: 0, max: 5 }).withMessage("Quality must be between 0 and 5"),
+]
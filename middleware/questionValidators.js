@@ -1,4 +1,5 @@
 const { body, query } = require("express-validator")
+const { ATTEMPT_MODES } = require("../config/examAttempts")
 
 exports.createQuestionValidator = [
   body("text")
@@ -47,6 +48,12 @@ exports.randomQuestionsValidator = [
     .withMessage("Language must be KIN, ENG, or FRA"),
 ]
 
+const attemptModeValidators = [
+  body("attemptModes").optional().isArray({ min: 1 }).withMessage("Attempt modes must be a non-empty array"),
+  body("attemptModes.*").isIn(ATTEMPT_MODES).withMessage("Attempt modes must be practice or exam"),
+  body("defaultMode").optional().isIn(ATTEMPT_MODES).withMessage("Default mode must be practice or exam"),
+]
+
 exports.createExamValidator = [
   body("title")
     .notEmpty()
@@ -75,6 +82,7 @@ exports.createExamValidator = [
     .optional()
     .isIn(["Draft", "Published", "Archived"])
     .withMessage("Status must be Draft, Published, or Archived"),
+  ...attemptModeValidators,
 ]
 
 exports.createRandomExamValidator = [
@@ -109,6 +117,7 @@ exports.createRandomExamValidator = [
     .optional()
     .isIn(["Draft", "Published", "Archived"])
     .withMessage("Status must be Draft, Published, or Archived"),
+  ...attemptModeValidators,
 ]
 
 exports.regenerateQuestionsValidator = [
@@ -131,6 +140,7 @@ exports.updateExamValidator = [
     .optional()
     .isIn(["Draft", "Published", "Archived"])
     .withMessage("Status must be Draft, Published, or Archived"),
+  ...attemptModeValidators,
 ]
 
 exports.questionToExamValidator = [body("questionId").notEmpty().withMessage("Question ID is required")]
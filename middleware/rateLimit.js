@@ -0,0 +1,61 @@
+const RateLimitService = require("../services/RateLimitService")
+const { RATE_LIMITS, RATE_LIMIT_ENABLED } = require("../config/rateLimits")
+const { ErrorResponseDTO } = require("../dto/PaymentDTO")
+
+// The account a request is about: the signed-in user, or the identifier in the body
+const accountOf = (req) => {
+  if (req.user) return req.user._id
+  const { phoneNumber, email, userId } = req.body || {}
+  return phoneNumber || email || userId
+}
+
+// Refuse requests over the limits of a rule in config/rateLimits.js with 429 and Retry-After.
+// Payment routes pass { dto: true } to answer in their ErrorResponseDTO format.
+// On payment routes it must run after the auth middleware, so requests count per user.
+const rateLimit = (ruleName, { dto = false } = {}) => {
+  const rule = RATE_LIMITS[ruleName]
+  if (!rule) {
+    throw new Error(`Unknown rate limit rule: ${ruleName}`)
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next()
+
+    const count = async (scope, id, max) => {
+      const hit = await RateLimitService.hit(RateLimitService.bucketName(ruleName, scope, id), rule.windowMs)
+      return { ...hit, max }
+    }
+
+    try {
+      const checks = [count("ip", req.ip, rule.perIp)]
+
+      const account = accountOf(req)
+      if (rule.perAccount && account) {
+        checks.push(count("account", account, rule.perAccount))
+      }
+
+      const exceeded = (await Promise.all(checks)).filter((hit) => hit.count > hit.max)
+      if (!exceeded.length) return next()
+
+      const retryAfter = Math.max(...exceeded.map((hit) => hit.retryAfter))
+      res.set("Retry-After", String(retryAfter))
+
+      if (dto) {
+        const errorResponse = ErrorResponseDTO.fromError(
+          { code: "RATE_LIMITED", message: "Too many requests, please try again later", details: { retryAfter } },
+          "Too many requests",
+        )
+        return res.status(429).json(errorResponse)
+      }
+      return res.status(429).json({ message: "Too many requests. Please try again later", retryAfter })
+    } catch (error) {
+      // A broken counter store must not take sign-in down with it
+      console.error("Rate limit error:", error)
+      next()
+    }
+  }
+}
+
+module.exports = {
+  rateLimit,
+}
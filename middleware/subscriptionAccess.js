@@ -0,0 +1,86 @@
+const EntitlementService = require('../services/EntitlementService');
+const { ErrorResponseDTO } = require('../dto/PaymentDTO');
+
+const entitlementService = new EntitlementService();
+
+/**
+ * Send the 402 returned when a feature needs a subscription
+ */
+const sendSubscriptionRequired = (res, feature, freeTier) => {
+  const errorResponse = ErrorResponseDTO.fromError(
+    {
+      code: 'SUBSCRIPTION_REQUIRED',
+      message: 'An active subscription is required to access this content',
+      details: {
+        feature,
+        freeTier,
+        subscribe: entitlementService.getSubscribeInstructions()
+      }
+    },
+    'Subscription required'
+  );
+  return res.status(402).json(errorResponse);
+};
+
+/**
+ * Subscription Access Middleware
+ * Gates premium routes behind an active subscription or the daily free tier.
+ * Must run after the auth middleware and the route's validators.
+ *
+ * @param {string} feature - Feature name used for free tier accounting
+ * @param {object} options
+ * @param {boolean} options.deferFreeTier - Let users without a subscription through and
+ *   leave the free tier to the controller, which calls consumeFreeTier() only once the
+ *   request is valid and serves or creates something (a missing record or resuming an
+ *   attempt does not use the free tier)
+ */
+const requireSubscription = (feature, { deferFreeTier = false } = {}) => async (req, res, next) => {
+  try {
+    const access = await entitlementService.checkAccess(req.user, feature, { consume: !deferFreeTier });
+
+    if (!access.allowed && !deferFreeTier) {
+      return sendSubscriptionRequired(res, feature, access.freeTier);
+    }
+
+    // Store access decision for controllers
+    req.entitlement = {
+      ...access,
+      feature,
+      // Subscribers and exempt roles have no free tier to consume
+      freeTierPending: deferFreeTier && Boolean(access.freeTier)
+    };
+    next();
+  } catch (error) {
+    console.error('Subscription access check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Consume the free tier use a deferred requireSubscription() check allowed.
+ * Does nothing for subscribers and exempt roles.
+ *
+ * @param {object} req - Request that passed requireSubscription(feature, { deferFreeTier: true })
+ * @param {object} res - Response; a 402 is sent when today's uses ran out in the meantime
+ * @returns {Promise<boolean>} Whether the request may go on
+ */
+const consumeFreeTier = async (req, res) => {
+  const { entitlement } = req;
+  if (!entitlement || !entitlement.freeTierPending) {
+    return true;
+  }
+
+  const freeTier = await entitlementService.consumeFreeTier(req.user.id, entitlement.feature);
+  if (!freeTier.allowed) {
+    sendSubscriptionRequired(res, entitlement.feature, freeTier);
+    return false;
+  }
+
+  req.entitlement = { ...entitlement, freeTier, freeTierPending: false };
+  return true;
+};
+
+module.exports = {
+  requireSubscription,
+  consumeFreeTier
+};
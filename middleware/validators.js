@@ -1,4 +1,5 @@
-const { body } = require("express-validator")
+const { body, query } = require("express-validator")
+const { ROLES } = require("../config/permissions")
 
 exports.signupValidator = [
   body("phoneNumber")
@@ -13,7 +14,7 @@ exports.signupValidator = [
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters long"),
   body("name").notEmpty().withMessage("Name is required").isLength({ min: 3 }).withMessage("Name must be at least 3 characters long"),
-  body("role").optional().isIn(["user", "admin", "instructor"]).withMessage("Invalid role"),
+  body("role").optional().isIn(["user"]).withMessage("Instructor and admin roles are assigned by an admin"),
 ]
 
 exports.loginValidator = [
@@ -36,6 +37,8 @@ exports.verifyAccountValidator = [
 
 exports.resendVerificationValidator = [body("userId").notEmpty().withMessage("User ID is required")]
 
+exports.refreshTokenValidator = [body("refreshToken").notEmpty().withMessage("Refresh token is required")]
+
 exports.updatePhoneValidator = [
   body("phoneNumber")
     .notEmpty()
@@ -51,4 +54,84 @@ exports.updatePasswordValidator = [
     .withMessage("New password is required")
     .isLength({ min: 6 })
     .withMessage("New password must be at least 6 characters long"),
-]
\ No newline at end of file
+]
+
+// Either a phone number or an email identifies the account
+const phoneOrEmailValidator = [
+  body("phoneNumber")
+    .optional()
+    .matches(/^\+?[0-9]{10,15}$/)
+    .withMessage("Please enter a valid phone number"),
+  body("email").optional().isEmail().withMessage("Please enter a valid email"),
+  body().custom((value) => {
+    if (!value.phoneNumber && !value.email) {
+      throw new Error("Phone number or email is required")
+    }
+    return true
+  }),
+]
+
+exports.forgotPasswordValidator = [...phoneOrEmailValidator]
+
+exports.resetPasswordValidator = [
+  ...phoneOrEmailValidator,
+  body("resetCode")
+    .notEmpty()
+    .withMessage("Reset code is required")
+    .isLength({ min: 6, max: 6 })
+    .withMessage("Reset code must be 6 digits"),
+  body("newPassword")
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 6 })
+    .withMessage("New password must be at least 6 characters long"),
+]
+
+exports.requestLoginCodeValidator = [
+  body("phoneNumber")
+    .notEmpty()
+    .withMessage("Phone number is required")
+    .matches(/^\+?[0-9]{10,15}$/)
+    .withMessage("Please enter a valid phone number"),
+]
+
+exports.loginWithCodeValidator = [
+  ...exports.requestLoginCodeValidator,
+  body("loginCode")
+    .notEmpty()
+    .withMessage("Login code is required")
+    .isLength({ min: 6, max: 6 })
+    .withMessage("Login code must be 6 digits"),
+]
+
+exports.updateProfileValidator = [
+  body("name").optional().isLength({ min: 3 }).withMessage("Name must be at least 3 characters long"),
+  body("bio").optional().isLength({ max: 500 }).withMessage("Bio must be at most 500 characters long"),
+  body("email").optional().isEmail().withMessage("Please enter a valid email"),
+]
+
+exports.confirmEmailChangeValidator = [
+  body("verificationCode")
+    .notEmpty()
+    .withMessage("Verification code is required")
+    .isLength({ min: 6, max: 6 })
+    .withMessage("Verification code must be 6 digits"),
+]
+
+exports.adminUserQueryValidator = [
+  query("role").optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  query("verified").optional().isIn(["true", "false"]).withMessage("Verified must be true or false"),
+  query("suspended").optional().isIn(["true", "false"]).withMessage("Suspended must be true or false"),
+  query("subscriptionStatus")
+    .optional()
+    .isIn(["active", "expired", "none"])
+    .withMessage("Subscription status must be active, expired or none"),
+]
+
+exports.updateRoleValidator = [
+  body("role")
+    .notEmpty()
+    .withMessage("Role is required")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+]
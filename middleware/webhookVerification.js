@@ -0,0 +1,43 @@
+const WebhookVerificationService = require('../services/WebhookVerificationService');
+
+const webhookVerificationService = new WebhookVerificationService();
+
+/**
+ * Webhook Verification Middleware
+ * Rejects provider callbacks that fail the channel's authenticity checks and
+ * logs them in the callback collection. Needs the raw body captured by
+ * express.json({ verify }) for signature checks.
+ *
+ * @param {string} channel - Payment channel the callback route belongs to (e.g. 'MTN')
+ */
+const verifyWebhook = (channel) => async (req, res, next) => {
+  try {
+    const { record, ...verification } = await webhookVerificationService.verify(channel, req);
+
+    if (!verification.verified) {
+      console.warn(`Rejected ${channel} callback:`, verification.reason, verification.details);
+      await webhookVerificationService.logRejection(channel, req, verification);
+      return res.status(verification.status).json({
+        success: false,
+        message: 'Callback rejected',
+        reason: verification.reason
+      });
+    }
+
+    // Stored with the callback by the controller
+    req.webhookVerification = verification;
+    // The record the checks were run against; the controller settles this one
+    req.callbackRecord = record;
+    next();
+  } catch (error) {
+    console.error(`${channel} callback verification error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Callback verification failed'
+    });
+  }
+};
+
+module.exports = {
+  verifyWebhook
+};
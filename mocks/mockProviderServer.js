@@ -0,0 +1,467 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Scripted outcomes for a payer:
+ * - SUCCESS: the payer approves; status turns final and one callback is sent
+ * - FAILURE: the payer declines; status turns final and one callback is sent
+ * - TIMEOUT: the payer never answers; status stays pending and no callback is sent
+ * - DELAYED_CALLBACK: approved after callbackDelayMs; status stays pending until then
+ * - DUPLICATE_CALLBACK: approved, and the same callback is delivered twice
+ */
+const OUTCOMES = ['SUCCESS', 'FAILURE', 'TIMEOUT', 'DELAYED_CALLBACK', 'DUPLICATE_CALLBACK'];
+
+const DEFAULT_SCENARIO = {
+  outcome: 'SUCCESS',
+  // Delay before a DELAYED_CALLBACK payment settles
+  callbackDelayMs: 2000,
+  // Delay before the provider answers the HTTP request itself
+  responseDelayMs: 0,
+  // Outcome of refunds against this payer's payments: SUCCESS or FAILURE
+  refund: 'SUCCESS'
+};
+
+const AIRTEL_SUCCESS_STATUS = {
+  code: '200',
+  message: 'SUCCESS',
+  result_code: 'ESB000010',
+  response_code: 'DP00800001001',
+  success: true
+};
+
+/**
+ * Mock Provider Server
+ * Fake MTN MoMo and Airtel Money APIs for development and tests. Point
+ * MTN_BASE_URL and AIRTEL_BASE_URL at it; outcomes are scripted per payer MSISDN
+ * through setScenario() or the /__mock control endpoints.
+ */
+class MockProviderServer {
+  /**
+   * @param {object} options - Server options
+   * @param {string} options.mtnCallbackUrl - Callback URL when a request has no X-Callback-Url
+   * @param {string} options.airtelCallbackUrl - Airtel callback URL (configured on the Airtel portal in production)
+   * @param {string} options.currency - Currency reported by balance endpoints
+   * @param {string} options.callbackSecret - Signs callbacks (HMAC-SHA256 of the body) when set
+   * @param {string} options.signatureHeader - Header carrying the callback signature
+   */
+  constructor(options = {}) {
+    this.mtnCallbackUrl = options.mtnCallbackUrl || process.env.MOCK_MTN_CALLBACK_URL ||
+      'http://localhost:4000/api/mtn-payment/callback';
+    this.airtelCallbackUrl = options.airtelCallbackUrl || process.env.MOCK_AIRTEL_CALLBACK_URL ||
+      'http://localhost:4000/api/airtel-payments/callback';
+    this.currency = options.currency || 'RWF';
+    this.callbackSecret = options.callbackSecret || process.env.MOCK_CALLBACK_SECRET;
+    this.signatureHeader = options.signatureHeader || 'X-Callback-Signature';
+
+    this.server = null;
+    this.timers = new Set();
+    this.reset();
+    this.app = this.createApp();
+  }
+
+  /**
+   * Forget all transactions, scenarios and delivered callbacks
+   */
+  reset() {
+    this.clearTimers();
+    this.scenarios = new Map();
+    // MTN transactions keyed by X-Reference-Id, Airtel ones by our transaction id
+    this.mtnTransactions = new Map();
+    this.airtelTransactions = new Map();
+    this.callbacks = [];
+  }
+
+  /**
+   * Script the outcome for a payer
+   * @param {string} msisdn - Payer MSISDN, or '*' for every payer without a scenario
+   * @param {object|string} scenario - Outcome name or { outcome, callbackDelayMs, responseDelayMs, refund }
+   */
+  setScenario(msisdn, scenario) {
+    const settings = typeof scenario === 'string' ? { outcome: scenario } : scenario;
+    if (settings.outcome && !OUTCOMES.includes(settings.outcome)) {
+      throw new Error(`Unknown outcome ${settings.outcome}. Must be one of: ${OUTCOMES.join(', ')}`);
+    }
+    this.scenarios.set(String(msisdn || '*'), { ...DEFAULT_SCENARIO, ...settings });
+  }
+
+  getScenario(msisdn) {
+    return this.scenarios.get(String(msisdn)) || this.scenarios.get('*') || DEFAULT_SCENARIO;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port, 0 for any free port
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => resolve(this.getBaseUrl()));
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening and cancel pending callbacks
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.clearTimers();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  getBaseUrl() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  clearTimers() {
+    if (this.timers) {
+      this.timers.forEach(timer => clearTimeout(timer));
+    }
+    this.timers = new Set();
+  }
+
+  schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Settle a transaction according to its scenario, sending callbacks
+   * @param {object} transaction - Mock transaction
+   * @param {Function} sendCallback - Delivers the callback for the transaction
+   */
+  play(transaction, sendCallback) {
+    const { outcome, callbackDelayMs } = transaction.scenario;
+
+    if (outcome === 'TIMEOUT') {
+      return;
+    }
+
+    const settle = () => {
+      transaction.final = outcome === 'FAILURE' ? 'FAILED' : 'SUCCESSFUL';
+      transaction.settledAt = new Date();
+      sendCallback(transaction);
+      if (outcome === 'DUPLICATE_CALLBACK') {
+        sendCallback(transaction);
+      }
+    };
+
+    this.schedule(settle, outcome === 'DELAYED_CALLBACK' ? callbackDelayMs : 0);
+  }
+
+  async deliver(channel, url, body, headers = {}) {
+    const record = { channel, url, body, sentAt: new Date() };
+    this.callbacks.push(record);
+
+    const payload = JSON.stringify(body);
+    if (this.callbackSecret) {
+      headers[this.signatureHeader] = crypto.createHmac('sha256', this.callbackSecret).update(payload).digest('hex');
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: payload
+      });
+      record.responseStatus = response.status;
+    } catch (error) {
+      record.error = error.message;
+    }
+  }
+
+  sendMtnCallback(transaction) {
+    return this.deliver('MTN', transaction.callbackUrl, this.toMtnStatus(transaction), {
+      'X-Reference-Id': transaction.referenceId
+    });
+  }
+
+  sendAirtelCallback(transaction) {
+    const status = this.toAirtelStatus(transaction);
+    return this.deliver('AIRTEL', this.airtelCallbackUrl, {
+      transaction: {
+        id: transaction.id,
+        message: status === 'TS' ? 'Paid successfully' : 'Transaction failed',
+        status_code: status,
+        airtel_money_id: transaction.airtelMoneyId
+      }
+    });
+  }
+
+  toMtnStatus(transaction) {
+    const body = {
+      amount: transaction.amount,
+      currency: transaction.currency,
+      externalId: transaction.externalId,
+      payer: transaction.payer,
+      payerMessage: transaction.payerMessage,
+      payeeNote: transaction.payeeNote,
+      status: transaction.final || 'PENDING'
+    };
+    if (transaction.final === 'SUCCESSFUL') {
+      body.financialTransactionId = transaction.financialTransactionId;
+    }
+    if (transaction.final === 'FAILED') {
+      body.reason = 'APPROVAL_REJECTED';
+    }
+    return body;
+  }
+
+  toAirtelStatus(transaction) {
+    if (transaction.final === 'SUCCESSFUL') return 'TS';
+    if (transaction.final === 'FAILED') return 'TF';
+    return 'TIP';
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Hold the response when the payer's scenario asks for a slow provider
+    const respondLater = (msisdn) => (req, res, next) => {
+      const { responseDelayMs } = this.getScenario(msisdn(req));
+      if (responseDelayMs > 0) {
+        return this.schedule(next, responseDelayMs);
+      }
+      next();
+    };
+
+    this.mountControl(app);
+    this.mountMtn(app, respondLater);
+    this.mountAirtel(app, respondLater);
+
+    app.use((req, res) => {
+      res.status(404).json({ message: `Mock provider has no route ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  mountControl(app) {
+    app.get('/__mock/transactions', (req, res) => {
+      res.json({
+        mtn: Array.from(this.mtnTransactions.values()),
+        airtel: Array.from(this.airtelTransactions.values()),
+        callbacks: this.callbacks
+      });
+    });
+
+    app.post('/__mock/scenarios', (req, res) => {
+      try {
+        this.setScenario(req.body.msisdn || '*', req.body);
+        res.status(201).json({ msisdn: req.body.msisdn || '*', scenario: this.getScenario(req.body.msisdn || '*') });
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    // Re-send the callback of a settled transaction, e.g. to test late duplicates
+    app.post('/__mock/transactions/:id/callback', (req, res) => {
+      const mtn = this.mtnTransactions.get(req.params.id);
+      const airtel = this.airtelTransactions.get(req.params.id);
+      if (mtn) this.sendMtnCallback(mtn);
+      else if (airtel) this.sendAirtelCallback(airtel);
+      else return res.status(404).json({ message: 'Transaction not found' });
+      res.status(202).end();
+    });
+  }
+
+  mountMtn(app, respondLater) {
+    const token = (req, res) => {
+      res.json({ access_token: `mock-mtn-${crypto.randomUUID()}`, token_type: 'access_token', expires_in: 3600 });
+    };
+
+    app.post('/v1_0/apiuser', (req, res) => res.status(201).end());
+    app.post('/v1_0/apiuser/:id/apikey', (req, res) => res.status(201).json({ apiKey: crypto.randomBytes(16).toString('hex') }));
+    app.post('/collection/token/', token);
+    app.post('/disbursement/token/', token);
+
+    const balance = (req, res) => res.json({ availableBalance: '1000000', currency: this.currency });
+    app.get('/collection/v1_0/account/balance', balance);
+    app.get('/disbursement/v1_0/account/balance', balance);
+
+    app.post('/collection/v1_0/requesttopay', respondLater(req => req.body.payer && req.body.payer.partyId), (req, res) => {
+      const referenceId = req.get('X-Reference-Id');
+      if (!referenceId) {
+        return res.status(400).json({ code: 'INVALID_REFERENCE_ID', message: 'X-Reference-Id is required' });
+      }
+      if (this.mtnTransactions.has(referenceId)) {
+        return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id' });
+      }
+
+      const transaction = {
+        referenceId,
+        type: 'requesttopay',
+        amount: req.body.amount,
+        currency: req.body.currency,
+        externalId: req.body.externalId,
+        payer: req.body.payer,
+        payerMessage: req.body.payerMessage,
+        payeeNote: req.body.payeeNote,
+        financialTransactionId: String(crypto.randomInt(100000000, 999999999)),
+        callbackUrl: req.get('X-Callback-Url') || this.mtnCallbackUrl,
+        scenario: this.getScenario(req.body.payer && req.body.payer.partyId),
+        final: null,
+        createdAt: new Date()
+      };
+      this.mtnTransactions.set(referenceId, transaction);
+      this.play(transaction, (tx) => this.sendMtnCallback(tx));
+
+      res.status(202).end();
+    });
+
+    app.get('/collection/v1_0/requesttopay/:referenceId', (req, res) => {
+      const transaction = this.mtnTransactions.get(req.params.referenceId);
+      if (!transaction) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+      }
+      res.json(this.toMtnStatus(transaction));
+    });
+
+    const disburse = (type) => (req, res) => {
+      const referenceId = req.get('X-Reference-Id');
+      const original = type === 'refund' ? this.mtnTransactions.get(req.body.referenceIdToRefund) : null;
+      if (type === 'refund' && !original) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Transaction to refund was not found.' });
+      }
+
+      const payerMsisdn = original ? original.payer && original.payer.partyId : req.body.payee && req.body.payee.partyId;
+      this.mtnTransactions.set(referenceId, {
+        referenceId,
+        type,
+        amount: req.body.amount,
+        currency: req.body.currency,
+        externalId: req.body.externalId,
+        payer: original ? original.payer : req.body.payee,
+        payerMessage: req.body.payerMessage,
+        payeeNote: req.body.payeeNote,
+        financialTransactionId: String(crypto.randomInt(100000000, 999999999)),
+        final: this.getScenario(payerMsisdn).refund === 'FAILURE' ? 'FAILED' : 'SUCCESSFUL',
+        createdAt: new Date()
+      });
+      res.status(202).end();
+    };
+
+    app.post('/disbursement/v1_0/refund', disburse('refund'));
+    app.post('/disbursement/v1_0/transfer', disburse('transfer'));
+
+    const disbursementStatus = (req, res) => {
+      const transaction = this.mtnTransactions.get(req.params.referenceId);
+      if (!transaction) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+      }
+      res.json(this.toMtnStatus(transaction));
+    };
+    app.get('/disbursement/v1_0/refund/:referenceId', disbursementStatus);
+    app.get('/disbursement/v1_0/transfer/:referenceId', disbursementStatus);
+  }
+
+  mountAirtel(app, respondLater) {
+    app.post('/auth/oauth2/token', (req, res) => {
+      if (!req.body.client_id || !req.body.client_secret) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+      res.json({ access_token: `mock-airtel-${crypto.randomUUID()}`, expires_in: 3600, token_type: 'bearer' });
+    });
+
+    app.post('/merchant/v2/payments/', respondLater(req => req.body.subscriber && req.body.subscriber.msisdn), (req, res) => {
+      const id = req.body.transaction && req.body.transaction.id;
+      if (!id) {
+        return res.status(400).json({ status: { message: 'Transaction id is required', response_code: 'DP00800001005', success: false } });
+      }
+
+      const transaction = {
+        id,
+        airtelMoneyId: `MP${crypto.randomInt(100000000, 999999999)}`,
+        amount: req.body.transaction.amount,
+        currency: req.get('X-Currency') || req.body.subscriber.currency,
+        msisdn: req.body.subscriber.msisdn,
+        reference: req.body.reference,
+        scenario: this.getScenario(req.body.subscriber.msisdn),
+        final: null,
+        refund: null,
+        createdAt: new Date()
+      };
+      this.airtelTransactions.set(id, transaction);
+      this.play(transaction, (tx) => this.sendAirtelCallback(tx));
+
+      res.json({
+        data: { transaction: { id, status: 'TIP' } },
+        status: AIRTEL_SUCCESS_STATUS
+      });
+    });
+
+    app.get('/standard/v1/payments/:id', (req, res) => {
+      const transaction = this.airtelTransactions.get(req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ status: { message: 'Transaction Not Found', response_code: 'DP00800001025', success: false } });
+      }
+      res.json({
+        data: {
+          transaction: {
+            airtel_money_id: transaction.airtelMoneyId,
+            id: transaction.id,
+            message: transaction.final || 'In process',
+            status: this.toAirtelStatus(transaction)
+          }
+        },
+        status: AIRTEL_SUCCESS_STATUS
+      });
+    });
+
+    app.post('/standard/v2/payments/refund', (req, res) => {
+      const airtelMoneyId = req.body.transaction && req.body.transaction.airtel_money_id;
+      const transaction = Array.from(this.airtelTransactions.values()).find(tx => tx.airtelMoneyId === airtelMoneyId);
+      if (!transaction || transaction.final !== 'SUCCESSFUL') {
+        return res.status(400).json({ status: { message: 'Transaction cannot be refunded', response_code: 'DP00800001025', success: false } });
+      }
+
+      if (transaction.scenario.refund === 'FAILURE') {
+        return res.status(400).json({ status: { message: 'Refund was refused', response_code: 'DP00800001008', success: false } });
+      }
+
+      transaction.refund = 'SUCCESSFUL';
+      res.json({
+        data: { transaction: { airtel_money_id: airtelMoneyId, status: 'SUCCESS' } },
+        status: { ...AIRTEL_SUCCESS_STATUS, response_code: 'DP00900001001' }
+      });
+    });
+
+    app.get('/standard/v2/users/balance', (req, res) => {
+      res.json({
+        data: { balance: '1000000', currency: req.get('X-Currency') || this.currency, account_status: 'Active' },
+        status: { ...AIRTEL_SUCCESS_STATUS, response_code: 'DP02100000001' }
+      });
+    });
+  }
+}
+
+MockProviderServer.OUTCOMES = OUTCOMES;
+
+module.exports = MockProviderServer;
+
+// Standalone: npm run mock:providers
+if (require.main === module) {
+  require('dotenv').config();
+
+  const mock = new MockProviderServer();
+  if (process.env.MOCK_PROVIDER_OUTCOME) {
+    mock.setScenario('*', process.env.MOCK_PROVIDER_OUTCOME);
+  }
+
+  mock.start(parseInt(process.env.MOCK_PROVIDER_PORT) || 4010).then((url) => {
+    console.log(`Mock MTN/Airtel provider server running on ${url}`);
+    console.log(`Set MTN_BASE_URL=${url} and AIRTEL_BASE_URL=${url} to use it`);
+  });
+}
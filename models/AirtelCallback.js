@@ -47,6 +47,19 @@ const airtelCallbackSchema = new mongoose.Schema({
     type: String
   },
   
+  // Webhook verification (rejected callbacks are stored as received and never acted on)
+  rejected: {
+    type: Boolean,
+    default: false
+  },
+  rejectionReason: {
+    type: String,
+    enum: ['IP_NOT_ALLOWED', 'MISSING_SIGNATURE', 'INVALID_SIGNATURE', 'INVALID_PAYLOAD', 'UNKNOWN_TRANSACTION', 'STATUS_MISMATCH', 'ENQUIRY_FAILED']
+  },
+  rejectionDetails: {
+    type: String
+  },
+
   // Request metadata
   ipAddress: {
     type: String
@@ -69,6 +82,7 @@ airtelCallbackSchema.index({ transactionId: 1 });
 airtelCallbackSchema.index({ airtelMoneyId: 1 });
 airtelCallbackSchema.index({ statusCode: 1 });
 airtelCallbackSchema.index({ processed: 1 });
+airtelCallbackSchema.index({ rejected: 1 });
 airtelCallbackSchema.index({ createdAt: -1 });
 
 // Virtual for status description
@@ -107,6 +121,9 @@ airtelCallbackSchema.methods.toCallbackDTO = function() {
     processed: this.processed,
     processedAt: this.processedAt,
     processingError: this.processingError,
+    rejected: this.rejected,
+    rejectionReason: this.rejectionReason,
+    rejectionDetails: this.rejectionDetails,
     callbackData: this.callbackData,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
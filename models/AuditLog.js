@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Model
+ * Who did what to which record, written for sensitive actions (content
+ * changes, payments, provider setup, admin user management). Entries are
+ * never changed by the application; AuditService purges them once they are
+ * past the retention period.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // User who performed the action
+  actor: {
+    id: { type: String },
+    role: { type: String },
+    email: { type: String }
+  },
+  // Dotted action name, e.g. 'user.role.change'
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: { type: String },
+    id: { type: String }
+  },
+  // Values of the changed fields before and after the action
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  // Anything else worth keeping (reason given, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
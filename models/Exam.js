@@ -1,5 +1,6 @@
 const mongoose = require("mongoose")
 const { v4: uuidv4 } = require("uuid")
+const { ATTEMPT_MODES } = require("../config/examAttempts")
 
 const ExamSchema = new mongoose.Schema({
   _id: {
@@ -47,6 +48,25 @@ const ExamSchema = new mongoose.Schema({
     enum: ["English", "French", "Kinyarwanda"],
     required: [true, "Language is required"],
   },
+  // Modes learners may start attempts in, and the one used when they do not choose
+  attemptModes: {
+    type: [{ type: String, enum: ATTEMPT_MODES }],
+    default: ["practice", "exam"],
+  },
+  defaultMode: {
+    type: String,
+    enum: ATTEMPT_MODES,
+    default: "exam",
+  },
+  // Set on mock exams generated from a blueprint for one learner
+  blueprint: {
+    type: String,
+    ref: "ExamBlueprint",
+  },
+  generatedFor: {
+    type: String,
+    ref: "User",
+  },
   isAutogenerated: {
     type: Boolean,
     default: false,
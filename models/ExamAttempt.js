@@ -1,5 +1,6 @@
 const mongoose = require("mongoose")
 const { v4: uuidv4 } = require("uuid")
+const { ATTEMPT_MODES, GRACE_MS } = require("../config/examAttempts")
 
 const AnswerSchema = new mongoose.Schema({
   questionId: {
@@ -38,10 +39,19 @@ const ExamAttemptSchema = new mongoose.Schema({
     type: String,
     ref: "Course",
   },
+  mode: {
+    type: String,
+    enum: ATTEMPT_MODES,
+    default: "exam",
+  },
   startTime: {
     type: Date,
     default: Date.now,
   },
+  // startTime plus the exam's duration. Practice attempts have no deadline.
+  deadline: {
+    type: Date,
+  },
   endTime: {
     type: Date,
   },
@@ -59,6 +69,11 @@ const ExamAttemptSchema = new mongoose.Schema({
     enum: ["in-progress", "completed", "abandoned"],
     default: "in-progress",
   },
+  // Completed by the server because the time ran out
+  autoSubmitted: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -67,8 +82,25 @@ const ExamAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
 })
 
+ExamAttemptSchema.index({ status: 1, deadline: 1 })
+
+// Seconds left before the deadline while the attempt is in progress, null otherwise
+ExamAttemptSchema.virtual("remainingSeconds").get(function () {
+  if (this.status !== "in-progress" || !this.deadline) return null
+  return Math.max(0, Math.ceil((this.deadline.getTime() - Date.now()) / 1000))
+})
+
+// Whether answers are no longer accepted
+ExamAttemptSchema.methods.isOverdue = function (now = Date.now()) {
+  return !!this.deadline && now > this.deadline.getTime() + GRACE_MS
+}
+
 // Update the updatedAt timestamp before saving
 ExamAttemptSchema.pre("save", function (next) {
   this.updatedAt = Date.now()
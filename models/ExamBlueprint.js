@@ -0,0 +1,107 @@
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+
+// How many questions a generated exam takes from a category, optionally of one difficulty
+const BlueprintSectionSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      ref: "Category",
+      required: [true, "Category is required"],
+    },
+    // Any difficulty when not set
+    difficulty: {
+      type: String,
+      enum: ["Easy", "Medium", "Difficult"],
+    },
+    questionCount: {
+      type: Number,
+      required: [true, "Question count is required"],
+      min: [1, "Question count must be at least 1"],
+    },
+  },
+  { _id: false },
+)
+
+// The format of an official test (e.g. the provisional licence theory exam):
+// question quotas per section, time limit and pass mark. Mock exams are
+// generated from it for each learner.
+const ExamBlueprintSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => uuidv4(),
+  },
+  name: {
+    type: String,
+    required: [true, "Blueprint name is required"],
+    trim: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  language: {
+    type: String,
+    enum: ["English", "French", "Kinyarwanda"],
+    required: [true, "Language is required"],
+  },
+  duration: {
+    type: Number,
+    required: [true, "Duration is required"],
+    min: [1, "Duration must be at least 1 minute"],
+  },
+  passingScore: {
+    type: Number,
+    required: [true, "Passing score is required"],
+    min: [0, "Passing score cannot be negative"],
+    max: [100, "Passing score cannot exceed 100"],
+  },
+  sections: {
+    type: [BlueprintSectionSchema],
+    validate: {
+      validator: (sections) => sections.length > 0,
+      message: "Blueprint must have at least one section",
+    },
+  },
+  // Questions from the learner's attempts in this many days are avoided when possible
+  recentDays: {
+    type: Number,
+    min: [0, "Recent days cannot be negative"],
+    default: 14,
+  },
+  status: {
+    type: String,
+    enum: ["Active", "Inactive"],
+    default: "Active",
+  },
+  createdBy: {
+    type: String,
+    ref: "User",
+    required: [true, "Creator is required"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+})
+
+ExamBlueprintSchema.virtual("questionCount").get(function () {
+  return (this.sections || []).reduce((total, section) => total + section.questionCount, 0)
+})
+
+// Update the updatedAt timestamp before saving
+ExamBlueprintSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("ExamBlueprint", ExamBlueprintSchema)
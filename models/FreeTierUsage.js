@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Free Tier Usage Model
+ * Counts how many times a user without a subscription used a premium feature on a given day
+ */
+const freeTierUsageSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  feature: {
+    type: String,
+    required: true,
+    enum: ['randomQuestions', 'examAttempts', 'courseContent', 'practice', 'practiceReviews']
+  },
+  // UTC day in YYYY-MM-DD format
+  day: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per user, feature and day
+freeTierUsageSchema.index({ userId: 1, feature: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('FreeTierUsage', freeTierUsageSchema);
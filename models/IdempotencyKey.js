@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Model
+ * Remembers the fingerprint and response of a payment initiation request made
+ * with an Idempotency-Key header, so a retry returns the original result
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Keys are scoped to the caller and the endpoint
+  userId: {
+    type: String,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the canonical request body
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS'
+  },
+  // When an IN_PROGRESS claim may be taken over (the first request died mid-flight)
+  lockedUntil: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One record per key, caller and endpoint
+idempotencyKeySchema.index({ key: 1, userId: 1, endpoint: 1 }, { unique: true });
+// MongoDB removes records once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger Entry Model
+ * One leg of a double-entry journal. Every journal (a collection, refund or fee)
+ * writes a DEBIT and a CREDIT of the same amount, and entries are never changed
+ * or deleted afterwards; corrections are posted as new journals.
+ *
+ * Accounts:
+ * - PROVIDER_CLEARING: money held in the channel's merchant wallet
+ * - SUBSCRIPTION_REVENUE: subscription sales
+ * - REFUNDS: money given back to payers (contra-revenue)
+ * - PROVIDER_FEES: charges taken by the channel
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  // Identifies the journal; the same key is never posted twice
+  journalKey: {
+    type: String,
+    required: true
+  },
+  journalType: {
+    type: String,
+    required: true,
+    enum: ['COLLECTION', 'REFUND', 'FEE']
+  },
+  account: {
+    type: String,
+    required: true,
+    enum: ['PROVIDER_CLEARING', 'SUBSCRIPTION_REVENUE', 'REFUNDS', 'PROVIDER_FEES']
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['DEBIT', 'CREDIT']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  // Originating subscription
+  subscriptionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String
+  },
+  // Our transaction ID for collections and fees, the refund ID for refunds
+  reference: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  // When the money moved; settlement reports group by this
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One leg per account side of a journal
+ledgerEntrySchema.index({ journalKey: 1, direction: 1 }, { unique: true });
+ledgerEntrySchema.index({ occurredAt: 1, channel: 1, currency: 1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Ledger entries are immutable'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectChange));
+
+ledgerEntrySchema.methods.toEntryDTO = function() {
+  return {
+    id: this._id,
+    journalKey: this.journalKey,
+    journalType: this.journalType,
+    account: this.account,
+    direction: this.direction,
+    amount: this.amount,
+    currency: this.currency,
+    channel: this.channel,
+    subscriptionId: this.subscriptionId,
+    userId: this.userId,
+    reference: this.reference,
+    description: this.description,
+    occurredAt: this.occurredAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -69,6 +69,19 @@ const mtnCallbackSchema = new mongoose.Schema({
     type: String
   },
   
+  // Webhook verification (rejected callbacks are stored as received and never acted on)
+  rejected: {
+    type: Boolean,
+    default: false
+  },
+  rejectionReason: {
+    type: String,
+    enum: ['IP_NOT_ALLOWED', 'MISSING_SIGNATURE', 'INVALID_SIGNATURE', 'INVALID_PAYLOAD', 'UNKNOWN_TRANSACTION', 'STATUS_MISMATCH', 'ENQUIRY_FAILED']
+  },
+  rejectionDetails: {
+    type: String
+  },
+
   // Request metadata
   ipAddress: {
     type: String
@@ -91,6 +104,7 @@ mtnCallbackSchema.index({ externalId: 1 });
 mtnCallbackSchema.index({ financialTransactionId: 1 });
 mtnCallbackSchema.index({ status: 1 });
 mtnCallbackSchema.index({ processed: 1 });
+mtnCallbackSchema.index({ rejected: 1 });
 mtnCallbackSchema.index({ createdAt: -1 });
 
 // Methods
@@ -113,6 +127,9 @@ mtnCallbackSchema.methods.toCallbackDTO = function() {
     payerMessage: this.payerMessage,
     processed: this.processed,
     processedAt: this.processedAt,
+    rejected: this.rejected,
+    rejectionReason: this.rejectionReason,
+    rejectionDetails: this.rejectionDetails,
     ipAddress: this.ipAddress,
     userAgent: this.userAgent,
     createdAt: this.createdAt,
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['RWF', 'UGX', 'KES', 'TZS', 'EUR', 'USD', 'XAF', 'XOF'];
+
+const planPriceSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  monthlyPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const termDiscountSchema = new mongoose.Schema({
+  // Discount applies when buying at least this many months
+  minMonths: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentOff: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const priceHistorySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  prices: [planPriceSchema],
+  termDiscounts: [termDiscountSchema],
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    required: true
+  },
+  changedBy: {
+    type: String
+  }
+}, { _id: false });
+
+/**
+ * Plan Model
+ * Subscription plan catalogue; subscription prices are computed from it on the server
+ */
+const planSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  features: [{
+    type: String,
+    trim: true
+  }],
+
+  // Term
+  durationMonths: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxMonths: {
+    type: Number,
+    default: 12,
+    min: 1
+  },
+
+  // Current pricing
+  prices: {
+    type: [planPriceSchema],
+    validate: {
+      validator: (prices) => prices.length > 0,
+      message: 'Plan must have at least one price'
+    }
+  },
+  termDiscounts: [termDiscountSchema],
+  version: {
+    type: Number,
+    default: 1
+  },
+  priceEffectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Previous pricing, so old subscriptions can be explained
+  priceHistory: [priceHistorySchema],
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+planSchema.methods.getMonthlyPrice = function(currency) {
+  const price = this.prices.find(p => p.currency === currency);
+  return price ? price.monthlyPrice : null;
+};
+
+planSchema.methods.getDiscountPercent = function(numberOfMonths) {
+  return this.termDiscounts
+    .filter(discount => numberOfMonths >= discount.minMonths)
+    .reduce((best, discount) => Math.max(best, discount.percentOff), 0);
+};
+
+planSchema.methods.toPlanDTO = function(includeHistory = false) {
+  return {
+    id: this._id,
+    code: this.code,
+    name: this.name,
+    description: this.description,
+    features: this.features,
+    durationMonths: this.durationMonths,
+    maxMonths: this.maxMonths,
+    prices: this.prices,
+    termDiscounts: this.termDiscounts,
+    version: this.version,
+    priceEffectiveFrom: this.priceEffectiveFrom,
+    priceHistory: includeHistory ? this.priceHistory : undefined,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+
+// A learner's spaced repetition schedule for one question (SM-2). Questions join
+// the schedule when practice first serves them (reviewCount 0 until answered).
+const QuestionReviewSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => uuidv4(),
+  },
+  user: {
+    type: String,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  question: {
+    type: String,
+    ref: "Question",
+    required: [true, "Question is required"],
+  },
+  // Copied from the question so results can be grouped by category
+  category: {
+    type: String,
+    ref: "Category",
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+  },
+  // Days until the next review
+  interval: {
+    type: Number,
+    default: 0,
+  },
+  // Correct answers in a row
+  repetitions: {
+    type: Number,
+    default: 0,
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastReviewedAt: {
+    type: Date,
+  },
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5,
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+QuestionReviewSchema.index({ user: 1, question: 1 }, { unique: true })
+QuestionReviewSchema.index({ user: 1, dueAt: 1 })
+
+// Update the updatedAt timestamp before saving
+QuestionReviewSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("QuestionReview", QuestionReviewSchema)
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose")
+
+// Request count of one rate limit bucket (e.g. "login:ip:1.2.3.4") in one fixed window
+const RateLimitBucketSchema = new mongoose.Schema({
+  bucket: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+RateLimitBucketSchema.index({ bucket: 1, windowStart: 1 }, { unique: true })
+// Finished windows are removed by MongoDB
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("RateLimitBucket", RateLimitBucketSchema)
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const reconciliationItemSchema = new mongoose.Schema({
+  recordType: {
+    type: String,
+    required: true,
+    enum: ['Subscription', 'Payment']
+  },
+  recordId: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['UPDATED', 'UNCHANGED', 'EXPIRED', 'ERROR']
+  },
+  previousStatus: {
+    type: String
+  },
+  newStatus: {
+    type: String
+  },
+  providerStatus: {
+    type: String
+  },
+  attempts: {
+    type: Number
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+/**
+ * Reconciliation Report Model
+ * One document per reconciliation run over stale PENDING subscriptions and payments
+ */
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED'
+  },
+  triggeredBy: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  },
+  summary: {
+    checked: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    expired: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  items: [reconciliationItemSchema]
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+reconciliationReportSchema.methods.addItem = function(item) {
+  this.items.push(item);
+  this.summary.checked += 1;
+
+  if (item.action === 'UPDATED') this.summary.updated += 1;
+  else if (item.action === 'UNCHANGED') this.summary.unchanged += 1;
+  else if (item.action === 'EXPIRED') this.summary.expired += 1;
+  else if (item.action === 'ERROR') this.summary.errors += 1;
+};
+
+reconciliationReportSchema.methods.toReportDTO = function(includeItems = true) {
+  return {
+    id: this._id,
+    trigger: this.trigger,
+    triggeredBy: this.triggeredBy,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    summary: this.summary,
+    items: includeItems ? this.items : undefined,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+
+// One signed-in device. The refresh token is only stored as a hash and is
+// replaced on every refresh; the previous hash is kept to detect reuse.
+const SessionSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => uuidv4(),
+  },
+  user: {
+    type: String,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  previousTokenHash: {
+    type: String,
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  ipAddress: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "revoked", "reuse", "password_change", "password_reset", "replaced"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SessionSchema.index({ user: 1, revokedAt: 1 })
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+module.exports = mongoose.model("Session", SessionSchema)
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const settlementRowSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  collectionCount: { type: Number, default: 0 },
+  collected: { type: Number, default: 0 },
+  refundCount: { type: Number, default: 0 },
+  refunded: { type: Number, default: 0 },
+  fees: { type: Number, default: 0 },
+  // collected - refunded - fees
+  net: { type: Number, default: 0 }
+}, { _id: false });
+
+const balanceCheckSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // PROVIDER_CLEARING balance from the ledger when the check ran
+  ledgerBalance: {
+    type: Number
+  },
+  // Available balance reported by the provider's balance API
+  providerBalance: {
+    type: Number
+  },
+  difference: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['MATCHED', 'MISMATCH', 'ERROR'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  checkedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+/**
+ * Settlement Report Model
+ * Ledger totals for one UTC day per channel and currency, with a check of the
+ * ledger against provider balances. Regenerating a day replaces its report.
+ */
+const settlementReportSchema = new mongoose.Schema({
+  // UTC day in YYYY-MM-DD format
+  date: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED'
+  },
+  generatedBy: {
+    type: String
+  },
+  generatedAt: {
+    type: Date,
+    required: true
+  },
+  rows: [settlementRowSchema],
+  balanceChecks: [balanceCheckSchema]
+}, {
+  timestamps: true
+});
+
+settlementReportSchema.methods.toReportDTO = function(includeDetails = true) {
+  return {
+    id: this._id,
+    date: this.date,
+    trigger: this.trigger,
+    generatedBy: this.generatedBy,
+    generatedAt: this.generatedAt,
+    rows: includeDetails ? this.rows : undefined,
+    balanceChecks: includeDetails ? this.balanceChecks : undefined,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('SettlementReport', settlementReportSchema);
@@ -1,5 +1,63 @@
 const mongoose = require('mongoose');
 
+const refundAttemptSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String
+  },
+  // Months given back and months kept when the refund was computed
+  unusedMonths: {
+    type: Number,
+    required: true
+  },
+  usedMonths: {
+    type: Number,
+    required: true
+  },
+  channel: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'SUCCESSFUL', 'FAILED'],
+    default: 'PENDING'
+  },
+  // MTN refund Payment row or Airtel Money ID of the refunded transaction
+  paymentId: {
+    type: String
+  },
+  providerStatus: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  reason: {
+    type: String
+  },
+  requestedBy: {
+    type: String
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+}, { _id: false });
+
 /**
  * Subscription Model
  * Represents a user subscription payment in the system
@@ -29,11 +87,26 @@ const subscriptionSchema = new mongoose.Schema({
     min: 1
   },
   
-  // Payment channel
+  // Plan and the price computed from it at purchase time
+  planId: {
+    type: String,
+    index: true
+  },
+  pricing: {
+    planCode: String,
+    planName: String,
+    planVersion: Number,
+    monthlyPrice: Number,
+    subtotal: Number,
+    discountPercent: Number,
+    discountAmount: Number,
+    total: Number
+  },
+  
+  // Payment channel (validated against the provider registry)
   paymentChannel: {
     type: String,
     required: true,
-    enum: ['MTN', 'AIRTEL'],
     index: true
   },
   
@@ -60,7 +133,7 @@ const subscriptionSchema = new mongoose.Schema({
   // Payment status
   status: {
     type: String,
-    enum: ['PENDING', 'SUCCESSFUL', 'FAILED', 'CANCELLED'],
+    enum: ['PENDING', 'SUCCESSFUL', 'FAILED', 'CANCELLED', 'EXPIRED'],
     default: 'PENDING',
     index: true
   },
@@ -80,6 +153,26 @@ const subscriptionSchema = new mongoose.Schema({
   endDate: {
     type: Date
   },
+  graceStartedAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  
+  // Refunds
+  refunds: [refundAttemptSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedMonths: {
+    type: Number,
+    default: 0
+  },
   
   // Payment API response
   airtelResponse: {
@@ -95,6 +188,21 @@ const subscriptionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed
   },
   
+  // Provider fields for channels without dedicated fields above
+  providerReference: {
+    type: String,
+    index: true
+  },
+  providerStatus: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  providerError: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  
   // Timestamps
   processedAt: {
     type: Date
@@ -103,6 +211,23 @@ const subscriptionSchema = new mongoose.Schema({
     type: Date
   },
   
+  // What moved the subscription to its final status
+  settledBy: {
+    // <CHANNEL>_PUSH_RESPONSE, <CHANNEL>_CALLBACK or RECONCILIATION
+    source: {
+      type: String
+    },
+    callbackId: {
+      type: String
+    },
+    providerStatus: {
+      type: String
+    },
+    settledAt: {
+      type: Date
+    }
+  },
+  
   // Metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -126,6 +251,17 @@ subscriptionSchema.virtual('duration').get(function() {
   return this.numberOfMonths;
 });
 
+// Statics
+// Subscription giving access at a point in time, counting the grace period after endDate
+subscriptionSchema.statics.findActiveForUser = function(userId, { at = new Date(), graceMs = 0 } = {}) {
+  return this.findOne({
+    userId,
+    status: 'SUCCESSFUL',
+    startDate: { $lte: at },
+    endDate: { $gt: new Date(at.getTime() - graceMs) }
+  }).sort({ endDate: -1 });
+};
+
 // Methods
 subscriptionSchema.methods.updateStatus = function(newStatus, airtelResponse = null) {
   this.status = newStatus;
@@ -157,6 +293,8 @@ subscriptionSchema.methods.toSubscriptionDTO = function() {
     amount: this.amount,
     currency: this.currency,
     numberOfMonths: this.numberOfMonths,
+    planId: this.planId,
+    pricing: this.pricing,
     paymentChannel: this.paymentChannel,
     msisdn: this.msisdn,
     transactionId: this.transactionId,
@@ -167,6 +305,12 @@ subscriptionSchema.methods.toSubscriptionDTO = function() {
     mtnStatus: this.mtnStatus,
     startDate: this.startDate,
     endDate: this.endDate,
+    expiredAt: this.expiredAt,
+    cancelledAt: this.cancelledAt,
+    refundedAmount: this.refundedAmount,
+    refundedMonths: this.refundedMonths,
+    refunds: this.refunds,
+    settledBy: this.settledBy,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
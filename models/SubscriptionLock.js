@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subscription Lock Model
+ * Held while a payment of a user is being settled, so their paid periods are
+ * stacked one after another instead of onto the same end date
+ */
+const subscriptionLockSchema = new mongoose.Schema({
+  // One lock per user
+  _id: {
+    type: String
+  },
+  // Identifies the holder, so only it can release the lock
+  token: {
+    type: String,
+    required: true
+  },
+  // When the lock may be taken over (its holder died mid-settlement)
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SubscriptionLock', subscriptionLockSchema);
@@ -48,18 +48,88 @@ name: {
     type: Boolean,
     default: false,
   },
+  // Suspended users cannot sign in or use existing sessions
+  suspended: {
+    type: Boolean,
+    default: false,
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+  },
+  suspendedBy: {
+    type: String,
+    ref: "User",
+  },
   verificationCode: {
     type: String,
   },
   verificationCodeExpires: {
     type: Date,
   },
+  verificationAttempts: {
+    type: Number,
+    default: 0,
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: {
+    type: Date,
+  },
   resetPasswordToken: {
     type: String,
   },
   resetPasswordExpires: {
     type: Date,
   },
+  resetPasswordAttempts: {
+    type: Number,
+    default: 0,
+  },
+  resetPasswordRequestedAt: {
+    type: Date,
+  },
+  loginCode: {
+    type: String,
+  },
+  loginCodeExpires: {
+    type: Date,
+  },
+  loginCodeAttempts: {
+    type: Number,
+    default: 0,
+  },
+  loginCodeRequestedAt: {
+    type: Date,
+  },
+  loginCodeSendCount: {
+    type: Number,
+    default: 0,
+  },
+  loginCodeWindowStart: {
+    type: Date,
+  },
+  // A new email address waiting for its verification code
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  emailChangeCode: {
+    type: String,
+  },
+  emailChangeExpires: {
+    type: Date,
+  },
+  emailChangeAttempts: {
+    type: Number,
+    default: 0,
+  },
   profilePicture: {
     type: String,
   },
@@ -107,5 +177,15 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   }
 }
 
-module.exports = mongoose.model("User", UserSchema)
+const User = mongoose.model("User", UserSchema)
+
+// Fields never returned to clients, for .select()
+User.PRIVATE_FIELDS = [
+  "-password -verificationCode -verificationCodeExpires -verificationAttempts",
+  "-resetPasswordToken -resetPasswordExpires -resetPasswordAttempts -resetPasswordRequestedAt",
+  "-loginCode -loginCodeExpires -loginCodeAttempts -loginCodeRequestedAt -loginCodeSendCount -loginCodeWindowStart",
+  "-emailChangeCode -emailChangeExpires -emailChangeAttempts",
+].join(" ")
+
+module.exports = User
 
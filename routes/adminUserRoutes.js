@@ -0,0 +1,38 @@
+const express = require("express")
+const router = express.Router()
+const adminUserController = require("../controllers/adminUserController")
+const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { adminUserQueryValidator, updateRoleValidator } = require("../middleware/validators")
+
+// @route   GET /api/admin/users
+// @desc    Search users (q, role, verified, suspended, subscriptionStatus) with pagination
+// @access  Admin
+router.get("/", auth, authorize("users:read"), adminUserQueryValidator, adminUserController.getUsers)
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their subscriptions and sessions
+// @access  Admin
+router.get("/:id", auth, authorize("users:read"), adminUserController.getUserById)
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.patch("/:id/role", auth, authorize("users:manage"), updateRoleValidator, adminUserController.updateRole)
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user and sign them out
+// @access  Admin
+router.post("/:id/suspend", auth, authorize("users:manage"), adminUserController.suspendUser)
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a suspension
+// @access  Admin
+router.post("/:id/unsuspend", auth, authorize("users:manage"), adminUserController.unsuspendUser)
+
+// @route   POST /api/admin/users/:id/verify
+// @desc    Mark a user's account as verified
+// @access  Admin
+router.post("/:id/verify", auth, authorize("users:manage"), adminUserController.verifyUser)
+
+module.exports = router
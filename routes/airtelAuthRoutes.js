@@ -1,13 +1,18 @@
 const express = require('express');
 const AirtelAuthController = require('../controllers/AirtelAuthController');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
 
 const router = express.Router();
 const airtelAuthController = new AirtelAuthController();
 
+// Airtel credentials and tokens are admin only
+router.use(authorize('providers:manage'));
+
 router.get('/health', (req, res) => airtelAuthController.healthCheck(req, res));
 router.get('/status', (req, res) => airtelAuthController.getAirtelUserStatus(req, res));
-router.post('/initialize', (req, res) => airtelAuthController.initializeAirtelUser(req, res));
-router.delete('/reset', (req, res) => airtelAuthController.resetAirtelUser(req, res));
+router.post('/initialize', auditAction('provider.airtel.user.initialize', { target: 'AirtelUser' }), (req, res) => airtelAuthController.initializeAirtelUser(req, res));
+router.delete('/reset', auditAction('provider.airtel.user.reset', { target: 'AirtelUser' }), (req, res) => airtelAuthController.resetAirtelUser(req, res));
 router.get('/tokens/access', (req, res) => airtelAuthController.getAccessToken(req, res));
 router.get('/test', (req, res) => airtelAuthController.testConnectivity(req, res));
 router.get('/stats', (req, res) => airtelAuthController.getUserStats(req, res));
@@ -1,5 +1,10 @@
 const express = require('express');
 const AirtelPaymentController = require('../controllers/AirtelPaymentController');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+const { verifyWebhook } = require('../middleware/webhookVerification');
 
 const router = express.Router();
 const airtelPaymentController = new AirtelPaymentController();
@@ -11,27 +16,27 @@ const airtelPaymentController = new AirtelPaymentController();
  */
 
 // Health check endpoint
-router.get('/health', (req, res) => airtelPaymentController.healthCheck(req, res));
+router.get('/health', authorize('payments:manage'), (req, res) => airtelPaymentController.healthCheck(req, res));
 
 // Balance Enquiry
-router.get('/balance', (req, res) => airtelPaymentController.getBalance(req, res));
+router.get('/balance', authorize('payments:manage'), (req, res) => airtelPaymentController.getBalance(req, res));
 
 // Transaction Enquiry
-router.get('/transaction/:id', (req, res) => airtelPaymentController.transactionEnquiry(req, res));
+router.get('/transaction/:id', authorize('payments:manage'), (req, res) => airtelPaymentController.transactionEnquiry(req, res));
 
 // USSD Push Payment
-router.post('/ussd-push', (req, res) => airtelPaymentController.ussdPushPayment(req, res));
+router.post('/ussd-push', authorize('payments:create'), rateLimit('payment', { dto: true }), idempotent(), (req, res) => airtelPaymentController.ussdPushPayment(req, res));
 
 // Refund Payment
-router.post('/refund', (req, res) => airtelPaymentController.refund(req, res));
+router.post('/refund', authorize('payments:disburse'), auditAction('payment.refund', { target: 'Payment', targetId: req => req.body.airtel_money_id }), (req, res) => airtelPaymentController.refund(req, res));
 
-// Airtel Callback Webhook (no authentication required)
-router.post('/callback', (req, res) => airtelPaymentController.callback(req, res));
+// Airtel Callback Webhook (no authentication required, verified instead; app.js serves it first)
+router.post('/callback', verifyWebhook('AIRTEL'), (req, res) => airtelPaymentController.callback(req, res));
 
-// Callback Management (requires authentication)
-router.get('/callbacks', (req, res) => airtelPaymentController.getAllCallbacks(req, res));
-router.get('/callbacks/:id', (req, res) => airtelPaymentController.getCallbackById(req, res));
-router.get('/callbacks/transaction/:transactionId', (req, res) => airtelPaymentController.getCallbacksByTransactionId(req, res));
+// Callback Management (admin)
+router.get('/callbacks', authorize('payments:manage'), (req, res) => airtelPaymentController.getAllCallbacks(req, res));
+router.get('/callbacks/:id', authorize('payments:manage'), (req, res) => airtelPaymentController.getCallbackById(req, res));
+router.get('/callbacks/transaction/:transactionId', authorize('payments:manage'), (req, res) => airtelPaymentController.getCallbacksByTransactionId(req, res));
 
 module.exports = router;
 
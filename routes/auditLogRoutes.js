@@ -0,0 +1,19 @@
+const express = require('express');
+const AuditLogController = require('../controllers/AuditLogController');
+const { authorize } = require('../middleware/permissions');
+
+const router = express.Router();
+const auditLogController = new AuditLogController();
+
+/**
+ * Audit Log Routes
+ * Admin endpoints for the audit log of sensitive actions
+ */
+
+router.use(authorize('audit:read'));
+
+router.get('/', (req, res) => auditLogController.getEntries(req, res));
+
+router.get('/:id', (req, res) => auditLogController.getEntryById(req, res));
+
+module.exports = router;
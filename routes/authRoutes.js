@@ -3,6 +3,8 @@ const express = require("express")
 const router = express.Router()
 const authController = require("../controllers/authController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { rateLimit } = require("../middleware/rateLimit")
 const {
   signupValidator,
   loginValidator,
@@ -10,6 +12,11 @@ const {
   resendVerificationValidator,
   updatePhoneValidator,
   updatePasswordValidator,
+  refreshTokenValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  requestLoginCodeValidator,
+  loginWithCodeValidator,
 } = require("../middleware/validators")
 const passport = require("passport")
 
@@ -21,17 +28,42 @@ router.post("/signup", signupValidator, authController.signup)
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post("/login", loginValidator, authController.login)
+router.post("/login", rateLimit("login"), loginValidator, authController.login)
+
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time login code by SMS
+// @access  Public
+router.post("/otp/request", rateLimit("requestLoginCode"), requestLoginCodeValidator, authController.requestLoginCode)
+
+// @route   POST /api/auth/otp/verify
+// @desc    Log in with a phone number and one-time code
+// @access  Public
+router.post("/otp/verify", rateLimit("loginWithCode"), loginWithCodeValidator, authController.loginWithCode)
 
 // @route   POST /api/auth/verify
 // @desc    Verify user account with code
 // @access  Public
-router.post("/verify", verifyAccountValidator, authController.verifyAccount)
+router.post("/verify", rateLimit("verify"), verifyAccountValidator, authController.verifyAccount)
 
 // @route   POST /api/auth/resend-verification
 // @desc    Resend verification code
 // @access  Public
-router.post("/resend-verification", resendVerificationValidator, authController.resendVerificationCode)
+router.post("/resend-verification", rateLimit("resendVerification"), resendVerificationValidator, authController.resendVerificationCode)
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code by SMS and email
+// @access  Public
+router.post("/forgot-password", rateLimit("forgotPassword"), forgotPasswordValidator, authController.forgotPassword)
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset code
+// @access  Public
+router.post("/reset-password", rateLimit("resetPassword"), resetPasswordValidator, authController.resetPassword)
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new tokens
+// @access  Public
+router.post("/refresh", rateLimit("refresh"), refreshTokenValidator, authController.refreshToken)
 
 // @route   GET /api/auth/google
 // @desc    Google OAuth login
@@ -52,6 +84,26 @@ router.get(
 // @access  Private
 router.get("/me", auth, authController.getCurrentUser)
 
+// @route   POST /api/auth/logout
+// @desc    Sign out of the current device
+// @access  Private
+router.post("/logout", auth, authController.logout)
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get("/sessions", auth, authController.getSessions)
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out of every other device
+// @access  Private
+router.delete("/sessions", auth, authController.revokeOtherSessions)
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out of one device
+// @access  Private
+router.delete("/sessions/:id", auth, authController.revokeSession)
+
 // @route   PUT /api/auth/phone
 // @desc    Update phone number
 // @access  Private
@@ -62,7 +114,12 @@ router.put("/phone", auth, updatePhoneValidator, authController.updatePhoneNumbe
 // @access  Private
 router.put("/password", auth, updatePasswordValidator, authController.updatePassword)
 
-// get all users
-router.get("/all", auth, authController.getAllUsers)
+// get all users (GET /api/admin/users pages and filters them)
+router.get("/all", auth, authorize("users:read"), authController.getAllUsers)
+
+// @route   POST /api/auth/users/:id/unlock
+// @desc    Lift a lockout and clear the user's rate limits
+// @access  Admin
+router.post("/users/:id/unlock", auth, authorize("users:manage"), authController.unlockUser)
 
 module.exports = router
\ No newline at end of file
@@ -2,8 +2,13 @@ const express = require("express")
 const router = express.Router()
 const categoryController = require("../controllers/categoryController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { auditAction } = require("../middleware/audit")
+const Category = require("../models/Category")
 const { categoryValidator } = require("../middleware/courseValidators")
 
+const audited = { target: "Category", model: Category }
+
 // @route   GET /api/categories
 // @desc    Get all categories
 // @access  Public
@@ -16,18 +21,18 @@ router.get("/:id", categoryController.getCategoryById)
 
 // @route   POST /api/categories
 // @desc    Create a new category
-// @access  Private (Admin only)
-router.post("/", auth, categoryValidator, categoryController.createCategory)
+// @access  Admin
+router.post("/", auth, authorize("categories:manage"), categoryValidator, auditAction("category.create", audited), categoryController.createCategory)
 
 // @route   PUT /api/categories/:id
 // @desc    Update a category
-// @access  Private (Admin only)
-router.put("/:id", auth, categoryValidator, categoryController.updateCategory)
+// @access  Admin
+router.put("/:id", auth, authorize("categories:manage"), categoryValidator, auditAction("category.update", audited), categoryController.updateCategory)
 
 // @route   DELETE /api/categories/:id
 // @desc    Delete a category
-// @access  Private (Admin only)
-router.delete("/:id", auth, categoryController.deleteCategory)
+// @access  Admin
+router.delete("/:id", auth, authorize("categories:manage"), auditAction("category.delete", audited), categoryController.deleteCategory)
 
 module.exports = router
 
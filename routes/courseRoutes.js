@@ -2,8 +2,14 @@ const express = require("express")
 const router = express.Router()
 const courseController = require("../controllers/courseController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { auditAction } = require("../middleware/audit")
+const Course = require("../models/Course")
+const { requireSubscription } = require("../middleware/subscriptionAccess")
 const { createCourseValidator, updateCourseValidator } = require("../middleware/courseValidators")
 
+const audited = { target: "Course", model: Course }
+
 // @route   GET /api/courses
 // @desc    Get all courses
 // @access  Public
@@ -11,8 +17,8 @@ router.get("/", courseController.getAllCourses)
 
 // @route   GET /api/courses/:id
 // @desc    Get course by ID
-// @access  Public
-router.get("/:id", courseController.getCourseById)
+// @access  Private (subscription or free tier)
+router.get("/:id", auth, requireSubscription("courseContent", { deferFreeTier: true }), courseController.getCourseById)
 
 // @route   GET /api/courses/category/:categoryId
 // @desc    Get courses by category
@@ -21,23 +27,23 @@ router.get("/category/:categoryId", courseController.getCoursesByCategory)
 
 // @route   GET /api/courses/instructor/me
 // @desc    Get courses by logged in instructor
-// @access  Private
-router.get("/instructor/me", auth, courseController.getCoursesByInstructor)
+// @access  Instructor or admin
+router.get("/instructor/me", auth, authorize("courses:create"), courseController.getCoursesByInstructor)
 
 // @route   POST /api/courses
 // @desc    Create a new course
-// @access  Private
-router.post("/", auth, createCourseValidator, courseController.createCourse)
+// @access  Instructor or admin
+router.post("/", auth, authorize("courses:create"), createCourseValidator, auditAction("course.create", audited), courseController.createCourse)
 
 // @route   PUT /api/courses/:id
 // @desc    Update a course
-// @access  Private
-router.put("/:id", auth, updateCourseValidator, courseController.updateCourse)
+// @access  Owner instructor or admin
+router.put("/:id", auth, authorize("courses:update", "courses:update:own"), updateCourseValidator, auditAction("course.update", audited), courseController.updateCourse)
 
 // @route   DELETE /api/courses/:id
 // @desc    Delete a course
-// @access  Private
-router.delete("/:id", auth, courseController.deleteCourse)
+// @access  Owner instructor or admin
+router.delete("/:id", auth, authorize("courses:delete", "courses:delete:own"), auditAction("course.delete", audited), courseController.deleteCourse)
 
 module.exports = router
 
@@ -2,12 +2,13 @@ const express = require("express")
 const router = express.Router()
 const enrollmentController = require("../controllers/enrollmentController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
 const { enrollCourseValidator, updateProgressValidator } = require("../middleware/enrollmentValidators")
 
 // @route   GET /api/enrollments
 // @desc    Get all enrollments (admin only)
-// @access  Private/Admin
-router.get("/", auth, enrollmentController.getAllEnrollments)
+// @access  Admin
+router.get("/", auth, authorize("enrollments:read"), enrollmentController.getAllEnrollments)
 
 // @route   GET /api/enrollments/user
 // @desc    Get user enrollments
@@ -21,23 +22,23 @@ router.get("/completed", auth, enrollmentController.getUserCompletedCourses)
 
 // @route   GET /api/enrollments/:id
 // @desc    Get enrollment by ID
-// @access  Private
-router.get("/:id", auth, enrollmentController.getEnrollmentById)
+// @access  Owner or admin
+router.get("/:id", auth, authorize("enrollments:read", "enrollments:read:own"), enrollmentController.getEnrollmentById)
 
 // @route   POST /api/enrollments
 // @desc    Enroll in a course
 // @access  Private
-router.post("/", auth, enrollCourseValidator, enrollmentController.enrollInCourse)
+router.post("/", auth, authorize("enrollments:create"), enrollCourseValidator, enrollmentController.enrollInCourse)
 
 // @route   PUT /api/enrollments/:id/progress
 // @desc    Update enrollment progress
-// @access  Private
-router.put("/:id/progress", auth, updateProgressValidator, enrollmentController.updateProgress)
+// @access  Owner or admin
+router.put("/:id/progress", auth, authorize("enrollments:update", "enrollments:update:own"), updateProgressValidator, enrollmentController.updateProgress)
 
 // @route   PUT /api/enrollments/:enrollmentId/recalculate-progress
 // @desc    Recalculate course progress based on completed exams
-// @access  Private
-router.put("/:enrollmentId/recalculate-progress", auth, enrollmentController.recalculateCourseProgress)
+// @access  Private (own enrollments)
+router.put("/:enrollmentId/recalculate-progress", auth, authorize("enrollments:update:own"), enrollmentController.recalculateCourseProgress)
 
 // @route   GET /api/enrollments/check/:courseId
 // @desc    Check if user is enrolled in a course
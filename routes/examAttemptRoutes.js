@@ -2,22 +2,24 @@ const express = require("express")
 const router = express.Router()
 const examAttemptController = require("../controllers/examAttemptController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { requireSubscription } = require("../middleware/subscriptionAccess")
 const { startExamValidator, submitAnswerValidator } = require("../middleware/examAttemptValidators")
 
 // @route   POST /api/exam-attempts/start
 // @desc    Start a new exam attempt
-// @access  Private
-router.post("/start", auth, startExamValidator, examAttemptController.startExamAttempt)
+// @access  Private (subscription or free tier)
+router.post("/start", auth, authorize("examAttempts:create"), startExamValidator, requireSubscription("examAttempts", { deferFreeTier: true }), examAttemptController.startExamAttempt)
 
 // @route   POST /api/exam-attempts/submit-answer
 // @desc    Submit an answer for a question in an exam attempt
-// @access  Private
-router.post("/submit-answer", auth, submitAnswerValidator, examAttemptController.submitAnswer)
+// @access  Private (own attempts)
+router.post("/submit-answer", auth, authorize("examAttempts:update:own"), submitAnswerValidator, examAttemptController.submitAnswer)
 
 // @route   PUT /api/exam-attempts/:attemptId/complete
 // @desc    Complete an exam attempt
-// @access  Private
-router.put("/:attemptId/complete", auth, examAttemptController.completeExamAttempt)
+// @access  Private (own attempts)
+router.put("/:attemptId/complete", auth, authorize("examAttempts:update:own"), examAttemptController.completeExamAttempt)
 
 // @route   GET /api/exam-attempts
 // @desc    Get all exam attempts for a user
@@ -34,10 +36,15 @@ router.get("/completed", auth, examAttemptController.getUserCompletedExams)
 // @access  Private
 router.get("/passed", auth, examAttemptController.getUserPassedExams)
 
+// @route   GET /api/exam-attempts/:id/review
+// @desc    Review a completed exam attempt with the correct answers
+// @access  Owner or admin
+router.get("/:id/review", auth, authorize("examAttempts:read", "examAttempts:read:own"), examAttemptController.getExamAttemptReview)
+
 // @route   GET /api/exam-attempts/:id
 // @desc    Get a specific exam attempt
-// @access  Private
-router.get("/:id", auth, examAttemptController.getExamAttemptById)
+// @access  Owner or admin
+router.get("/:id", auth, authorize("examAttempts:read", "examAttempts:read:own"), examAttemptController.getExamAttemptById)
 
 module.exports = router
 
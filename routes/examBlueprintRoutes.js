@@ -0,0 +1,47 @@
+const express = require("express")
+const router = express.Router()
+const examBlueprintController = require("../controllers/examBlueprintController")
+const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { auditAction } = require("../middleware/audit")
+const ExamBlueprint = require("../models/ExamBlueprint")
+const { requireSubscription } = require("../middleware/subscriptionAccess")
+const {
+  createBlueprintValidator,
+  updateBlueprintValidator,
+  startMockExamValidator,
+} = require("../middleware/blueprintValidators")
+
+const audited = { target: "ExamBlueprint", model: ExamBlueprint }
+
+// @route   GET /api/exam-blueprints
+// @desc    Get all exam blueprints
+// @access  Private
+router.get("/", auth, authorize("exams:read"), examBlueprintController.getAllBlueprints)
+
+// @route   GET /api/exam-blueprints/:id
+// @desc    Get exam blueprint by ID
+// @access  Private
+router.get("/:id", auth, authorize("exams:read"), examBlueprintController.getBlueprintById)
+
+// @route   POST /api/exam-blueprints
+// @desc    Create an exam blueprint
+// @access  Admin
+router.post("/", auth, authorize("blueprints:manage"), createBlueprintValidator, auditAction("blueprint.create", audited), examBlueprintController.createBlueprint)
+
+// @route   PUT /api/exam-blueprints/:id
+// @desc    Update an exam blueprint
+// @access  Admin
+router.put("/:id", auth, authorize("blueprints:manage"), updateBlueprintValidator, auditAction("blueprint.update", audited), examBlueprintController.updateBlueprint)
+
+// @route   DELETE /api/exam-blueprints/:id
+// @desc    Delete an exam blueprint
+// @access  Admin
+router.delete("/:id", auth, authorize("blueprints:manage"), auditAction("blueprint.delete", audited), examBlueprintController.deleteBlueprint)
+
+// @route   POST /api/exam-blueprints/:id/mock-exams
+// @desc    Generate a mock exam from a blueprint and start an attempt on it
+// @access  Private (subscription or free tier)
+router.post("/:id/mock-exams", auth, authorize("examAttempts:create"), startMockExamValidator, requireSubscription("examAttempts", { deferFreeTier: true }), examBlueprintController.startMockExam)
+
+module.exports = router
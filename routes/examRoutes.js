@@ -2,6 +2,9 @@ const express = require("express")
 const router = express.Router()
 const examController = require("../controllers/examController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { auditAction } = require("../middleware/audit")
+const Exam = require("../models/Exam")
 const {
   createExamValidator,
   createRandomExamValidator,
@@ -10,6 +13,8 @@ const {
   regenerateQuestionsValidator,
 } = require("../middleware/questionValidators")
 
+const audited = { target: "Exam", model: Exam }
+
 // @route   GET /api/exams
 // @desc    Get all exams
 // @access  Private
@@ -32,48 +37,48 @@ router.get("/course/:courseId", auth, examController.getExamsByCourse)
 
 // @route   GET /api/exams/creator/me
 // @desc    Get exams by logged in creator
-// @access  Private
-router.get("/creator/me", auth, examController.getExamsByCreator)
+// @access  Instructor or admin
+router.get("/creator/me", auth, authorize("exams:create"), examController.getExamsByCreator)
 
 // @route   POST /api/exams
 // @desc    Create a new exam
-// @access  Private
-router.post("/", auth, createExamValidator, examController.createExam)
+// @access  Instructor or admin
+router.post("/", auth, authorize("exams:create"), createExamValidator, auditAction("exam.create", audited), examController.createExam)
 
 // @route   POST /api/exams/random
 // @desc    Create a new exam with random questions
-// @access  Private
-router.post("/random", auth, createRandomExamValidator, examController.createRandomExam)
+// @access  Instructor or admin
+router.post("/random", auth, authorize("exams:create"), createRandomExamValidator, auditAction("exam.create", audited), examController.createRandomExam)
 
 // @route   PUT /api/exams/:id
 // @desc    Update an exam
-// @access  Private
-router.put("/:id", auth, updateExamValidator, examController.updateExam)
+// @access  Owner instructor or admin
+router.put("/:id", auth, authorize("exams:update", "exams:update:own"), updateExamValidator, auditAction("exam.update", audited), examController.updateExam)
 
 // @route   PUT /api/exams/:id/publish
 // @desc    Publish an exam
-// @access  Private
-router.put("/:id/publish", auth, examController.publishExam)
+// @access  Owner instructor or admin
+router.put("/:id/publish", auth, authorize("exams:publish", "exams:publish:own"), auditAction("exam.publish", audited), examController.publishExam)
 
 // @route   PUT /api/exams/:id/regenerate
 // @desc    Regenerate random questions for an exam
-// @access  Private
-router.put("/:id/regenerate", auth, regenerateQuestionsValidator, examController.regenerateExamQuestions)
+// @access  Owner instructor or admin
+router.put("/:id/regenerate", auth, authorize("exams:update", "exams:update:own"), regenerateQuestionsValidator, auditAction("exam.questions.regenerate", audited), examController.regenerateExamQuestions)
 
 // @route   DELETE /api/exams/:id
 // @desc    Delete an exam
-// @access  Private
-router.delete("/:id", auth, examController.deleteExam)
+// @access  Owner instructor or admin
+router.delete("/:id", auth, authorize("exams:delete", "exams:delete:own"), auditAction("exam.delete", audited), examController.deleteExam)
 
 // @route   POST /api/exams/:id/questions
 // @desc    Add a question to an exam
-// @access  Private
-router.post("/:id/questions", auth, questionToExamValidator, examController.addQuestionToExam)
+// @access  Owner instructor or admin
+router.post("/:id/questions", auth, authorize("exams:update", "exams:update:own"), questionToExamValidator, auditAction("exam.question.add", audited), examController.addQuestionToExam)
 
 // @route   DELETE /api/exams/:id/questions
 // @desc    Remove a question from an exam
-// @access  Private
-router.delete("/:id/questions", auth, questionToExamValidator, examController.removeQuestionFromExam)
+// @access  Owner instructor or admin
+router.delete("/:id/questions", auth, authorize("exams:update", "exams:update:own"), questionToExamValidator, auditAction("exam.question.remove", audited), examController.removeQuestionFromExam)
 
 module.exports = router
 
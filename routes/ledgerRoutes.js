@@ -0,0 +1,38 @@
+const express = require('express');
+const LedgerController = require('../controllers/LedgerController');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+
+const router = express.Router();
+const ledgerController = new LedgerController();
+
+/**
+ * Ledger Routes
+ * Admin endpoints for the payment ledger and daily settlement reports
+ */
+
+// Every route is admin only
+router.use(authorize('ledger:manage'));
+
+// List ledger entries with filters
+router.get('/entries', (req, res) => ledgerController.getEntries(req, res));
+
+// Get every ledger entry of a subscription with totals
+router.get('/subscriptions/:id', (req, res) => ledgerController.getSubscriptionLedger(req, res));
+
+// Post collections and refunds missing from the ledger
+router.post('/backfill', auditAction('ledger.backfill', { target: 'LedgerEntry' }), (req, res) => ledgerController.backfill(req, res));
+
+// List settlement reports
+router.get('/settlements', (req, res) => ledgerController.getSettlementReports(req, res));
+
+// Get the settlement report of a day (YYYY-MM-DD)
+router.get('/settlements/:date', (req, res) => ledgerController.getSettlementReport(req, res));
+
+// Generate or regenerate the settlement report of a day
+router.post('/settlements/:date', auditAction('settlement.generate', { target: 'SettlementReport', targetId: req => req.params.date }), (req, res) => ledgerController.generateSettlementReport(req, res));
+
+// Download the settlement report of a day as CSV
+router.get('/settlements/:date/export', (req, res) => ledgerController.exportSettlementReport(req, res));
+
+module.exports = router;
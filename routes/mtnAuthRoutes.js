@@ -1,12 +1,17 @@
 const express = require('express');
 const MTNCollectionController = require('../controllers/MTNCollectionController');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
 
 const router = express.Router();
 const collectionController = new MTNCollectionController();
 
+// MTN tokens and direct collection calls are admin only
+router.use(authorize('providers:manage'));
+
 router.post('/collection/token/', (req, res) => collectionController.getToken(req, res));
 router.get('/collection/v1_0/account/balance', (req, res) => collectionController.getAccountBalance(req, res));
-router.post('/collection/v1_0/requesttopay', (req, res) => collectionController.requestToPay(req, res));
+router.post('/collection/v1_0/requesttopay', auditAction('provider.mtn.requesttopay', { target: 'Payment' }), (req, res) => collectionController.requestToPay(req, res));
 router.get('/collection/v1_0/requesttopay/:referenceId', (req, res) => collectionController.getRequestToPayStatus(req, res));
 
 module.exports = router;
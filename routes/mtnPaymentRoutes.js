@@ -1,11 +1,13 @@
 const express = require('express');
 const MTNPaymentController = require('../controllers/MTNPaymentController');
+const { authorize } = require('../middleware/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 const paymentController = new MTNPaymentController();
 
-router.post('/payment', (req, res) => paymentController.requestPayment(req, res));
-router.get('/payment/:referenceId/status', (req, res) => paymentController.getPaymentStatus(req, res));
-router.get('/balance', (req, res) => paymentController.getAccountBalance(req, res));
+router.post('/payment', authorize('payments:create'), rateLimit('payment', { dto: true }), (req, res) => paymentController.requestPayment(req, res));
+router.get('/payment/:referenceId/status', authorize('payments:create'), (req, res) => paymentController.getPaymentStatus(req, res));
+router.get('/balance', authorize('payments:manage'), (req, res) => paymentController.getAccountBalance(req, res));
 
 module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const PaymentController = require('../controllers/PaymentController');
 const { validateRequestToPay, validateTransfer, validateRefund } = require('../middleware/paymentValidators');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
 
 const router = express.Router();
 const paymentController = new PaymentController();
@@ -11,30 +15,30 @@ const paymentController = new PaymentController();
  */
 
 // Health check endpoint
-router.get('/health', (req, res) => paymentController.healthCheck(req, res));
+router.get('/health', authorize('payments:manage'), (req, res) => paymentController.healthCheck(req, res));
 
 // Service statistics
-router.get('/stats', (req, res) => paymentController.getServiceStats(req, res));
+router.get('/stats', authorize('payments:manage'), (req, res) => paymentController.getServiceStats(req, res));
 
 // Account balance
-router.get('/balance', (req, res) => paymentController.getAccountBalance(req, res));
+router.get('/balance', authorize('payments:manage'), (req, res) => paymentController.getAccountBalance(req, res));
 
 // Get all payments with optional filters
-router.get('/', (req, res) => paymentController.getAllPayments(req, res));
+router.get('/', authorize('payments:manage'), (req, res) => paymentController.getAllPayments(req, res));
 
 // Get payment by ID
-router.get('/:id', (req, res) => paymentController.getPaymentById(req, res));
+router.get('/:id', authorize('payments:manage'), (req, res) => paymentController.getPaymentById(req, res));
 
 // Get payment status
-router.get('/:id/status', (req, res) => paymentController.getPaymentStatus(req, res));
+router.get('/:id/status', authorize('payments:manage'), (req, res) => paymentController.getPaymentStatus(req, res));
 
 // Request to Pay (Collection)
-router.post('/request-to-pay', validateRequestToPay, (req, res) => paymentController.requestToPay(req, res));
+router.post('/request-to-pay', authorize('payments:create'), rateLimit('payment', { dto: true }), validateRequestToPay, idempotent(), (req, res) => paymentController.requestToPay(req, res));
 
 // Transfer (Disbursement)
-router.post('/transfer', validateTransfer, (req, res) => paymentController.transfer(req, res));
+router.post('/transfer', authorize('payments:disburse'), validateTransfer, auditAction('payment.transfer', { target: 'Payment' }), (req, res) => paymentController.transfer(req, res));
 
 // Refund
-router.post('/refund', validateRefund, (req, res) => paymentController.refund(req, res));
+router.post('/refund', authorize('payments:disburse'), validateRefund, auditAction('payment.refund', { target: 'Payment' }), (req, res) => paymentController.refund(req, res));
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const PlanController = require('../controllers/PlanController');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+const Plan = require('../models/Plan');
+
+const router = express.Router();
+const planController = new PlanController();
+
+/**
+ * Plan Routes
+ * Subscription plan catalogue; create, update and deactivate are admin only
+ */
+
+// List active plans
+router.get('/', (req, res) => planController.getPlans(req, res));
+
+// Get plan by ID
+router.get('/:id', (req, res) => planController.getPlanById(req, res));
+
+// Price quote for a term and currency
+router.get('/:id/quote', (req, res) => planController.getQuote(req, res));
+
+// Create plan
+router.post('/', authorize('plans:manage'), auditAction('plan.create', { target: 'Plan', model: Plan }), (req, res) => planController.createPlan(req, res));
+
+// Update plan (price changes are archived in the plan's price history)
+router.put('/:id', authorize('plans:manage'), auditAction('plan.update', { target: 'Plan', model: Plan }), (req, res) => planController.updatePlan(req, res));
+
+// Deactivate plan
+router.delete('/:id', authorize('plans:manage'), auditAction('plan.deactivate', { target: 'Plan', model: Plan }), (req, res) => planController.deactivatePlan(req, res));
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express")
+const router = express.Router()
+const practiceController = require("../controllers/practiceController")
+const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { requireSubscription } = require("../middleware/subscriptionAccess")
+const { nextQuestionsValidator, reviewQuestionValidator } = require("../middleware/practiceValidators")
+
+// @route   GET /api/practice/next
+// @desc    Get the questions due for spaced repetition review
+// @access  Private (subscription or free tier)
+router.get("/next", auth, authorize("practice:use"), nextQuestionsValidator, requireSubscription("practice", { deferFreeTier: true }), practiceController.getNextQuestions)
+
+// @route   POST /api/practice/review
+// @desc    Answer a practice question and reschedule it
+// @access  Private (subscription or free tier)
+router.post("/review", auth, authorize("practice:use"), reviewQuestionValidator, requireSubscription("practiceReviews", { deferFreeTier: true }), practiceController.reviewQuestion)
+
+module.exports = router
@@ -0,0 +1,50 @@
+const express = require("express")
+const router = express.Router()
+const multer = require("multer")
+const profileController = require("../controllers/profileController")
+const auth = require("../middleware/auth")
+const { updateProfileValidator, confirmEmailChangeValidator } = require("../middleware/validators")
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage()
+const upload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+})
+
+// @route   GET /api/profile
+// @desc    Get the current user's profile
+// @access  Private
+router.get("/", auth, profileController.getProfile)
+
+// @route   PUT /api/profile
+// @desc    Update name, bio or email (a new email needs confirming)
+// @access  Private
+router.put("/", auth, updateProfileValidator, profileController.updateProfile)
+
+// @route   POST /api/profile/email/verify
+// @desc    Confirm a new email address with its code
+// @access  Private
+router.post("/email/verify", auth, confirmEmailChangeValidator, profileController.confirmEmailChange)
+
+// @route   POST /api/profile/picture
+// @desc    Upload a profile picture
+// @access  Private
+router.post("/picture", auth, upload.single("image"), profileController.uploadProfilePicture)
+
+// @route   DELETE /api/profile/picture
+// @desc    Remove the profile picture
+// @access  Private
+router.delete("/picture", auth, profileController.deleteProfilePicture)
+
+// @route   GET /api/profile/export
+// @desc    Download all data stored about the current user
+// @access  Private
+router.get("/export", auth, profileController.exportData)
+
+// @route   DELETE /api/profile
+// @desc    Delete the current user's account
+// @access  Private
+router.delete("/", auth, profileController.deleteAccount)
+
+module.exports = router
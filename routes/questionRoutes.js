@@ -2,26 +2,32 @@ const express = require("express")
 const router = express.Router()
 const questionController = require("../controllers/questionController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
+const { auditAction } = require("../middleware/audit")
+const Question = require("../models/Question")
+const { requireSubscription } = require("../middleware/subscriptionAccess")
 const {
   createQuestionValidator,
   updateQuestionValidator,
   randomQuestionsValidator,
 } = require("../middleware/questionValidators")
 
+const audited = { target: "Question", model: Question }
+
 // @route   GET /api/questions
 // @desc    Get all questions
-// @access  Private
-router.get("/", auth, questionController.getAllQuestions)
+// @access  Instructor or admin (learners get questions through exams, random sets and practice)
+router.get("/", auth, authorize("questions:create"), questionController.getAllQuestions)
 
 // @route   GET /api/questions/random
 // @desc    Get random questions
-// @access  Private
-router.get("/random", auth, randomQuestionsValidator, questionController.getRandomQuestions)
+// @access  Private (subscription or free tier)
+router.get("/random", auth, randomQuestionsValidator, requireSubscription("randomQuestions", { deferFreeTier: true }), questionController.getRandomQuestions)
 
 // @route   GET /api/questions/random/category/:categoryId
 // @desc    Get random questions by category ID
-// @access  Private
-router.get("/random/category/:categoryId", auth, questionController.getRandomQuestionsByCategory)
+// @access  Private (subscription or free tier)
+router.get("/random/category/:categoryId", auth, requireSubscription("randomQuestions", { deferFreeTier: true }), questionController.getRandomQuestionsByCategory)
 
 // @route   GET /api/questions/:id
 // @desc    Get question by ID
@@ -30,28 +36,28 @@ router.get("/:id", auth, questionController.getQuestionById)
 
 // @route   GET /api/questions/category/:categoryId
 // @desc    Get questions by category
-// @access  Private
-router.get("/category/:categoryId", auth, questionController.getQuestionsByCategory)
+// @access  Instructor or admin
+router.get("/category/:categoryId", auth, authorize("questions:create"), questionController.getQuestionsByCategory)
 
 // @route   GET /api/questions/creator/me
 // @desc    Get questions by logged in creator
-// @access  Private
-router.get("/creator/me", auth, questionController.getQuestionsByCreator)
+// @access  Instructor or admin
+router.get("/creator/me", auth, authorize("questions:create"), questionController.getQuestionsByCreator)
 
 // @route   POST /api/questions
 // @desc    Create a new question
-// @access  Private
-router.post("/", auth, createQuestionValidator, questionController.createQuestion)
+// @access  Instructor or admin
+router.post("/", auth, authorize("questions:create"), createQuestionValidator, auditAction("question.create", audited), questionController.createQuestion)
 
 // @route   PUT /api/questions/:id
 // @desc    Update a question
-// @access  Private
-router.put("/:id", auth, updateQuestionValidator, questionController.updateQuestion)
+// @access  Owner instructor or admin
+router.put("/:id", auth, authorize("questions:update", "questions:update:own"), updateQuestionValidator, auditAction("question.update", audited), questionController.updateQuestion)
 
 // @route   DELETE /api/questions/:id
 // @desc    Delete a question
-// @access  Private
-router.delete("/:id", auth, questionController.deleteQuestion)
+// @access  Owner instructor or admin
+router.delete("/:id", auth, authorize("questions:delete", "questions:delete:own"), auditAction("question.delete", audited), questionController.deleteQuestion)
 
 module.exports = router
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const ReconciliationController = require('../controllers/ReconciliationController');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+
+const router = express.Router();
+const reconciliationController = new ReconciliationController();
+
+/**
+ * Reconciliation Routes
+ * Admin endpoints for stale payment reconciliation
+ */
+
+// Every route is admin only
+router.use(authorize('reconciliation:manage'));
+
+// List reconciliation reports
+router.get('/reports', (req, res) => reconciliationController.getReports(req, res));
+
+// Get a reconciliation report with item details
+router.get('/reports/:id', (req, res) => reconciliationController.getReportById(req, res));
+
+// Trigger a reconciliation run now
+router.post('/run', auditAction('reconciliation.run', { target: 'ReconciliationReport' }), (req, res) => reconciliationController.runNow(req, res));
+
+module.exports = router;
@@ -1,5 +1,10 @@
 const express = require('express');
 const SubscriptionController = require('../controllers/SubscriptionController');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authorize } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+const Subscription = require('../models/Subscription');
 
 const router = express.Router();
 const subscriptionController = new SubscriptionController();
@@ -9,17 +14,26 @@ const subscriptionController = new SubscriptionController();
  * API endpoints for subscription payment management
  */
 
-// Create subscription payment
-router.post('/payment', (req, res) => subscriptionController.createSubscriptionPayment(req, res));
+// Create subscription payment (retries with the same Idempotency-Key return the first result)
+router.post('/payment', authorize('subscriptions:create'), rateLimit('payment', { dto: true }), idempotent(), (req, res) => subscriptionController.createSubscriptionPayment(req, res));
 
-// Get all subscriptions with filters
-router.get('/', (req, res) => subscriptionController.getAllSubscriptions(req, res));
+// Get all subscriptions with filters (admin)
+router.get('/', authorize('subscriptions:read'), (req, res) => subscriptionController.getAllSubscriptions(req, res));
 
-// Get subscription by ID
-router.get('/:id', (req, res) => subscriptionController.getSubscriptionById(req, res));
+// Get the current user's subscription status (before /:id so "me" is not taken as an ID)
+router.get('/me/status', (req, res) => subscriptionController.getMyStatus(req, res));
 
-// Get subscriptions by user ID
-router.get('/user/:userId', (req, res) => subscriptionController.getSubscriptionsByUserId(req, res));
+// Get subscription by ID (owner or admin)
+router.get('/:id', authorize('subscriptions:read', 'subscriptions:read:own'), (req, res) => subscriptionController.getSubscriptionById(req, res));
+
+// Refund the unused months of a subscription (admin)
+router.post('/:id/refund', authorize('subscriptions:refund'), auditAction('subscription.refund', { target: 'Subscription', model: Subscription }), (req, res) => subscriptionController.refundSubscription(req, res));
+
+// Get refund attempts for a subscription (admin)
+router.get('/:id/refunds', authorize('subscriptions:refund'), (req, res) => subscriptionController.getRefunds(req, res));
+
+// Get subscriptions by user ID (that user or an admin)
+router.get('/user/:userId', authorize('subscriptions:read', 'subscriptions:read:own'), (req, res) => subscriptionController.getSubscriptionsByUserId(req, res));
 
 module.exports = router;
 
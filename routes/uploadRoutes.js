@@ -3,6 +3,7 @@ const router = express.Router()
 const multer = require("multer")
 const uploadController = require("../controllers/uploadController")
 const auth = require("../middleware/auth")
+const { authorize } = require("../middleware/permissions")
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage()
@@ -13,18 +14,18 @@ const upload = multer({
 
 // @route   POST /api/upload/video
 // @desc    Upload a video file
-// @access  Private
-router.post("/video", auth, upload.single("video"), uploadController.uploadVideo)
+// @access  Instructor or admin
+router.post("/video", auth, authorize("uploads:create"), upload.single("video"), uploadController.uploadVideo)
 
 // @route   POST /api/upload/document
 // @desc    Upload a document file
-// @access  Private
-router.post("/document", auth, upload.single("document"), uploadController.uploadDocument)
+// @access  Instructor or admin
+router.post("/document", auth, authorize("uploads:create"), upload.single("document"), uploadController.uploadDocument)
 
 // @route   POST /api/upload/question-image
 // @desc    Upload a question image
-// @access  Private
-router.post("/question-image", auth, upload.single("image"), uploadController.uploadQuestionImage)
+// @access  Instructor or admin
+router.post("/question-image", auth, authorize("uploads:create"), upload.single("image"), uploadController.uploadQuestionImage)
 
 module.exports = router
 
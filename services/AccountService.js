@@ -0,0 +1,74 @@
+const { v4: uuidv4 } = require("uuid")
+const User = require("../models/User")
+const Session = require("../models/Session")
+const CourseEnrollment = require("../models/CourseEnrollment")
+const ExamAttempt = require("../models/ExamAttempt")
+const QuestionReview = require("../models/QuestionReview")
+const Subscription = require("../models/Subscription")
+const FreeTierUsage = require("../models/FreeTierUsage")
+const IdempotencyKey = require("../models/IdempotencyKey")
+const RateLimitService = require("./RateLimitService")
+const SessionService = require("./SessionService")
+const { toLearnerAttempt } = require("../utils/questionSerializer")
+
+const REDACTED = "REDACTED"
+
+class AccountService {
+  // Everything stored about a user, for the self-service data export
+  static async exportData(userId) {
+    const [user, enrollments, examAttempts, questionReviews, subscriptions, sessions] = await Promise.all([
+      User.findById(userId).select(User.PRIVATE_FIELDS),
+      CourseEnrollment.find({ user: userId }),
+      ExamAttempt.find({ user: userId }),
+      QuestionReview.find({ user: userId }),
+      Subscription.find({ userId }),
+      SessionService.listSessions(userId),
+    ])
+
+    return {
+      exportedAt: new Date(),
+      user,
+      enrollments,
+      // Results of attempts still running stay hidden, as everywhere else
+      examAttempts: examAttempts.map(toLearnerAttempt),
+      questionReviews,
+      subscriptions: subscriptions.map((subscription) => subscription.toSubscriptionDTO()),
+      sessions,
+    }
+  }
+
+  static async hasPendingPayment(userId) {
+    return !!(await Subscription.exists({ userId, status: "PENDING" }))
+  }
+
+  // Delete a user. Enrollments, exam attempts and subscriptions are kept for
+  // statistics and accounting, but moved to a random ID that no longer leads
+  // back to the person, and the payer's phone number is removed.
+  // Ledger entries are append-only and keep the old user ID.
+  static async deleteAccount(user) {
+    const anonymousId = `deleted-${uuidv4()}`
+
+    await Promise.all([
+      CourseEnrollment.updateMany({ user: user._id }, { user: anonymousId }),
+      ExamAttempt.updateMany({ user: user._id }, { user: anonymousId }),
+      Subscription.updateMany(
+        { userId: user._id },
+        {
+          $set: { userId: anonymousId, msisdn: REDACTED },
+          $unset: { mtnResponse: "", airtelResponse: "", providerResponse: "" },
+        },
+      ),
+      QuestionReview.deleteMany({ user: user._id }),
+      FreeTierUsage.deleteMany({ userId: user._id }),
+      IdempotencyKey.deleteMany({ userId: user._id }),
+      Session.deleteMany({ user: user._id }),
+      RateLimitService.resetAccount(user._id, user.phoneNumber, user.email),
+    ])
+
+    await User.deleteOne({ _id: user._id })
+
+    return { anonymousId }
+  }
+}
+
+module.exports = AccountService
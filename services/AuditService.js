@@ -0,0 +1,186 @@
+const AuditLog = require('../models/AuditLog');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+// Field names whose values are never written to the audit log
+const SENSITIVE_FIELD = /password|secret|token|api_?key|verificationcode|logincode|changecode|hash$/i;
+// Fields that change on every save and say nothing about the action
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+/**
+ * Audit Service
+ * Writes audit log entries for sensitive actions, serves them to admins and
+ * purges entries older than the retention period
+ */
+class AuditService {
+  constructor() {
+    this.config = getServiceConfig('audit');
+    this.timer = null;
+  }
+
+  /**
+   * Start the in-process schedule that purges expired entries
+   */
+  start() {
+    if (this.timer || !this.config.retentionDays) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch((error) => console.error('Audit log purge error:', error));
+    }, this.config.purgeIntervalMs);
+
+    // Do not keep the process alive just for the purge
+    this.timer.unref();
+    console.log(`Audit log entries kept for ${this.config.retentionDays} days`);
+  }
+
+  /**
+   * Stop the in-process schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Replace the values of sensitive fields, at any depth
+   * @param {*} value - Plain value, object or array
+   * @returns {*} Copy safe to store
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_FIELD.test(key) ? '[REDACTED]' : this.redact(item)
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * Top-level fields that differ between two versions of a record
+   * @param {object|null} before - Record before the action (plain object)
+   * @param {object|null} after - Record after the action (plain object)
+   * @returns {object} { before, after } holding only the changed fields
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before: before ? this.redact(before) : undefined, after: after ? this.redact(after) : undefined };
+    }
+
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes.before[key] = before[key];
+        changes.after[key] = after[key];
+      }
+    }
+    return { before: this.redact(changes.before), after: this.redact(changes.after) };
+  }
+
+  /**
+   * Record an action
+   * @param {object} req - Request that performed the action (actor, IP and user agent are taken from it)
+   * @param {object} entry - What happened
+   * @param {string} entry.action - Dotted action name, e.g. 'user.suspend'
+   * @param {object} entry.target - { type, id } of the affected record
+   * @param {object} [entry.before] - Changed fields before the action
+   * @param {object} [entry.after] - Changed fields after the action
+   * @param {object} [entry.details] - Extra context
+   * @returns {Promise<object>} Saved entry
+   */
+  async record(req, { action, target, before, after, details }) {
+    const actor = req.user
+      ? { id: String(req.user._id), role: req.user.role, email: req.user.email }
+      : undefined;
+
+    return AuditLog.create({
+      actor,
+      action,
+      target,
+      changes: before || after ? { before: this.redact(before), after: this.redact(after) } : undefined,
+      details: details ? this.redact(details) : undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  /**
+   * Get audit log entries with filters
+   * @param {object} filters - actorId, action (exact, or a prefix ending in '.*'), targetType, targetId, dateFrom, dateTo, limit, skip
+   * @returns {Promise<object>} { entries, total, limit, skip }
+   */
+  async getEntries(filters = {}) {
+    try {
+      const query = {};
+      if (filters.actorId) query['actor.id'] = filters.actorId;
+      if (filters.action) {
+        query.action = filters.action.endsWith('.*')
+          ? { $regex: `^${filters.action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+          : filters.action;
+      }
+      if (filters.targetType) query['target.type'] = filters.targetType;
+      if (filters.targetId) query['target.id'] = filters.targetId;
+      if (filters.dateFrom || filters.dateTo) {
+        query.createdAt = {};
+        if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+        if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+      }
+
+      const limit = Math.min(filters.limit || 50, 200);
+      const skip = filters.skip || 0;
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return { entries, total, limit, skip };
+    } catch (error) {
+      throw new Error(`Failed to get audit log entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one audit log entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<object>} Entry
+   */
+  async getEntryById(id) {
+    try {
+      const entry = await AuditLog.findById(id);
+      if (!entry) {
+        throw new Error('Audit log entry not found');
+      }
+      return entry;
+    } catch (error) {
+      throw new Error(`Failed to get audit log entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete entries older than the retention period. Goes to the collection
+   * directly, as the model refuses deletes.
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async purgeExpired() {
+    if (!this.config.retentionDays) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+    const result = await AuditLog.collection.deleteMany({ createdAt: { $lt: cutoff } });
+    if (result.deletedCount) {
+      console.log(`Purged ${result.deletedCount} audit log entries older than ${cutoff.toISOString()}`);
+    }
+    return result.deletedCount;
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,126 @@
+const FreeTierUsage = require('../models/FreeTierUsage');
+const SubscriptionLifecycleService = require('./SubscriptionLifecycleService');
+const { getChannels } = require('./providers');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+/**
+ * Entitlement Service
+ * Decides whether a user may use a premium feature, either through an
+ * active subscription or through the daily free tier
+ */
+class EntitlementService {
+  constructor() {
+    this.subscriptionConfig = getServiceConfig('subscription');
+    this.lifecycleService = new SubscriptionLifecycleService();
+  }
+
+  /**
+   * Get the active subscription for a user, including one in its grace period
+   * @param {string} userId - User UUID
+   * @returns {Promise<object|null>} Active subscription document or null
+   */
+  async getActiveSubscription(userId) {
+    return this.lifecycleService.getAccessSubscription(userId);
+  }
+
+  /**
+   * Get the daily free tier limit for a feature
+   * @param {string} feature - Feature name (randomQuestions, examAttempts, courseContent, practice, practiceReviews)
+   * @returns {number} Allowed uses per day
+   */
+  getFreeTierLimit(feature) {
+    const limit = this.subscriptionConfig.freeTier[feature];
+    return Number.isInteger(limit) && limit > 0 ? limit : 0;
+  }
+
+  /**
+   * Consume one free tier use for a feature, if any remain today
+   * @param {string} userId - User UUID
+   * @param {string} feature - Feature name
+   * @returns {Promise<object>} { allowed, limit, used }
+   */
+  async consumeFreeTier(userId, feature) {
+    const limit = this.getFreeTierLimit(feature);
+    const day = new Date().toISOString().slice(0, 10);
+
+    if (limit === 0) {
+      return { allowed: false, limit, used: 0 };
+    }
+
+    try {
+      // The count condition stops the increment once the limit is reached;
+      // the upsert then collides with the unique index instead of creating a second counter
+      const usage = await FreeTierUsage.findOneAndUpdate(
+        { userId, feature, day, count: { $lt: limit } },
+        { $inc: { count: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      return { allowed: true, limit, used: usage.count };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { allowed: false, limit, used: limit };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a free tier use remains today, without consuming it
+   * @param {string} userId - User UUID
+   * @param {string} feature - Feature name
+   * @returns {Promise<object>} { allowed, limit, used }
+   */
+  async peekFreeTier(userId, feature) {
+    const limit = this.getFreeTierLimit(feature);
+    const day = new Date().toISOString().slice(0, 10);
+
+    const usage = limit > 0 ? await FreeTierUsage.findOne({ userId, feature, day }) : null;
+    const used = usage ? usage.count : 0;
+    return { allowed: used < limit, limit, used };
+  }
+
+  /**
+   * Check whether a user may use a feature, consuming a free tier use when needed
+   * @param {object} user - Authenticated user (req.user)
+   * @param {string} feature - Feature name
+   * @param {object} options
+   * @param {boolean} options.consume - false to only check whether a free tier use remains
+   * @returns {Promise<object>} { allowed, reason, subscription, freeTier }
+   */
+  async checkAccess(user, feature, { consume = true } = {}) {
+    if (this.subscriptionConfig.exemptRoles.includes(user.role)) {
+      return { allowed: true, reason: 'ROLE_EXEMPT', subscription: null, freeTier: null };
+    }
+
+    const subscription = await this.getActiveSubscription(user.id);
+    if (subscription) {
+      return { allowed: true, reason: 'SUBSCRIBED', subscription, freeTier: null };
+    }
+
+    const freeTier = consume
+      ? await this.consumeFreeTier(user.id, feature)
+      : await this.peekFreeTier(user.id, feature);
+    return {
+      allowed: freeTier.allowed,
+      reason: freeTier.allowed ? 'FREE_TIER' : 'SUBSCRIPTION_REQUIRED',
+      subscription: null,
+      freeTier
+    };
+  }
+
+  /**
+   * Describe how a client can subscribe, for inclusion in 402 responses
+   * @returns {object} Subscription instructions
+   */
+  getSubscribeInstructions() {
+    return {
+      method: 'POST',
+      endpoint: this.subscriptionConfig.paymentEndpoint,
+      plansEndpoint: this.subscriptionConfig.plansEndpoint,
+      paymentChannels: getChannels(),
+      requiredFields: ['userId', 'planId', 'msisdn', 'paymentChannel']
+    };
+  }
+}
+
+module.exports = EntitlementService;
@@ -0,0 +1,169 @@
+const ExamAttempt = require("../models/ExamAttempt")
+const Exam = require("../models/Exam")
+const CourseEnrollment = require("../models/CourseEnrollment")
+const SpacedRepetitionService = require("./SpacedRepetitionService")
+const { GRACE_MS, EXPIRY_SWEEP_INTERVAL_MS } = require("../config/examAttempts")
+
+let sweepTimer = null
+
+class ExamAttemptService {
+  static deadlineFor(exam, startTime = new Date()) {
+    return new Date(startTime.getTime() + exam.duration * 60 * 1000)
+  }
+
+  // Start an attempt; exam mode attempts get a deadline
+  static async createAttempt(userId, exam, mode) {
+    const startTime = new Date()
+    const attempt = new ExamAttempt({
+      user: userId,
+      exam: exam._id,
+      course: exam.course,
+      mode,
+      startTime,
+      deadline: mode === "exam" ? ExamAttemptService.deadlineFor(exam, startTime) : undefined,
+      answers: [],
+      status: "in-progress",
+    })
+    await attempt.save()
+    return attempt
+  }
+
+  // Score an in-progress attempt and close it. Attempts that run out of time
+  // without a single answer are marked abandoned instead of completed.
+  // exam must be the attempt's exam document. The attempt is claimed with a
+  // conditional update, so when a submit races the expiry sweep only one of them
+  // finishes it and runs the side effects; the other gets null. Either way the
+  // attempt passed in is updated to the final state.
+  static async finish(attempt, exam, { autoSubmitted = false } = {}) {
+    const totalQuestions = exam.questions.length
+    const correctAnswers = attempt.answers.filter((answer) => answer.isCorrect).length
+    const score = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0
+    const isPassed = score >= exam.passingScore
+
+    const result = {
+      endTime: new Date(),
+      score,
+      isPassed,
+      autoSubmitted,
+      status: autoSubmitted && attempt.answers.length === 0 ? "abandoned" : "completed",
+    }
+
+    const claimed = await ExamAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: "in-progress" },
+      { $set: result },
+      { new: true },
+    )
+
+    if (!claimed) {
+      const current = await ExamAttempt.findById(attempt._id).select("endTime score isPassed autoSubmitted status")
+      if (current) {
+        for (const field of Object.keys(result)) attempt[field] = current[field]
+      }
+      return null
+    }
+
+    Object.assign(attempt, result)
+
+    if (attempt.status === "completed" && exam.course && isPassed) {
+      await ExamAttemptService.updateCourseProgress(attempt.user, exam.course)
+    }
+
+    if (attempt.status === "completed") {
+      // The schedule is a convenience; a failure here must not fail the exam
+      SpacedRepetitionService.recordCompletedAttempt(attempt).catch((error) =>
+        console.error(`Spaced repetition update for attempt ${attempt._id} error:`, error),
+      )
+    }
+
+    return attempt
+  }
+
+  // Course progress is the share of the course's published exams the user has passed
+  static async updateCourseProgress(userId, courseId) {
+    const enrollment = await CourseEnrollment.findOne({
+      user: userId,
+      course: courseId,
+      status: "active",
+    })
+    if (!enrollment) return
+
+    const courseExams = await Exam.countDocuments({ course: courseId, status: "Published" })
+    if (courseExams === 0) return
+
+    const completedExams = await ExamAttempt.countDocuments({
+      user: userId,
+      course: courseId,
+      status: "completed",
+      isPassed: true,
+    })
+
+    const progress = Math.min(Math.round((completedExams / courseExams) * 100), 100)
+    enrollment.progress = progress
+
+    // If progress is 100%, mark course as completed
+    if (progress === 100 && !enrollment.completedAt) {
+      enrollment.completedAt = new Date()
+    }
+
+    await enrollment.save()
+  }
+
+  // Finish every in-progress attempt past its deadline and grace window.
+  // Exam mode attempts started before deadlines were recorded get one from their exam first.
+  static async expireOverdue() {
+    const now = Date.now()
+
+    const undated = await ExamAttempt.find({
+      status: "in-progress",
+      mode: { $ne: "practice" },
+      deadline: { $exists: false },
+    }).populate("exam", "duration")
+    for (const attempt of undated) {
+      if (!attempt.exam) continue
+      attempt.deadline = ExamAttemptService.deadlineFor(attempt.exam, attempt.startTime)
+      await attempt.save()
+    }
+
+    const overdue = await ExamAttempt.find({
+      status: "in-progress",
+      deadline: { $lt: new Date(now - GRACE_MS) },
+    })
+
+    let finished = 0
+    for (const attempt of overdue) {
+      try {
+        const exam = await Exam.findById(attempt.exam)
+        if (!exam) continue
+        if (await ExamAttemptService.finish(attempt, exam, { autoSubmitted: true })) finished += 1
+      } catch (error) {
+        console.error(`Expire exam attempt ${attempt._id} error:`, error)
+      }
+    }
+
+    if (finished > 0) {
+      console.log(`Finished ${finished} exam attempt(s) past their deadline`)
+    }
+    return finished
+  }
+
+  // Run expireOverdue on an interval in this process
+  static start() {
+    if (sweepTimer) return
+
+    sweepTimer = setInterval(() => {
+      ExamAttemptService.expireOverdue().catch((error) => console.error("Exam attempt expiry sweep error:", error))
+    }, EXPIRY_SWEEP_INTERVAL_MS)
+
+    // Do not keep the process alive just for the sweep
+    sweepTimer.unref()
+  }
+
+  static stop() {
+    if (sweepTimer) {
+      clearInterval(sweepTimer)
+      sweepTimer = null
+    }
+  }
+}
+
+module.exports = ExamAttemptService
@@ -0,0 +1,88 @@
+const Exam = require("../models/Exam")
+const ExamAttempt = require("../models/ExamAttempt")
+const Question = require("../models/Question")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+const sampleQuestionIds = async (match, size) => {
+  if (size <= 0) return []
+  const questions = await Question.aggregate([{ $match: match }, { $sample: { size } }, { $project: { _id: 1 } }])
+  return questions.map((question) => question._id)
+}
+
+class ExamBlueprintService {
+  // IDs of the questions in exams the user attempted in the last `days` days
+  static async recentQuestionIds(userId, days) {
+    if (!days) return []
+
+    const exams = await ExamAttempt.distinct("exam", {
+      user: userId,
+      startTime: { $gte: new Date(Date.now() - days * DAY_MS) },
+    })
+    return Exam.distinct("questions", { _id: { $in: exams } })
+  }
+
+  // Build a mock exam for a user from a blueprint. Each section takes questions
+  // the user has not seen recently, and only falls back to recent ones when its
+  // category has too few. Returns { exam } (not saved yet), or { shortfall }
+  // naming the first section without enough active questions.
+  static async generateExam(blueprint, userId) {
+    const recent = await ExamBlueprintService.recentQuestionIds(userId, blueprint.recentDays)
+    const chosen = []
+
+    for (const section of blueprint.sections) {
+      const match = { status: "Active", category: section.category }
+      if (section.difficulty) match.difficulty = section.difficulty
+
+      const fresh = await sampleQuestionIds({ ...match, _id: { $nin: [...recent, ...chosen] } }, section.questionCount)
+      const repeats = await sampleQuestionIds(
+        { ...match, _id: { $in: recent, $nin: [...chosen, ...fresh] } },
+        section.questionCount - fresh.length,
+      )
+
+      const picked = [...fresh, ...repeats]
+      if (picked.length < section.questionCount) {
+        return {
+          shortfall: {
+            category: section.category,
+            difficulty: section.difficulty,
+            needed: section.questionCount,
+            available: picked.length,
+          },
+        }
+      }
+      chosen.push(...picked)
+    }
+
+    const exam = new Exam({
+      title: blueprint.name,
+      description: blueprint.description || `Mock exam in the format of ${blueprint.name}`,
+      duration: blueprint.duration,
+      passingScore: blueprint.passingScore,
+      language: blueprint.language,
+      questions: shuffle(chosen),
+      category: blueprint.sections[0].category,
+      blueprint: blueprint._id,
+      generatedFor: userId,
+      isAutogenerated: true,
+      // Mock exams rehearse the real test, so no feedback before the end
+      attemptModes: ["exam"],
+      defaultMode: "exam",
+      status: "Published",
+      createdBy: userId,
+    })
+
+    return { exam }
+  }
+}
+
+module.exports = ExamBlueprintService
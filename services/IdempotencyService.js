@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash equally
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Idempotency Service
+ * Claims Idempotency-Key headers and stores the response of the first request,
+ * so retried payment initiations return the original result instead of
+ * starting a second transaction
+ */
+class IdempotencyService {
+  constructor() {
+    this.config = getServiceConfig('idempotency');
+  }
+
+  /**
+   * Fingerprint a request body
+   * @param {object} body - Parsed request body
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(body) {
+    return crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {object} request - { key, userId, endpoint, requestHash }
+   * @returns {Promise<object>} { state, record } where state is
+   *   NEW (run the request), REPLAY (return record's response),
+   *   MISMATCH (key used with another body) or IN_PROGRESS (first request still running)
+   */
+  async claim({ key, userId, endpoint, requestHash }) {
+    const now = Date.now();
+
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        userId,
+        endpoint,
+        requestHash,
+        lockedUntil: new Date(now + this.config.lockTimeoutMs),
+        expiresAt: new Date(now + this.config.ttlMs)
+      });
+      return { state: 'NEW', record };
+    } catch (error) {
+      // Anything but a duplicate key means the claim itself failed
+      if (error.code !== 11000) {
+        throw new Error(`Failed to claim idempotency key: ${error.message}`);
+      }
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, userId, endpoint });
+    if (!existing) {
+      // Expired between the insert and the lookup
+      return this.claim({ key, userId, endpoint, requestHash });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return { state: 'MISMATCH', record: existing };
+    }
+
+    if (existing.status === 'COMPLETED') {
+      return { state: 'REPLAY', record: existing };
+    }
+
+    // Take over a claim whose request never produced a response
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'IN_PROGRESS', lockedUntil: { $lte: new Date(now) } },
+      { $set: { lockedUntil: new Date(now + this.config.lockTimeoutMs) } },
+      { new: true }
+    );
+    if (takenOver) {
+      return { state: 'NEW', record: takenOver };
+    }
+
+    return { state: 'IN_PROGRESS', record: existing };
+  }
+
+  /**
+   * Store the response of a claimed request for replay
+   * @param {object} record - Claimed IdempotencyKey document
+   * @param {number} responseStatus - HTTP status sent
+   * @param {object} responseBody - JSON body sent
+   */
+  async complete(record, responseStatus, responseBody) {
+    await IdempotencyKey.updateOne(
+      { _id: record._id, status: 'IN_PROGRESS' },
+      {
+        $set: {
+          status: 'COMPLETED',
+          responseStatus,
+          responseBody,
+          completedAt: new Date()
+        },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Drop a claim so the request can be retried with the same key
+   * @param {object} record - Claimed IdempotencyKey document
+   */
+  async release(record) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'IN_PROGRESS' });
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,533 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementReport = require('../models/SettlementReport');
+const Subscription = require('../models/Subscription');
+const { getProvider, getChannels } = require('./providers');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+  'date', 'channel', 'currency', 'collection_count', 'collected', 'refund_count', 'refunded',
+  'fees', 'net', 'ledger_balance', 'provider_balance', 'balance_difference', 'balance_status'
+];
+
+/**
+ * Round a money amount to 2 decimals
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * UTC day of a date in YYYY-MM-DD format
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Ledger Service
+ * Posts immutable double-entry journals for subscription collections, refunds
+ * and channel fees, and builds daily settlement reports per channel and
+ * currency that are checked against provider balances.
+ *
+ * Posting is idempotent (a journal key is only ever written once), so callers
+ * can post again after a failure and backfill() can fill gaps.
+ */
+class LedgerService {
+  constructor() {
+    this.config = getServiceConfig('ledger');
+    this.timer = null;
+  }
+
+  /**
+   * Start the in-process schedule that generates yesterday's settlement report
+   */
+  start() {
+    if (this.timer || !this.config.settlementReportsEnabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.generateDueReport().catch((error) => console.error('Scheduled settlement report error:', error));
+    }, this.config.settlementCheckIntervalMs);
+
+    // Do not keep the process alive just for settlement reports
+    this.timer.unref();
+    console.log(`Settlement report check scheduled every ${this.config.settlementCheckIntervalMs}ms`);
+  }
+
+  /**
+   * Stop the in-process schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Write the DEBIT and CREDIT legs of a journal
+   * @param {object} journal - Journal data
+   * @param {string} journal.key - Unique journal key
+   * @param {string} journal.type - COLLECTION, REFUND or FEE
+   * @param {string} journal.debit - Account debited
+   * @param {string} journal.credit - Account credited
+   * @param {number} journal.amount - Amount moved
+   * @param {object} journal.subscription - Originating subscription
+   * @returns {Promise<boolean>} false when the journal was already posted
+   */
+  async postJournal({ key, type, debit, credit, amount, subscription, reference, description, occurredAt }) {
+    if (!(amount > 0)) {
+      throw new Error(`Invalid ${type} amount for journal ${key}: ${amount}`);
+    }
+
+    const common = {
+      journalKey: key,
+      journalType: type,
+      amount: roundAmount(amount),
+      currency: subscription.currency,
+      channel: subscription.paymentChannel,
+      subscriptionId: String(subscription._id),
+      userId: subscription.userId,
+      reference,
+      description,
+      occurredAt: occurredAt || new Date()
+    };
+
+    try {
+      // Unordered, so a retry after a half-written journal still writes the missing leg
+      await LedgerEntry.insertMany([
+        { ...common, account: debit, direction: 'DEBIT' },
+        { ...common, account: credit, direction: 'CREDIT' }
+      ], { ordered: false });
+      return true;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates = error.code === 11000 ||
+        (writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000));
+
+      // Already posted (any missing leg has now been written)
+      if (onlyDuplicates) {
+        return false;
+      }
+      throw new Error(`Failed to post ${type} journal ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post the collection of a paid subscription, and the channel fee when one is configured
+   * @param {object} subscription - Subscription document that settled SUCCESSFUL
+   * @returns {Promise<object>} { collection, fee } - whether each journal was newly posted
+   */
+  async recordCollection(subscription) {
+    const occurredAt = subscription.processedAt || subscription.completedAt || new Date();
+
+    const collection = await this.postJournal({
+      key: `COLLECTION:${subscription._id}`,
+      type: 'COLLECTION',
+      debit: 'PROVIDER_CLEARING',
+      credit: 'SUBSCRIPTION_REVENUE',
+      amount: subscription.amount,
+      subscription,
+      reference: subscription.transactionId,
+      description: `${subscription.paymentChannel} collection for ${subscription.numberOfMonths} month(s)`,
+      occurredAt
+    });
+
+    let fee = false;
+    const feeAmount = roundAmount(subscription.amount * (this.config.feePercent[subscription.paymentChannel] || 0) / 100);
+    if (feeAmount > 0) {
+      fee = await this.postJournal({
+        key: `FEE:${subscription._id}`,
+        type: 'FEE',
+        debit: 'PROVIDER_FEES',
+        credit: 'PROVIDER_CLEARING',
+        amount: feeAmount,
+        subscription,
+        reference: subscription.transactionId,
+        description: `${subscription.paymentChannel} collection fee`,
+        occurredAt
+      });
+    }
+
+    return { collection, fee };
+  }
+
+  /**
+   * Post a successful refund
+   * @param {object} subscription - Subscription the refund belongs to
+   * @param {object} refund - Successful refund attempt
+   * @returns {Promise<boolean>} false when the refund was already posted
+   */
+  async recordRefund(subscription, refund) {
+    return this.postJournal({
+      key: `REFUND:${refund.refundId}`,
+      type: 'REFUND',
+      debit: 'REFUNDS',
+      credit: 'PROVIDER_CLEARING',
+      amount: refund.amount,
+      subscription,
+      reference: refund.refundId,
+      description: `Refund of ${refund.unusedMonths} unused month(s)`,
+      occurredAt: refund.completedAt || new Date()
+    });
+  }
+
+  /**
+   * Post any collections and refunds missing from the ledger
+   * @param {object} filters - { dateFrom, dateTo } on the subscription's payment date
+   * @returns {Promise<object>} Counts of journals posted
+   */
+  async backfill(filters = {}) {
+    try {
+      // processedAt is only set when a subscription settles SUCCESSFUL
+      const query = { processedAt: { $exists: true } };
+      if (filters.dateFrom || filters.dateTo) {
+        query.processedAt = {
+          ...query.processedAt,
+          ...(filters.dateFrom ? { $gte: new Date(filters.dateFrom) } : {}),
+          ...(filters.dateTo ? { $lte: new Date(filters.dateTo) } : {})
+        };
+      }
+
+      const result = { checked: 0, collections: 0, fees: 0, refunds: 0 };
+      const cursor = Subscription.find(query).cursor();
+
+      for await (const subscription of cursor) {
+        result.checked += 1;
+
+        const posted = await this.recordCollection(subscription);
+        if (posted.collection) result.collections += 1;
+        if (posted.fee) result.fees += 1;
+
+        for (const refund of subscription.refunds || []) {
+          if (refund.status === 'SUCCESSFUL' && await this.recordRefund(subscription, refund)) {
+            result.refunds += 1;
+          }
+        }
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to backfill ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get ledger entries
+   * @param {object} filters - subscriptionId, channel, currency, journalType, account, dateFrom, dateTo, limit, skip
+   * @returns {Promise<object>} Entries with pagination
+   */
+  async getEntries(filters = {}) {
+    try {
+      const query = {};
+
+      ['subscriptionId', 'channel', 'currency', 'journalType', 'account'].forEach((field) => {
+        if (filters[field]) {
+          query[field] = filters[field];
+        }
+      });
+
+      if (filters.dateFrom && filters.dateTo) {
+        query.occurredAt = {
+          $gte: new Date(filters.dateFrom),
+          $lte: new Date(filters.dateTo)
+        };
+      }
+
+      const limit = filters.limit || 50;
+      const skip = filters.skip || 0;
+
+      const entries = await LedgerEntry.find(query)
+        .sort({ occurredAt: -1, journalKey: 1, direction: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await LedgerEntry.countDocuments(query);
+
+      return {
+        entries: entries.map(entry => entry.toEntryDTO()),
+        total,
+        limit,
+        skip
+      };
+    } catch (error) {
+      throw new Error(`Failed to get ledger entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every entry for a subscription with its totals
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<object>} { subscriptionId, entries, totals }
+   */
+  async getSubscriptionLedger(subscriptionId) {
+    try {
+      const entries = await LedgerEntry.find({ subscriptionId: String(subscriptionId) })
+        .sort({ occurredAt: 1, journalKey: 1, direction: -1 });
+
+      const totals = { collected: 0, refunded: 0, fees: 0 };
+      entries
+        .filter(entry => entry.account === 'PROVIDER_CLEARING')
+        .forEach((entry) => {
+          if (entry.journalType === 'COLLECTION') totals.collected += entry.amount;
+          else if (entry.journalType === 'REFUND') totals.refunded += entry.amount;
+          else if (entry.journalType === 'FEE') totals.fees += entry.amount;
+        });
+      totals.net = roundAmount(totals.collected - totals.refunded - totals.fees);
+
+      return {
+        subscriptionId: String(subscriptionId),
+        entries: entries.map(entry => entry.toEntryDTO()),
+        totals
+      };
+    } catch (error) {
+      throw new Error(`Failed to get subscription ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sum the provider clearing legs of a day per channel, currency and journal type
+   * @param {string} date - UTC day in YYYY-MM-DD format
+   * @returns {Promise<Array>} Settlement rows
+   */
+  async summarizeDay(date) {
+    const from = new Date(`${date}T00:00:00.000Z`);
+    const to = new Date(from.getTime() + DAY_MS);
+
+    const groups = await LedgerEntry.aggregate([
+      { $match: { account: 'PROVIDER_CLEARING', occurredAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { channel: '$channel', currency: '$currency', journalType: '$journalType' },
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const rows = new Map();
+    groups.forEach(({ _id, total, count }) => {
+      const rowKey = `${_id.channel}:${_id.currency}`;
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, {
+          channel: _id.channel,
+          currency: _id.currency,
+          collectionCount: 0,
+          collected: 0,
+          refundCount: 0,
+          refunded: 0,
+          fees: 0
+        });
+      }
+
+      const row = rows.get(rowKey);
+      if (_id.journalType === 'COLLECTION') {
+        row.collectionCount = count;
+        row.collected = roundAmount(total);
+      } else if (_id.journalType === 'REFUND') {
+        row.refundCount = count;
+        row.refunded = roundAmount(total);
+      } else if (_id.journalType === 'FEE') {
+        row.fees = roundAmount(total);
+      }
+    });
+
+    return [...rows.values()]
+      .map(row => ({ ...row, net: roundAmount(row.collected - row.refunded - row.fees) }))
+      .sort((a, b) => a.channel.localeCompare(b.channel) || a.currency.localeCompare(b.currency));
+  }
+
+  /**
+   * Compare the ledger's provider clearing balance with each provider's available balance
+   * @param {Array} pairs - [{ channel, currency }] to check
+   * @returns {Promise<Array>} Balance checks
+   */
+  async checkBalances(pairs) {
+    const checks = [];
+
+    for (const { channel, currency } of pairs) {
+      const checkedAt = new Date();
+      const [ledger] = await LedgerEntry.aggregate([
+        { $match: { account: 'PROVIDER_CLEARING', channel, currency } },
+        {
+          $group: {
+            _id: null,
+            balance: { $sum: { $cond: [{ $eq: ['$direction', 'DEBIT'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+          }
+        }
+      ]);
+      const ledgerBalance = roundAmount(ledger ? ledger.balance : 0);
+
+      try {
+        const balance = await getProvider(channel).getAvailableBalance(currency);
+        if (Number.isNaN(balance.amount)) {
+          throw new Error('Provider returned no balance');
+        }
+        if (balance.currency && balance.currency !== currency) {
+          throw new Error(`Provider reported a ${balance.currency} balance`);
+        }
+
+        const difference = roundAmount(balance.amount - ledgerBalance);
+        checks.push({
+          channel,
+          currency,
+          ledgerBalance,
+          providerBalance: balance.amount,
+          difference,
+          status: Math.abs(difference) <= this.config.balanceTolerance ? 'MATCHED' : 'MISMATCH',
+          checkedAt
+        });
+      } catch (error) {
+        checks.push({ channel, currency, ledgerBalance, status: 'ERROR', error: error.message, checkedAt });
+      }
+    }
+
+    return checks;
+  }
+
+  /**
+   * Build (or rebuild) the settlement report of a day
+   * @param {string} date - UTC day in YYYY-MM-DD format
+   * @param {object} options - { trigger, generatedBy }
+   * @returns {Promise<object>} Report data
+   */
+  async generateSettlementReport(date, { trigger = 'SCHEDULED', generatedBy } = {}) {
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new Error('Date must be in YYYY-MM-DD format');
+    }
+
+    try {
+      const rows = await this.summarizeDay(date);
+
+      // Every channel is checked in the currencies it moved that day (RWF when idle)
+      const pairs = [];
+      getChannels().forEach((channel) => {
+        const currencies = rows.filter(row => row.channel === channel).map(row => row.currency);
+        (currencies.length > 0 ? currencies : ['RWF']).forEach(currency => pairs.push({ channel, currency }));
+      });
+      const balanceChecks = await this.checkBalances(pairs);
+
+      const report = await SettlementReport.findOneAndUpdate(
+        { date },
+        { $set: { trigger, generatedBy, generatedAt: new Date(), rows, balanceChecks } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      return report.toReportDTO();
+    } catch (error) {
+      throw new Error(`Failed to generate settlement report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate yesterday's report if it does not exist yet
+   * @returns {Promise<object|null>} Report data, or null when it already existed
+   */
+  async generateDueReport() {
+    const yesterday = toDay(new Date(Date.now() - DAY_MS));
+    if (await SettlementReport.exists({ date: yesterday })) {
+      return null;
+    }
+    return this.generateSettlementReport(yesterday);
+  }
+
+  /**
+   * List settlement reports without their rows
+   * @param {object} filters - dateFrom, dateTo (YYYY-MM-DD), limit, skip
+   * @returns {Promise<object>} Reports with pagination
+   */
+  async getSettlementReports(filters = {}) {
+    try {
+      const query = {};
+      if (filters.dateFrom && filters.dateTo) {
+        query.date = { $gte: filters.dateFrom, $lte: filters.dateTo };
+      }
+
+      const limit = filters.limit || 31;
+      const skip = filters.skip || 0;
+
+      const reports = await SettlementReport.find(query)
+        .sort({ date: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await SettlementReport.countDocuments(query);
+
+      return {
+        reports: reports.map(report => report.toReportDTO(false)),
+        total,
+        limit,
+        skip
+      };
+    } catch (error) {
+      throw new Error(`Failed to get settlement reports: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the settlement report of a day
+   * @param {string} date - UTC day in YYYY-MM-DD format
+   * @returns {Promise<object>} Report data
+   */
+  async getSettlementReport(date) {
+    try {
+      const report = await SettlementReport.findOne({ date });
+      if (!report) {
+        throw new Error('Settlement report not found');
+      }
+      return report.toReportDTO();
+    } catch (error) {
+      throw new Error(`Failed to get settlement report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a settlement report as CSV, one line per channel and currency
+   * @param {object} report - Report data from getSettlementReport()
+   * @returns {string} CSV text with a header line
+   */
+  toCsv(report) {
+    const lines = [CSV_COLUMNS.join(',')];
+    const keys = new Set();
+
+    report.rows.forEach(row => keys.add(`${row.channel}:${row.currency}`));
+    report.balanceChecks.forEach(check => keys.add(`${check.channel}:${check.currency}`));
+
+    [...keys].sort().forEach((key) => {
+      const [channel, currency] = key.split(':');
+      const row = report.rows.find(r => r.channel === channel && r.currency === currency) || {};
+      const check = report.balanceChecks.find(c => c.channel === channel && c.currency === currency) || {};
+
+      lines.push([
+        report.date,
+        channel,
+        currency,
+        row.collectionCount || 0,
+        row.collected || 0,
+        row.refundCount || 0,
+        row.refunded || 0,
+        row.fees || 0,
+        row.net || 0,
+        check.ledgerBalance,
+        check.providerBalance,
+        check.difference,
+        check.status
+      ].map(toCsvValue).join(','));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = LedgerService;
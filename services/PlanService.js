@@ -0,0 +1,180 @@
+const Plan = require('../models/Plan');
+
+/**
+ * Plan Service
+ * Manages the subscription plan catalogue and computes subscription prices
+ */
+class PlanService {
+  /**
+   * Create a plan
+   * @param {object} planData - Plan fields
+   * @param {string} userId - Admin creating the plan
+   * @returns {Promise<object>} Plan data
+   */
+  async createPlan(planData, userId) {
+    try {
+      const plan = new Plan({
+        code: planData.code,
+        name: planData.name,
+        description: planData.description,
+        features: planData.features || [],
+        durationMonths: planData.durationMonths,
+        maxMonths: planData.maxMonths,
+        prices: planData.prices,
+        termDiscounts: planData.termDiscounts || [],
+        isActive: planData.isActive !== undefined ? planData.isActive : true,
+        createdBy: userId
+      });
+
+      await plan.save();
+      return plan.toPlanDTO(true);
+    } catch (error) {
+      throw new Error(`Failed to create plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a plan; price or discount changes archive the previous pricing
+   * @param {string} planId - Plan ID
+   * @param {object} planData - Fields to update
+   * @param {string} userId - Admin updating the plan
+   * @returns {Promise<object>} Plan data
+   */
+  async updatePlan(planId, planData, userId) {
+    try {
+      const plan = await Plan.findById(planId);
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+
+      const pricingChanged = planData.prices !== undefined || planData.termDiscounts !== undefined;
+
+      if (pricingChanged) {
+        const now = new Date();
+        plan.priceHistory.push({
+          version: plan.version,
+          prices: plan.prices.map(price => price.toObject()),
+          termDiscounts: plan.termDiscounts.map(discount => discount.toObject()),
+          effectiveFrom: plan.priceEffectiveFrom || plan.createdAt,
+          effectiveTo: now,
+          changedBy: userId
+        });
+        plan.version += 1;
+        plan.priceEffectiveFrom = now;
+
+        if (planData.prices !== undefined) plan.prices = planData.prices;
+        if (planData.termDiscounts !== undefined) plan.termDiscounts = planData.termDiscounts;
+      }
+
+      if (planData.name) plan.name = planData.name;
+      if (planData.description !== undefined) plan.description = planData.description;
+      if (planData.features !== undefined) plan.features = planData.features;
+      if (planData.durationMonths) plan.durationMonths = planData.durationMonths;
+      if (planData.maxMonths) plan.maxMonths = planData.maxMonths;
+      if (planData.isActive !== undefined) plan.isActive = planData.isActive;
+
+      await plan.save();
+      return plan.toPlanDTO(true);
+    } catch (error) {
+      throw new Error(`Failed to update plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deactivate a plan; plans are never deleted because subscriptions reference them
+   * @param {string} planId - Plan ID
+   * @returns {Promise<object>} Plan data
+   */
+  async deactivatePlan(planId) {
+    try {
+      const plan = await Plan.findById(planId);
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+
+      plan.isActive = false;
+      await plan.save();
+      return plan.toPlanDTO(true);
+    } catch (error) {
+      throw new Error(`Failed to deactivate plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get plans
+   * @param {boolean} includeInactive - Include deactivated plans
+   * @returns {Promise<Array>} List of plans
+   */
+  async getPlans(includeInactive = false) {
+    try {
+      const query = includeInactive ? {} : { isActive: true };
+      const plans = await Plan.find(query).sort({ durationMonths: 1, createdAt: 1 });
+      return plans.map(plan => plan.toPlanDTO(includeInactive));
+    } catch (error) {
+      throw new Error(`Failed to get plans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get plan by ID
+   * @param {string} planId - Plan ID
+   * @param {boolean} includeHistory - Include price history
+   * @returns {Promise<object>} Plan data
+   */
+  async getPlanById(planId, includeHistory = false) {
+    try {
+      const plan = await Plan.findById(planId);
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+      return plan.toPlanDTO(includeHistory);
+    } catch (error) {
+      throw new Error(`Failed to get plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute the price of a plan for a term and currency
+   * @param {string} planId - Plan ID
+   * @param {number} numberOfMonths - Months to buy (defaults to the plan duration)
+   * @param {string} currency - Currency code
+   * @returns {Promise<object>} Pricing snapshot to store on the subscription
+   */
+  async quote(planId, numberOfMonths, currency = 'RWF') {
+    const plan = await Plan.findById(planId);
+    if (!plan || !plan.isActive) {
+      throw new Error('Plan not found or inactive');
+    }
+
+    const months = numberOfMonths || plan.durationMonths;
+    if (!Number.isInteger(months) || months < 1 || months > plan.maxMonths) {
+      throw new Error(`Number of months must be between 1 and ${plan.maxMonths}`);
+    }
+
+    const monthlyPrice = plan.getMonthlyPrice(currency);
+    if (monthlyPrice === null) {
+      throw new Error(`Plan is not available in ${currency}`);
+    }
+
+    const subtotal = monthlyPrice * months;
+    const discountPercent = plan.getDiscountPercent(months);
+    const discountAmount = Math.round(subtotal * discountPercent) / 100;
+    const total = Math.round((subtotal - discountAmount) * 100) / 100;
+
+    return {
+      planId: plan._id,
+      planCode: plan.code,
+      planName: plan.name,
+      planVersion: plan.version,
+      currency,
+      monthlyPrice,
+      numberOfMonths: months,
+      subtotal,
+      discountPercent,
+      discountAmount,
+      total
+    };
+  }
+}
+
+module.exports = PlanService;
@@ -0,0 +1,69 @@
+const RateLimitBucket = require("../models/RateLimitBucket")
+const { RATE_LIMITS, RATE_LIMIT_STORE } = require("../config/rateLimits")
+
+// In-process counters, used when RATE_LIMIT_STORE=memory
+const memoryBuckets = new Map()
+
+const memoryHit = (bucket, windowStart, expiresAt) => {
+  const now = Date.now()
+  for (const [key, entry] of memoryBuckets) {
+    if (entry.expiresAt <= now) memoryBuckets.delete(key)
+  }
+
+  const key = `${bucket}|${windowStart}`
+  const entry = memoryBuckets.get(key) || { bucket, count: 0, expiresAt }
+  entry.count += 1
+  memoryBuckets.set(key, entry)
+  return entry.count
+}
+
+const mongoHit = async (bucket, windowStart, expiresAt) => {
+  const record = await RateLimitBucket.findOneAndUpdate(
+    { bucket, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true },
+  )
+  return record.count
+}
+
+class RateLimitService {
+  static bucketName(rule, scope, id) {
+    return `${rule}:${scope}:${String(id).toLowerCase()}`
+  }
+
+  // Count one request against a bucket.
+  // Returns the count so far in the current window and the seconds until it ends.
+  static async hit(bucket, windowMs) {
+    const now = Date.now()
+    const windowStart = Math.floor(now / windowMs) * windowMs
+    const expiresAt = windowStart + windowMs
+
+    const count =
+      RATE_LIMIT_STORE === "memory"
+        ? memoryHit(bucket, windowStart, expiresAt)
+        : await mongoHit(bucket, new Date(windowStart), new Date(expiresAt))
+
+    return { count, retryAfter: Math.ceil((expiresAt - now) / 1000) }
+  }
+
+  // Clear every per-account bucket of the given identifiers (user ID, phone number, email)
+  static async resetAccount(...ids) {
+    const buckets = []
+    for (const rule of Object.keys(RATE_LIMITS)) {
+      for (const id of ids.filter(Boolean)) {
+        buckets.push(RateLimitService.bucketName(rule, "account", id))
+      }
+    }
+
+    if (RATE_LIMIT_STORE === "memory") {
+      for (const [key, entry] of memoryBuckets) {
+        if (buckets.includes(entry.bucket)) memoryBuckets.delete(key)
+      }
+      return
+    }
+
+    await RateLimitBucket.deleteMany({ bucket: { $in: buckets } })
+  }
+}
+
+module.exports = RateLimitService
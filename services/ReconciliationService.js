@@ -0,0 +1,340 @@
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const PaymentService = require('./PaymentService');
+const MTNCollectionService = require('./MTNCollectionService');
+const SubscriptionSettlementService = require('./SubscriptionSettlementService');
+const SubscriptionRefundService = require('./SubscriptionRefundService');
+const { getProvider } = require('./providers');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+// Shared across instances so scheduled and manual runs never overlap
+let activeRun = null;
+
+/**
+ * Reconciliation Service
+ * Polls providers for subscriptions and payments stuck in PENDING because a
+ * callback never arrived, backing off between checks and expiring records that
+ * never resolve. Every run is written to the ReconciliationReport collection.
+ */
+class ReconciliationService {
+  constructor() {
+    this.config = getServiceConfig('reconciliation');
+    this.paymentService = new PaymentService();
+    this.collectionService = new MTNCollectionService();
+    this.settlementService = new SubscriptionSettlementService();
+    this.refundService = new SubscriptionRefundService();
+    this.timer = null;
+  }
+
+  /**
+   * Start the in-process schedule
+   */
+  start() {
+    if (this.timer || !this.config.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Scheduled reconciliation error:', error));
+    }, this.config.intervalMs);
+
+    // Do not keep the process alive just for reconciliation
+    this.timer.unref();
+    console.log(`Reconciliation job scheduled every ${this.config.intervalMs}ms`);
+  }
+
+  /**
+   * Stop the in-process schedule
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check whether a run is in progress
+   * @returns {boolean}
+   */
+  isRunning() {
+    return activeRun !== null;
+  }
+
+  /**
+   * Run one reconciliation pass
+   * @param {object} options - Run options
+   * @param {string} options.trigger - SCHEDULED or MANUAL
+   * @param {string} options.triggeredBy - User ID for manual runs
+   * @returns {Promise<object>} Saved ReconciliationReport document
+   */
+  async run({ trigger = 'SCHEDULED', triggeredBy } = {}) {
+    if (activeRun) {
+      throw new Error('Reconciliation run already in progress');
+    }
+
+    activeRun = this.reconcileAll(trigger, triggeredBy);
+    try {
+      return await activeRun;
+    } finally {
+      activeRun = null;
+    }
+  }
+
+  async reconcileAll(trigger, triggeredBy) {
+    const now = new Date();
+    const report = new ReconciliationReport({ trigger, triggeredBy, startedAt: now });
+
+    // Subscriptions first: checking an MTN subscription also refreshes its Payment row
+    const subscriptions = await Subscription.find(this.getDueQuery(now))
+      .sort({ createdAt: 1 })
+      .limit(this.config.batchSize);
+
+    for (const subscription of subscriptions) {
+      report.addItem(await this.reconcileSubscription(subscription, now));
+    }
+
+    const payments = await Payment.find(this.getDueQuery(now))
+      .sort({ createdAt: 1 })
+      .limit(this.config.batchSize);
+
+    for (const payment of payments) {
+      report.addItem(await this.reconcilePayment(payment, now));
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log('Reconciliation run completed:', report.summary);
+    return report;
+  }
+
+  /**
+   * Query for PENDING records that are old enough and whose backoff has elapsed
+   * @param {Date} now - Reference time
+   * @returns {object} Mongo query
+   */
+  getDueQuery(now) {
+    return {
+      status: 'PENDING',
+      createdAt: { $lte: new Date(now.getTime() - this.config.staleAfterMs) },
+      $or: [
+        { 'metadata.reconciliation.nextCheckAt': { $exists: false } },
+        { 'metadata.reconciliation.nextCheckAt': { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Exponential backoff delay before the next check
+   * @param {number} attempts - Checks made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const delay = this.config.backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.config.backoffMaxMs);
+  }
+
+  shouldExpire(record, attempts, now) {
+    return attempts >= this.config.maxAttempts ||
+      now.getTime() - record.createdAt.getTime() >= this.config.expireAfterMs;
+  }
+
+  async recordAttempt(Model, recordId, attempts, now, extra = {}) {
+    await Model.updateOne(
+      { _id: recordId },
+      {
+        $set: {
+          'metadata.reconciliation': {
+            attempts,
+            lastCheckedAt: now,
+            nextCheckAt: new Date(now.getTime() + this.getBackoffDelay(attempts)),
+            ...extra
+          }
+        }
+      }
+    );
+  }
+
+  getAttempts(record) {
+    return (record.metadata && record.metadata.reconciliation && record.metadata.reconciliation.attempts) || 0;
+  }
+
+  /**
+   * Ask the provider for the status of a payment and persist it
+   * @param {object} payment - Payment document
+   * @returns {Promise<string>} Provider status
+   */
+  async fetchPaymentStatus(payment) {
+    // Payments created by MTNPaymentService live on the collection widget credentials
+    // and record the reference ID in their initial response
+    if (payment.transactionType === 'collection' && payment.mtnResponse && payment.mtnResponse.referenceId) {
+      const status = await this.collectionService.getRequestToPayStatus(payment.xReferenceId);
+      if (['SUCCESSFUL', 'FAILED'].includes(status.status)) {
+        await payment.updateStatus(status.status, status);
+      }
+      return status.status;
+    }
+
+    // PaymentService updates the Payment row itself
+    const status = await this.paymentService.getPaymentStatus(payment._id);
+    return status.mtnStatus;
+  }
+
+  async reconcileSubscription(subscription, now) {
+    const attempts = this.getAttempts(subscription) + 1;
+    const item = {
+      recordType: 'Subscription',
+      recordId: String(subscription._id),
+      channel: subscription.paymentChannel,
+      previousStatus: subscription.status,
+      attempts
+    };
+
+    try {
+      const { providerStatus, outcome } = await getProvider(subscription.paymentChannel).getStatus(subscription);
+      item.providerStatus = providerStatus;
+
+      if (outcome) {
+        const result = await this.settlementService.settle(subscription, outcome, {
+          source: 'RECONCILIATION',
+          providerStatus
+        });
+        await this.recordAttempt(Subscription, subscription._id, attempts, now);
+        return {
+          ...item,
+          action: result.applied ? 'UPDATED' : 'UNCHANGED',
+          newStatus: result.subscription.status
+        };
+      }
+    } catch (error) {
+      item.error = error.message;
+    }
+
+    if (this.shouldExpire(subscription, attempts, now)) {
+      // Expired as FAILED, so a late provider success can still settle it
+      const result = await this.settlementService.settle(subscription, 'FAILED', {
+        source: 'RECONCILIATION',
+        providerStatus: 'EXPIRED'
+      });
+      await this.recordAttempt(Subscription, subscription._id, attempts, now, { expired: true });
+      return { ...item, action: 'EXPIRED', newStatus: result.subscription.status };
+    }
+
+    await this.recordAttempt(Subscription, subscription._id, attempts, now);
+    return { ...item, action: item.error ? 'ERROR' : 'UNCHANGED', newStatus: subscription.status };
+  }
+
+  async reconcilePayment(payment, now) {
+    const attempts = this.getAttempts(payment) + 1;
+    const item = {
+      recordType: 'Payment',
+      recordId: String(payment._id),
+      channel: 'MTN',
+      previousStatus: payment.status,
+      attempts
+    };
+
+    try {
+      const providerStatus = await this.fetchPaymentStatus(payment);
+      item.providerStatus = providerStatus;
+
+      if (['SUCCESSFUL', 'FAILED'].includes(providerStatus)) {
+        await this.settleRefund(payment, providerStatus);
+        await this.recordAttempt(Payment, payment._id, attempts, now);
+        return { ...item, action: 'UPDATED', newStatus: providerStatus };
+      }
+    } catch (error) {
+      item.error = error.message;
+    }
+
+    if (this.shouldExpire(payment, attempts, now)) {
+      const current = await Payment.findById(payment._id);
+      await current.updateStatus('FAILED');
+      await this.settleRefund(payment, 'FAILED');
+      await this.recordAttempt(Payment, payment._id, attempts, now, { expired: true });
+      return { ...item, action: 'EXPIRED', newStatus: 'FAILED' };
+    }
+
+    await this.recordAttempt(Payment, payment._id, attempts, now);
+    return { ...item, action: item.error ? 'ERROR' : 'UNCHANGED', newStatus: payment.status };
+  }
+
+  /**
+   * Pass the outcome of an MTN refund payment on to the subscription it refunds
+   * @param {object} payment - Payment document
+   * @param {string} status - SUCCESSFUL or FAILED
+   */
+  async settleRefund(payment, status) {
+    if (payment.transactionSubType !== 'refund') {
+      return;
+    }
+
+    await this.refundService.settleFromPayment({
+      status,
+      mtnStatus: status,
+      externalId: payment.externalId
+    });
+  }
+
+  /**
+   * Get reconciliation reports with filters
+   * @param {object} filters - Filter options
+   * @returns {Promise<object>} Paginated reports without item details
+   */
+  async getReports(filters = {}) {
+    try {
+      const query = {};
+
+      if (filters.trigger) {
+        query.trigger = filters.trigger;
+      }
+
+      if (filters.dateFrom && filters.dateTo) {
+        query.startedAt = {
+          $gte: new Date(filters.dateFrom),
+          $lte: new Date(filters.dateTo)
+        };
+      }
+
+      const limit = filters.limit || 20;
+      const skip = filters.skip || 0;
+
+      const reports = await ReconciliationReport.find(query)
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await ReconciliationReport.countDocuments(query);
+
+      return {
+        reports: reports.map(report => report.toReportDTO(false)),
+        total,
+        limit,
+        skip
+      };
+    } catch (error) {
+      throw new Error(`Failed to get reconciliation reports: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a reconciliation report with item details
+   * @param {string} reportId - Report ID
+   * @returns {Promise<object>} Report data
+   */
+  async getReportById(reportId) {
+    try {
+      const report = await ReconciliationReport.findById(reportId);
+      if (!report) {
+        throw new Error('Reconciliation report not found');
+      }
+      return report.toReportDTO();
+    } catch (error) {
+      throw new Error(`Failed to get reconciliation report: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ReconciliationService;
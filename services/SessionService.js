@@ -0,0 +1,136 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const Session = require("../models/Session")
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m"
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Refresh tokens are "<sessionId>.<secret>" so a refresh finds its session directly
+const newRefreshSecret = () => crypto.randomBytes(48).toString("base64url")
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null
+  const [sessionId, secret] = refreshToken.split(".")
+  if (!sessionId || !secret) return null
+  return { sessionId, secret }
+}
+
+const describeDevice = (req) => ({
+  deviceId: req.body?.deviceId || req.header("X-Device-Id") || undefined,
+  deviceName: req.body?.deviceName || req.header("X-Device-Name") || undefined,
+  userAgent: req.header("User-Agent"),
+  ipAddress: req.ip,
+})
+
+class SessionService {
+  static signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    })
+  }
+
+  // Start a session for a user on the requesting device.
+  // Signing in again on the same device replaces that device's session.
+  static async createSession(user, req) {
+    const device = describeDevice(req)
+
+    if (device.deviceId) {
+      await Session.updateMany(
+        { user: user._id, deviceId: device.deviceId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "replaced" },
+      )
+    }
+
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: "pending",
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...device,
+    })
+    const refreshToken = `${session._id}.${newRefreshSecret()}`
+    session.refreshTokenHash = hashToken(refreshToken)
+    await session.save()
+
+    return {
+      token: SessionService.signAccessToken(user._id, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session._id,
+    }
+  }
+
+  // Exchange a refresh token for a new access token and refresh token.
+  // Returns null when the token is unknown, expired or revoked. Presenting an
+  // already rotated token revokes the session, since it has been copied.
+  static async rotate(refreshToken, req) {
+    const parsed = parseRefreshToken(refreshToken)
+    if (!parsed) return null
+
+    const presentedHash = hashToken(refreshToken)
+    const nextToken = `${parsed.sessionId}.${newRefreshSecret()}`
+    const now = new Date()
+
+    // Matching on the current hash makes concurrent refreshes with the same token race safely
+    const session = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        userAgent: req.header("User-Agent"),
+        ipAddress: req.ip,
+      },
+      { new: true },
+    )
+
+    if (!session) {
+      await Session.updateOne(
+        { _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: null },
+        { revokedAt: now, revokedReason: "reuse" },
+      )
+      return null
+    }
+
+    return {
+      token: SessionService.signAccessToken(session.user, session._id),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionId: session._id,
+    }
+  }
+
+  // Used by the auth middleware on every request
+  static async isActive(sessionId, userId) {
+    const session = await Session.findById(sessionId).select("user revokedAt expiresAt")
+    return !!session && session.user === String(userId) && session.isActive()
+  }
+
+  static async listSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("-refreshTokenHash -previousTokenHash")
+      .sort({ lastUsedAt: -1 })
+  }
+
+  // Revoke one of the user's sessions. Returns false when it does not exist or is already revoked.
+  static async revokeSession(userId, sessionId, reason = "revoked") {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Revoke every session of the user, optionally keeping one (the caller's)
+  static async revokeAllSessions(userId, { except, reason = "revoked" } = {}) {
+    const filter = { user: userId, revokedAt: null }
+    if (except) filter._id = { $ne: except }
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+    return result.modifiedCount
+  }
+}
+
+module.exports = SessionService
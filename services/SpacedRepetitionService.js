@@ -0,0 +1,215 @@
+const QuestionReview = require("../models/QuestionReview")
+const ExamAttempt = require("../models/ExamAttempt")
+const Exam = require("../models/Exam")
+const Question = require("../models/Question")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// A wrongly answered question comes back after this long
+const RELEARN_DELAY_MS = 10 * 60 * 1000
+const MIN_EASE_FACTOR = 1.3
+
+// Quality (0-5, SM-2) used when only correctness is known
+const QUALITY_CORRECT = 4
+const QUALITY_WRONG = 1
+
+// A category is weak below this share of correct answers, once it has enough reviews.
+// Weak categories get shorter intervals and are offered first.
+const WEAK_ACCURACY = 0.7
+const MIN_REVIEWS_FOR_ACCURACY = 5
+const WEAK_INTERVAL_FACTOR = 0.5
+
+class SpacedRepetitionService {
+  // Quality of a review: the learner's own rating when given, kept
+  // consistent with whether the answer was actually right
+  static qualityOf(isCorrect, rating) {
+    if (rating === undefined || rating === null) return isCorrect ? QUALITY_CORRECT : QUALITY_WRONG
+    return isCorrect ? Math.max(rating, 3) : Math.min(rating, 2)
+  }
+
+  // Move a review to its next due date (SM-2)
+  static schedule(review, quality, { weak = false, now = new Date() } = {}) {
+    review.reviewCount += 1
+    review.lastQuality = quality
+    review.lastReviewedAt = now
+
+    if (quality < 3) {
+      review.repetitions = 0
+      review.interval = 0
+      review.dueAt = new Date(now.getTime() + RELEARN_DELAY_MS)
+    } else {
+      review.correctCount += 1
+      review.repetitions += 1
+      if (review.repetitions === 1) review.interval = 1
+      else if (review.repetitions === 2) review.interval = 6
+      else review.interval = Math.round(review.interval * review.easeFactor)
+
+      if (weak) review.interval = Math.max(1, Math.round(review.interval * WEAK_INTERVAL_FACTOR))
+      review.dueAt = new Date(now.getTime() + review.interval * DAY_MS)
+    }
+
+    review.easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      review.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02),
+    )
+    return review
+  }
+
+  // Share of correct answers per category: { [categoryId]: { reviews, correct, accuracy, weak } }
+  static async categoryStats(userId) {
+    const rows = await QuestionReview.aggregate([
+      { $match: { user: userId } },
+      { $group: { _id: "$category", reviews: { $sum: "$reviewCount" }, correct: { $sum: "$correctCount" } } },
+    ])
+
+    const stats = {}
+    for (const row of rows) {
+      const accuracy = row.reviews > 0 ? row.correct / row.reviews : null
+      stats[row._id] = {
+        reviews: row.reviews,
+        correct: row.correct,
+        accuracy,
+        weak: row.reviews >= MIN_REVIEWS_FOR_ACCURACY && accuracy < WEAK_ACCURACY,
+      }
+    }
+    return stats
+  }
+
+  // Record one answer to a question and reschedule it
+  static async recordAnswer(userId, question, quality, { now = new Date(), stats } = {}) {
+    const categoryStats = stats || (await SpacedRepetitionService.categoryStats(userId))
+    const review =
+      (await QuestionReview.findOne({ user: userId, question: question._id })) ||
+      new QuestionReview({ user: userId, question: question._id, category: question.category })
+
+    SpacedRepetitionService.schedule(review, quality, { weak: !!categoryStats[question.category]?.weak, now })
+    await review.save()
+    return review
+  }
+
+  // Feed the answers of a completed attempt into the learner's schedule
+  static async recordAttempt(attempt) {
+    if (attempt.answers.length === 0) return
+
+    const questionIds = attempt.answers.map((answer) => answer.questionId)
+    const questions = await Question.find({ _id: { $in: questionIds } }).select("category")
+    const byId = new Map(questions.map((question) => [question._id, question]))
+    const stats = await SpacedRepetitionService.categoryStats(attempt.user)
+    const now = attempt.endTime || new Date()
+
+    for (const answer of attempt.answers) {
+      const question = byId.get(String(answer.questionId))
+      if (!question) continue
+      const quality = SpacedRepetitionService.qualityOf(answer.isCorrect)
+      await SpacedRepetitionService.recordAnswer(attempt.user, question, quality, { now, stats })
+    }
+  }
+
+  // Called when an attempt is completed. A learner's first completed attempt
+  // also brings in their earlier history.
+  static async recordCompletedAttempt(attempt) {
+    if (!(await QuestionReview.exists({ user: attempt.user }))) {
+      return SpacedRepetitionService.importHistory(attempt.user)
+    }
+    return SpacedRepetitionService.recordAttempt(attempt)
+  }
+
+  // Build a new learner's schedule from the exams they completed before spaced repetition existed
+  static async importHistory(userId) {
+    if (await QuestionReview.exists({ user: userId })) return
+
+    const attempts = await ExamAttempt.find({ user: userId, status: "completed" }).sort({ endTime: 1 })
+    for (const attempt of attempts) {
+      await SpacedRepetitionService.recordAttempt(attempt)
+    }
+  }
+
+  // The learner's schedule for a question, when it is due (served by nextQuestions counts as due)
+  static async dueReview(userId, questionId) {
+    return QuestionReview.findOne({ user: userId, question: questionId, dueAt: { $lte: new Date() } })
+  }
+
+  // Whether a question is part of an exam mode attempt the learner has not finished yet
+  static async isInRunningExam(userId, questionId) {
+    const exams = await ExamAttempt.distinct("exam", { user: userId, status: "in-progress", mode: { $ne: "practice" } })
+    if (exams.length === 0) return false
+    return !!(await Exam.exists({ _id: { $in: exams }, questions: questionId }))
+  }
+
+  // Questions to practise now: due reviews first (weak categories, then the most
+  // overdue), topped up with questions the learner has never been given, drawn
+  // from weak categories first. New questions join the schedule, due now, so
+  // only questions served here or due can be answered.
+  static async nextQuestions(userId, { limit = 10, categoryId } = {}) {
+    await SpacedRepetitionService.importHistory(userId)
+
+    const now = new Date()
+    const stats = await SpacedRepetitionService.categoryStats(userId)
+    const isWeak = (category) => !!stats[category]?.weak
+
+    const dueFilter = { user: userId, dueAt: { $lte: now } }
+    if (categoryId) dueFilter.category = categoryId
+
+    const [dueCount, due] = await Promise.all([
+      QuestionReview.countDocuments(dueFilter),
+      QuestionReview.find(dueFilter).sort({ dueAt: 1 }).limit(200),
+    ])
+    const reviews = due
+      .sort((a, b) => isWeak(b.category) - isWeak(a.category) || a.dueAt - b.dueAt)
+      .slice(0, limit)
+
+    const newQuestionIds = []
+    const remaining = limit - reviews.length
+    if (remaining > 0) {
+      const scheduled = await QuestionReview.distinct("question", { user: userId })
+      const match = { status: "Active", _id: { $nin: scheduled } }
+      if (categoryId) match.category = categoryId
+
+      const weakCategories = Object.keys(stats).filter(isWeak)
+      if (!categoryId && weakCategories.length > 0) {
+        const fromWeak = await Question.aggregate([
+          { $match: { ...match, category: { $in: weakCategories } } },
+          { $sample: { size: remaining } },
+          { $project: { _id: 1 } },
+        ])
+        newQuestionIds.push(...fromWeak.map((question) => question._id))
+      }
+
+      if (newQuestionIds.length < remaining) {
+        const others = await Question.aggregate([
+          { $match: { ...match, _id: { $nin: [...scheduled, ...newQuestionIds] } } },
+          { $sample: { size: remaining - newQuestionIds.length } },
+          { $project: { _id: 1 } },
+        ])
+        newQuestionIds.push(...others.map((question) => question._id))
+      }
+    }
+
+    const questionIds = [...reviews.map((review) => review.question), ...newQuestionIds]
+    const questions = await Question.find({ _id: { $in: questionIds }, status: "Active" }).populate("category", "categoryName")
+    const byId = new Map(questions.map((question) => [question._id, question]))
+    const reviewById = new Map(reviews.map((review) => [review.question, review]))
+
+    const served = newQuestionIds.filter((id) => byId.has(id))
+    if (served.length > 0) {
+      await QuestionReview.bulkWrite(
+        served.map((id) => ({
+          updateOne: {
+            filter: { user: userId, question: id },
+            update: { $setOnInsert: { category: byId.get(id).category?._id, dueAt: now } },
+            upsert: true,
+          },
+        })),
+      )
+    }
+
+    return {
+      dueCount,
+      items: questionIds
+        .filter((id) => byId.has(id))
+        .map((id) => ({ question: byId.get(id), review: reviewById.get(id) || null })),
+      weakCategories: Object.keys(stats).filter(isWeak),
+    }
+  }
+}
+
+module.exports = SpacedRepetitionService
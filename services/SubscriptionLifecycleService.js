@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const Subscription = require('../models/Subscription');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lifecycle events: subscription.activated, subscription.grace_started, subscription.expired
+const subscriptionEvents = new EventEmitter();
+
+/**
+ * Subscription Lifecycle Service
+ * Stacks renewals onto the current period, reports a user's subscription status
+ * and sweeps ended subscriptions into EXPIRED after the grace period.
+ */
+class SubscriptionLifecycleService {
+  constructor() {
+    this.subscriptionConfig = getServiceConfig('subscription');
+    this.timer = null;
+  }
+
+  /**
+   * Grace period after endDate, in milliseconds
+   * @returns {number}
+   */
+  getGraceMs() {
+    const days = this.subscriptionConfig.gracePeriodDays;
+    return Number.isInteger(days) && days > 0 ? days * DAY_MS : 0;
+  }
+
+  /**
+   * Get the subscription currently giving a user access, including the grace period
+   * @param {string} userId - User UUID
+   * @param {Date} at - Reference time
+   * @returns {Promise<object|null>} Subscription document or null
+   */
+  async getAccessSubscription(userId, at = new Date()) {
+    return Subscription.findActiveForUser(userId, { at, graceMs: this.getGraceMs() });
+  }
+
+  /**
+   * Get the latest end date of a user's paid periods that are still running or in grace
+   * @param {string} userId - User UUID
+   * @param {Date} at - Reference time
+   * @param {string} excludeId - Subscription to leave out (the one being settled)
+   * @returns {Promise<Date|null>}
+   */
+  async getPaidUntil(userId, at = new Date(), excludeId = null) {
+    const query = {
+      userId,
+      status: 'SUCCESSFUL',
+      endDate: { $gt: new Date(at.getTime() - this.getGraceMs()) }
+    };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    const latest = await Subscription.findOne(query).sort({ endDate: -1 });
+    return latest ? latest.endDate : null;
+  }
+
+  /**
+   * Start date for a newly paid subscription: the end of the current period when
+   * the user is still subscribed or in grace, otherwise now
+   * @param {string} userId - User UUID
+   * @param {Date} at - Settlement time
+   * @param {string} excludeId - Subscription being settled
+   * @returns {Promise<Date>}
+   */
+  async getNextPeriodStart(userId, at = new Date(), excludeId = null) {
+    const paidUntil = await this.getPaidUntil(userId, at, excludeId);
+    return paidUntil || at;
+  }
+
+  /**
+   * Subscription status for a user
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} Status summary
+   */
+  async getStatus(userId) {
+    const now = new Date();
+    const graceMs = this.getGraceMs();
+
+    const current = await this.getAccessSubscription(userId, now);
+    const upcoming = await Subscription.find({
+      userId,
+      status: 'SUCCESSFUL',
+      startDate: { $gt: now }
+    }).sort({ startDate: 1 });
+
+    if (!current) {
+      const last = await Subscription.findOne({
+        userId,
+        status: { $in: ['SUCCESSFUL', 'EXPIRED'] }
+      }).sort({ endDate: -1 });
+
+      return {
+        state: last ? 'EXPIRED' : 'NONE',
+        isActive: false,
+        currentSubscription: null,
+        upcomingSubscriptions: upcoming.map(sub => sub.toSubscriptionDTO()),
+        activeUntil: null,
+        daysRemaining: 0,
+        lastEndDate: last ? last.endDate : null
+      };
+    }
+
+    // Access runs to the end of the last stacked period
+    const activeUntil = upcoming.reduce(
+      (latest, sub) => (sub.endDate > latest ? sub.endDate : latest),
+      current.endDate
+    );
+    const inGrace = current.endDate <= now && upcoming.length === 0;
+
+    return {
+      state: inGrace ? 'GRACE' : 'ACTIVE',
+      isActive: true,
+      currentSubscription: current.toSubscriptionDTO(),
+      upcomingSubscriptions: upcoming.map(sub => sub.toSubscriptionDTO()),
+      activeUntil,
+      daysRemaining: Math.max(Math.ceil((activeUntil - now) / DAY_MS), 0),
+      graceEndsAt: inGrace ? new Date(current.endDate.getTime() + graceMs) : null
+    };
+  }
+
+  /**
+   * Flag subscriptions that entered their grace period and expire those past it
+   * @returns {Promise<object>} { graceStarted, expired }
+   */
+  async sweep() {
+    const now = new Date();
+    const graceCutoff = new Date(now.getTime() - this.getGraceMs());
+    let graceStarted = 0;
+    let expired = 0;
+
+    if (this.getGraceMs() > 0) {
+      const ending = await Subscription.find({
+        status: 'SUCCESSFUL',
+        endDate: { $lte: now, $gt: graceCutoff },
+        graceStartedAt: { $exists: false }
+      });
+
+      for (const subscription of ending) {
+        // A renewal already continues this period, so the user is not in grace
+        const paidUntil = await this.getPaidUntil(subscription.userId, now, subscription._id);
+        if (paidUntil && paidUntil > subscription.endDate) {
+          continue;
+        }
+
+        const updated = await Subscription.findOneAndUpdate(
+          { _id: subscription._id, graceStartedAt: { $exists: false } },
+          { $set: { graceStartedAt: now } },
+          { new: true }
+        );
+        if (updated) {
+          graceStarted += 1;
+          subscriptionEvents.emit('subscription.grace_started', updated.toSubscriptionDTO());
+        }
+      }
+    }
+
+    const ended = await Subscription.find({
+      status: 'SUCCESSFUL',
+      endDate: { $lte: graceCutoff }
+    });
+
+    for (const subscription of ended) {
+      // Conditional update so overlapping sweeps emit each expiry once
+      const updated = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'SUCCESSFUL' },
+        { $set: { status: 'EXPIRED', expiredAt: now } },
+        { new: true }
+      );
+      if (updated) {
+        expired += 1;
+        subscriptionEvents.emit('subscription.expired', updated.toSubscriptionDTO());
+      }
+    }
+
+    if (graceStarted > 0 || expired > 0) {
+      console.log('Subscription expiry sweep completed:', { graceStarted, expired });
+    }
+
+    return { graceStarted, expired };
+  }
+
+  /**
+   * Start the in-process expiry sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch((error) => console.error('Subscription expiry sweep error:', error));
+    }, this.subscriptionConfig.expirySweepIntervalMs);
+
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the in-process expiry sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+SubscriptionLifecycleService.events = subscriptionEvents;
+
+module.exports = SubscriptionLifecycleService;
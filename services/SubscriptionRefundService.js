@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const Subscription = require('../models/Subscription');
+const SubscriptionLifecycleService = require('./SubscriptionLifecycleService');
+const LedgerService = require('./LedgerService');
+const { getProvider } = require('./providers');
+
+/**
+ * Add whole months to a date
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+/**
+ * Subscription Refund Service
+ * Refunds the unused months of a paid subscription through the channel it was
+ * paid with, and shortens or cancels the subscription once the refund succeeds.
+ * A month that has started counts as used.
+ */
+class SubscriptionRefundService {
+  constructor() {
+    this.ledgerService = new LedgerService();
+  }
+
+  /**
+   * Compute the refund for the unused months of a subscription
+   * @param {object} subscription - Subscription document
+   * @param {Date} at - Reference time
+   * @returns {object} { usedMonths, unusedMonths, amount, currency, newEndDate }
+   */
+  calculateProration(subscription, at = new Date()) {
+    if (subscription.status !== 'SUCCESSFUL' || !subscription.startDate || !subscription.endDate) {
+      throw new Error('Only active or upcoming paid subscriptions can be refunded');
+    }
+
+    const paidMonths = subscription.numberOfMonths - (subscription.refundedMonths || 0);
+
+    let usedMonths = 0;
+    if (at > subscription.startDate) {
+      usedMonths = 1;
+      while (usedMonths < paidMonths && addMonths(subscription.startDate, usedMonths) < at) {
+        usedMonths += 1;
+      }
+    }
+
+    const unusedMonths = paidMonths - usedMonths;
+    if (unusedMonths <= 0) {
+      throw new Error('Subscription has no unused months to refund');
+    }
+
+    // Spread the amount paid evenly so term discounts are refunded proportionally
+    const monthlyAmount = subscription.amount / subscription.numberOfMonths;
+    const amount = Math.round(monthlyAmount * unusedMonths * 100) / 100;
+
+    return {
+      usedMonths,
+      unusedMonths,
+      amount,
+      currency: subscription.currency,
+      newEndDate: addMonths(subscription.startDate, usedMonths)
+    };
+  }
+
+  /**
+   * Refund the unused months of a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {object} options - Refund options
+   * @param {string} options.reason - Why the refund was issued
+   * @param {string} options.requestedBy - Admin user ID
+   * @returns {Promise<object>} { refund, subscription }
+   */
+  async refundSubscription(subscriptionId, { reason, requestedBy } = {}) {
+    try {
+      const subscription = await Subscription.findById(subscriptionId);
+      if (!subscription) {
+        throw new Error('Subscription not found');
+      }
+
+      const proration = this.calculateProration(subscription);
+
+      const provider = getProvider(subscription.paymentChannel);
+      if (!provider.supportsPartialRefund && proration.unusedMonths < subscription.numberOfMonths) {
+        throw new Error(`${provider.channel} only supports full refunds; this subscription has already been partly used`);
+      }
+
+      const attempt = {
+        refundId: `RFD-${crypto.randomUUID()}`,
+        amount: proration.amount,
+        currency: proration.currency,
+        unusedMonths: proration.unusedMonths,
+        usedMonths: proration.usedMonths,
+        channel: subscription.paymentChannel,
+        status: 'PENDING',
+        reason,
+        requestedBy,
+        requestedAt: new Date()
+      };
+
+      // Conditional push so two admins cannot start refunds for the same subscription at once.
+      // The proration was computed from refundedMonths as read above; if another refund has
+      // completed since, the same months would be refunded twice, so the claim fails too.
+      // (Subscriptions from before refunds existed have no refundedMonths field.)
+      const refundedMonths = subscription.refundedMonths || 0;
+      const claimed = await Subscription.findOneAndUpdate(
+        {
+          _id: subscription._id,
+          status: 'SUCCESSFUL',
+          refundedMonths: refundedMonths || { $in: [0, null] },
+          'refunds.status': { $ne: 'PENDING' }
+        },
+        { $push: { refunds: attempt } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('Another refund for this subscription is in progress or has just completed');
+      }
+
+      let outcome;
+      try {
+        const result = await provider.refund({
+          record: subscription,
+          refundId: attempt.refundId,
+          amount: attempt.amount,
+          currency: attempt.currency,
+          description: `Refund of ${attempt.unusedMonths} unused subscription month(s)`
+        });
+        outcome = {
+          status: result.status,
+          paymentId: result.paymentId,
+          providerStatus: result.providerStatus,
+          providerResponse: result.response
+        };
+      } catch (error) {
+        outcome = { status: 'FAILED', error: error.message };
+      }
+
+      return this.recordOutcome(subscription._id, attempt.refundId, outcome);
+    } catch (error) {
+      throw new Error(`Failed to refund subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the outcome of a refund attempt and apply it to the subscription period
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} refundId - Refund attempt ID
+   * @param {object} outcome - { status, paymentId, providerStatus, providerResponse, error }
+   * @returns {Promise<object>} { refund, subscription }
+   */
+  async recordOutcome(subscriptionId, refundId, outcome) {
+    const set = {
+      'refunds.$.status': outcome.status
+    };
+    if (outcome.paymentId) set['refunds.$.paymentId'] = outcome.paymentId;
+    if (outcome.providerStatus) set['refunds.$.providerStatus'] = outcome.providerStatus;
+    if (outcome.providerResponse) set['refunds.$.providerResponse'] = outcome.providerResponse;
+    if (outcome.error) set['refunds.$.error'] = outcome.error;
+    if (outcome.status !== 'PENDING') set['refunds.$.completedAt'] = new Date();
+
+    // Only a PENDING attempt can change, so a refund is applied to the period once
+    let subscription = await Subscription.findOneAndUpdate(
+      { _id: subscriptionId, refunds: { $elemMatch: { refundId, status: 'PENDING' } } },
+      { $set: set },
+      { new: true }
+    );
+
+    if (!subscription) {
+      subscription = await Subscription.findById(subscriptionId);
+      return { refund: this.findAttempt(subscription, refundId), subscription: subscription.toSubscriptionDTO() };
+    }
+
+    const refund = this.findAttempt(subscription, refundId);
+    if (refund.status === 'SUCCESSFUL') {
+      subscription = await this.applyRefund(subscription, refund);
+    }
+
+    return { refund, subscription: subscription.toSubscriptionDTO() };
+  }
+
+  findAttempt(subscription, refundId) {
+    return subscription.refunds.find(refund => refund.refundId === refundId);
+  }
+
+  /**
+   * Shorten the subscription to the months kept, or cancel it when none were used,
+   * and pull later stacked subscriptions forward by the time given back
+   * @param {object} subscription - Subscription document
+   * @param {object} refund - Successful refund attempt
+   * @returns {Promise<object>} Updated subscription document
+   */
+  async applyRefund(subscription, refund) {
+    const previousEndDate = subscription.endDate;
+    const now = new Date();
+
+    subscription.refundedAmount = (subscription.refundedAmount || 0) + refund.amount;
+    subscription.refundedMonths = (subscription.refundedMonths || 0) + refund.unusedMonths;
+
+    if (refund.usedMonths === 0) {
+      subscription.status = 'CANCELLED';
+      subscription.cancelledAt = now;
+      subscription.endDate = subscription.startDate;
+    } else {
+      subscription.endDate = addMonths(subscription.startDate, refund.usedMonths);
+    }
+    await subscription.save();
+
+    // The money has already moved, so a ledger failure is left for backfill
+    await this.ledgerService.recordRefund(subscription, refund)
+      .catch(error => console.error('Ledger refund posting error:', error));
+
+    const shiftMs = previousEndDate.getTime() - subscription.endDate.getTime();
+    if (shiftMs > 0) {
+      const queued = await Subscription.find({
+        _id: { $ne: subscription._id },
+        userId: subscription.userId,
+        status: 'SUCCESSFUL',
+        startDate: { $gte: previousEndDate }
+      });
+
+      for (const next of queued) {
+        next.startDate = new Date(next.startDate.getTime() - shiftMs);
+        next.endDate = new Date(next.endDate.getTime() - shiftMs);
+        await next.save();
+      }
+    }
+
+    SubscriptionLifecycleService.events.emit('subscription.refunded', {
+      subscription: subscription.toSubscriptionDTO(),
+      refund
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Settle a pending refund from its MTN refund Payment row
+   * @param {object} payment - Payment document (transactionSubType 'refund')
+   * @returns {Promise<object|null>} { refund, subscription } or null when no refund matches
+   */
+  async settleFromPayment(payment) {
+    if (!['SUCCESSFUL', 'FAILED'].includes(payment.status)) {
+      return null;
+    }
+
+    const subscription = await Subscription.findOne({ 'refunds.refundId': payment.externalId });
+    if (!subscription) {
+      return null;
+    }
+
+    return this.recordOutcome(subscription._id, payment.externalId, {
+      status: payment.status,
+      providerStatus: payment.mtnStatus
+    });
+  }
+
+  /**
+   * Get refund attempts for a subscription, checking the provider for any still pending
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<object>} { refunds, subscription }
+   */
+  async refreshRefunds(subscriptionId) {
+    try {
+      let subscription = await Subscription.findById(subscriptionId);
+      if (!subscription) {
+        throw new Error('Subscription not found');
+      }
+
+      const pending = subscription.refunds.filter(refund => refund.status === 'PENDING' && refund.paymentId);
+      for (const refund of pending) {
+        try {
+          const status = await getProvider(refund.channel).getRefundStatus(refund.paymentId);
+          if (status.status !== 'PENDING') {
+            await this.recordOutcome(subscription._id, refund.refundId, status);
+          }
+        } catch (error) {
+          console.error('Refund status check error:', error.message);
+        }
+      }
+
+      if (pending.length > 0) {
+        subscription = await Subscription.findById(subscriptionId);
+      }
+
+      return {
+        refunds: subscription.refunds,
+        subscription: subscription.toSubscriptionDTO()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get refunds: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SubscriptionRefundService;
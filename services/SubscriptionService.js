@@ -1,26 +1,27 @@
 const crypto = require('crypto');
 const Subscription = require('../models/Subscription');
-const AirtelPaymentService = require('./AirtelPaymentService');
-const PaymentService = require('./PaymentService');
+const SubscriptionSettlementService = require('./SubscriptionSettlementService');
+const PlanService = require('./PlanService');
+const { getProvider, hasProvider, getChannels } = require('./providers');
 
 /**
  * Subscription Service
- * Handles subscription payment processing using Airtel Money
+ * Handles subscription payment processing through the registered payment providers
  */
 class SubscriptionService {
   constructor() {
-    this.airtelPaymentService = new AirtelPaymentService();
-    this.mtnPaymentService = new PaymentService();
+    this.settlementService = new SubscriptionSettlementService();
+    this.planService = new PlanService();
   }
 
   /**
    * Create and process subscription payment
    * @param {object} subscriptionData - Subscription payment data
    * @param {string} subscriptionData.userId - User UUID
-   * @param {number} subscriptionData.amount - Amount to pay
-   * @param {number} subscriptionData.numberOfMonths - Number of months for subscription
+   * @param {string} subscriptionData.planId - Plan ID; the amount is computed from the plan
+   * @param {number} subscriptionData.numberOfMonths - Number of months (default: plan duration)
    * @param {string} subscriptionData.msisdn - MSISDN without country code (from API request)
-   * @param {string} subscriptionData.paymentChannel - Payment channel: "MTN" or "AIRTEL"
+   * @param {string} subscriptionData.paymentChannel - Payment channel registered in providers (e.g. "MTN", "AIRTEL")
    * @param {string} subscriptionData.country - Country code (default: 'RW')
    * @param {string} subscriptionData.currency - Currency code (default: 'RWF')
    * @returns {Promise<object>} Subscription payment response
@@ -28,23 +29,20 @@ class SubscriptionService {
   async createSubscriptionPayment(subscriptionData) {
     try {
       // Validate required fields
-      if (!subscriptionData.userId || !subscriptionData.amount || !subscriptionData.numberOfMonths || !subscriptionData.msisdn || !subscriptionData.paymentChannel) {
-        throw new Error('Missing required fields: userId, amount, numberOfMonths, msisdn, paymentChannel');
+      if (!subscriptionData.userId || !subscriptionData.planId || !subscriptionData.msisdn || !subscriptionData.paymentChannel) {
+        throw new Error('Missing required fields: userId, planId, msisdn, paymentChannel');
       }
 
       // Validate payment channel
-      if (!['MTN', 'AIRTEL'].includes(subscriptionData.paymentChannel.toUpperCase())) {
-        throw new Error('Invalid payment channel. Must be "MTN" or "AIRTEL"');
+      if (!hasProvider(subscriptionData.paymentChannel)) {
+        throw new Error(`Invalid payment channel. Must be one of: ${getChannels().join(', ')}`);
       }
 
       const paymentChannel = subscriptionData.paymentChannel.toUpperCase();
 
       // Validate data types
-      if (typeof subscriptionData.amount !== 'number' || subscriptionData.amount <= 0) {
-        throw new Error('Amount must be a positive number');
-      }
-
-      if (typeof subscriptionData.numberOfMonths !== 'number' || subscriptionData.numberOfMonths < 1) {
+      if (subscriptionData.numberOfMonths !== undefined &&
+        (!Number.isInteger(subscriptionData.numberOfMonths) || subscriptionData.numberOfMonths < 1)) {
         throw new Error('Number of months must be at least 1');
       }
 
@@ -57,15 +55,37 @@ class SubscriptionService {
       const country = subscriptionData.country || 'RW';
       const currency = subscriptionData.currency || 'RWF';
 
+      // Price is always computed from the plan catalogue, never taken from the client
+      const pricing = await this.planService.quote(
+        subscriptionData.planId,
+        subscriptionData.numberOfMonths,
+        currency
+      );
+
+      if (pricing.total <= 0) {
+        throw new Error('Plan price must be greater than 0');
+      }
+
       // Generate unique transaction ID
       const transactionId = `SUB-${crypto.randomUUID()}`;
 
       // Create subscription record
       const subscription = new Subscription({
         userId: subscriptionData.userId,
-        amount: subscriptionData.amount,
+        amount: pricing.total,
         currency: currency,
-        numberOfMonths: subscriptionData.numberOfMonths,
+        numberOfMonths: pricing.numberOfMonths,
+        planId: String(pricing.planId),
+        pricing: {
+          planCode: pricing.planCode,
+          planName: pricing.planName,
+          planVersion: pricing.planVersion,
+          monthlyPrice: pricing.monthlyPrice,
+          subtotal: pricing.subtotal,
+          discountPercent: pricing.discountPercent,
+          discountAmount: pricing.discountAmount,
+          total: pricing.total
+        },
         paymentChannel: paymentChannel,
         msisdn: subscriptionData.msisdn,
         transactionId: transactionId,
@@ -74,118 +94,38 @@ class SubscriptionService {
 
       await subscription.save();
 
-      try {
-        let paymentResponse;
-        
-        if (paymentChannel === 'AIRTEL') {
-          // Prepare Airtel payment request
-          const paymentData = {
-            reference: `Subscription payment for ${subscriptionData.numberOfMonths} month(s)`,
-            subscriber: {
-              country: country,
-              currency: currency,
-              msisdn: subscriptionData.msisdn // Use msisdn from API request, not from .env
-            },
-            transaction: {
-              amount: subscriptionData.amount,
-              id: transactionId
-            }
-          };
-
-          // Add optional transaction country and currency for cross-border payments
-          if (subscriptionData.transactionCountry) {
-            paymentData.transaction.country = subscriptionData.transactionCountry;
-          }
-          if (subscriptionData.transactionCurrency) {
-            paymentData.transaction.currency = subscriptionData.transactionCurrency;
-          }
+      const provider = getProvider(paymentChannel);
 
-          // Initiate Airtel USSD Push payment
-          paymentResponse = await this.airtelPaymentService.ussdPushPayment(
-            paymentData,
-            country,
-            currency
-          );
-
-          // Update subscription with Airtel response
-          subscription.airtelResponse = paymentResponse;
-          
-          // Check transaction status from response
-          if (paymentResponse.data && paymentResponse.data.transaction) {
-            const transactionStatus = paymentResponse.data.transaction.status;
-            subscription.airtelStatus = transactionStatus;
-            
-            if (paymentResponse.data.transaction.airtel_money_id) {
-              subscription.airtelMoneyId = paymentResponse.data.transaction.airtel_money_id;
-            }
-            
-            if (transactionStatus === 'TS') {
-              subscription.status = 'SUCCESSFUL';
-              subscription.startDate = new Date();
-              subscription.processedAt = new Date();
-              await subscription.calculateEndDate();
-            } else if (transactionStatus === 'TF') {
-              subscription.status = 'FAILED';
-              subscription.completedAt = new Date();
-            } else {
-              // TIP, TA, etc. - still pending
-              subscription.status = 'PENDING';
-            }
-          }
-        } else if (paymentChannel === 'MTN') {
-          // Prepare MTN payment request
-          const paymentData = {
-            amount: subscriptionData.amount,
-            currency: currency,
-            externalId: transactionId,
-            payer: {
-              partyIdType: 'MSISDN',
-              partyId: subscriptionData.msisdn
-            },
-            payerMessage: `Subscription payment for ${subscriptionData.numberOfMonths} month(s)`,
-            payeeNote: `Tsinda subscription - ${subscriptionData.numberOfMonths} month(s)`
-          };
-
-          // Initiate MTN Request to Pay
-          paymentResponse = await this.mtnPaymentService.requestToPay(paymentData);
+      try {
+        const collection = await provider.initiateCollection({
+          transactionId,
+          amount: subscription.amount,
+          currency,
+          country,
+          msisdn: subscriptionData.msisdn, // Use msisdn from API request, not from .env
+          description: `Subscription payment for ${subscription.numberOfMonths} month(s)`,
+          payeeNote: `Tsinda subscription - ${subscription.numberOfMonths} month(s)`,
+          transactionCountry: subscriptionData.transactionCountry,
+          transactionCurrency: subscriptionData.transactionCurrency
+        });
+
+        subscription.set(collection.recordFields);
+        await subscription.save();
 
-          // Update subscription with MTN response
-          subscription.mtnResponse = paymentResponse;
-          
-          // Check transaction status from response
-          if (paymentResponse.xReferenceId) {
-            subscription.mtnReferenceId = paymentResponse.xReferenceId;
-          }
-          
-          if (paymentResponse.status) {
-            subscription.mtnStatus = paymentResponse.status;
-            
-            if (paymentResponse.status === 'SUCCESSFUL') {
-              subscription.status = 'SUCCESSFUL';
-              subscription.startDate = new Date();
-              subscription.processedAt = new Date();
-              await subscription.calculateEndDate();
-            } else if (paymentResponse.status === 'FAILED') {
-              subscription.status = 'FAILED';
-              subscription.completedAt = new Date();
-            } else {
-              // PENDING, etc.
-              subscription.status = 'PENDING';
-            }
-          }
+        // Final outcome reported directly in the push response, if any
+        if (collection.outcome) {
+          const settlement = await this.settlementService.settle(subscription, collection.outcome, {
+            source: `${paymentChannel}_PUSH_RESPONSE`,
+            providerStatus: collection.providerStatus
+          });
+          return settlement.subscription.toSubscriptionDTO();
         }
 
-        await subscription.save();
-
         return subscription.toSubscriptionDTO();
       } catch (error) {
         // Update subscription with error
         subscription.status = 'FAILED';
-        if (paymentChannel === 'AIRTEL') {
-          subscription.airtelError = { message: error.message };
-        } else if (paymentChannel === 'MTN') {
-          subscription.mtnError = { message: error.message };
-        }
+        subscription.set(provider.errorFields(error));
         subscription.completedAt = new Date();
         await subscription.save();
 
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const Subscription = require('../models/Subscription');
+const SubscriptionLock = require('../models/SubscriptionLock');
+const SubscriptionLifecycleService = require('./SubscriptionLifecycleService');
+const LedgerService = require('./LedgerService');
+const { getProvider } = require('./providers');
+
+// A user's payments are settled one at a time; see settle()
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_WAIT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Subscription Settlement Service
+ * Moves PENDING subscriptions to a final status when a provider reports the outcome.
+ * Settlement is idempotent: duplicate reports are ignored, a success never gets
+ * downgraded to a failure, and a late success can still recover a failed subscription.
+ */
+class SubscriptionSettlementService {
+  constructor() {
+    this.lifecycleService = new SubscriptionLifecycleService();
+    this.ledgerService = new LedgerService();
+  }
+
+  /**
+   * Apply a final outcome to a subscription
+   * @param {object} subscription - Subscription document
+   * @param {string} outcome - SUCCESSFUL or FAILED
+   * @param {object} settlement - Who settled it
+   * @param {string} settlement.source - Settlement source (e.g. AIRTEL_CALLBACK)
+   * @param {string} settlement.callbackId - Callback record ID, when settled by a callback
+   * @param {string} settlement.providerStatus - Raw provider status
+   * @param {object} fields - Provider fields to store alongside the outcome
+   * @returns {Promise<object>} { applied, reason, subscription }
+   */
+  async settle(subscription, outcome, settlement = {}, fields = {}) {
+    if (!['SUCCESSFUL', 'FAILED'].includes(outcome)) {
+      throw new Error(`Invalid settlement outcome: ${outcome}`);
+    }
+
+    const now = new Date();
+
+    const update = {
+      ...fields,
+      status: outcome,
+      completedAt: now,
+      settledBy: {
+        source: settlement.source,
+        callbackId: settlement.callbackId ? String(settlement.callbackId) : undefined,
+        providerStatus: settlement.providerStatus,
+        settledAt: now
+      }
+    };
+
+    if (outcome !== 'SUCCESSFUL') {
+      return this.claim(subscription, outcome, update, settlement, now);
+    }
+
+    // Renewals paid before the current period (or its grace) ends continue from its end date.
+    // Two payments settled at once would both continue from the same end date, so the
+    // period is read and written under a per-user lock.
+    return this.withUserLock(subscription.userId, async () => {
+      update.startDate = await this.lifecycleService.getNextPeriodStart(subscription.userId, now, subscription._id);
+      update.processedAt = now;
+      return this.claim(subscription, outcome, update, settlement, now);
+    });
+  }
+
+  /**
+   * Move a subscription to its final status, unless another report got there first
+   * @param {object} subscription - Subscription document
+   * @param {string} outcome - SUCCESSFUL or FAILED
+   * @param {object} update - Fields to set
+   * @param {object} settlement - Who settled it
+   * @param {Date} now - Settlement time
+   * @returns {Promise<object>} { applied, reason, subscription }
+   */
+  async claim(subscription, outcome, update, settlement, now) {
+    const allowedFrom = outcome === 'SUCCESSFUL' ? ['PENDING', 'FAILED'] : ['PENDING'];
+
+    // Conditional update so concurrent callbacks cannot both settle the same subscription
+    const settled = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: { $in: allowedFrom } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (settled) {
+      if (outcome === 'SUCCESSFUL') {
+        await settled.calculateEndDate();
+        // The subscription is already paid, so a ledger failure is left for backfill
+        await this.ledgerService.recordCollection(settled)
+          .catch(error => console.error('Ledger collection posting error:', error));
+        SubscriptionLifecycleService.events.emit('subscription.activated', settled.toSubscriptionDTO());
+      }
+      return { applied: true, reason: 'SETTLED', subscription: settled };
+    }
+
+    const current = await Subscription.findById(subscription._id);
+    if (current.status === outcome) {
+      return { applied: false, reason: 'DUPLICATE', subscription: current };
+    }
+
+    // Keep a trace of reports that arrived after the subscription was already final
+    await Subscription.updateOne(
+      { _id: current._id },
+      {
+        $push: {
+          'metadata.ignoredSettlements': {
+            outcome,
+            source: settlement.source,
+            callbackId: settlement.callbackId ? String(settlement.callbackId) : null,
+            providerStatus: settlement.providerStatus,
+            receivedAt: now
+          }
+        }
+      }
+    );
+
+    return { applied: false, reason: 'OUT_OF_ORDER', subscription: current };
+  }
+
+  /**
+   * Run fn while holding the settlement lock of a user
+   * @param {string} userId - User UUID
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} What fn returns
+   */
+  async withUserLock(userId, fn) {
+    const token = crypto.randomUUID();
+    const waitUntil = Date.now() + LOCK_WAIT_MS;
+
+    for (;;) {
+      const now = new Date();
+      try {
+        // Takes a free or expired lock; a held one makes the upsert collide on _id
+        await SubscriptionLock.findOneAndUpdate(
+          { _id: userId, lockedUntil: { $lte: now } },
+          { $set: { token, lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS) } },
+          { upsert: true }
+        );
+        break;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      if (Date.now() >= waitUntil) {
+        throw new Error('Another payment of this user is being settled');
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await SubscriptionLock.deleteOne({ _id: userId, token })
+        .catch(error => console.error('Subscription lock release error:', error));
+    }
+  }
+
+  /**
+   * Record a non-terminal provider status on a subscription that is still pending
+   * @param {object} subscription - Subscription document
+   * @param {object} fields - Provider fields to store
+   * @returns {Promise<object>} { applied, reason, subscription }
+   */
+  async recordPending(subscription, fields) {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'PENDING' },
+      { $set: fields },
+      { new: true }
+    );
+
+    return {
+      applied: false,
+      reason: 'STILL_PENDING',
+      subscription: updated || subscription
+    };
+  }
+
+  /**
+   * Settle the subscription referenced by a provider callback
+   * @param {string} channel - Payment channel the callback came from
+   * @param {object} parsed - Result of the provider's parseCallback
+   * @param {string} callbackId - Stored callback record ID
+   * @param {object|null} record - Record webhook verification resolved and confirmed the callback against
+   * @returns {Promise<object>} Settlement result
+   */
+  async settleFromCallback(channel, parsed, callbackId, record) {
+    const provider = getProvider(channel);
+    // Never looked up again here, so what gets settled is what was confirmed
+    const subscription = record instanceof Subscription ? record : null;
+
+    if (!subscription) {
+      return { applied: false, reason: 'NOT_FOUND', subscription: null };
+    }
+
+    if (!parsed.outcome) {
+      return this.recordPending(subscription, parsed.recordFields);
+    }
+
+    return this.settle(subscription, parsed.outcome, {
+      source: `${provider.channel}_CALLBACK`,
+      callbackId,
+      providerStatus: parsed.providerStatus
+    }, parsed.recordFields);
+  }
+}
+
+module.exports = SubscriptionSettlementService;
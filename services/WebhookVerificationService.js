@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const net = require('net');
+const AirtelCallback = require('../models/AirtelCallback');
+const MTNCallback = require('../models/MTNCallback');
+const { getProvider } = require('./providers');
+const { getServiceConfig } = require('../config/paymentConfig');
+
+// HTTP status returned to the sender for each rejection reason
+const REJECTION_STATUS = {
+  IP_NOT_ALLOWED: 403,
+  MISSING_SIGNATURE: 401,
+  INVALID_SIGNATURE: 401,
+  INVALID_PAYLOAD: 400,
+  UNKNOWN_TRANSACTION: 404,
+  STATUS_MISMATCH: 409,
+  // Lets the provider retry once its enquiry API is reachable again
+  ENQUIRY_FAILED: 503
+};
+
+// Callback collection documents for rejected payloads, which may be missing any field
+const REJECTED_CALLBACK_BUILDERS = {
+  AIRTEL: (body) => {
+    const transaction = body.transaction || {};
+    return new AirtelCallback({
+      transactionId: transaction.id || 'unknown',
+      airtelMoneyId: transaction.airtel_money_id || 'unknown',
+      statusCode: transaction.status_code,
+      message: transaction.message || ''
+    });
+  },
+  MTN: (body) => new MTNCallback({
+    financialTransactionId: body.financialTransactionId || null,
+    externalId: body.externalId || 'unknown',
+    amount: body.amount,
+    currency: body.currency,
+    status: body.status,
+    payeeNote: body.payeeNote || null,
+    payerMessage: body.payerMessage || null
+  })
+};
+
+/**
+ * Webhook Verification Service
+ * Decides whether a provider callback is authentic before anything acts on it.
+ * Checks run in order and each is skipped when not configured for the channel:
+ * source IP allowlist, shared-secret signature, then confirmation of the
+ * reported outcome through the provider's enquiry API.
+ */
+class WebhookVerificationService {
+  constructor() {
+    this.config = getServiceConfig('webhooks');
+    this.allowLists = {};
+  }
+
+  /**
+   * Get the verification settings for a channel
+   * @param {string} channel - Channel code (e.g. 'MTN')
+   */
+  getChannelConfig(channel) {
+    return this.config[channel.toLowerCase()] || {};
+  }
+
+  /**
+   * Build (once) the allowlist for a channel from IPs and CIDR ranges
+   * @returns {net.BlockList|null} null when no allowlist is configured
+   */
+  getAllowList(channel) {
+    if (this.allowLists[channel] === undefined) {
+      const { allowedIps = [] } = this.getChannelConfig(channel);
+      let allowList = null;
+
+      if (allowedIps.length > 0) {
+        allowList = new net.BlockList();
+        allowedIps.forEach((entry) => {
+          const [address, prefix] = entry.split('/');
+          const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+          if (prefix !== undefined) {
+            allowList.addSubnet(address, parseInt(prefix), type);
+          } else {
+            allowList.addAddress(address, type);
+          }
+        });
+      }
+
+      this.allowLists[channel] = allowList;
+    }
+    return this.allowLists[channel];
+  }
+
+  /**
+   * Get the sender IP, unwrapping IPv4-mapped IPv6 addresses
+   */
+  getClientIp(req) {
+    const ip = req.ip || (req.connection && req.connection.remoteAddress) || '';
+    return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  }
+
+  checkIp(channel, req) {
+    const allowList = this.getAllowList(channel);
+    if (!allowList) {
+      return null;
+    }
+
+    const ip = this.getClientIp(req);
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(ip) || !allowList.check(ip, type)) {
+      return { reason: 'IP_NOT_ALLOWED', details: `Callback sent from ${ip || 'an unknown address'}` };
+    }
+    return null;
+  }
+
+  /**
+   * Check the shared-secret signature header.
+   * 'hmac' expects a hex HMAC-SHA256 of the raw body (optionally prefixed 'sha256='),
+   * 'token' expects the secret itself in the header or a ?token= query parameter.
+   */
+  checkSignature(channel, req) {
+    const { secret, signatureHeader, signatureScheme } = this.getChannelConfig(channel);
+    if (!secret) {
+      return null;
+    }
+
+    let provided = req.get(signatureHeader);
+    if (!provided && signatureScheme === 'token' && req.query) {
+      provided = req.query.token;
+    }
+    if (!provided) {
+      return { reason: 'MISSING_SIGNATURE', details: `Missing ${signatureHeader} header` };
+    }
+
+    const expected = signatureScheme === 'token'
+      ? secret
+      : crypto.createHmac('sha256', secret).update(req.rawBody || Buffer.alloc(0)).digest('hex');
+    const actual = String(provided).replace(/^sha256=/, '');
+
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    if (expectedBuffer.length !== actualBuffer.length || !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+      return { reason: 'INVALID_SIGNATURE', details: `Signature in ${signatureHeader} does not match` };
+    }
+    return null;
+  }
+
+  /**
+   * Confirm the outcome a callback reports by asking the provider directly
+   * @param {object} provider - Payment provider adapter
+   * @param {object} parsed - Result of provider.parseCallback()
+   * @param {object|null} record - Record the callback refers to (provider.findCallbackRecord())
+   */
+  async confirmWithProvider(provider, parsed, record) {
+    // Pending callbacks settle nothing, so only final outcomes are confirmed
+    if (!parsed.outcome) {
+      return null;
+    }
+
+    if (!record) {
+      return { reason: 'UNKNOWN_TRANSACTION', details: `No transaction ${parsed.transactionId} to confirm` };
+    }
+
+    let status;
+    try {
+      status = await provider.getStatus(record);
+    } catch (error) {
+      return { reason: 'ENQUIRY_FAILED', details: error.message };
+    }
+
+    if (status.outcome !== parsed.outcome) {
+      return {
+        reason: 'STATUS_MISMATCH',
+        details: `Callback reported ${parsed.providerStatus}, provider reports ${status.providerStatus || 'no status'}`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Run every configured check for a callback request
+   * @param {string} channel - Channel code (e.g. 'MTN')
+   * @param {object} req - Express request (with rawBody captured by express.json)
+   * @returns {Promise<object>} { verified, checks, record } or { verified: false, reason, details, status }.
+   * record is the one the callback was checked against, and the only one it may settle.
+   */
+  async verify(channel, req) {
+    const channelConfig = this.getChannelConfig(channel);
+    const provider = getProvider(channel);
+    const checks = [];
+
+    const reject = (failure) => ({
+      verified: false,
+      ...failure,
+      status: REJECTION_STATUS[failure.reason]
+    });
+
+    const ipFailure = this.checkIp(channel, req);
+    if (ipFailure) return reject(ipFailure);
+    if (this.getAllowList(channel)) checks.push('IP_ALLOWLIST');
+
+    const signatureFailure = this.checkSignature(channel, req);
+    if (signatureFailure) return reject(signatureFailure);
+    if (channelConfig.secret) checks.push('SIGNATURE');
+
+    const parsed = provider.parseCallback({ body: req.body, headers: req.headers, query: req.query });
+    if (!parsed.valid) {
+      return reject({ reason: 'INVALID_PAYLOAD', details: parsed.error });
+    }
+
+    const record = await provider.findCallbackRecord(parsed);
+
+    if (channelConfig.confirmWithProvider) {
+      const confirmFailure = await this.confirmWithProvider(provider, parsed, record);
+      if (confirmFailure) return reject(confirmFailure);
+      if (parsed.outcome) checks.push('PROVIDER_ENQUIRY');
+    }
+
+    return { verified: true, checks, verifiedAt: new Date(), record };
+  }
+
+  /**
+   * Store a rejected callback in the channel's callback collection
+   * @param {string} channel - Channel code (e.g. 'MTN')
+   * @param {object} req - Express request
+   * @param {object} rejection - Result of verify() with verified false
+   */
+  async logRejection(channel, req, rejection) {
+    const buildCallback = REJECTED_CALLBACK_BUILDERS[channel];
+    if (!buildCallback) {
+      return null;
+    }
+
+    try {
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      const callback = buildCallback(body);
+      callback.set({
+        callbackData: body,
+        processed: false,
+        rejected: true,
+        rejectionReason: rejection.reason,
+        rejectionDetails: rejection.details,
+        ipAddress: this.getClientIp(req),
+        userAgent: req.get('user-agent') || 'Unknown'
+      });
+
+      // Rejected payloads are kept as received, so schema validation is skipped
+      await callback.save({ validateBeforeSave: false });
+      return callback;
+    } catch (error) {
+      console.error(`Failed to log rejected ${channel} callback:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = WebhookVerificationService;
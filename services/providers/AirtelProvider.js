@@ -0,0 +1,151 @@
+const PaymentProvider = require('./PaymentProvider');
+const AirtelPaymentService = require('../AirtelPaymentService');
+
+/**
+ * Airtel Money Provider
+ * Adapter over AirtelPaymentService (USSD push collections)
+ */
+class AirtelProvider extends PaymentProvider {
+  constructor() {
+    super('AIRTEL');
+    this.referenceField = 'airtelMoneyId';
+    // Airtel refunds always return the whole transaction
+    this.supportsPartialRefund = false;
+    this.outcomes = {
+      TS: 'SUCCESSFUL',
+      TF: 'FAILED',
+      TE: 'FAILED'
+    };
+    this.airtelPaymentService = new AirtelPaymentService();
+  }
+
+  async initiateCollection(request) {
+    const paymentData = {
+      reference: request.description,
+      subscriber: {
+        country: request.country,
+        currency: request.currency,
+        msisdn: request.msisdn
+      },
+      transaction: {
+        amount: request.amount,
+        id: request.transactionId
+      }
+    };
+
+    // Optional transaction country and currency for cross-border payments
+    if (request.transactionCountry) {
+      paymentData.transaction.country = request.transactionCountry;
+    }
+    if (request.transactionCurrency) {
+      paymentData.transaction.currency = request.transactionCurrency;
+    }
+
+    const response = await this.airtelPaymentService.ussdPushPayment(
+      paymentData,
+      request.country,
+      request.currency
+    );
+
+    const recordFields = { airtelResponse: response };
+    let providerStatus = null;
+
+    if (response.data && response.data.transaction) {
+      providerStatus = response.data.transaction.status;
+      recordFields.airtelStatus = providerStatus;
+
+      if (response.data.transaction.airtel_money_id) {
+        recordFields.airtelMoneyId = response.data.transaction.airtel_money_id;
+      }
+    }
+
+    // TIP, TA, etc. - still pending until the callback arrives
+    return {
+      providerStatus,
+      outcome: this.toOutcome(providerStatus),
+      recordFields,
+      response
+    };
+  }
+
+  async getStatus(record) {
+    const response = await this.airtelPaymentService.transactionEnquiry(
+      record.transactionId,
+      'RW',
+      record.currency
+    );
+    const providerStatus = response && response.data && response.data.transaction
+      ? response.data.transaction.status
+      : null;
+
+    return { providerStatus, outcome: this.toOutcome(providerStatus), response };
+  }
+
+  async refund(request) {
+    const { record } = request;
+    if (!record.airtelMoneyId) {
+      throw new Error('Record has no Airtel Money ID');
+    }
+
+    const response = await this.airtelPaymentService.refund(
+      { airtel_money_id: record.airtelMoneyId },
+      'RW',
+      request.currency
+    );
+
+    // Airtel settles refunds within the request and has no refund status enquiry,
+    // so the response is final: a refund left PENDING could never be resolved
+    const transaction = response.data && response.data.transaction;
+    return {
+      status: response.status && response.status.success ? 'SUCCESSFUL' : 'FAILED',
+      paymentId: record.airtelMoneyId,
+      providerStatus: transaction ? transaction.status : undefined,
+      response
+    };
+  }
+
+  async getBalance({ wallet = 'COLL', country = 'RW', currency = 'RWF' } = {}) {
+    return this.airtelPaymentService.getBalance(wallet, country, currency);
+  }
+
+  async getAvailableBalance(currency) {
+    const response = await this.getBalance({ wallet: 'COLL', currency });
+    const data = response.data || {};
+    return {
+      amount: parseFloat(data.balance),
+      currency: data.currency || currency,
+      response
+    };
+  }
+
+  parseCallback({ body }) {
+    if (!body || !body.transaction) {
+      return { valid: false, error: 'Invalid callback data' };
+    }
+
+    const transaction = body.transaction;
+    if (!transaction.id || !transaction.status_code || !transaction.airtel_money_id) {
+      return { valid: false, error: 'Missing required transaction fields' };
+    }
+
+    return {
+      valid: true,
+      transactionId: transaction.id,
+      providerReference: transaction.airtel_money_id,
+      providerStatus: transaction.status_code,
+      message: transaction.message || '',
+      outcome: this.toOutcome(transaction.status_code),
+      recordFields: {
+        airtelStatus: transaction.status_code,
+        airtelMoneyId: transaction.airtel_money_id,
+        airtelResponse: body
+      }
+    };
+  }
+
+  errorFields(error) {
+    return { airtelError: { message: error.message } };
+  }
+}
+
+module.exports = AirtelProvider;
@@ -0,0 +1,163 @@
+const PaymentProvider = require('./PaymentProvider');
+const Payment = require('../../models/Payment');
+const PaymentService = require('../PaymentService');
+const MTNCollectionService = require('../MTNCollectionService');
+
+/**
+ * MTN MoMo Provider
+ * Adapter over PaymentService, the MTN stack that keeps a Payment row per call
+ * and manages tokens through MTNAuthService. MTNCollectionService is only used
+ * to check collections it created itself.
+ */
+class MTNProvider extends PaymentProvider {
+  constructor() {
+    super('MTN');
+    this.referenceField = 'mtnReferenceId';
+    this.supportsPartialRefund = true;
+    this.outcomes = {
+      SUCCESSFUL: 'SUCCESSFUL',
+      FAILED: 'FAILED'
+    };
+    this.paymentService = new PaymentService();
+    this.collectionService = new MTNCollectionService();
+  }
+
+  async initiateCollection(request) {
+    const response = await this.paymentService.requestToPay({
+      amount: request.amount,
+      currency: request.currency,
+      externalId: request.transactionId,
+      payer: {
+        partyIdType: 'MSISDN',
+        partyId: request.msisdn
+      },
+      payerMessage: request.description,
+      payeeNote: request.payeeNote || request.description
+    });
+
+    const recordFields = { mtnResponse: response };
+    if (response.xReferenceId) {
+      recordFields.mtnReferenceId = response.xReferenceId;
+    }
+    if (response.status) {
+      recordFields.mtnStatus = response.status;
+    }
+
+    // PENDING, etc. - still pending until the callback arrives
+    return {
+      providerStatus: response.status || null,
+      outcome: this.toOutcome(response.status),
+      recordFields,
+      response
+    };
+  }
+
+  async getStatus(record) {
+    if (!record.mtnReferenceId) {
+      throw new Error('Record has no MTN reference ID');
+    }
+
+    // Collections made through PaymentService keep a Payment row, which the check refreshes
+    const payment = await Payment.findOne({ xReferenceId: record.mtnReferenceId });
+    if (payment) {
+      const status = await this.paymentService.getPaymentStatus(payment._id);
+      return { providerStatus: status.mtnStatus, outcome: this.toOutcome(status.mtnStatus), response: status };
+    }
+
+    const status = await this.collectionService.getRequestToPayStatus(record.mtnReferenceId);
+    return { providerStatus: status.status, outcome: this.toOutcome(status.status), response: status };
+  }
+
+  async refund(request) {
+    const { record } = request;
+    if (!record.mtnReferenceId) {
+      throw new Error('Record has no MTN reference ID');
+    }
+
+    // Settled later from the refund Payment row
+    const payment = await this.paymentService.refund({
+      amount: request.amount,
+      currency: request.currency,
+      externalId: request.refundId,
+      referenceIdToRefund: record.mtnReferenceId,
+      payerMessage: request.description,
+      payeeNote: request.description
+    });
+
+    return {
+      status: this.toOutcome(payment.status) || 'PENDING',
+      paymentId: String(payment.id),
+      providerStatus: payment.mtnStatus,
+      response: payment
+    };
+  }
+
+  async getRefundStatus(paymentId) {
+    const payment = await this.paymentService.getPaymentStatus(paymentId);
+    return {
+      status: this.toOutcome(payment.mtnStatus) || 'PENDING',
+      providerStatus: payment.mtnStatus
+    };
+  }
+
+  async getBalance({ serviceType = 'collection' } = {}) {
+    return this.paymentService.getAccountBalance(serviceType);
+  }
+
+  async getAvailableBalance(currency) {
+    const response = await this.getBalance({ serviceType: 'collection' });
+    return {
+      amount: parseFloat(response.availableBalance),
+      currency: response.currency || currency,
+      response
+    };
+  }
+
+  parseCallback({ body, headers = {}, query = {} }) {
+    if (!body) {
+      return { valid: false, error: 'Invalid callback data' };
+    }
+
+    if (!body.externalId || !body.status || !body.amount || !body.currency) {
+      return { valid: false, error: 'Missing required fields: externalId, status, amount, currency' };
+    }
+
+    return {
+      valid: true,
+      transactionId: body.externalId,
+      // The X-Reference-Id is only present when MTN forwards it
+      providerReference: headers['x-reference-id'] || query.referenceId || null,
+      providerStatus: body.status,
+      outcome: this.toOutcome(body.status),
+      recordFields: {
+        mtnStatus: body.status,
+        mtnResponse: body
+      }
+    };
+  }
+
+  async findCallbackRecord(parsed) {
+    const subscription = await super.findCallbackRecord(parsed);
+    if (subscription) {
+      return subscription;
+    }
+
+    // Collections made through PaymentService keep the reference on the Payment row
+    const payment = await Payment.findOne({ externalId: parsed.transactionId }).sort({ createdAt: -1 });
+    if (payment && payment.xReferenceId) {
+      return { transactionId: parsed.transactionId, mtnReferenceId: payment.xReferenceId };
+    }
+
+    // The X-Reference-Id header is sender-controlled, so it is only used when no subscription matches
+    if (parsed.providerReference) {
+      return { transactionId: parsed.transactionId, mtnReferenceId: parsed.providerReference };
+    }
+    return null;
+  }
+
+  errorFields(error) {
+    return { mtnError: { message: error.message } };
+  }
+}
+
+module.exports = MTNProvider;
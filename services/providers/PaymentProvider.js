@@ -0,0 +1,129 @@
+const Subscription = require('../../models/Subscription');
+
+/**
+ * Payment Provider
+ * Interface every payment channel adapter implements. Products (subscriptions
+ * today) only talk to providers through these methods, so adding a channel means
+ * adding one adapter and registering it in providers/index.js.
+ *
+ * Outcomes are normalised to 'SUCCESSFUL', 'FAILED' or null (still pending).
+ */
+class PaymentProvider {
+  /**
+   * @param {string} channel - Channel code stored on records (e.g. 'MTN')
+   */
+  constructor(channel) {
+    this.channel = channel;
+    // Record field holding the provider's own transaction reference
+    this.referenceField = 'providerReference';
+    // Whether refund() can return less than the full amount collected
+    this.supportsPartialRefund = false;
+    // Provider status codes mapped to outcomes; anything else is non-terminal
+    this.outcomes = {};
+  }
+
+  /**
+   * Map a provider status code to an outcome
+   * @param {string} providerStatus - Raw provider status
+   * @returns {string|null} SUCCESSFUL, FAILED or null
+   */
+  toOutcome(providerStatus) {
+    return this.outcomes[providerStatus] || null;
+  }
+
+  /**
+   * Ask the payer to pay
+   * @param {object} request - Collection request
+   * @param {string} request.transactionId - Our unique transaction ID
+   * @param {number} request.amount - Amount to collect
+   * @param {string} request.currency - Currency code
+   * @param {string} request.country - Country code
+   * @param {string} request.msisdn - Payer phone number without country code
+   * @param {string} request.description - Text shown to the payer
+   * @returns {Promise<object>} { providerStatus, outcome, recordFields, response }
+   */
+  async initiateCollection(request) {
+    throw new Error(`${this.channel} provider does not support collections`);
+  }
+
+  /**
+   * Ask the provider for the status of a collection
+   * @param {object} record - Record the collection was made for (e.g. Subscription)
+   * @returns {Promise<object>} { providerStatus, outcome, response }
+   */
+  async getStatus(record) {
+    throw new Error(`${this.channel} provider does not support status checks`);
+  }
+
+  /**
+   * Refund a collection
+   * @param {object} request - Refund request
+   * @param {object} request.record - Record the collection was made for
+   * @param {string} request.refundId - Our unique refund ID
+   * @param {number} request.amount - Amount to refund
+   * @param {string} request.currency - Currency code
+   * @param {string} request.description - Text shown to the payee
+   * @returns {Promise<object>} { status, paymentId, providerStatus, response }
+   */
+  async refund(request) {
+    throw new Error(`${this.channel} provider does not support refunds`);
+  }
+
+  /**
+   * Ask the provider for the status of a refund started with refund()
+   * @param {string} paymentId - Value returned as paymentId by refund()
+   * @returns {Promise<object>} { status, providerStatus }
+   */
+  async getRefundStatus(paymentId) {
+    throw new Error(`${this.channel} provider does not support refund status checks`);
+  }
+
+  /**
+   * Get the merchant account balance
+   * @param {object} options - Provider specific options (country, currency, wallet)
+   * @returns {Promise<object>} Provider balance response
+   */
+  async getBalance(options) {
+    throw new Error(`${this.channel} provider does not support balance enquiries`);
+  }
+
+  /**
+   * Get the available balance of the collection wallet as a number
+   * @param {string} currency - Currency code
+   * @returns {Promise<object>} { amount, currency, response }
+   */
+  async getAvailableBalance(currency) {
+    throw new Error(`${this.channel} provider does not support balance enquiries`);
+  }
+
+  /**
+   * Validate and normalise a callback request
+   * @param {object} request - { body, headers, query }
+   * @returns {object} { valid, error, transactionId, providerReference, providerStatus, outcome, recordFields }
+   */
+  parseCallback(request) {
+    throw new Error(`${this.channel} provider does not support callbacks`);
+  }
+
+  /**
+   * Find the record a parsed callback refers to, for confirming it with getStatus()
+   * and settling it. Only our transaction ID is matched: the provider reference
+   * in a callback is chosen by the sender.
+   * @param {object} parsed - Result of parseCallback()
+   * @returns {Promise<object|null>} Record, or null when the transaction is unknown
+   */
+  async findCallbackRecord(parsed) {
+    return Subscription.findOne({ transactionId: parsed.transactionId });
+  }
+
+  /**
+   * Fields to store on a record when a provider call throws
+   * @param {Error} error - Provider error
+   * @returns {object}
+   */
+  errorFields(error) {
+    return { providerError: { message: error.message } };
+  }
+}
+
+module.exports = PaymentProvider;
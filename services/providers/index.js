@@ -0,0 +1,37 @@
+const AirtelProvider = require('./AirtelProvider');
+const MTNProvider = require('./MTNProvider');
+
+/**
+ * Payment Provider Registry
+ * Channel code -> provider adapter. Register new channels here.
+ */
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.channel, provider);
+}
+
+function hasProvider(channel) {
+  return typeof channel === 'string' && providers.has(channel.toUpperCase());
+}
+
+function getProvider(channel) {
+  if (!hasProvider(channel)) {
+    throw new Error(`Unsupported payment channel: ${channel}. Must be one of: ${getChannels().join(', ')}`);
+  }
+  return providers.get(channel.toUpperCase());
+}
+
+function getChannels() {
+  return Array.from(providers.keys());
+}
+
+registerProvider(new AirtelProvider());
+registerProvider(new MTNProvider());
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  getProvider,
+  getChannels
+};
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const SmsProvider = require('./SmsProvider');
+
+/**
+ * Africa's Talking SMS Provider
+ * Sends through the Africa's Talking bulk SMS API
+ */
+class AfricasTalkingSmsProvider extends SmsProvider {
+  constructor() {
+    super('africastalking');
+    this.username = process.env.AFRICASTALKING_USERNAME;
+    this.apiKey = process.env.AFRICASTALKING_API_KEY;
+    this.senderId = process.env.AFRICASTALKING_SENDER_ID;
+    this.baseUrl = process.env.AFRICASTALKING_BASE_URL ||
+      (this.username === 'sandbox' ? 'https://api.sandbox.africastalking.com' : 'https://api.africastalking.com');
+  }
+
+  async send(phoneNumber, message) {
+    if (!this.username || !this.apiKey) {
+      throw new Error('AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are required');
+    }
+
+    const params = new URLSearchParams({ username: this.username, to: phoneNumber, message });
+    if (this.senderId) {
+      params.append('from', this.senderId);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/version1/messaging`, params.toString(), {
+      headers: {
+        apiKey: this.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+
+    const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || recipient.status !== 'Success') {
+      throw new Error(`SMS not accepted: ${recipient?.status || response.data?.SMSMessageData?.Message || 'no recipient'}`);
+    }
+
+    return { messageId: recipient.messageId };
+  }
+}
+
+module.exports = AfricasTalkingSmsProvider;
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+const SmsProvider = require('./SmsProvider');
+
+/**
+ * Console SMS Provider
+ * Development stub that prints messages to the console instead of sending them
+ */
+class ConsoleSmsProvider extends SmsProvider {
+  constructor() {
+    super('console');
+  }
+
+  async send(phoneNumber, message) {
+    const messageId = crypto.randomUUID();
+    console.log(`[SMS ${messageId}] to ${phoneNumber}: ${message}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const SmsProvider = require('./SmsProvider');
+
+/**
+ * File SMS Provider
+ * Development stub that appends each message as a JSON line to SMS_OUTBOX_FILE,
+ * so codes can be read by tests and scripts
+ */
+class FileSmsProvider extends SmsProvider {
+  constructor(filePath = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'sms-outbox.jsonl')) {
+    super('file');
+    this.filePath = filePath;
+  }
+
+  async send(phoneNumber, message) {
+    const messageId = crypto.randomUUID();
+    const line = JSON.stringify({ messageId, to: phoneNumber, message, sentAt: new Date().toISOString() });
+    await fs.appendFile(this.filePath, `${line}\n`, 'utf8');
+    return { messageId };
+  }
+}
+
+module.exports = FileSmsProvider;
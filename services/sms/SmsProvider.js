@@ -0,0 +1,25 @@
+/**
+ * SMS Provider
+ * Interface every SMS gateway adapter implements. Codes and notices are sent
+ * through config/sms-sender.js, which picks the adapter named by SMS_PROVIDER.
+ */
+class SmsProvider {
+  /**
+   * @param {string} name - Provider name used in SMS_PROVIDER
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send one message
+   * @param {string} phoneNumber - Recipient in international format (e.g. +250780000001)
+   * @param {string} message - Text to send
+   * @returns {Promise<object>} { messageId }
+   */
+  async send(phoneNumber, message) {
+    throw new Error(`${this.name} SMS provider does not support sending`);
+  }
+}
+
+module.exports = SmsProvider;
@@ -0,0 +1,49 @@
+const ConsoleSmsProvider = require('./ConsoleSmsProvider');
+const FileSmsProvider = require('./FileSmsProvider');
+const AfricasTalkingSmsProvider = require('./AfricasTalkingSmsProvider');
+
+/**
+ * SMS Provider Registry
+ * SMS_PROVIDER name -> adapter class. Register new gateways here.
+ */
+const providers = {
+  console: ConsoleSmsProvider,
+  file: FileSmsProvider,
+  africastalking: AfricasTalkingSmsProvider
+};
+
+// Development stubs: they never deliver, and print or store the codes they are given
+const stubs = ['console', 'file'];
+
+let current = null;
+
+/**
+ * Get the provider named by SMS_PROVIDER (console when unset, outside production).
+ * In production SMS_PROVIDER must name a real gateway, or codes would never reach
+ * users and would end up in the logs.
+ */
+function getSmsProvider() {
+  if (!current) {
+    const name = (process.env.SMS_PROVIDER || '').toLowerCase();
+    if (process.env.NODE_ENV === 'production' && (!name || stubs.includes(name))) {
+      throw new Error(`SMS_PROVIDER must name a real SMS gateway in production (got ${name || 'nothing'})`);
+    }
+
+    const Provider = providers[name || 'console'];
+    if (!Provider) {
+      throw new Error(`Unsupported SMS provider: ${name}. Must be one of: ${Object.keys(providers).join(', ')}`);
+    }
+    current = new Provider();
+  }
+  return current;
+}
+
+// Replace the provider in use (tests)
+function setSmsProvider(provider) {
+  current = provider;
+}
+
+module.exports = {
+  getSmsProvider,
+  setSmsProvider
+};
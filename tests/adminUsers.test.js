@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { createUser, createInstructor, createAdmin, signIn, authHeader } = require('./helpers/auth');
+const { createActiveSubscription } = require('./helpers/fixtures');
+
+describe('Admin user management', () => {
+  let app;
+  let admin;
+  let adminHeaders;
+
+  beforeAll(async () => {
+    app = require('../app');
+    admin = await createAdmin();
+    adminHeaders = await authHeader(admin);
+  });
+
+  beforeEach(async () => {
+    await RateLimitBucket.deleteMany({});
+  });
+
+  const auditEntries = (user, action) => AuditLog.find({ 'target.type': 'User', 'target.id': user._id, action });
+
+  test('Only admins can list users', async () => {
+    const asLearner = await request(app).get('/api/admin/users').set(await authHeader(await createUser()));
+    const asInstructor = await request(app).get('/api/admin/users').set(await authHeader(await createInstructor()));
+
+    expect(asLearner.status).toBe(403);
+    expect(asInstructor.status).toBe(403);
+  });
+
+  test('Users are searched and paged without their secrets', async () => {
+    const name = `Searchable ${crypto.randomUUID()}`;
+    await Promise.all([createUser({ name }), createUser({ name }), createUser({ name })]);
+
+    const firstPage = await request(app)
+      .get('/api/admin/users')
+      .query({ q: name, limit: 2, page: 1 })
+      .set(adminHeaders);
+    const secondPage = await request(app)
+      .get('/api/admin/users')
+      .query({ q: name, limit: 2, page: 2 })
+      .set(adminHeaders);
+
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+    expect(firstPage.body.users).toHaveLength(2);
+    expect(secondPage.body.users).toHaveLength(1);
+    for (const user of firstPage.body.users) {
+      expect(user.password).toBeUndefined();
+      expect(user.verificationCode).toBeUndefined();
+    }
+  });
+
+  test('Users are filtered by role, verification and subscription status', async () => {
+    const name = `Filtered ${crypto.randomUUID()}`;
+    const subscriber = await createUser({ name });
+    const unverified = await createUser({ name, isVerified: false });
+    const instructor = await createInstructor({ name });
+    await createActiveSubscription(subscriber);
+
+    const search = async (query) => {
+      const response = await request(app).get('/api/admin/users').query({ q: name, ...query }).set(adminHeaders);
+      expect(response.status).toBe(200);
+      return response.body.users.map(user => user._id).sort();
+    };
+
+    expect(await search({ role: 'instructor' })).toEqual([instructor._id]);
+    expect(await search({ verified: 'false' })).toEqual([unverified._id]);
+    expect(await search({ subscriptionStatus: 'active' })).toEqual([subscriber._id]);
+    expect(await search({ subscriptionStatus: 'none' })).toEqual([unverified._id, instructor._id].sort());
+
+    const invalid = await request(app).get('/api/admin/users').query({ role: 'owner' }).set(adminHeaders);
+    expect(invalid.status).toBe(400);
+  });
+
+  test('A role change is applied and audited', async () => {
+    const user = await createUser();
+
+    const response = await request(app)
+      .patch(`/api/admin/users/${user._id}/role`)
+      .set(adminHeaders)
+      .send({ role: 'instructor' });
+
+    expect(response.status).toBe(200);
+    expect((await User.findById(user._id)).role).toBe('instructor');
+
+    const [entry] = await auditEntries(user, 'user.role.change');
+    expect(entry.actor.id).toBe(admin._id);
+    expect(entry.changes.before).toEqual({ role: 'user' });
+    expect(entry.changes.after).toEqual({ role: 'instructor' });
+  });
+
+  test('Admins cannot change their own role', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${admin._id}/role`)
+      .set(adminHeaders)
+      .send({ role: 'user' });
+
+    expect(response.status).toBe(400);
+    expect((await User.findById(admin._id)).role).toBe('admin');
+  });
+
+  test('Suspending a user signs them out and blocks sign-in until unsuspended', async () => {
+    const user = await createUser();
+    const session = await signIn(user);
+    const login = () => request(app).post('/api/auth/login').send({ phoneNumber: user.phoneNumber, password: 'password123' });
+
+    const suspended = await request(app)
+      .post(`/api/admin/users/${user._id}/suspend`)
+      .set(adminHeaders)
+      .send({ reason: 'Shared account' });
+
+    expect(suspended.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${session.token}` })).status).toBe(401);
+    expect((await login()).status).toBe(403);
+
+    const [entry] = await auditEntries(user, 'user.suspend');
+    expect(entry.details.reason).toBe('Shared account');
+    expect(entry.details.revokedSessions).toBe(1);
+
+    const unsuspended = await request(app).post(`/api/admin/users/${user._id}/unsuspend`).set(adminHeaders);
+
+    expect(unsuspended.status).toBe(200);
+    expect((await login()).status).toBe(200);
+    expect(await auditEntries(user, 'user.unsuspend')).toHaveLength(1);
+  });
+
+  test('Admins verify accounts manually', async () => {
+    const user = await createUser({ isVerified: false });
+
+    const response = await request(app).post(`/api/admin/users/${user._id}/verify`).set(adminHeaders);
+    const again = await request(app).post(`/api/admin/users/${user._id}/verify`).set(adminHeaders);
+
+    expect(response.status).toBe(200);
+    expect(again.status).toBe(400);
+    expect((await User.findById(user._id)).isVerified).toBe(true);
+    expect(await auditEntries(user, 'user.verify')).toHaveLength(1);
+  });
+});
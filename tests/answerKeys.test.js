@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { createUser, createInstructor, authHeader } = require('./helpers/auth');
+const { createExam } = require('./helpers/fixtures');
+
+// Option 0 is the correct one in fixture questions
+const expectNoAnswerKey = (question) => {
+  expect(question.rightAnswerDescription).toBeUndefined();
+  expect(question.answerOptions).toHaveLength(4);
+  for (const option of question.answerOptions) {
+    expect(option.text).toBeTruthy();
+    expect(option.isCorrect).toBeUndefined();
+  }
+};
+
+describe('Answer keys are hidden from learners until review', () => {
+  let app;
+  let instructor;
+
+  beforeAll(async () => {
+    app = require('../app');
+    instructor = await createInstructor();
+  });
+
+  const start = async (learner, exam) => request(app)
+    .post('/api/exam-attempts/start')
+    .set(await authHeader(learner))
+    .send({ examId: exam._id });
+
+  test('Learners get questions without the answer key, instructors with it', async () => {
+    const learner = await createUser();
+    const { questions } = await createExam(instructor);
+
+    const asLearner = await request(app).get(`/api/questions/${questions[0]._id}`).set(await authHeader(learner));
+    const asInstructor = await request(app).get(`/api/questions/${questions[0]._id}`).set(await authHeader(instructor));
+
+    expect(asLearner.status).toBe(200);
+    expectNoAnswerKey(asLearner.body);
+    expect(asInstructor.body.answerOptions[0].isCorrect).toBe(true);
+    expect(asInstructor.body.rightAnswerDescription).toBeTruthy();
+  });
+
+  test('Exams are sent to learners without the answer key', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor);
+
+    const asLearner = await request(app).get(`/api/exams/${exam._id}`).set(await authHeader(learner));
+    const asInstructor = await request(app).get(`/api/exams/${exam._id}`).set(await authHeader(instructor));
+
+    expect(asLearner.status).toBe(200);
+    expect(asLearner.body.questions).toHaveLength(4);
+    asLearner.body.questions.forEach(expectNoAnswerKey);
+    expect(asInstructor.body.questions[0].answerOptions[0].isCorrect).toBe(true);
+  });
+
+  test('Starting, answering and reading an attempt do not reveal the answer key', async () => {
+    const learner = await createUser();
+    const headers = await authHeader(learner);
+    const { exam, questions } = await createExam(instructor);
+
+    const started = await start(learner, exam);
+
+    expect(started.status).toBe(201);
+    expect(started.body.exam.questions).toHaveLength(4);
+    started.body.exam.questions.forEach(expectNoAnswerKey);
+
+    const answered = await request(app)
+      .post('/api/exam-attempts/submit-answer')
+      .set(headers)
+      .send({ attemptId: started.body._id, questionId: questions[0]._id, selectedOption: 0 });
+
+    expect(answered.status).toBe(200);
+    expect(answered.body.feedback).toBeUndefined();
+    expect(answered.body.attempt.answers[0].isCorrect).toBeUndefined();
+
+    const read = await request(app).get(`/api/exam-attempts/${started.body._id}`).set(headers);
+
+    expect(read.status).toBe(200);
+    expect(read.body.answers[0].isCorrect).toBeUndefined();
+    expectNoAnswerKey(read.body.answers[0].questionId);
+  });
+
+  test('The review is only available once the attempt is completed', async () => {
+    const learner = await createUser();
+    const headers = await authHeader(learner);
+    const { exam, questions } = await createExam(instructor);
+    const started = await start(learner, exam);
+    const attemptId = started.body._id;
+
+    const early = await request(app).get(`/api/exam-attempts/${attemptId}/review`).set(headers);
+    expect(early.status).toBe(409);
+
+    // Right, wrong, right; the last question is left unanswered
+    for (const [index, selectedOption] of [0, 2, 0].entries()) {
+      const answered = await request(app)
+        .post('/api/exam-attempts/submit-answer')
+        .set(headers)
+        .send({ attemptId, questionId: questions[index]._id, selectedOption });
+      expect(answered.status).toBe(200);
+    }
+    const completed = await request(app).put(`/api/exam-attempts/${attemptId}/complete`).set(headers);
+    expect(completed.status).toBe(200);
+
+    const review = await request(app).get(`/api/exam-attempts/${attemptId}/review`).set(headers);
+
+    expect(review.status).toBe(200);
+    expect(review.body.summary).toEqual({ totalQuestions: 4, correctAnswers: 2, unanswered: 1 });
+    expect(review.body.attempt.score).toBe(50);
+
+    const [first, second, , last] = review.body.questions;
+    expect(first).toMatchObject({ correctOption: 0, selectedOption: 0, isCorrect: true, rightAnswerDescription: 'Because of rule 1' });
+    expect(second).toMatchObject({ correctOption: 0, selectedOption: 2, isCorrect: false });
+    expect(last).toMatchObject({ correctOption: 0, selectedOption: null, isCorrect: false });
+  });
+
+  test('Learners cannot review someone else\'s attempt', async () => {
+    const learner = await createUser();
+    const otherLearner = await createUser();
+    const { exam } = await createExam(instructor);
+    const started = await start(learner, exam);
+    await request(app).put(`/api/exam-attempts/${started.body._id}/complete`).set(await authHeader(learner));
+
+    const response = await request(app)
+      .get(`/api/exam-attempts/${started.body._id}/review`)
+      .set(await authHeader(otherLearner));
+
+    expect(response.status).toBe(403);
+  });
+});
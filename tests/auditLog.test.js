@@ -0,0 +1,129 @@
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const Category = require('../models/Category');
+const AuditService = require('../services/AuditService');
+const { createUser, createAdmin, authHeader } = require('./helpers/auth');
+const { createCategory } = require('./helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+describe('Audit log', () => {
+  let app;
+  let admin;
+  let adminHeaders;
+
+  beforeAll(async () => {
+    app = require('../app');
+    admin = await createAdmin();
+    adminHeaders = await authHeader(admin);
+  });
+
+  // Entries are written once the response has been sent
+  const entryFor = (action, targetId) => waitFor(() => AuditLog.findOne({ action, 'target.id': targetId }));
+
+  test('Creating a record logs the actor, target, IP and user agent', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .set({ ...adminHeaders, 'User-Agent': 'audit-test' })
+      .send({ categoryName: 'Audited signs', language: 'KIN' });
+
+    expect(response.status).toBe(201);
+
+    const entry = await entryFor('category.create', response.body._id);
+    expect(entry.actor.id).toBe(admin._id);
+    expect(entry.actor.role).toBe('admin');
+    expect(entry.target.type).toBe('Category');
+    expect(entry.changes.after.categoryName).toBe('Audited signs');
+    expect(entry.ip).toBeTruthy();
+    expect(entry.userAgent).toBe('audit-test');
+  });
+
+  test('Updates keep only the fields that changed', async () => {
+    const category = await createCategory({ categoryName: 'Before rename', description: 'Unchanged' });
+
+    const response = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set(adminHeaders)
+      .send({ categoryName: 'After rename', description: 'Unchanged', language: 'KIN' });
+
+    expect(response.status).toBe(200);
+
+    const entry = await entryFor('category.update', category._id);
+    expect(entry.changes.before.categoryName).toBe('Before rename');
+    expect(entry.changes.after.categoryName).toBe('After rename');
+    expect(entry.changes.before.description).toBeUndefined();
+  });
+
+  test('Refused requests are not logged', async () => {
+    const learner = await createUser();
+    const category = await createCategory();
+
+    const response = await request(app).delete(`/api/categories/${category._id}`).set(await authHeader(learner));
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(response.status).toBe(403);
+    expect(await AuditLog.exists({ 'target.id': category._id })).toBeNull();
+    expect(await Category.exists({ _id: category._id })).toBeTruthy();
+  });
+
+  test('Entries cannot be changed or deleted', async () => {
+    const entry = await new AuditService().record({ user: admin, ip: '127.0.0.1', get: () => 'jest' }, {
+      action: 'test.immutable',
+      target: { type: 'Test', id: 'immutable' }
+    });
+
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'test.changed' })).rejects.toThrow('immutable');
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow('immutable');
+
+    entry.action = 'test.changed';
+    await expect(entry.save()).rejects.toThrow('immutable');
+    expect((await AuditLog.findById(entry._id)).action).toBe('test.immutable');
+  });
+
+  test('Admins filter entries; other users cannot read them', async () => {
+    const category = await createCategory();
+    await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set(adminHeaders)
+      .send({ categoryName: `Filtered ${category._id.slice(0, 8)}`, language: 'KIN' });
+    await entryFor('category.update', category._id);
+
+    const byTarget = await request(app)
+      .get('/api/audit-logs')
+      .query({ targetType: 'Category', targetId: category._id, action: 'category.*' })
+      .set(adminHeaders);
+    const asLearner = await request(app).get('/api/audit-logs').set(await authHeader(await createUser()));
+
+    expect(byTarget.status).toBe(200);
+    expect(byTarget.body.data.total).toBe(1);
+    expect(byTarget.body.data.entries[0].action).toBe('category.update');
+    expect(asLearner.status).toBe(403);
+  });
+
+  test('Entries past the retention period are purged', async () => {
+    const now = Date.now();
+    await AuditLog.collection.insertMany([
+      { action: 'test.retention', target: { type: 'Test', id: 'expired' }, createdAt: new Date(now - 400 * DAY_MS) },
+      { action: 'test.retention', target: { type: 'Test', id: 'kept' }, createdAt: new Date(now - 10 * DAY_MS) }
+    ]);
+
+    const deleted = await new AuditService().purgeExpired();
+
+    expect(deleted).toBeGreaterThanOrEqual(1);
+    const remaining = await AuditLog.find({ action: 'test.retention' });
+    expect(remaining.map(entry => entry.target.id)).toEqual(['kept']);
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const User = require('../models/User');
+
+// Read when middleware/devAuth.js is first required
+process.env.DEV_AUTH = 'true';
+
+describe('Opt-in developer auth mode', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_AUTH;
+  });
+
+  test('Requests without a token act as a real developer account', async () => {
+    const response = await request(app).get('/api/exams');
+
+    expect(response.status).toBe(200);
+
+    const developer = await User.findOne({ email: 'dev@tsinda.local' });
+    expect(developer).not.toBeNull();
+    expect(developer._id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    expect(developer.role).toBe('user');
+  });
+
+  test('The developer account only has its role\'s permissions', async () => {
+    const response = await request(app)
+      .post('/api/categories')
+      .send({ categoryName: 'Developer category', language: 'KIN' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('The dev token route signs in as the developer account', async () => {
+    const minted = await request(app).get('/api/dev/token');
+
+    expect(minted.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${minted.body.token}` });
+    expect(me.status).toBe(200);
+    expect(me.body.email).toBe('dev@tsinda.local');
+  });
+
+  test('A token that is sent is still verified', async () => {
+    const response = await request(app).get('/api/exams').set({ Authorization: 'Bearer not-a-token' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('DEV_AUTH is ignored in production, loudly', () => {
+    const { NODE_ENV } = process.env;
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      process.env.NODE_ENV = 'production';
+      jest.isolateModules(() => {
+        const { devAuthEnabled, warnOnStartup } = require('../middleware/devAuth');
+        expect(devAuthEnabled).toBe(false);
+        warnOnStartup();
+      });
+
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('DEV_AUTH=true is ignored'));
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const Course = require('../models/Course');
+const FreeTierUsage = require('../models/FreeTierUsage');
+const EntitlementService = require('../services/EntitlementService');
+const { createUser, createInstructor, authHeader } = require('./helpers/auth');
+const { createCategory, createQuestions, createActiveSubscription } = require('./helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANDOM_QUESTIONS_PER_DAY = 3;
+
+describe('Subscription gate and daily free tier', () => {
+  let app;
+  let instructor;
+  let category;
+
+  beforeAll(async () => {
+    app = require('../app');
+    instructor = await createInstructor();
+    category = await createCategory();
+    await createQuestions(5, { category: category._id, createdBy: instructor._id });
+  });
+
+  const randomQuestions = async (user, query = {}) => request(app)
+    .get('/api/questions/random')
+    .query(query)
+    .set(await authHeader(user));
+
+  const usedToday = async (user, feature = 'randomQuestions') => {
+    const usage = await FreeTierUsage.findOne({ userId: user._id, feature, day: new Date().toISOString().slice(0, 10) });
+    return usage ? usage.count : 0;
+  };
+
+  test('A learner without a subscription gets the free uses, then a 402', async () => {
+    const learner = await createUser();
+
+    for (let i = 1; i <= RANDOM_QUESTIONS_PER_DAY; i += 1) {
+      const response = await randomQuestions(learner, { count: 2 });
+      expect(response.status).toBe(200);
+      expect(await usedToday(learner)).toBe(i);
+    }
+    const response = await randomQuestions(learner, { count: 2 });
+
+    expect(response.status).toBe(402);
+    expect(response.body.error.code).toBe('SUBSCRIPTION_REQUIRED');
+    expect(response.body.error.details).toMatchObject({
+      feature: 'randomQuestions',
+      freeTier: { allowed: false, limit: RANDOM_QUESTIONS_PER_DAY, used: RANDOM_QUESTIONS_PER_DAY }
+    });
+    expect(response.body.error.details.subscribe.endpoint).toBe('/api/subscriptions/payment');
+    expect(await usedToday(learner)).toBe(RANDOM_QUESTIONS_PER_DAY);
+  });
+
+  test('Invalid requests and empty results do not use up the free tier', async () => {
+    const learner = await createUser();
+
+    const invalid = await randomQuestions(learner, { count: 0 });
+    const empty = await randomQuestions(learner, { difficulty: 'Difficult' });
+
+    expect(invalid.status).toBe(400);
+    expect(empty.status).toBe(404);
+    expect(await usedToday(learner)).toBe(0);
+  });
+
+  test('Yesterday\'s uses do not count against today', async () => {
+    const learner = await createUser();
+    const yesterday = new Date(Date.now() - DAY_MS).toISOString().slice(0, 10);
+    await FreeTierUsage.create({ userId: learner._id, feature: 'randomQuestions', day: yesterday, count: RANDOM_QUESTIONS_PER_DAY });
+
+    const response = await randomQuestions(learner);
+
+    expect(response.status).toBe(200);
+    expect(await usedToday(learner)).toBe(1);
+    expect((await FreeTierUsage.findOne({ userId: learner._id, day: yesterday })).count).toBe(RANDOM_QUESTIONS_PER_DAY);
+  });
+
+  test('Each feature has its own daily count', async () => {
+    const learner = await createUser();
+    for (let i = 0; i < RANDOM_QUESTIONS_PER_DAY; i += 1) await randomQuestions(learner);
+
+    const practice = await request(app)
+      .get('/api/practice/next')
+      .query({ categoryId: category._id })
+      .set(await authHeader(learner));
+
+    expect(practice.status).toBe(200);
+    expect(await usedToday(learner, 'practice')).toBe(1);
+  });
+
+  test('Concurrent uses never go past the daily limit', async () => {
+    const learner = await createUser();
+    const entitlementService = new EntitlementService();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => entitlementService.consumeFreeTier(learner._id, 'randomQuestions'))
+    );
+
+    expect(results.filter(result => result.allowed)).toHaveLength(RANDOM_QUESTIONS_PER_DAY);
+    expect(await FreeTierUsage.countDocuments({ userId: learner._id })).toBe(1);
+    expect(await usedToday(learner)).toBe(RANDOM_QUESTIONS_PER_DAY);
+  });
+
+  test('A subscriber is never counted against the free tier', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+
+    for (let i = 0; i <= RANDOM_QUESTIONS_PER_DAY; i += 1) {
+      expect((await randomQuestions(learner)).status).toBe(200);
+    }
+
+    expect(await FreeTierUsage.countDocuments({ userId: learner._id })).toBe(0);
+  });
+
+  test('Instructors are not gated', async () => {
+    for (let i = 0; i <= RANDOM_QUESTIONS_PER_DAY; i += 1) {
+      expect((await randomQuestions(instructor)).status).toBe(200);
+    }
+
+    expect(await FreeTierUsage.countDocuments({ userId: instructor._id })).toBe(0);
+  });
+
+  test('Learners cannot list the question bank', async () => {
+    const learner = await createUser();
+
+    const all = await request(app).get('/api/questions').set(await authHeader(learner));
+    const byCategory = await request(app).get(`/api/questions/category/${category._id}`).set(await authHeader(learner));
+
+    expect(all.status).toBe(403);
+    expect(byCategory.status).toBe(403);
+  });
+
+  describe('Course content', () => {
+    let course;
+
+    beforeAll(async () => {
+      course = await Course.create({
+        title: 'Road signs',
+        description: 'Warning, priority and prohibition signs',
+        language: 'KIN',
+        category: category._id,
+        instructor: instructor._id,
+        thumbnailUrl: 'https://cdn.test.tsinda.rw/thumb.png',
+        videoUrl: 'https://cdn.test.tsinda.rw/video.mp4',
+        documentUrl: 'https://cdn.test.tsinda.rw/notes.pdf',
+        isPublished: true
+      });
+    });
+
+    test('The public course lists leave out the content URLs', async () => {
+      const all = await request(app).get('/api/courses');
+      const byCategory = await request(app).get(`/api/courses/category/${category._id}`);
+
+      for (const response of [all, byCategory]) {
+        expect(response.status).toBe(200);
+        const listed = response.body.find(item => item._id === course._id);
+        expect(listed.title).toBe('Road signs');
+        expect(listed.videoUrl).toBeUndefined();
+        expect(listed.documentUrl).toBeUndefined();
+      }
+    });
+
+    test('Course content needs a subscription', async () => {
+      const learner = await createUser();
+      const subscriber = await createUser();
+      await createActiveSubscription(subscriber);
+
+      const refused = await request(app).get(`/api/courses/${course._id}`).set(await authHeader(learner));
+      const served = await request(app).get(`/api/courses/${course._id}`).set(await authHeader(subscriber));
+
+      expect(refused.status).toBe(402);
+      expect(refused.body.error.code).toBe('SUBSCRIPTION_REQUIRED');
+      expect(served.status).toBe(200);
+      expect(served.body.videoUrl).toBe('https://cdn.test.tsinda.rw/video.mp4');
+    });
+  });
+});
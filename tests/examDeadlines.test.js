@@ -0,0 +1,173 @@
+const request = require('supertest');
+const ExamAttempt = require('../models/ExamAttempt');
+const ExamAttemptService = require('../services/ExamAttemptService');
+const { GRACE_MS } = require('../config/examAttempts');
+const { createUser, createInstructor, authHeader } = require('./helpers/auth');
+const { createExam, createActiveSubscription } = require('./helpers/fixtures');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Server-enforced exam deadlines', () => {
+  let app;
+  let instructor;
+
+  beforeAll(async () => {
+    app = require('../app');
+    instructor = await createInstructor();
+  });
+
+  // The sweeper looks at every attempt, so each test starts without any
+  beforeEach(async () => {
+    await ExamAttempt.deleteMany({});
+  });
+
+  // Move an attempt's clock back as if it had started earlier
+  const backdate = (attemptId, deadline) => ExamAttempt.updateOne(
+    { _id: attemptId },
+    { deadline, startTime: new Date(deadline.getTime() - 20 * MINUTE_MS) }
+  );
+
+  const startAttempt = async (learner, exam, mode) => {
+    const response = await request(app)
+      .post('/api/exam-attempts/start')
+      .set(await authHeader(learner))
+      .send({ examId: exam._id, mode });
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  const submit = async (learner, attemptId, questionId) => request(app)
+    .post('/api/exam-attempts/submit-answer')
+    .set(await authHeader(learner))
+    .send({ attemptId, questionId, selectedOption: 0 });
+
+  test('Exam mode attempts get a deadline and report the time left', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor, { duration: 20 });
+
+    const attempt = await startAttempt(learner, exam, 'exam');
+
+    const deadline = new Date(attempt.deadline).getTime();
+    const startTime = new Date(attempt.startTime).getTime();
+    expect(deadline - startTime).toBe(20 * MINUTE_MS);
+    expect(attempt.remainingSeconds).toBeGreaterThan(19 * 60);
+    expect(attempt.remainingSeconds).toBeLessThanOrEqual(20 * 60);
+  });
+
+  test('Practice attempts have no deadline', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor);
+
+    const attempt = await startAttempt(learner, exam, 'practice');
+
+    expect(attempt.deadline).toBeUndefined();
+    expect(attempt.remainingSeconds).toBeNull();
+  });
+
+  test('Answers are accepted during the grace window', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const attempt = await startAttempt(learner, exam, 'exam');
+    await backdate(attempt._id, new Date(Date.now() - GRACE_MS / 2));
+
+    const response = await submit(learner, attempt._id, questions[0]._id);
+
+    expect(response.status).toBe(200);
+    expect(response.body.attempt.remainingSeconds).toBe(0);
+  });
+
+  test('Answers after the deadline and grace window are refused and the attempt is scored', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const attempt = await startAttempt(learner, exam, 'exam');
+    expect((await submit(learner, attempt._id, questions[0]._id)).status).toBe(200);
+    await backdate(attempt._id, new Date(Date.now() - GRACE_MS - 1000));
+
+    const late = await submit(learner, attempt._id, questions[1]._id);
+
+    expect(late.status).toBe(409);
+    expect(late.body.attempt.status).toBe('completed');
+    expect(late.body.attempt.autoSubmitted).toBe(true);
+
+    const stored = await ExamAttempt.findById(attempt._id);
+    expect(stored.answers).toHaveLength(1);
+    expect(stored.score).toBe(25);
+  });
+
+  test('Starting again after the time ran out submits the old attempt and starts a new one', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const { exam, questions } = await createExam(instructor);
+    const first = await startAttempt(learner, exam, 'exam');
+    await submit(learner, first._id, questions[0]._id);
+    await backdate(first._id, new Date(Date.now() - GRACE_MS - 1000));
+
+    const second = await startAttempt(learner, exam, 'exam');
+
+    expect(second._id).not.toBe(first._id);
+    const old = await ExamAttempt.findById(first._id);
+    expect(old.status).toBe('completed');
+    expect(old.autoSubmitted).toBe(true);
+  });
+
+  test('The sweeper finishes overdue attempts and leaves the rest', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor);
+    const overdueDeadline = new Date(Date.now() - GRACE_MS - MINUTE_MS);
+    const [answered, unanswered, running, practice] = await ExamAttempt.create([
+      { user: learner._id, exam: exam._id, mode: 'exam', deadline: overdueDeadline, answers: [{ questionId: exam.questions[0], selectedOption: 0, isCorrect: true }] },
+      { user: learner._id, exam: exam._id, mode: 'exam', deadline: overdueDeadline },
+      { user: learner._id, exam: exam._id, mode: 'exam', deadline: new Date(Date.now() + 10 * MINUTE_MS) },
+      { user: learner._id, exam: exam._id, mode: 'practice' }
+    ]);
+
+    const finished = await ExamAttemptService.expireOverdue();
+
+    expect(finished).toBe(2);
+    const status = async (attempt) => (await ExamAttempt.findById(attempt._id)).status;
+    expect(await status(answered)).toBe('completed');
+    expect(await status(unanswered)).toBe('abandoned');
+    expect(await status(running)).toBe('in-progress');
+    expect(await status(practice)).toBe('in-progress');
+    expect((await ExamAttempt.findById(answered._id)).score).toBe(25);
+  });
+
+  test('Attempts from before deadlines existed get one from their exam', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor, { duration: 20 });
+    const attempt = await ExamAttempt.create({
+      user: learner._id,
+      exam: exam._id,
+      startTime: new Date(Date.now() - 60 * MINUTE_MS)
+    });
+    await ExamAttempt.updateOne({ _id: attempt._id }, { $unset: { deadline: 1, mode: 1 } });
+
+    await ExamAttemptService.expireOverdue();
+
+    const swept = await ExamAttempt.findById(attempt._id);
+    expect(swept.status).toBe('abandoned');
+    expect(swept.deadline.getTime()).toBe(attempt.startTime.getTime() + 20 * MINUTE_MS);
+  });
+
+  test('A submit racing the sweeper finishes the attempt once', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor);
+    const { _id } = await ExamAttempt.create({
+      user: learner._id,
+      exam: exam._id,
+      answers: [{ questionId: exam.questions[0], selectedOption: 0, isCorrect: true }]
+    });
+    const [submitCopy, sweepCopy] = await Promise.all([ExamAttempt.findById(_id), ExamAttempt.findById(_id)]);
+
+    const results = await Promise.all([
+      ExamAttemptService.finish(submitCopy, exam),
+      ExamAttemptService.finish(sweepCopy, exam, { autoSubmitted: true })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    // Both callers see the state the winner stored
+    expect(submitCopy.status).toBe('completed');
+    expect(sweepCopy.status).toBe('completed');
+    expect(submitCopy.autoSubmitted).toBe(sweepCopy.autoSubmitted);
+  });
+});
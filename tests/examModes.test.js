@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { createUser, createInstructor, authHeader } = require('./helpers/auth');
+const { createExam, createActiveSubscription } = require('./helpers/fixtures');
+
+describe('Practice and exam modes', () => {
+  let app;
+  let instructor;
+
+  beforeAll(async () => {
+    app = require('../app');
+    instructor = await createInstructor();
+  });
+
+  const start = async (learner, exam, mode) => request(app)
+    .post('/api/exam-attempts/start')
+    .set(await authHeader(learner))
+    .send({ examId: exam._id, mode });
+
+  const submit = async (learner, attemptId, questionId, selectedOption) => request(app)
+    .post('/api/exam-attempts/submit-answer')
+    .set(await authHeader(learner))
+    .send({ attemptId, questionId, selectedOption });
+
+  test('Practice mode explains each answer right away', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const attempt = (await start(learner, exam, 'practice')).body;
+
+    const response = await submit(learner, attempt._id, questions[0]._id, 2);
+
+    expect(response.status).toBe(200);
+    expect(response.body.feedback).toEqual({
+      isCorrect: false,
+      correctOption: 0,
+      rightAnswerDescription: 'Because of rule 1'
+    });
+    expect(response.body.attempt.answers[0].isCorrect).toBe(false);
+  });
+
+  test('Practice answers can be changed at any time', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const attempt = (await start(learner, exam, 'practice')).body;
+    await submit(learner, attempt._id, questions[0]._id, 2);
+    await submit(learner, attempt._id, questions[1]._id, 0);
+
+    const response = await submit(learner, attempt._id, questions[0]._id, 0);
+
+    expect(response.status).toBe(200);
+    expect(response.body.feedback.isCorrect).toBe(true);
+  });
+
+  test('Exam mode gives no feedback and locks answers once the next question is answered', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const attempt = (await start(learner, exam, 'exam')).body;
+
+    const first = await submit(learner, attempt._id, questions[0]._id, 2);
+    // The latest answer can still be changed
+    const changed = await submit(learner, attempt._id, questions[0]._id, 0);
+    await submit(learner, attempt._id, questions[1]._id, 0);
+    const locked = await submit(learner, attempt._id, questions[0]._id, 1);
+
+    expect(first.status).toBe(200);
+    expect(first.body.feedback).toBeUndefined();
+    expect(first.body.attempt.answers[0].isCorrect).toBeUndefined();
+    expect(first.body.attempt.score).toBeUndefined();
+    expect(changed.status).toBe(200);
+    expect(locked.status).toBe(409);
+  });
+
+  test('Exam mode results are only shown once the attempt is completed', async () => {
+    const learner = await createUser();
+    const headers = await authHeader(learner);
+    const { exam, questions } = await createExam(instructor);
+    const attempt = (await start(learner, exam, 'exam')).body;
+    await submit(learner, attempt._id, questions[0]._id, 0);
+
+    const running = await request(app).get('/api/exam-attempts').set(headers);
+
+    expect(running.status).toBe(200);
+    expect(running.body).toHaveLength(1);
+    expect(running.body[0].answers[0].isCorrect).toBeUndefined();
+
+    const completed = await request(app).put(`/api/exam-attempts/${attempt._id}/complete`).set(headers);
+    const listed = await request(app).get('/api/exam-attempts/completed').set(headers);
+
+    expect(completed.status).toBe(200);
+    expect(completed.body.score).toBe(25);
+    expect(completed.body.isPassed).toBe(false);
+    expect(listed.body).toHaveLength(1);
+    expect(listed.body[0].answers[0].isCorrect).toBe(true);
+  });
+
+  test('The mode defaults to the exam\'s and must be one the exam allows', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const { exam: practiceOnly } = await createExam(instructor, { attemptModes: ['practice'], defaultMode: 'practice' });
+
+    const defaulted = await start(learner, practiceOnly);
+    const refused = await start(learner, practiceOnly, 'exam');
+
+    expect(defaulted.status).toBe(201);
+    expect(defaulted.body.mode).toBe('practice');
+    expect(refused.status).toBe(400);
+  });
+
+  test('A practice and an exam attempt can run side by side', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const { exam } = await createExam(instructor);
+
+    const practice = await start(learner, exam, 'practice');
+    const examAttempt = await start(learner, exam, 'exam');
+    const resumed = await start(learner, exam, 'practice');
+
+    expect(practice.status).toBe(201);
+    expect(examAttempt.status).toBe(201);
+    expect(examAttempt.body._id).not.toBe(practice.body._id);
+    expect(resumed.status).toBe(200);
+    expect(resumed.body._id).toBe(practice.body._id);
+  });
+
+  test('Resuming an attempt does not use up the free tier', async () => {
+    const learner = await createUser();
+    const { exam } = await createExam(instructor);
+
+    const started = await start(learner, exam, 'exam');
+    const resumed = await start(learner, exam, 'exam');
+    const another = await start(learner, exam, 'practice');
+
+    expect(started.status).toBe(201);
+    expect(resumed.status).toBe(200);
+    expect(resumed.body._id).toBe(started.body._id);
+    // The one free attempt a day is used, so a new attempt needs a subscription
+    expect(another.status).toBe(402);
+    expect(another.body.error.code).toBe('SUBSCRIPTION_REQUIRED');
+  });
+});
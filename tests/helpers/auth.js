@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const SessionService = require('../../services/SessionService');
+
+/**
+ * Test Auth Helpers
+ * Create real users and sign in as them, so tests go through the same
+ * auth middleware, sessions and permissions as production requests.
+ */
+
+/**
+ * Create a verified local user
+ * @param {object} overrides - User fields to set (role, email, phoneNumber, ...)
+ * @returns {Promise<object>} User document
+ */
+async function createUser(overrides = {}) {
+  const suffix = crypto.randomInt(10000000, 99999999);
+  return User.create({
+    name: 'Test User',
+    email: `user${suffix}@test.tsinda.rw`,
+    phoneNumber: `07${suffix}`,
+    password: 'password123',
+    authMethod: 'local',
+    isVerified: true,
+    role: 'user',
+    ...overrides
+  });
+}
+
+const createInstructor = (overrides = {}) => createUser({ role: 'instructor', ...overrides });
+const createAdmin = (overrides = {}) => createUser({ role: 'admin', ...overrides });
+
+/**
+ * Start a session for a user, as a login would
+ * @param {object} user - User document
+ * @returns {Promise<object>} { token, refreshToken, expiresIn, sessionId }
+ */
+async function signIn(user) {
+  const req = {
+    body: { deviceName: 'jest' },
+    header: () => undefined,
+    ip: '127.0.0.1'
+  };
+  return SessionService.createSession(user, req);
+}
+
+/**
+ * Authorization header for a user
+ * @param {object} user - User document
+ * @returns {Promise<object>} { Authorization: 'Bearer ...' }
+ */
+async function authHeader(user) {
+  const { token } = await signIn(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+module.exports = {
+  createUser,
+  createInstructor,
+  createAdmin,
+  signIn,
+  authHeader
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const Category = require('../../models/Category');
+const Question = require('../../models/Question');
+const Exam = require('../../models/Exam');
+const Subscription = require('../../models/Subscription');
+
+/**
+ * Test Fixture Helpers
+ * Create the question bank records and subscriptions the learning
+ * endpoints need, with valid defaults that each test can override.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a category
+ * @param {object} overrides - Category fields to set
+ * @returns {Promise<object>} Category document
+ */
+async function createCategory(overrides = {}) {
+  return Category.create({
+    categoryName: `Category ${crypto.randomInt(10000000, 99999999)}`,
+    language: 'KIN',
+    ...overrides
+  });
+}
+
+/**
+ * Create active questions whose first answer option is the correct one
+ * @param {number} count - Number of questions
+ * @param {object} fields - Shared fields (category and createdBy are required)
+ * @returns {Promise<object[]>} Question documents
+ */
+async function createQuestions(count, fields) {
+  const questions = Array.from({ length: count }, (_, index) => ({
+    text: `Question ${index + 1}`,
+    answerOptions: [
+      { text: 'Right', isCorrect: true },
+      { text: 'Wrong A', isCorrect: false },
+      { text: 'Wrong B', isCorrect: false },
+      { text: 'Wrong C', isCorrect: false }
+    ],
+    rightAnswerDescription: `Because of rule ${index + 1}`,
+    difficulty: 'Medium',
+    status: 'Active',
+    ...fields
+  }));
+  return Question.insertMany(questions);
+}
+
+/**
+ * Create a published exam with its own category and questions
+ * @param {object} creator - User document of the exam's author
+ * @param {object} overrides - Exam fields to set
+ * @param {number} overrides.questionCount - Number of questions to create (default 4)
+ * @returns {Promise<object>} { exam, questions, category }
+ */
+async function createExam(creator, { questionCount = 4, ...overrides } = {}) {
+  const category = await createCategory();
+  const questions = await createQuestions(questionCount, { category: category._id, createdBy: creator._id });
+  const exam = await Exam.create({
+    title: 'Theory mock test',
+    description: 'Provisional licence theory test',
+    duration: 20,
+    passingScore: 50,
+    category: category._id,
+    language: 'Kinyarwanda',
+    status: 'Published',
+    createdBy: creator._id,
+    questions: questions.map(question => question._id),
+    ...overrides
+  });
+  return { exam, questions, category };
+}
+
+/**
+ * Give a user a paid subscription that is active now
+ * @param {object} user - User document
+ * @returns {Promise<object>} Subscription document
+ */
+async function createActiveSubscription(user) {
+  const now = Date.now();
+  return Subscription.create({
+    userId: user._id,
+    amount: 1000,
+    currency: 'RWF',
+    numberOfMonths: 1,
+    paymentChannel: 'MTN',
+    msisdn: '250780000001',
+    transactionId: crypto.randomUUID(),
+    status: 'SUCCESSFUL',
+    startDate: new Date(now - DAY_MS),
+    endDate: new Date(now + 30 * DAY_MS)
+  });
+}
+
+module.exports = {
+  createCategory,
+  createQuestions,
+  createExam,
+  createActiveSubscription
+};
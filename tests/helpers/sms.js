@@ -0,0 +1,55 @@
+const SmsProvider = require('../../services/sms/SmsProvider');
+const { setSmsProvider } = require('../../services/sms');
+
+/**
+ * Inbox SMS Provider
+ * Keeps every message it is given so tests can read the codes users receive.
+ */
+class InboxSmsProvider extends SmsProvider {
+  constructor() {
+    super('inbox');
+    this.messages = [];
+  }
+
+  async send(phoneNumber, message) {
+    this.messages.push({ phoneNumber, message });
+    return { messageId: `inbox-${this.messages.length}` };
+  }
+
+  /**
+   * Messages sent to a local (07...) or international number
+   * @param {string} phoneNumber - Number as stored on the user
+   * @returns {object[]} { phoneNumber, message }
+   */
+  sentTo(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '').replace(/^0/, '');
+    return this.messages.filter(sms => sms.phoneNumber.endsWith(digits));
+  }
+
+  /**
+   * The 6-digit code in the latest message sent to a number
+   * @param {string} phoneNumber - Number as stored on the user
+   * @returns {string|null}
+   */
+  lastCode(phoneNumber) {
+    const sent = this.sentTo(phoneNumber);
+    if (sent.length === 0) return null;
+    const match = sent[sent.length - 1].message.match(/\b(\d{6})\b/);
+    return match ? match[1] : null;
+  }
+}
+
+/**
+ * Send SMS to a fresh inbox instead of the configured provider
+ * @returns {InboxSmsProvider}
+ */
+function captureSms() {
+  const inbox = new InboxSmsProvider();
+  setSmsProvider(inbox);
+  return inbox;
+}
+
+module.exports = {
+  InboxSmsProvider,
+  captureSms
+};
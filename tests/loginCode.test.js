@@ -0,0 +1,145 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { createUser } = require('./helpers/auth');
+const { captureSms } = require('./helpers/sms');
+
+// Codes also go out by email; keep the tests off SMTP
+jest.mock('../config/email-sender');
+
+describe('SMS verification and phone login codes', () => {
+  let app;
+  let inbox;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  beforeEach(async () => {
+    inbox = captureSms();
+    await RateLimitBucket.deleteMany({});
+  });
+
+  const requestCode = (phoneNumber) => request(app).post('/api/auth/otp/request').send({ phoneNumber });
+  const loginWithCode = (phoneNumber, loginCode) => request(app)
+    .post('/api/auth/otp/verify')
+    .send({ phoneNumber, loginCode });
+
+  test('Signup sends the verification code by SMS', async () => {
+    const phoneNumber = '0781234567';
+
+    const signup = await request(app).post('/api/auth/signup').send({
+      phoneNumber,
+      email: 'sms.signup@test.tsinda.rw',
+      password: 'password123',
+      name: 'New Learner'
+    });
+    const verificationCode = inbox.lastCode(phoneNumber);
+
+    expect(signup.status).toBe(201);
+    expect(inbox.sentTo(phoneNumber)[0].phoneNumber).toBe('+250781234567');
+
+    const verified = await request(app)
+      .post('/api/auth/verify')
+      .send({ userId: signup.body.userId, verificationCode });
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.token).toBeTruthy();
+  });
+
+  test('A login code sent by SMS signs the user in', async () => {
+    const user = await createUser();
+
+    const requested = await requestCode(user.phoneNumber);
+    const response = await loginWithCode(user.phoneNumber, inbox.lastCode(user.phoneNumber));
+
+    expect(requested.status).toBe(200);
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+  });
+
+  test('A login code works only once', async () => {
+    const user = await createUser();
+    await requestCode(user.phoneNumber);
+    const loginCode = inbox.lastCode(user.phoneNumber);
+
+    expect((await loginWithCode(user.phoneNumber, loginCode)).status).toBe(200);
+    expect((await loginWithCode(user.phoneNumber, loginCode)).status).toBe(401);
+  });
+
+  test('Receiving a login code verifies the account', async () => {
+    const user = await createUser({ isVerified: false });
+    await requestCode(user.phoneNumber);
+
+    const response = await loginWithCode(user.phoneNumber, inbox.lastCode(user.phoneNumber));
+
+    expect(response.status).toBe(200);
+    expect((await User.findById(user._id)).isVerified).toBe(true);
+  });
+
+  test('Unregistered and throttled numbers get the same answer', async () => {
+    const user = await createUser();
+
+    const unknown = await requestCode('0789999999');
+    const first = await requestCode(user.phoneNumber);
+    const throttled = await requestCode(user.phoneNumber);
+
+    expect(unknown.status).toBe(200);
+    expect(first.status).toBe(200);
+    expect(throttled.status).toBe(200);
+    expect(throttled.body).toEqual(unknown.body);
+    expect(first.body).toEqual(unknown.body);
+
+    // Only the first request sent a code
+    expect(inbox.messages).toHaveLength(1);
+  });
+
+  test('The code stops working after too many wrong attempts', async () => {
+    const user = await createUser();
+    await requestCode(user.phoneNumber);
+    const loginCode = inbox.lastCode(user.phoneNumber);
+    const wrongCode = loginCode === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await loginWithCode(user.phoneNumber, wrongCode)).status).toBe(401);
+    }
+
+    // The failures lock the account for a while...
+    expect((await loginWithCode(user.phoneNumber, loginCode)).status).toBe(423);
+
+    // ...and the guessed-at code stays unusable once the lockout is over
+    await User.updateOne({ _id: user._id }, { $unset: { lockUntil: 1 } });
+    expect((await loginWithCode(user.phoneNumber, loginCode)).status).toBe(401);
+  });
+
+  test('The development SMS stubs are refused in production', () => {
+    const { NODE_ENV, SMS_PROVIDER } = process.env;
+    // A fresh registry each time, since the provider is picked once per process
+    const getSmsProvider = (smsProvider) => {
+      process.env.SMS_PROVIDER = smsProvider;
+      let provider;
+      jest.isolateModules(() => {
+        provider = require('../services/sms').getSmsProvider;
+      });
+      return provider;
+    };
+
+    try {
+      process.env.NODE_ENV = 'production';
+      expect(getSmsProvider('')).toThrow('SMS_PROVIDER must name a real SMS gateway');
+      expect(getSmsProvider('console')).toThrow('SMS_PROVIDER must name a real SMS gateway');
+      expect(getSmsProvider('file')).toThrow('SMS_PROVIDER must name a real SMS gateway');
+
+      process.env.NODE_ENV = NODE_ENV;
+      expect(getSmsProvider('')().name).toBe('console');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (SMS_PROVIDER === undefined) {
+        delete process.env.SMS_PROVIDER;
+      } else {
+        process.env.SMS_PROVIDER = SMS_PROVIDER;
+      }
+    }
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const Exam = require('../models/Exam');
+const Question = require('../models/Question');
+const { createUser, createInstructor, createAdmin, authHeader } = require('./helpers/auth');
+const { createCategory, createQuestions, createActiveSubscription } = require('./helpers/fixtures');
+
+describe('Exam blueprints and mock exam generation', () => {
+  let app;
+  let admin;
+  let adminHeaders;
+  let blueprintCount = 0;
+
+  beforeAll(async () => {
+    app = require('../app');
+    admin = await createAdmin();
+    adminHeaders = await authHeader(admin);
+  });
+
+  const createBlueprint = async (sections, fields = {}) => {
+    blueprintCount += 1;
+    const response = await request(app)
+      .post('/api/exam-blueprints')
+      .set(adminHeaders)
+      .send({
+        name: `Provisional licence ${blueprintCount}`,
+        language: 'Kinyarwanda',
+        duration: 20,
+        passingScore: 60,
+        sections,
+        ...fields
+      });
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  const startMockExam = async (learner, blueprint, body = {}) => request(app)
+    .post(`/api/exam-blueprints/${blueprint._id}/mock-exams`)
+    .set(await authHeader(learner))
+    .send(body);
+
+  const questionIdsOf = (attempt) => attempt.exam.questions.map(question => question._id);
+
+  test('Only admins manage blueprints', async () => {
+    const category = await createCategory();
+    const body = { name: 'Instructor blueprint', language: 'English', duration: 20, passingScore: 60, sections: [{ category: category._id, questionCount: 1 }] };
+
+    const asInstructor = await request(app)
+      .post('/api/exam-blueprints')
+      .set(await authHeader(await createInstructor()))
+      .send(body);
+
+    expect(asInstructor.status).toBe(403);
+  });
+
+  test('A mock exam follows the blueprint\'s quotas, time limit and pass mark', async () => {
+    const learner = await createUser();
+    const signs = await createCategory();
+    const rules = await createCategory();
+    await createQuestions(5, { category: signs._id, createdBy: admin._id });
+    await createQuestions(2, { category: rules._id, createdBy: admin._id, difficulty: 'Difficult' });
+    await createQuestions(3, { category: rules._id, createdBy: admin._id, difficulty: 'Easy' });
+    const blueprint = await createBlueprint([
+      { category: signs._id, questionCount: 3 },
+      { category: rules._id, difficulty: 'Difficult', questionCount: 2 }
+    ]);
+
+    const response = await startMockExam(learner, blueprint);
+
+    expect(response.status).toBe(201);
+    expect(response.body.mode).toBe('exam');
+    expect(response.body.deadline).toBeTruthy();
+    expect(response.body.exam.duration).toBe(20);
+    expect(response.body.exam.passingScore).toBe(60);
+
+    const questions = await Question.find({ _id: { $in: questionIdsOf(response.body) } });
+    expect(questions).toHaveLength(5);
+    expect(questions.filter(question => question.category === signs._id)).toHaveLength(3);
+    const fromRules = questions.filter(question => question.category === rules._id);
+    expect(fromRules).toHaveLength(2);
+    expect(fromRules.every(question => question.difficulty === 'Difficult')).toBe(true);
+
+    // The answer key stays hidden
+    expect(response.body.exam.questions[0].answerOptions[0].isCorrect).toBeUndefined();
+  });
+
+  test('Questions the learner saw recently are avoided until the bank runs out', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const category = await createCategory();
+    await createQuestions(6, { category: category._id, createdBy: admin._id });
+    const blueprint = await createBlueprint([{ category: category._id, questionCount: 3 }]);
+
+    const first = questionIdsOf((await startMockExam(learner, blueprint)).body);
+    const second = questionIdsOf((await startMockExam(learner, blueprint)).body);
+    const third = await startMockExam(learner, blueprint);
+
+    expect(second.filter(id => first.includes(id))).toEqual([]);
+    // Every question was seen, so repeats fill the exam
+    expect(third.status).toBe(201);
+    expect(questionIdsOf(third.body)).toHaveLength(3);
+  });
+
+  test('Questions seen long enough ago count as fresh again', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const category = await createCategory();
+    await createQuestions(3, { category: category._id, createdBy: admin._id });
+    const blueprint = await createBlueprint([{ category: category._id, questionCount: 3 }], { recentDays: 0 });
+
+    const first = await startMockExam(learner, blueprint);
+    const second = await startMockExam(learner, blueprint);
+
+    expect(first.status).toBe(201);
+    expect(questionIdsOf(second.body).sort()).toEqual(questionIdsOf(first.body).sort());
+  });
+
+  test('A blueprint the bank cannot fill is refused without using the free tier', async () => {
+    const learner = await createUser();
+    const category = await createCategory();
+    await createQuestions(2, { category: category._id, createdBy: admin._id });
+    const tooBig = await createBlueprint([{ category: category._id, questionCount: 3 }]);
+    const fits = await createBlueprint([{ category: category._id, questionCount: 2 }]);
+
+    const refused = await startMockExam(learner, tooBig);
+    const started = await startMockExam(learner, fits);
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.shortfall).toMatchObject({ category: category._id, needed: 3, available: 2 });
+    expect(started.status).toBe(201);
+  });
+
+  test('Mock exams are only taken in exam mode', async () => {
+    const learner = await createUser();
+    const category = await createCategory();
+    await createQuestions(2, { category: category._id, createdBy: admin._id });
+    const blueprint = await createBlueprint([{ category: category._id, questionCount: 2 }]);
+
+    const response = await startMockExam(learner, blueprint, { mode: 'practice' });
+
+    expect(response.status).toBe(400);
+    expect(await Exam.countDocuments({ blueprint: blueprint._id })).toBe(0);
+  });
+
+  test('A mock exam belongs to the learner it was generated for', async () => {
+    const learner = await createUser();
+    const otherLearner = await createUser();
+    const category = await createCategory();
+    await createQuestions(2, { category: category._id, createdBy: admin._id });
+    const blueprint = await createBlueprint([{ category: category._id, questionCount: 2 }]);
+    const attempt = (await startMockExam(learner, blueprint)).body;
+
+    const response = await request(app)
+      .post('/api/exam-attempts/start')
+      .set(await authHeader(otherLearner))
+      .send({ examId: attempt.exam._id });
+    const listed = await request(app).get('/api/exams').set(await authHeader(otherLearner));
+
+    expect(response.status).toBe(404);
+    expect(listed.body.map(exam => exam._id)).not.toContain(attempt.exam._id);
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { createUser, signIn } = require('./helpers/auth');
+const { captureSms } = require('./helpers/sms');
+
+// Codes also go out by email; keep the tests off SMTP
+jest.mock('../config/email-sender');
+
+describe('Forgot and reset password', () => {
+  let app;
+  let inbox;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  beforeEach(async () => {
+    inbox = captureSms();
+    await RateLimitBucket.deleteMany({});
+  });
+
+  const forgot = (body) => request(app).post('/api/auth/forgot-password').send(body);
+  const reset = (body) => request(app).post('/api/auth/reset-password').send(body);
+  const login = (user, password) => request(app)
+    .post('/api/auth/login')
+    .send({ phoneNumber: user.phoneNumber, password });
+
+  test('A reset code sent by SMS sets a new password', async () => {
+    const user = await createUser();
+
+    const requested = await forgot({ phoneNumber: user.phoneNumber });
+    const resetCode = inbox.lastCode(user.phoneNumber);
+
+    expect(requested.status).toBe(200);
+    expect(resetCode).toMatch(/^\d{6}$/);
+
+    // Only a hash of the code is stored
+    const stored = await User.findById(user._id);
+    expect(stored.resetPasswordToken).toBeTruthy();
+    expect(stored.resetPasswordToken).not.toBe(resetCode);
+
+    const response = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'new-password-456' });
+
+    expect(response.status).toBe(200);
+    expect((await login(user, 'password123')).status).toBe(401);
+    expect((await login(user, 'new-password-456')).status).toBe(200);
+  });
+
+  test('Unknown accounts get the same answer and no code', async () => {
+    const user = await createUser();
+
+    const known = await forgot({ email: user.email });
+    const unknown = await forgot({ email: 'nobody@test.tsinda.rw' });
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(inbox.messages).toHaveLength(1);
+  });
+
+  test('A reset code works only once', async () => {
+    const user = await createUser();
+    await forgot({ phoneNumber: user.phoneNumber });
+    const resetCode = inbox.lastCode(user.phoneNumber);
+
+    const first = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'new-password-456' });
+    const second = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'other-password-789' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect((await login(user, 'new-password-456')).status).toBe(200);
+  });
+
+  test('An expired reset code is refused', async () => {
+    const user = await createUser();
+    await forgot({ phoneNumber: user.phoneNumber });
+    const resetCode = inbox.lastCode(user.phoneNumber);
+    await User.updateOne({ _id: user._id }, { resetPasswordExpires: new Date(Date.now() - 1000) });
+
+    const response = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'new-password-456' });
+
+    expect(response.status).toBe(400);
+    expect((await login(user, 'password123')).status).toBe(200);
+  });
+
+  test('The code is discarded after too many wrong guesses', async () => {
+    const user = await createUser();
+    await forgot({ phoneNumber: user.phoneNumber });
+    const resetCode = inbox.lastCode(user.phoneNumber);
+    const wrongCode = resetCode === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const guess = await reset({ phoneNumber: user.phoneNumber, resetCode: wrongCode, newPassword: 'guessed-password' });
+      expect(guess.status).toBe(400);
+    }
+
+    const response = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'new-password-456' });
+    expect(response.status).toBe(400);
+  });
+
+  test('Repeated requests within the cooldown do not send new codes', async () => {
+    const user = await createUser();
+
+    await forgot({ phoneNumber: user.phoneNumber });
+    const resetCode = inbox.lastCode(user.phoneNumber);
+    const again = await forgot({ phoneNumber: user.phoneNumber });
+
+    expect(again.status).toBe(200);
+    expect(inbox.sentTo(user.phoneNumber)).toHaveLength(1);
+
+    // The first code still works
+    const response = await reset({ phoneNumber: user.phoneNumber, resetCode, newPassword: 'new-password-456' });
+    expect(response.status).toBe(200);
+  });
+
+  test('A reset signs out every device', async () => {
+    const user = await createUser();
+    const phone = await signIn(user);
+    const laptop = await signIn(user);
+
+    await forgot({ phoneNumber: user.phoneNumber });
+    await reset({ phoneNumber: user.phoneNumber, resetCode: inbox.lastCode(user.phoneNumber), newPassword: 'new-password-456' });
+
+    for (const session of [phone, laptop]) {
+      const me = await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${session.token}` });
+      expect(me.status).toBe(401);
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(401);
+    }
+  });
+});
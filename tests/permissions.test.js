@@ -0,0 +1,106 @@
+const request = require('supertest');
+const ExamAttempt = require('../models/ExamAttempt');
+const { createUser, createInstructor, createAdmin, authHeader } = require('./helpers/auth');
+const { createCategory, createQuestions, createExam } = require('./helpers/fixtures');
+
+describe('Role permissions and ownership checks', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  test('Only admins can manage categories', async () => {
+    const learner = await createUser();
+    const instructor = await createInstructor();
+    const admin = await createAdmin();
+    const body = { categoryName: `Road signs ${Date.now()}`, language: 'KIN' };
+
+    const asLearner = await request(app).post('/api/categories').set(await authHeader(learner)).send(body);
+    const asInstructor = await request(app).post('/api/categories').set(await authHeader(instructor)).send(body);
+    const asAdmin = await request(app).post('/api/categories').set(await authHeader(admin)).send(body);
+
+    expect(asLearner.status).toBe(403);
+    expect(asInstructor.status).toBe(403);
+    expect(asAdmin.status).toBe(201);
+  });
+
+  test('Requests without a token are refused', async () => {
+    const response = await request(app).post('/api/categories').send({ categoryName: 'No token', language: 'KIN' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('Instructors can only edit their own questions, admins can edit any', async () => {
+    const author = await createInstructor();
+    const otherInstructor = await createInstructor();
+    const admin = await createAdmin();
+    const category = await createCategory();
+    const [question] = await createQuestions(1, { category: category._id, createdBy: author._id });
+    const update = (user, text) => authHeader(user).then(headers =>
+      request(app).put(`/api/questions/${question._id}`).set(headers).send({ text })
+    );
+
+    expect((await update(otherInstructor, 'Taken over question')).status).toBe(403);
+    expect((await update(author, 'Reworded by the author')).status).toBe(200);
+    expect((await update(admin, 'Reworded by an admin')).status).toBe(200);
+  });
+
+  test('Learners cannot create questions', async () => {
+    const learner = await createUser();
+    const category = await createCategory();
+
+    const response = await request(app)
+      .post('/api/questions')
+      .set(await authHeader(learner))
+      .send({
+        text: 'Who has priority at a roundabout?',
+        answerOptions: [
+          { text: 'Vehicles already on it', isCorrect: true },
+          { text: 'Vehicles entering it', isCorrect: false },
+          { text: 'Trucks', isCorrect: false },
+          { text: 'Nobody', isCorrect: false }
+        ],
+        difficulty: 'Easy',
+        status: 'Active',
+        category: category._id
+      });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('Learners can read their own attempts but not anyone else\'s', async () => {
+    const owner = await createUser();
+    const otherLearner = await createUser();
+    const admin = await createAdmin();
+    const { exam } = await createExam(admin);
+    const attempt = await ExamAttempt.create({ user: owner._id, exam: exam._id });
+    const read = async (user) => request(app).get(`/api/exam-attempts/${attempt._id}`).set(await authHeader(user));
+
+    expect((await read(owner)).status).toBe(200);
+    expect((await read(otherLearner)).status).toBe(403);
+    expect((await read(admin)).status).toBe(200);
+  });
+
+  test('The user list is limited to admins', async () => {
+    const learner = await createUser();
+    const admin = await createAdmin();
+
+    const asLearner = await request(app).get('/api/auth/all').set(await authHeader(learner));
+    const asAdmin = await request(app).get('/api/auth/all').set(await authHeader(admin));
+
+    expect(asLearner.status).toBe(403);
+    expect(asAdmin.status).toBe(200);
+  });
+
+  test('Any signed-in user can change their own password', async () => {
+    const learner = await createUser();
+
+    const response = await request(app)
+      .put('/api/auth/password')
+      .set(await authHeader(learner))
+      .send({ currentPassword: 'password123', newPassword: 'new-password-456' });
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const MockProviderServer = require('../mocks/mockProviderServer');
+const { createUser, createAdmin, authHeader } = require('./helpers/auth');
+
+// Read when the DTOs and payment config are first required
+process.env.PAYMENT_SUPPORTED_CURRENCIES = 'RWF,EUR,USD';
+process.env.AIRTEL_CLIENT_ID = process.env.AIRTEL_CLIENT_ID || 'mock-client-id';
+process.env.AIRTEL_CLIENT_SECRET = process.env.AIRTEL_CLIENT_SECRET || 'mock-client-secret';
+
+const MTN_MSISDN = '250780000001';
+
+describe('Plan catalogue', () => {
+  let mock;
+  let app;
+  let Plan;
+  let Subscription;
+  let subscriptionService;
+  let admin;
+
+  beforeAll(async () => {
+    mock = new MockProviderServer();
+    const mockUrl = await mock.start(0);
+    process.env.MTN_BASE_URL = mockUrl;
+    process.env.AIRTEL_BASE_URL = mockUrl;
+
+    app = require('../app');
+    Plan = require('../models/Plan');
+    Subscription = require('../models/Subscription');
+    const SubscriptionService = require('../services/SubscriptionService');
+    subscriptionService = new SubscriptionService();
+    admin = await createAdmin();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await Promise.all([
+      Plan.deleteMany({}),
+      Subscription.deleteMany({})
+    ]);
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  const monthly = {
+    code: 'monthly',
+    name: 'Monthly',
+    durationMonths: 1,
+    prices: [{ currency: 'RWF', monthlyPrice: 1000 }],
+    termDiscounts: [{ minMonths: 6, percentOff: 10 }]
+  };
+
+  const createPlan = async (body = monthly) => request(app)
+    .post('/api/plans')
+    .set(await authHeader(admin))
+    .send(body);
+
+  const updatePlan = async (id, body) => request(app)
+    .put(`/api/plans/${id}`)
+    .set(await authHeader(admin))
+    .send(body);
+
+  // A payment the payer has not answered yet, priced from the plan as it is now
+  const subscribe = (planId, numberOfMonths) => {
+    mock.setScenario(MTN_MSISDN, 'TIMEOUT');
+    return subscriptionService.createSubscriptionPayment({
+      userId: crypto.randomUUID(),
+      planId,
+      msisdn: MTN_MSISDN,
+      paymentChannel: 'MTN',
+      currency: 'RWF',
+      numberOfMonths
+    });
+  };
+
+  test('Admins create plans that are listed to everyone', async () => {
+    const created = await createPlan();
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ code: 'MONTHLY', version: 1, isActive: true, priceHistory: [] });
+
+    const listed = await request(app).get('/api/plans').set(await authHeader(await createUser()));
+    expect(listed.status).toBe(200);
+    expect(listed.body.data.map(plan => plan.code)).toEqual(['MONTHLY']);
+    expect(listed.body.data[0].priceHistory).toBeUndefined();
+  });
+
+  test('Plans need a code, name, duration and at least one price', async () => {
+    const response = await createPlan({ ...monthly, prices: [] });
+
+    expect(response.status).toBe(400);
+    expect(await Plan.countDocuments({})).toBe(0);
+  });
+
+  test('Only admins can manage plans', async () => {
+    const learner = await createUser();
+    const plan = await Plan.create(monthly);
+
+    const created = await request(app).post('/api/plans').set(await authHeader(learner)).send({ ...monthly, code: 'OTHER' });
+    const updated = await request(app).put(`/api/plans/${plan._id}`).set(await authHeader(learner)).send({ name: 'Cheap' });
+    const retired = await request(app).delete(`/api/plans/${plan._id}`).set(await authHeader(learner));
+
+    expect([created.status, updated.status, retired.status]).toEqual([403, 403, 403]);
+    expect((await Plan.findById(plan._id)).toObject()).toMatchObject({ name: 'Monthly', isActive: true });
+  });
+
+  test('Quotes apply the best term discount the number of months reaches', async () => {
+    const plan = await Plan.create({ ...monthly, termDiscounts: [{ minMonths: 3, percentOff: 5 }, { minMonths: 6, percentOff: 10 }] });
+
+    const headers = await authHeader(await createUser());
+    const quote = (numberOfMonths) => request(app).get(`/api/plans/${plan._id}/quote`).query({ numberOfMonths }).set(headers);
+
+    const short = await quote(2);
+    const long = await quote(7);
+    const tooLong = await quote(13);
+
+    expect(short.body.data).toMatchObject({ subtotal: 2000, discountPercent: 0, total: 2000 });
+    expect(long.body.data).toMatchObject({ subtotal: 7000, discountPercent: 10, discountAmount: 700, total: 6300 });
+    expect(tooLong.status).toBe(400);
+  });
+
+  test('A price change archives the previous prices and bumps the version', async () => {
+    const plan = (await createPlan()).body.data;
+
+    const renamed = await updatePlan(plan.id, { name: 'Monthly access' });
+    expect(renamed.body.data).toMatchObject({ name: 'Monthly access', version: 1, priceHistory: [] });
+
+    const repriced = await updatePlan(plan.id, { prices: [{ currency: 'RWF', monthlyPrice: 1500 }] });
+
+    expect(repriced.status).toBe(200);
+    expect(repriced.body.data.version).toBe(2);
+    expect(repriced.body.data.prices).toEqual([{ currency: 'RWF', monthlyPrice: 1500 }]);
+    expect(repriced.body.data.termDiscounts).toEqual(monthly.termDiscounts);
+    expect(repriced.body.data.priceHistory).toHaveLength(1);
+    const [archived] = repriced.body.data.priceHistory;
+    expect(archived).toMatchObject({
+      version: 1,
+      prices: [{ currency: 'RWF', monthlyPrice: 1000 }],
+      termDiscounts: monthly.termDiscounts,
+      effectiveFrom: plan.priceEffectiveFrom,
+      effectiveTo: repriced.body.data.priceEffectiveFrom,
+      changedBy: admin._id
+    });
+
+    // The second change archives the version the first one introduced
+    const discounted = await updatePlan(plan.id, { termDiscounts: [] });
+    expect(discounted.body.data.version).toBe(3);
+    expect(discounted.body.data.priceHistory.map(entry => entry.version)).toEqual([1, 2]);
+    expect(discounted.body.data.priceHistory[1].prices).toEqual([{ currency: 'RWF', monthlyPrice: 1500 }]);
+  });
+
+  test('An existing subscription keeps the price it was charged after a price change', async () => {
+    const plan = (await createPlan()).body.data;
+    const before = await subscribe(plan.id, 6);
+
+    await updatePlan(plan.id, { prices: [{ currency: 'RWF', monthlyPrice: 1500 }] });
+    const after = await subscribe(plan.id, 6);
+
+    const old = await Subscription.findById(before.id);
+    expect(old.amount).toBe(5400);
+    expect(old.toObject().pricing).toMatchObject({ planVersion: 1, monthlyPrice: 1000, subtotal: 6000, discountPercent: 10, total: 5400 });
+    const current = await Subscription.findById(after.id);
+    expect(current.amount).toBe(8100);
+    expect(current.toObject().pricing).toMatchObject({ planVersion: 2, monthlyPrice: 1500, total: 8100 });
+  });
+
+  test('A retired plan is hidden and cannot be bought, but its subscriptions are kept', async () => {
+    const plan = (await createPlan()).body.data;
+    const existing = await subscribe(plan.id);
+
+    const retired = await request(app).delete(`/api/plans/${plan.id}`).set(await authHeader(admin));
+
+    expect(retired.status).toBe(200);
+    expect(retired.body.data.isActive).toBe(false);
+    expect((await request(app).get('/api/plans').set(await authHeader(admin))).body.data).toHaveLength(0);
+    const all = await request(app).get('/api/plans').query({ includeInactive: true }).set(await authHeader(admin));
+    expect(all.body.data.map(entry => entry.code)).toEqual(['MONTHLY']);
+    await expect(subscribe(plan.id)).rejects.toThrow('Plan not found or inactive');
+    expect((await Subscription.findById(existing.id)).planId).toBe(String(plan.id));
+  });
+});
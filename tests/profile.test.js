@@ -0,0 +1,183 @@
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ExamAttempt = require('../models/ExamAttempt');
+const CourseEnrollment = require('../models/CourseEnrollment');
+const Subscription = require('../models/Subscription');
+const UploadService = require('../services/uploadService');
+const { sendVerificationEmail } = require('../config/email-sender');
+const { createUser, createInstructor, signIn, authHeader } = require('./helpers/auth');
+const { createExam, createActiveSubscription } = require('./helpers/fixtures');
+
+// Email change codes go out by email; keep the tests off SMTP
+jest.mock('../config/email-sender');
+
+describe('Profile, data export and account deletion', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendVerificationEmail.mockClear();
+  });
+
+  test('Users update their name and bio', async () => {
+    const user = await createUser();
+
+    const response = await request(app)
+      .put('/api/profile')
+      .set(await authHeader(user))
+      .send({ name: 'Renamed Learner', bio: 'Preparing for the theory test' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.name).toBe('Renamed Learner');
+    expect(response.body.user.bio).toBe('Preparing for the theory test');
+    expect(response.body.user.password).toBeUndefined();
+  });
+
+  test('A new email address is only applied once its code is confirmed', async () => {
+    const user = await createUser();
+    const headers = await authHeader(user);
+
+    const updated = await request(app).put('/api/profile').set(headers).send({ email: 'new.address@test.tsinda.rw' });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.user.email).toBe(user.email);
+    expect(updated.body.user.pendingEmail).toBe('new.address@test.tsinda.rw');
+    expect(sendVerificationEmail).toHaveBeenCalledWith('new.address@test.tsinda.rw', user.name, expect.stringMatching(/^\d{6}$/));
+
+    const [, , code] = sendVerificationEmail.mock.calls[0];
+    const wrongCode = code === '000000' ? '111111' : '000000';
+    const wrong = await request(app).post('/api/profile/email/verify').set(headers).send({ verificationCode: wrongCode });
+    const confirmed = await request(app).post('/api/profile/email/verify').set(headers).send({ verificationCode: code });
+
+    expect(wrong.status).toBe(400);
+    expect(confirmed.status).toBe(200);
+    expect((await User.findById(user._id)).email).toBe('new.address@test.tsinda.rw');
+  });
+
+  test('An email address already in use is refused', async () => {
+    const user = await createUser();
+    const other = await createUser();
+
+    const response = await request(app)
+      .put('/api/profile')
+      .set(await authHeader(user))
+      .send({ email: other.email });
+
+    expect(response.status).toBe(400);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('Avatars are uploaded through UploadService and must be images', async () => {
+    const user = await createUser();
+    const headers = await authHeader(user);
+    const uploadFile = jest.spyOn(UploadService, 'uploadFile').mockResolvedValue('https://cdn.test/avatars/me.png');
+
+    const rejected = await request(app)
+      .post('/api/profile/picture')
+      .set(headers)
+      .attach('image', Buffer.from('%PDF-1.4'), { filename: 'cv.pdf', contentType: 'application/pdf' });
+    const uploaded = await request(app)
+      .post('/api/profile/picture')
+      .set(headers)
+      .attach('image', Buffer.from('png'), { filename: 'me.png', contentType: 'image/png' });
+
+    expect(rejected.status).toBe(400);
+    expect(uploaded.status).toBe(200);
+    expect(uploadFile).toHaveBeenCalledTimes(1);
+    expect(uploadFile).toHaveBeenCalledWith(expect.any(Buffer), 'me.png', 'image/png', 'avatars');
+    expect((await User.findById(user._id)).profilePicture).toBe('https://cdn.test/avatars/me.png');
+  });
+
+  test('The data export holds the user\'s records without secrets', async () => {
+    const user = await createUser();
+    const instructor = await createInstructor();
+    const { exam } = await createExam(instructor);
+    await ExamAttempt.create({ user: user._id, exam: exam._id, status: 'completed', score: 75, isPassed: true });
+    await createActiveSubscription(user);
+
+    const response = await request(app).get('/api/profile/export').set(await authHeader(user));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toContain('attachment');
+    expect(response.body.user.email).toBe(user.email);
+    expect(response.body.user.password).toBeUndefined();
+    expect(response.body.examAttempts).toHaveLength(1);
+    expect(response.body.examAttempts[0].score).toBe(75);
+    expect(response.body.subscriptions).toHaveLength(1);
+    expect(response.body.sessions).toHaveLength(1);
+    expect(response.body.sessions[0].refreshTokenHash).toBeUndefined();
+  });
+
+  test('Deleting an account needs the password', async () => {
+    const user = await createUser();
+
+    const response = await request(app)
+      .delete('/api/profile')
+      .set(await authHeader(user))
+      .send({ password: 'wrong-password' });
+
+    expect(response.status).toBe(401);
+    expect(await User.exists({ _id: user._id })).toBeTruthy();
+  });
+
+  test('Deleting an account anonymises attempts, enrollments and subscriptions', async () => {
+    const user = await createUser();
+    const instructor = await createInstructor();
+    const { exam } = await createExam(instructor);
+    const attempt = await ExamAttempt.create({ user: user._id, exam: exam._id, status: 'completed', score: 80 });
+    const enrollment = await CourseEnrollment.create({ user: user._id, course: 'course-1' });
+    const subscription = await createActiveSubscription(user);
+    const otherDevice = await signIn(user);
+
+    const response = await request(app)
+      .delete('/api/profile')
+      .set(await authHeader(user))
+      .send({ password: 'password123' });
+
+    expect(response.status).toBe(200);
+    expect(await User.exists({ _id: user._id })).toBeNull();
+    expect(await Session.countDocuments({ user: user._id })).toBe(0);
+
+    const keptAttempt = await ExamAttempt.findById(attempt._id);
+    const keptEnrollment = await CourseEnrollment.findById(enrollment._id);
+    const keptSubscription = await Subscription.findById(subscription._id);
+    expect(keptAttempt.user).toMatch(/^deleted-/);
+    expect(keptAttempt.score).toBe(80);
+    expect(keptEnrollment.user).toBe(keptAttempt.user);
+    expect(keptSubscription.userId).toBe(keptAttempt.user);
+    expect(keptSubscription.msisdn).toBe('REDACTED');
+
+    const me = await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${otherDevice.token}` });
+    expect(me.status).toBe(401);
+  });
+
+  test('Accounts with a payment in progress cannot be deleted yet', async () => {
+    const user = await createUser();
+    const subscription = await createActiveSubscription(user);
+    await Subscription.updateOne({ _id: subscription._id }, { status: 'PENDING' });
+
+    const response = await request(app)
+      .delete('/api/profile')
+      .set(await authHeader(user))
+      .send({ password: 'password123' });
+
+    expect(response.status).toBe(409);
+    expect(await User.exists({ _id: user._id })).toBeTruthy();
+  });
+
+  test('Instructor accounts are closed by an admin', async () => {
+    const instructor = await createInstructor();
+
+    const response = await request(app)
+      .delete('/api/profile')
+      .set(await authHeader(instructor))
+      .send({ password: 'password123' });
+
+    expect(response.status).toBe(409);
+  });
+});
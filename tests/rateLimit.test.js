@@ -0,0 +1,109 @@
+const request = require('supertest');
+const User = require('../models/User');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { createUser, createAdmin, authHeader } = require('./helpers/auth');
+
+describe('Rate limits and account lockout', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  beforeEach(async () => {
+    await RateLimitBucket.deleteMany({});
+  });
+
+  const login = (user, password) => request(app)
+    .post('/api/auth/login')
+    .send({ phoneNumber: user.phoneNumber, password });
+
+  test('Repeated wrong passwords lock the account with Retry-After', async () => {
+    const user = await createUser();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await login(user, 'wrong-password')).status).toBe(401);
+    }
+
+    // Locked even with the right password
+    const locked = await login(user, 'password123');
+
+    expect(locked.status).toBe(423);
+    const retryAfter = Number(locked.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(15 * 60);
+    expect(locked.body.retryAfter).toBe(retryAfter);
+  });
+
+  test('The lockout ends by itself', async () => {
+    const user = await createUser();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await login(user, 'wrong-password');
+    }
+
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() - 1000) });
+
+    expect((await login(user, 'password123')).status).toBe(200);
+  });
+
+  test('A successful login clears earlier failures', async () => {
+    const user = await createUser();
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await login(user, 'wrong-password');
+    }
+
+    expect((await login(user, 'password123')).status).toBe(200);
+    expect((await login(user, 'wrong-password')).status).toBe(401);
+    expect((await login(user, 'password123')).status).toBe(200);
+  });
+
+  test('Verification codes are limited per account with 429 and Retry-After', async () => {
+    const user = await createUser({ isVerified: false, verificationCode: '123456', verificationCodeExpires: Date.now() + 60000 });
+    const verify = (verificationCode) => request(app)
+      .post('/api/auth/verify')
+      .send({ userId: user._id, verificationCode });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await verify('000000')).status).toBe(400);
+    }
+    const limited = await verify('123456');
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect((await User.findById(user._id)).isVerified).toBe(false);
+  });
+
+  test('Requests are limited per IP across accounts', async () => {
+    const forgot = (index) => request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: `nobody${index}@test.tsinda.rw` });
+
+    for (let index = 0; index < 10; index++) {
+      expect((await forgot(index)).status).toBe(200);
+    }
+    const limited = await forgot(10);
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+  });
+
+  test('Admins can unlock an account', async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await login(user, 'wrong-password');
+    }
+    expect((await login(user, 'password123')).status).toBe(423);
+
+    const asLearner = await request(app)
+      .post(`/api/auth/users/${user._id}/unlock`)
+      .set(await authHeader(await createUser()));
+    const asAdmin = await request(app)
+      .post(`/api/auth/users/${user._id}/unlock`)
+      .set(await authHeader(admin));
+
+    expect(asLearner.status).toBe(403);
+    expect(asAdmin.status).toBe(200);
+    expect((await login(user, 'password123')).status).toBe(200);
+  });
+});
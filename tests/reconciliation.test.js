@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const MockProviderServer = require('../mocks/mockProviderServer');
+
+// Read when the DTOs and payment config are first required
+process.env.PAYMENT_SUPPORTED_CURRENCIES = 'RWF,EUR,USD';
+process.env.AIRTEL_CLIENT_ID = process.env.AIRTEL_CLIENT_ID || 'mock-client-id';
+process.env.AIRTEL_CLIENT_SECRET = process.env.AIRTEL_CLIENT_SECRET || 'mock-client-secret';
+
+const MTN_MSISDN = '250780000001';
+const AIRTEL_MSISDN = '250730000001';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Reconciliation of subscriptions whose callback never arrived', () => {
+  let mock;
+  let Subscription;
+  let Plan;
+  let Payment;
+  let ReconciliationReport;
+  let subscriptionService;
+  let reconciliation;
+  let plan;
+
+  beforeAll(async () => {
+    mock = new MockProviderServer();
+    const mockUrl = await mock.start(0);
+    process.env.MTN_BASE_URL = mockUrl;
+    process.env.AIRTEL_BASE_URL = mockUrl;
+
+    require('../app');
+    Subscription = require('../models/Subscription');
+    Plan = require('../models/Plan');
+    Payment = require('../models/Payment');
+    ReconciliationReport = require('../models/ReconciliationReport');
+    const SubscriptionService = require('../services/SubscriptionService');
+    const ReconciliationService = require('../services/ReconciliationService');
+    subscriptionService = new SubscriptionService();
+    reconciliation = new ReconciliationService();
+    reconciliation.config = {
+      ...reconciliation.config,
+      staleAfterMs: 10 * 60 * 1000,
+      expireAfterMs: 24 * HOUR_MS,
+      maxAttempts: 3,
+      backoffBaseMs: 5 * 60 * 1000,
+      backoffMaxMs: 4 * HOUR_MS
+    };
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await Promise.all([
+      Subscription.deleteMany({}),
+      Plan.deleteMany({}),
+      Payment.deleteMany({}),
+      ReconciliationReport.deleteMany({})
+    ]);
+    plan = await Plan.create({
+      code: 'MONTHLY',
+      name: 'Monthly',
+      durationMonths: 1,
+      prices: [{ currency: 'RWF', monthlyPrice: 1000 }]
+    });
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  // A payment the payer never answered, old enough to be reconciled
+  const stalePending = async (paymentChannel, msisdn) => {
+    mock.setScenario(msisdn, 'TIMEOUT');
+    const created = await subscriptionService.createSubscriptionPayment({
+      userId: crypto.randomUUID(),
+      planId: plan._id,
+      msisdn,
+      paymentChannel,
+      currency: 'RWF'
+    });
+    await Subscription.collection.updateOne(
+      { _id: created.id },
+      { $set: { createdAt: new Date(Date.now() - HOUR_MS) } }
+    );
+    return created;
+  };
+
+  // Make a record due for its next check now
+  const makeDue = (id) => Subscription.collection.updateOne(
+    { _id: id },
+    { $set: { 'metadata.reconciliation.nextCheckAt': new Date(Date.now() - 1000) } }
+  );
+
+  const itemFor = (report, id) => report.items.find(item => item.recordId === String(id));
+
+  test('A still pending payment is checked again after an exponential backoff', async () => {
+    const created = await stalePending('MTN', MTN_MSISDN);
+
+    const first = await reconciliation.run();
+
+    expect(itemFor(first, created.id)).toMatchObject({ action: 'UNCHANGED', providerStatus: 'PENDING', attempts: 1 });
+    let state = (await Subscription.findById(created.id)).metadata.reconciliation;
+    expect(state.attempts).toBe(1);
+    expect(state.nextCheckAt.getTime() - state.lastCheckedAt.getTime()).toBe(5 * 60 * 1000);
+
+    // Not due again until the backoff has passed
+    const skipped = await reconciliation.run();
+    expect(itemFor(skipped, created.id)).toBeUndefined();
+
+    await makeDue(created.id);
+    await reconciliation.run();
+
+    state = (await Subscription.findById(created.id)).metadata.reconciliation;
+    expect(state.attempts).toBe(2);
+    expect(state.nextCheckAt.getTime() - state.lastCheckedAt.getTime()).toBe(10 * 60 * 1000);
+    expect((await Subscription.findById(created.id)).status).toBe('PENDING');
+  });
+
+  test('A payment the provider reports as paid is settled by the status check', async () => {
+    const created = await stalePending('MTN', MTN_MSISDN);
+    // The payer approved, but the callback was lost
+    const subscription = await Subscription.findById(created.id);
+    mock.mtnTransactions.get(subscription.mtnReferenceId).final = 'SUCCESSFUL';
+
+    const report = await reconciliation.run();
+
+    expect(itemFor(report, created.id)).toMatchObject({ action: 'UPDATED', providerStatus: 'SUCCESSFUL', newStatus: 'SUCCESSFUL' });
+    const settled = await Subscription.findById(created.id);
+    expect(settled.status).toBe('SUCCESSFUL');
+    expect(settled.settledBy.source).toBe('RECONCILIATION');
+    expect(settled.endDate).toBeInstanceOf(Date);
+  });
+
+  test('A declined Airtel payment is settled as failed by the status check', async () => {
+    const created = await stalePending('AIRTEL', AIRTEL_MSISDN);
+    mock.airtelTransactions.get(created.transactionId).final = 'FAILED';
+
+    const report = await reconciliation.run();
+
+    expect(itemFor(report, created.id)).toMatchObject({ action: 'UPDATED', newStatus: 'FAILED' });
+    expect((await Subscription.findById(created.id)).settledBy.providerStatus).toBe('TF');
+  });
+
+  test('A payment still pending after the last retry expires as failed', async () => {
+    const created = await stalePending('MTN', MTN_MSISDN);
+
+    for (let run = 1; run < 3; run += 1) {
+      await reconciliation.run();
+      await makeDue(created.id);
+    }
+    const last = await reconciliation.run();
+
+    expect(itemFor(last, created.id)).toMatchObject({ action: 'EXPIRED', attempts: 3, newStatus: 'FAILED' });
+    expect(last.summary.expired).toBe(1);
+    const expired = await Subscription.findById(created.id);
+    expect(expired.status).toBe('FAILED');
+    expect(expired.toObject().settledBy).toMatchObject({ source: 'RECONCILIATION', providerStatus: 'EXPIRED' });
+    expect(expired.metadata.reconciliation.expired).toBe(true);
+
+    // Expired records are not checked again
+    await makeDue(created.id);
+    expect(itemFor(await reconciliation.run(), created.id)).toBeUndefined();
+  });
+
+  test('A payment older than the expiry age expires on its next check', async () => {
+    const created = await stalePending('AIRTEL', AIRTEL_MSISDN);
+    await Subscription.collection.updateOne(
+      { _id: created.id },
+      { $set: { createdAt: new Date(Date.now() - 25 * HOUR_MS) } }
+    );
+
+    const report = await reconciliation.run();
+
+    expect(itemFor(report, created.id)).toMatchObject({ action: 'EXPIRED', attempts: 1 });
+    expect((await Subscription.findById(created.id)).status).toBe('FAILED');
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const Session = require('../models/Session');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const { createUser, signIn } = require('./helpers/auth');
+
+describe('Sessions, refresh token rotation and revocation', () => {
+  let app;
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  beforeEach(async () => {
+    await RateLimitBucket.deleteMany({});
+  });
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  test('Login starts a session with an access and a refresh token', async () => {
+    const user = await createUser();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ phoneNumber: user.phoneNumber, password: 'password123', deviceName: 'Shared phone' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+
+    const sessions = await Session.find({ user: user._id });
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].deviceName).toBe('Shared phone');
+  });
+
+  test('A refresh rotates the refresh token', async () => {
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+
+    const rotated = await refresh(refreshToken);
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refreshToken).not.toBe(refreshToken);
+
+    const me = await request(app).get('/api/auth/me').set(bearer(rotated.body.token));
+    expect(me.status).toBe(200);
+  });
+
+  test('Reusing a rotated refresh token revokes the session', async () => {
+    const user = await createUser();
+    const { refreshToken, sessionId } = await signIn(user);
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+
+    expect(reused.status).toBe(401);
+    const session = await Session.findById(sessionId);
+    expect(session.revokedReason).toBe('reuse');
+
+    // The legitimate holder is signed out too, since the token was copied
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await request(app).get('/api/auth/me').set(bearer(rotated.body.token))).status).toBe(401);
+  });
+
+  test('Malformed refresh tokens are refused', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+  });
+
+  test('Logout revokes the current session only', async () => {
+    const user = await createUser();
+    const phone = await signIn(user);
+    const laptop = await signIn(user);
+
+    const response = await request(app).post('/api/auth/logout').set(bearer(phone.token));
+
+    expect(response.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(bearer(phone.token))).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await request(app).get('/api/auth/me').set(bearer(laptop.token))).status).toBe(200);
+  });
+
+  test('Users list their devices and revoke one of them', async () => {
+    const user = await createUser();
+    const current = await signIn(user);
+    const other = await signIn(user);
+
+    const listed = await request(app).get('/api/auth/sessions').set(bearer(current.token));
+
+    expect(listed.status).toBe(200);
+    expect(listed.body).toHaveLength(2);
+    expect(listed.body.find(session => session.current)._id).toBe(current.sessionId);
+    expect(listed.body[0].refreshTokenHash).toBeUndefined();
+
+    const revoked = await request(app).delete(`/api/auth/sessions/${other.sessionId}`).set(bearer(current.token));
+
+    expect(revoked.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(bearer(other.token))).status).toBe(401);
+  });
+
+  test('Users cannot revoke another user\'s session', async () => {
+    const user = await createUser();
+    const stranger = await createUser();
+    const { token } = await signIn(user);
+    const strangerSession = await signIn(stranger);
+
+    const response = await request(app).delete(`/api/auth/sessions/${strangerSession.sessionId}`).set(bearer(token));
+
+    expect(response.status).toBe(404);
+    expect((await request(app).get('/api/auth/me').set(bearer(strangerSession.token))).status).toBe(200);
+  });
+
+  test('Revoking other sessions keeps the current one', async () => {
+    const user = await createUser();
+    const current = await signIn(user);
+    const others = [await signIn(user), await signIn(user)];
+
+    const response = await request(app).delete('/api/auth/sessions').set(bearer(current.token));
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    for (const other of others) {
+      expect((await request(app).get('/api/auth/me').set(bearer(other.token))).status).toBe(401);
+    }
+    expect((await request(app).get('/api/auth/me').set(bearer(current.token))).status).toBe(200);
+  });
+});
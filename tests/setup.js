@@ -1,9 +1,20 @@
 const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Tests sign real tokens (see tests/helpers/auth.js)
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+let mongoServer;
 
 beforeAll(async () => {
   if (process.env.NODE_ENV === 'test') {
     if (mongoose.connection.readyState === 0) {
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/tsinda-test';
+      // Set MONGODB_URI to run against an existing server instead of an in-memory one
+      let mongoUri = process.env.MONGODB_URI;
+      if (!mongoUri) {
+        mongoServer = await MongoMemoryServer.create();
+        mongoUri = mongoServer.getUri();
+      }
       await mongoose.connect(mongoUri);
     }
   }
@@ -12,5 +23,8 @@ beforeAll(async () => {
 afterAll(async () => {
   if (process.env.NODE_ENV === 'test') {
     await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
   }
 });
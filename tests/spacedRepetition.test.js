@@ -0,0 +1,258 @@
+const request = require('supertest');
+const QuestionReview = require('../models/QuestionReview');
+const SpacedRepetitionService = require('../services/SpacedRepetitionService');
+const { createUser, createInstructor, authHeader } = require('./helpers/auth');
+const { createCategory, createQuestions, createExam, createActiveSubscription } = require('./helpers/fixtures');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+describe('SM-2 scheduling', () => {
+  const now = new Date('2026-01-01T08:00:00Z');
+  const newReview = () => new QuestionReview({ user: 'learner', question: 'question' });
+
+  test('Correct answers space the question out by 1, 6, then interval x ease days', () => {
+    const review = newReview();
+
+    const intervals = [1, 2, 3].map(() => SpacedRepetitionService.schedule(review, 5, { now }).interval);
+
+    expect(intervals[0]).toBe(1);
+    expect(intervals[1]).toBe(6);
+    expect(intervals[2]).toBe(Math.round(6 * 2.7));
+    expect(review.dueAt.getTime()).toBe(now.getTime() + intervals[2] * DAY_MS);
+    expect(review.repetitions).toBe(3);
+    expect(review.correctCount).toBe(3);
+  });
+
+  test('A wrong answer resets the streak and brings the question back in minutes', () => {
+    const review = newReview();
+    SpacedRepetitionService.schedule(review, 4, { now });
+    SpacedRepetitionService.schedule(review, 4, { now });
+
+    SpacedRepetitionService.schedule(review, 1, { now });
+
+    expect(review.repetitions).toBe(0);
+    expect(review.interval).toBe(0);
+    expect(review.dueAt.getTime()).toBe(now.getTime() + 10 * MINUTE_MS);
+    expect(review.easeFactor).toBeLessThan(2.5);
+    expect(review.reviewCount).toBe(3);
+    expect(review.correctCount).toBe(2);
+  });
+
+  test('The ease factor never drops below 1.3', () => {
+    const review = newReview();
+
+    for (let i = 0; i < 10; i += 1) SpacedRepetitionService.schedule(review, 0, { now });
+
+    expect(review.easeFactor).toBe(1.3);
+  });
+
+  test('Questions from weak categories come back twice as soon', () => {
+    const strong = newReview();
+    const weak = newReview();
+
+    for (let i = 0; i < 2; i += 1) {
+      SpacedRepetitionService.schedule(strong, 4, { now });
+      SpacedRepetitionService.schedule(weak, 4, { now, weak: true });
+    }
+
+    expect(strong.interval).toBe(6);
+    expect(weak.interval).toBe(3);
+  });
+
+  test('A self-rating cannot contradict whether the answer was right', () => {
+    expect(SpacedRepetitionService.qualityOf(true)).toBe(4);
+    expect(SpacedRepetitionService.qualityOf(false)).toBe(1);
+    expect(SpacedRepetitionService.qualityOf(true, 1)).toBe(3);
+    expect(SpacedRepetitionService.qualityOf(false, 5)).toBe(2);
+  });
+});
+
+describe('Practice queue', () => {
+  let app;
+  let instructor;
+
+  beforeAll(async () => {
+    app = require('../app');
+    instructor = await createInstructor();
+  });
+
+  const next = async (learner, query = {}) => request(app)
+    .get('/api/practice/next')
+    .query(query)
+    .set(await authHeader(learner));
+
+  const review = async (learner, questionId, selectedOption) => request(app)
+    .post('/api/practice/review')
+    .set(await authHeader(learner))
+    .send({ questionId, selectedOption });
+
+  const createBank = async (count) => {
+    const category = await createCategory();
+    const questions = await createQuestions(count, { category: category._id, createdBy: instructor._id });
+    return { category, questions };
+  };
+
+  test('Practice needs a signed in user', async () => {
+    const response = await request(app).get('/api/practice/next');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('New questions are served without the answer key and join the schedule', async () => {
+    const learner = await createUser();
+    const { category } = await createBank(3);
+
+    const response = await next(learner, { categoryId: category._id, limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.dueCount).toBe(0);
+    expect(response.body.questions).toHaveLength(2);
+    for (const question of response.body.questions) {
+      expect(question.category._id).toBe(category._id);
+      expect(question.schedule).toBeNull();
+      expect(question.rightAnswerDescription).toBeUndefined();
+      expect(question.answerOptions[0].isCorrect).toBeUndefined();
+    }
+    expect(await QuestionReview.countDocuments({ user: learner._id })).toBe(2);
+  });
+
+  test('Only questions in the queue can be reviewed, and a right answer pushes them back a day', async () => {
+    const learner = await createUser();
+    const { category, questions } = await createBank(1);
+    const notServed = (await createQuestions(1, { category: (await createCategory())._id, createdBy: instructor._id }))[0];
+    await next(learner, { categoryId: category._id });
+
+    const refused = await review(learner, notServed._id, 0);
+    const answered = await review(learner, questions[0]._id, 0);
+    const again = await review(learner, questions[0]._id, 0);
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toBe('This question is not due for practice');
+    expect(answered.status).toBe(200);
+    expect(answered.body).toMatchObject({ isCorrect: true, correctOption: 0, rightAnswerDescription: 'Because of rule 1' });
+    expect(answered.body.schedule).toMatchObject({ interval: 1, repetitions: 1 });
+    // Not due again until tomorrow
+    expect(again.status).toBe(409);
+  });
+
+  test('A wrong answer is due again once its relearning delay has passed', async () => {
+    const learner = await createUser();
+    await createActiveSubscription(learner);
+    const { category, questions } = await createBank(1);
+    await next(learner, { categoryId: category._id });
+
+    const wrong = await review(learner, questions[0]._id, 2);
+
+    expect(wrong.body.isCorrect).toBe(false);
+    expect(wrong.body.schedule).toMatchObject({ interval: 0, repetitions: 0 });
+    expect((await next(learner, { categoryId: category._id })).body.questions).toHaveLength(0);
+
+    await QuestionReview.updateOne({ user: learner._id, question: questions[0]._id }, { dueAt: new Date(Date.now() - MINUTE_MS) });
+    const due = await next(learner, { categoryId: category._id });
+
+    expect(due.body.dueCount).toBe(1);
+    expect(due.body.questions[0]._id).toBe(questions[0]._id);
+    expect(due.body.questions[0].schedule.repetitions).toBe(0);
+  });
+
+  test('Weak categories are reported and offered first', async () => {
+    const learner = await createUser();
+    const weak = await createBank(8);
+    await createBank(5);
+    // Five wrong answers in one category make it weak
+    await QuestionReview.insertMany(weak.questions.slice(0, 5).map(question => ({
+      user: learner._id,
+      question: question._id,
+      category: weak.category._id,
+      reviewCount: 1,
+      correctCount: 0,
+      dueAt: new Date(Date.now() + DAY_MS)
+    })));
+
+    const response = await next(learner, { limit: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.weakCategories).toEqual([weak.category._id]);
+    expect(response.body.questions).toHaveLength(3);
+    expect(response.body.questions.every(question => question.category._id === weak.category._id)).toBe(true);
+  });
+
+  test('Questions from an exam the learner is taking cannot be practised', async () => {
+    const learner = await createUser();
+    const { exam, questions } = await createExam(instructor);
+    const started = await request(app)
+      .post('/api/exam-attempts/start')
+      .set(await authHeader(learner))
+      .send({ examId: exam._id, mode: 'exam' });
+    expect(started.status).toBe(201);
+    await QuestionReview.create({ user: learner._id, question: questions[0]._id, category: questions[0].category });
+
+    const response = await review(learner, questions[0]._id, 0);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('This question is part of an exam you are taking');
+  });
+
+  test('Completed attempts feed the learner\'s schedule', async () => {
+    const learner = await createUser();
+    const headers = await authHeader(learner);
+    const { exam, questions } = await createExam(instructor);
+    const attemptId = (await request(app).post('/api/exam-attempts/start').set(headers).send({ examId: exam._id, mode: 'exam' })).body._id;
+    for (const [index, selectedOption] of [0, 2].entries()) {
+      await request(app)
+        .post('/api/exam-attempts/submit-answer')
+        .set(headers)
+        .send({ attemptId, questionId: questions[index]._id, selectedOption });
+    }
+
+    const completed = await request(app).put(`/api/exam-attempts/${attemptId}/complete`).set(headers);
+    expect(completed.status).toBe(200);
+
+    await waitFor(async () => (await QuestionReview.countDocuments({ user: learner._id })) === 2);
+    const right = await QuestionReview.findOne({ user: learner._id, question: questions[0]._id });
+    const wrong = await QuestionReview.findOne({ user: learner._id, question: questions[1]._id });
+    expect(right.toObject()).toMatchObject({ interval: 1, repetitions: 1, category: exam.category });
+    expect(wrong.toObject()).toMatchObject({ interval: 0, repetitions: 0, correctCount: 0 });
+  });
+
+  test('Without a subscription the queue is limited to the free tier', async () => {
+    const learner = await createUser();
+    const { category } = await createBank(1);
+
+    for (let i = 0; i < 3; i += 1) {
+      expect((await next(learner, { categoryId: category._id })).status).toBe(200);
+    }
+    const response = await next(learner, { categoryId: category._id });
+
+    expect(response.status).toBe(402);
+    expect(response.body.error.code).toBe('SUBSCRIPTION_REQUIRED');
+  });
+
+  test('Without a subscription reviews are limited to the free tier', async () => {
+    const learner = await createUser();
+    const { category, questions } = await createBank(31);
+    await next(learner, { categoryId: category._id, limit: 31 });
+
+    for (const question of questions.slice(0, 30)) {
+      expect((await review(learner, question._id, 0)).status).toBe(200);
+    }
+    const response = await review(learner, questions[30]._id, 0);
+
+    expect(response.status).toBe(402);
+    expect(response.body.error.code).toBe('SUBSCRIPTION_REQUIRED');
+  });
+});
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const MockProviderServer = require('../mocks/mockProviderServer');
+const { createUser, authHeader } = require('./helpers/auth');
+
+// Read when the DTOs and payment config are first required
+process.env.PAYMENT_SUPPORTED_CURRENCIES = 'RWF,EUR,USD';
+process.env.AIRTEL_CLIENT_ID = process.env.AIRTEL_CLIENT_ID || 'mock-client-id';
+process.env.AIRTEL_CLIENT_SECRET = process.env.AIRTEL_CLIENT_SECRET || 'mock-client-secret';
+
+const MTN_MSISDN = '250780000001';
+const AIRTEL_MSISDN = '250730000001';
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+describe('Subscription payment flow against mock providers', () => {
+  let mock;
+  let appServer;
+  let Subscription;
+  let Plan;
+  let MTNCallback;
+  let AirtelCallback;
+  let IdempotencyKey;
+  let RateLimitBucket;
+  let appUrl;
+  let subscriptionService;
+  let plan;
+
+  beforeAll(async () => {
+    mock = new MockProviderServer();
+    const mockUrl = await mock.start(0);
+    process.env.MTN_BASE_URL = mockUrl;
+    process.env.AIRTEL_BASE_URL = mockUrl;
+
+    const app = require('../app');
+    appServer = app.listen(0);
+    appUrl = `http://127.0.0.1:${appServer.address().port}`;
+    mock.mtnCallbackUrl = `${appUrl}/api/mtn-payment/callback`;
+    mock.airtelCallbackUrl = `${appUrl}/api/airtel-payments/callback`;
+
+    Subscription = require('../models/Subscription');
+    Plan = require('../models/Plan');
+    MTNCallback = require('../models/MTNCallback');
+    AirtelCallback = require('../models/AirtelCallback');
+    IdempotencyKey = require('../models/IdempotencyKey');
+    RateLimitBucket = require('../models/RateLimitBucket');
+    const SubscriptionService = require('../services/SubscriptionService');
+    subscriptionService = new SubscriptionService();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await Promise.all([
+      Subscription.deleteMany({}),
+      Plan.deleteMany({}),
+      MTNCallback.deleteMany({}),
+      AirtelCallback.deleteMany({}),
+      IdempotencyKey.deleteMany({}),
+      RateLimitBucket.deleteMany({})
+    ]);
+    plan = await Plan.create({
+      code: 'MONTHLY',
+      name: 'Monthly',
+      durationMonths: 1,
+      prices: [{ currency: 'RWF', monthlyPrice: 1000 }]
+    });
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+    await new Promise(resolve => appServer.close(resolve));
+  });
+
+  const subscribe = (paymentChannel, msisdn) => subscriptionService.createSubscriptionPayment({
+    userId: crypto.randomUUID(),
+    planId: plan._id,
+    msisdn,
+    paymentChannel,
+    currency: 'RWF'
+  });
+
+  const settled = (id) => waitFor(async () => {
+    const subscription = await Subscription.findById(id);
+    return subscription.status !== 'PENDING' ? subscription : null;
+  });
+
+  test('MTN success callback activates the subscription', async () => {
+    mock.setScenario(MTN_MSISDN, 'SUCCESS');
+
+    const created = await subscribe('MTN', MTN_MSISDN);
+    expect(created.status).toBe('PENDING');
+    expect(created.amount).toBe(1000);
+
+    const subscription = await settled(created.id);
+    expect(subscription.status).toBe('SUCCESSFUL');
+    expect(subscription.settledBy.source).toBe('MTN_CALLBACK');
+    expect(subscription.endDate).toBeInstanceOf(Date);
+
+    const LedgerEntry = require('../models/LedgerEntry');
+    const entries = await waitFor(async () => {
+      const found = await LedgerEntry.find({ subscriptionId: String(subscription._id) });
+      return found.length === 2 ? found : null;
+    });
+    expect(entries.map(entry => `${entry.direction}:${entry.account}:${entry.amount}`).sort()).toEqual([
+      'CREDIT:SUBSCRIPTION_REVENUE:1000',
+      'DEBIT:PROVIDER_CLEARING:1000'
+    ]);
+  });
+
+  test('Airtel failure callback fails the subscription', async () => {
+    mock.setScenario(AIRTEL_MSISDN, 'FAILURE');
+
+    const created = await subscribe('AIRTEL', AIRTEL_MSISDN);
+    const subscription = await settled(created.id);
+
+    expect(subscription.status).toBe('FAILED');
+    expect(subscription.settledBy.source).toBe('AIRTEL_CALLBACK');
+    expect(subscription.airtelStatus).toBe('TF');
+  });
+
+  test('Duplicate MTN callbacks settle the subscription once', async () => {
+    mock.setScenario(MTN_MSISDN, 'DUPLICATE_CALLBACK');
+
+    const created = await subscribe('MTN', MTN_MSISDN);
+    const subscription = await settled(created.id);
+    const callbacks = await waitFor(async () => {
+      const found = await MTNCallback.find({ externalId: subscription.transactionId });
+      return found.length === 2 && found.every(cb => cb.processed) ? found : null;
+    });
+
+    const reasons = callbacks.map(cb => cb.metadata.settlement.reason).sort();
+    expect(reasons).toEqual(['DUPLICATE', 'SETTLED']);
+    expect(subscription.status).toBe('SUCCESSFUL');
+  });
+
+  test('Delayed Airtel callback leaves the subscription pending until it arrives', async () => {
+    mock.setScenario(AIRTEL_MSISDN, { outcome: 'DELAYED_CALLBACK', callbackDelayMs: 1000 });
+
+    const created = await subscribe('AIRTEL', AIRTEL_MSISDN);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect((await Subscription.findById(created.id)).status).toBe('PENDING');
+
+    const subscription = await settled(created.id);
+    expect(subscription.status).toBe('SUCCESSFUL');
+  });
+
+  test('Payer timeout leaves the subscription pending with no callback', async () => {
+    mock.setScenario(MTN_MSISDN, 'TIMEOUT');
+
+    const created = await subscribe('MTN', MTN_MSISDN);
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const subscription = await Subscription.findById(created.id);
+    expect(subscription.status).toBe('PENDING');
+    expect(mock.callbacks).toHaveLength(0);
+  });
+
+  test('Forged success callback is rejected after the provider enquiry and logged', async () => {
+    mock.setScenario(AIRTEL_MSISDN, 'TIMEOUT');
+
+    const created = await subscribe('AIRTEL', AIRTEL_MSISDN);
+    const response = await fetch(`${appUrl}/api/airtel-payments/callback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        transaction: { id: created.transactionId, status_code: 'TS', airtel_money_id: 'FORGED', message: 'Paid' }
+      })
+    });
+
+    expect(response.status).toBe(409);
+    expect((await Subscription.findById(created.id)).status).toBe('PENDING');
+
+    const [callback] = await AirtelCallback.find({ transactionId: created.transactionId });
+    expect(callback.rejected).toBe(true);
+    expect(callback.rejectionReason).toBe('STATUS_MISMATCH');
+    expect(callback.processed).toBe(false);
+  });
+
+  test('Callback pairing an unpaid transaction with a paid reference settles nothing', async () => {
+    mock.setScenario(AIRTEL_MSISDN, 'SUCCESS');
+    const paid = await settled((await subscribe('AIRTEL', AIRTEL_MSISDN)).id);
+    expect(paid.status).toBe('SUCCESSFUL');
+
+    mock.setScenario(AIRTEL_MSISDN, 'TIMEOUT');
+    const unpaid = await subscribe('AIRTEL', AIRTEL_MSISDN);
+    const response = await fetch(`${appUrl}/api/airtel-payments/callback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        transaction: { id: unpaid.transactionId, status_code: 'TS', airtel_money_id: paid.airtelMoneyId, message: 'Paid' }
+      })
+    });
+
+    expect(response.status).toBe(409);
+    expect((await Subscription.findById(unpaid.id)).status).toBe('PENDING');
+  });
+
+  test('Retried payment with the same Idempotency-Key returns the first result', async () => {
+    mock.setScenario(MTN_MSISDN, 'TIMEOUT');
+
+    const user = await createUser();
+    const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': 'retry-1', ...(await authHeader(user)) };
+    const post = (body) => fetch(`${appUrl}/api/subscriptions/payment`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const body = { userId: user._id, planId: plan._id, msisdn: MTN_MSISDN, paymentChannel: 'MTN', currency: 'RWF' };
+
+    const first = await post(body);
+    const retry = await post(body);
+    const conflicting = await post({ ...body, numberOfMonths: 2 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect((await retry.json()).data.id).toBe((await first.json()).data.id);
+    expect(conflicting.status).toBe(422);
+    expect(await Subscription.countDocuments({})).toBe(1);
+  });
+});
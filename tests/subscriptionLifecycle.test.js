@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const Subscription = require('../models/Subscription');
+const SubscriptionLock = require('../models/SubscriptionLock');
+const SubscriptionLifecycleService = require('../services/SubscriptionLifecycleService');
+const SubscriptionSettlementService = require('../services/SubscriptionSettlementService');
+const { createUser, authHeader } = require('./helpers/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Default SUBSCRIPTION_GRACE_PERIOD_DAYS
+const GRACE_DAYS = 3;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+describe('Subscription lifecycle', () => {
+  let app;
+  const settlementService = new SubscriptionSettlementService();
+  const lifecycleService = new SubscriptionLifecycleService();
+
+  beforeAll(() => {
+    app = require('../app');
+  });
+
+  beforeEach(async () => {
+    await Subscription.deleteMany({});
+  });
+
+  const subscription = (user, fields) => Subscription.create({
+    userId: user._id,
+    amount: 1000,
+    currency: 'RWF',
+    numberOfMonths: 1,
+    paymentChannel: 'MTN',
+    msisdn: '250780000001',
+    transactionId: crypto.randomUUID(),
+    ...fields
+  });
+
+  const paid = (user, startDate, endDate) => subscription(user, { status: 'SUCCESSFUL', startDate, endDate });
+
+  const pending = (user, numberOfMonths = 1) => subscription(user, { status: 'PENDING', numberOfMonths });
+
+  const settle = (record) => settlementService.settle(record, 'SUCCESSFUL', { source: 'MTN_CALLBACK', providerStatus: 'SUCCESSFUL' });
+
+  const status = async (user) => request(app)
+    .get('/api/subscriptions/me/status')
+    .set(await authHeader(user));
+
+  describe('Renewals', () => {
+    test('A renewal paid during the current period starts when it ends', async () => {
+      const learner = await createUser();
+      const current = await paid(learner, daysFromNow(-10), daysFromNow(20));
+
+      const { subscription: renewal } = await settle(await pending(learner, 2));
+
+      expect(renewal.startDate).toEqual(current.endDate);
+      expect(renewal.endDate).toEqual(addMonths(current.endDate, 2));
+    });
+
+    test('A renewal paid during the grace period continues the ended period', async () => {
+      const learner = await createUser();
+      const ended = await paid(learner, daysFromNow(-31), daysFromNow(-1));
+
+      const { subscription: renewal } = await settle(await pending(learner));
+
+      expect(renewal.startDate).toEqual(ended.endDate);
+      expect(renewal.endDate).toEqual(addMonths(ended.endDate, 1));
+    });
+
+    test('A renewal paid after the grace period starts when it is settled', async () => {
+      const learner = await createUser();
+      await paid(learner, daysFromNow(-40), daysFromNow(-GRACE_DAYS - 1));
+      const before = Date.now();
+
+      const { subscription: renewal } = await settle(await pending(learner));
+
+      expect(renewal.startDate.getTime()).toBeGreaterThanOrEqual(before);
+      expect(renewal.startDate.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(renewal.endDate).toEqual(addMonths(renewal.startDate, 1));
+    });
+
+    test('Payments settled at the same time stack instead of overlapping', async () => {
+      const learner = await createUser();
+      const current = await paid(learner, daysFromNow(-10), daysFromNow(20));
+      const renewals = await Promise.all([1, 2, 3].map(months => pending(learner, months)));
+
+      const results = await Promise.all(renewals.map(settle));
+
+      expect(results.every(result => result.applied)).toBe(true);
+      const periods = (await Subscription.find({ _id: { $in: renewals.map(renewal => renewal._id) } }))
+        .sort((a, b) => a.startDate - b.startDate);
+      let previousEnd = current.endDate;
+      for (const period of periods) {
+        expect(period.startDate).toEqual(previousEnd);
+        expect(period.endDate).toEqual(addMonths(period.startDate, period.numberOfMonths));
+        previousEnd = period.endDate;
+      }
+      expect(await SubscriptionLock.countDocuments({ _id: learner._id })).toBe(0);
+    });
+  });
+
+  describe('Status endpoint', () => {
+    test('A user who never paid has no subscription', async () => {
+      const response = await status(await createUser());
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ state: 'NONE', isActive: false, daysRemaining: 0, lastEndDate: null });
+    });
+
+    test('An active subscription reports access up to the end of the stacked renewals', async () => {
+      const learner = await createUser();
+      const current = await paid(learner, daysFromNow(-10), daysFromNow(20));
+      const renewal = await paid(learner, current.endDate, addMonths(current.endDate, 1));
+
+      const response = await status(learner);
+
+      expect(response.body.data).toMatchObject({ state: 'ACTIVE', isActive: true, graceEndsAt: null });
+      expect(response.body.data.currentSubscription.id).toBe(String(current._id));
+      expect(response.body.data.upcomingSubscriptions.map(sub => sub.id)).toEqual([String(renewal._id)]);
+      expect(response.body.data.activeUntil).toBe(renewal.endDate.toISOString());
+      expect(response.body.data.daysRemaining).toBe(Math.ceil((renewal.endDate - Date.now()) / DAY_MS));
+    });
+
+    test('An ended subscription keeps access during the grace period', async () => {
+      const learner = await createUser();
+      const ended = await paid(learner, daysFromNow(-31), daysFromNow(-1));
+
+      const response = await status(learner);
+
+      expect(response.body.data).toMatchObject({ state: 'GRACE', isActive: true, daysRemaining: 0 });
+      expect(response.body.data.graceEndsAt).toBe(new Date(ended.endDate.getTime() + GRACE_DAYS * DAY_MS).toISOString());
+    });
+
+    test('A subscription past its grace period is reported as expired', async () => {
+      const learner = await createUser();
+      const ended = await paid(learner, daysFromNow(-40), daysFromNow(-GRACE_DAYS - 1));
+
+      const response = await status(learner);
+
+      expect(response.body.data).toMatchObject({ state: 'EXPIRED', isActive: false, currentSubscription: null });
+      expect(response.body.data.lastEndDate).toBe(ended.endDate.toISOString());
+    });
+
+    test('The status needs a signed in user', async () => {
+      const response = await request(app).get('/api/subscriptions/me/status');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Expiry sweep', () => {
+    const events = [];
+    const record = (name) => (dto) => events.push({ name, id: String(dto.id) });
+    const onGrace = record('grace_started');
+    const onExpired = record('expired');
+
+    beforeAll(() => {
+      SubscriptionLifecycleService.events.on('subscription.grace_started', onGrace);
+      SubscriptionLifecycleService.events.on('subscription.expired', onExpired);
+    });
+
+    afterAll(() => {
+      SubscriptionLifecycleService.events.off('subscription.grace_started', onGrace);
+      SubscriptionLifecycleService.events.off('subscription.expired', onExpired);
+    });
+
+    beforeEach(() => {
+      events.length = 0;
+    });
+
+    test('An active subscription is left alone', async () => {
+      const active = await paid(await createUser(), daysFromNow(-10), daysFromNow(20));
+
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 0 });
+      const swept = await Subscription.findById(active._id);
+      expect(swept.status).toBe('SUCCESSFUL');
+      expect(swept.graceStartedAt).toBeUndefined();
+    });
+
+    test('An ended subscription enters its grace period once', async () => {
+      const ended = await paid(await createUser(), daysFromNow(-31), daysFromNow(-1));
+
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 1, expired: 0 });
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 0 });
+
+      const swept = await Subscription.findById(ended._id);
+      expect(swept.status).toBe('SUCCESSFUL');
+      expect(swept.graceStartedAt).toBeInstanceOf(Date);
+      expect(events).toEqual([{ name: 'grace_started', id: String(ended._id) }]);
+    });
+
+    test('An ended subscription continued by a renewal does not enter grace', async () => {
+      const learner = await createUser();
+      const ended = await paid(learner, daysFromNow(-31), daysFromNow(-1));
+      await paid(learner, ended.endDate, addMonths(ended.endDate, 1));
+
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 0 });
+      expect((await Subscription.findById(ended._id)).graceStartedAt).toBeUndefined();
+      expect(events).toEqual([]);
+    });
+
+    test('A subscription past its grace period expires once', async () => {
+      const learner = await createUser();
+      const ended = await paid(learner, daysFromNow(-31), daysFromNow(-1));
+      await lifecycleService.sweep();
+      // The grace period runs out
+      await Subscription.updateOne({ _id: ended._id }, { endDate: new Date(Date.now() - GRACE_DAYS * DAY_MS - HOUR_MS) });
+
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 1 });
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 0 });
+
+      const expired = await Subscription.findById(ended._id);
+      expect(expired.status).toBe('EXPIRED');
+      expect(expired.expiredAt).toBeInstanceOf(Date);
+      expect(events.map(event => event.name)).toEqual(['grace_started', 'expired']);
+      expect((await status(learner)).body.data.state).toBe('EXPIRED');
+    });
+
+    test('Pending and failed payments are never expired', async () => {
+      const learner = await createUser();
+      const unpaid = await subscription(learner, { status: 'FAILED', startDate: daysFromNow(-40), endDate: daysFromNow(-10) });
+      await pending(learner);
+
+      expect(await lifecycleService.sweep()).toEqual({ graceStarted: 0, expired: 0 });
+      expect((await Subscription.findById(unpaid._id)).status).toBe('FAILED');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const MockProviderServer = require('../mocks/mockProviderServer');
+const { createUser, createAdmin, authHeader } = require('./helpers/auth');
+
+// Read when the DTOs and payment config are first required
+process.env.PAYMENT_SUPPORTED_CURRENCIES = 'RWF,EUR,USD';
+process.env.AIRTEL_CLIENT_ID = process.env.AIRTEL_CLIENT_ID || 'mock-client-id';
+process.env.AIRTEL_CLIENT_SECRET = process.env.AIRTEL_CLIENT_SECRET || 'mock-client-secret';
+
+const MTN_MSISDN = '250780000001';
+const AIRTEL_MSISDN = '250730000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+describe('Subscription refunds', () => {
+  let mock;
+  let app;
+  let Subscription;
+  let Plan;
+  let Payment;
+  let LedgerEntry;
+  let subscriptionService;
+  let settlementService;
+  let refundService;
+  let plan;
+  let admin;
+
+  beforeAll(async () => {
+    mock = new MockProviderServer();
+    const mockUrl = await mock.start(0);
+    process.env.MTN_BASE_URL = mockUrl;
+    process.env.AIRTEL_BASE_URL = mockUrl;
+
+    app = require('../app');
+    Subscription = require('../models/Subscription');
+    Plan = require('../models/Plan');
+    Payment = require('../models/Payment');
+    LedgerEntry = require('../models/LedgerEntry');
+    const SubscriptionService = require('../services/SubscriptionService');
+    const SubscriptionSettlementService = require('../services/SubscriptionSettlementService');
+    const SubscriptionRefundService = require('../services/SubscriptionRefundService');
+    subscriptionService = new SubscriptionService();
+    settlementService = new SubscriptionSettlementService();
+    refundService = new SubscriptionRefundService();
+    admin = await createAdmin();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await Promise.all([
+      Subscription.deleteMany({}),
+      Plan.deleteMany({}),
+      Payment.deleteMany({}),
+      LedgerEntry.deleteMany({})
+    ]);
+    plan = await Plan.create({
+      code: 'MONTHLY',
+      name: 'Monthly',
+      durationMonths: 1,
+      prices: [{ currency: 'RWF', monthlyPrice: 1000 }]
+    });
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  // A paid subscription; startedDaysAgo moves its period into the past
+  const paidSubscription = async ({ userId = crypto.randomUUID(), numberOfMonths = 3, paymentChannel = 'MTN', msisdn = MTN_MSISDN, startedDaysAgo } = {}) => {
+    mock.setScenario(msisdn, 'TIMEOUT');
+    const created = await subscriptionService.createSubscriptionPayment({
+      userId,
+      planId: plan._id,
+      msisdn,
+      paymentChannel,
+      currency: 'RWF',
+      numberOfMonths
+    });
+    const { subscription } = await settlementService.settle(
+      await Subscription.findById(created.id),
+      'SUCCESSFUL',
+      { source: 'RECONCILIATION', providerStatus: 'SUCCESSFUL' }
+    );
+
+    if (startedDaysAgo === undefined) {
+      return subscription;
+    }
+    const startDate = new Date(Date.now() - startedDaysAgo * DAY_MS);
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { startDate, endDate: addMonths(startDate, numberOfMonths) }
+    );
+    return Subscription.findById(subscription._id);
+  };
+
+  const refund = async (subscription) => request(app)
+    .post(`/api/subscriptions/${subscription._id}/refund`)
+    .set(await authHeader(admin))
+    .send({ reason: 'Customer request' });
+
+  // MTN settles refunds later; listing the refunds checks their status
+  const refreshRefunds = async (subscription) => request(app)
+    .get(`/api/subscriptions/${subscription._id}/refunds`)
+    .set(await authHeader(admin));
+
+  describe('Proration', () => {
+    const subscription = (fields) => ({
+      status: 'SUCCESSFUL',
+      amount: 3000,
+      currency: 'RWF',
+      numberOfMonths: 3,
+      refundedMonths: 0,
+      startDate: new Date('2026-01-10T00:00:00Z'),
+      endDate: new Date('2026-04-10T00:00:00Z'),
+      ...fields
+    });
+
+    test('A subscription that has not started is refunded in full', () => {
+      const proration = refundService.calculateProration(subscription(), new Date('2026-01-09T00:00:00Z'));
+
+      expect(proration).toEqual({
+        usedMonths: 0,
+        unusedMonths: 3,
+        amount: 3000,
+        currency: 'RWF',
+        newEndDate: new Date('2026-01-10T00:00:00Z')
+      });
+    });
+
+    test('A month that has started counts as used', () => {
+      const firstDay = refundService.calculateProration(subscription(), new Date('2026-01-10T01:00:00Z'));
+      const secondMonth = refundService.calculateProration(subscription(), new Date('2026-02-11T00:00:00Z'));
+
+      expect(firstDay).toMatchObject({ usedMonths: 1, unusedMonths: 2, amount: 2000, newEndDate: new Date('2026-02-10T00:00:00Z') });
+      expect(secondMonth).toMatchObject({ usedMonths: 2, unusedMonths: 1, amount: 1000, newEndDate: new Date('2026-03-10T00:00:00Z') });
+    });
+
+    test('Term discounts are refunded in proportion', () => {
+      const discounted = subscription({ amount: 5400, numberOfMonths: 6, endDate: new Date('2026-07-10T00:00:00Z') });
+
+      const proration = refundService.calculateProration(discounted, new Date('2026-01-20T00:00:00Z'));
+
+      expect(proration).toMatchObject({ unusedMonths: 5, amount: 4500 });
+    });
+
+    test('Months already refunded are not refunded again', () => {
+      const partlyRefunded = subscription({ refundedMonths: 1, endDate: new Date('2026-03-10T00:00:00Z') });
+
+      const proration = refundService.calculateProration(partlyRefunded, new Date('2026-01-20T00:00:00Z'));
+
+      expect(proration).toMatchObject({ usedMonths: 1, unusedMonths: 1, amount: 1000 });
+      expect(() => refundService.calculateProration(partlyRefunded, new Date('2026-02-20T00:00:00Z')))
+        .toThrow('Subscription has no unused months to refund');
+    });
+
+    test('Only paid subscriptions can be refunded', () => {
+      expect(() => refundService.calculateProration(subscription({ status: 'PENDING' })))
+        .toThrow('Only active or upcoming paid subscriptions can be refunded');
+    });
+  });
+
+  test('A partial refund shortens the period to the months used and posts a reversal', async () => {
+    const subscription = await paidSubscription({ numberOfMonths: 3, startedDaysAgo: 40 });
+
+    const initiated = await refund(subscription);
+
+    expect(initiated.status).toBe(201);
+    expect(initiated.body.data.refund).toMatchObject({ status: 'PENDING', amount: 1000, usedMonths: 2, unusedMonths: 1, channel: 'MTN', reason: 'Customer request', requestedBy: admin._id });
+    // Nothing changes until the provider confirms the refund
+    expect((await Subscription.findById(subscription._id)).endDate).toEqual(subscription.endDate);
+
+    const refreshed = await refreshRefunds(subscription);
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refunds[0].status).toBe('SUCCESSFUL');
+    const refunded = await Subscription.findById(subscription._id);
+    expect(refunded.status).toBe('SUCCESSFUL');
+    expect(refunded.endDate).toEqual(addMonths(subscription.startDate, 2));
+    expect(refunded.refundedAmount).toBe(1000);
+    expect(refunded.refundedMonths).toBe(1);
+
+    const reversal = await LedgerEntry.find({ subscriptionId: String(subscription._id), journalType: 'REFUND' }).sort({ direction: 1 });
+    expect(reversal.map(entry => entry.toObject())).toEqual([
+      expect.objectContaining({ account: 'PROVIDER_CLEARING', direction: 'CREDIT', amount: 1000, currency: 'RWF', channel: 'MTN' }),
+      expect.objectContaining({ account: 'REFUNDS', direction: 'DEBIT', amount: 1000, currency: 'RWF', channel: 'MTN' })
+    ]);
+
+    // Checking again does not apply the refund twice
+    await refreshRefunds(subscription);
+    expect((await Subscription.findById(subscription._id)).refundedAmount).toBe(1000);
+    expect(await LedgerEntry.countDocuments({ journalType: 'REFUND' })).toBe(2);
+
+    const again = await refund(subscription);
+    expect(again.status).toBe(400);
+    expect(again.body.error.message).toContain('no unused months');
+  });
+
+  test('Refunding an upcoming renewal cancels it and pulls later renewals forward', async () => {
+    const userId = crypto.randomUUID();
+    const current = await paidSubscription({ userId, numberOfMonths: 1 });
+    const upcoming = await paidSubscription({ userId, numberOfMonths: 2 });
+    const last = await paidSubscription({ userId, numberOfMonths: 1 });
+    expect(upcoming.startDate).toEqual(current.endDate);
+    expect(last.startDate).toEqual(upcoming.endDate);
+
+    await refund(upcoming);
+    await refreshRefunds(upcoming);
+
+    const cancelled = await Subscription.findById(upcoming._id);
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(cancelled.refundedAmount).toBe(2000);
+    expect(cancelled.endDate).toEqual(cancelled.startDate);
+    const shifted = await Subscription.findById(last._id);
+    expect(shifted.startDate).toEqual(current.endDate);
+    expect(shifted.endDate.getTime() - shifted.startDate.getTime()).toBe(last.endDate.getTime() - last.startDate.getTime());
+  });
+
+  test('A refund the provider refuses leaves the subscription and ledger unchanged', async () => {
+    const subscription = await paidSubscription({ numberOfMonths: 3, startedDaysAgo: 5 });
+    mock.setScenario(MTN_MSISDN, { outcome: 'TIMEOUT', refund: 'FAILURE' });
+
+    await refund(subscription);
+    const refreshed = await refreshRefunds(subscription);
+
+    expect(refreshed.body.data.refunds[0].status).toBe('FAILED');
+    const unchanged = await Subscription.findById(subscription._id);
+    expect(unchanged.endDate).toEqual(subscription.endDate);
+    expect(unchanged.refundedMonths).toBe(0);
+    expect(await LedgerEntry.countDocuments({ journalType: 'REFUND' })).toBe(0);
+
+    // The failed attempt does not block a new one
+    mock.setScenario(MTN_MSISDN, 'TIMEOUT');
+    expect((await refund(subscription)).status).toBe(201);
+  });
+
+  test('Two refunds of the same subscription at once refund it only once', async () => {
+    const subscription = await paidSubscription({ numberOfMonths: 3, startedDaysAgo: 5 });
+
+    const responses = await Promise.all([refund(subscription), refund(subscription)]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    const conflict = responses.find(response => response.status === 409);
+    expect(conflict.body.error.message).toContain('Another refund for this subscription');
+    expect((await Subscription.findById(subscription._id)).refunds).toHaveLength(1);
+    expect(await Payment.countDocuments({ transactionSubType: 'refund' })).toBe(1);
+
+    await refreshRefunds(subscription);
+    const refunded = await Subscription.findById(subscription._id);
+    expect(refunded.refundedMonths).toBe(2);
+    expect(refunded.endDate).toEqual(addMonths(subscription.startDate, 1));
+  });
+
+  test('Airtel subscriptions can only be refunded in full', async () => {
+    const subscription = await paidSubscription({ numberOfMonths: 3, paymentChannel: 'AIRTEL', msisdn: AIRTEL_MSISDN, startedDaysAgo: 5 });
+
+    const response = await refund(subscription);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toContain('AIRTEL only supports full refunds');
+    expect((await Subscription.findById(subscription._id)).refunds).toHaveLength(0);
+  });
+
+  test('Only admins can refund', async () => {
+    const subscription = await paidSubscription({ startedDaysAgo: 5 });
+
+    const response = await request(app)
+      .post(`/api/subscriptions/${subscription._id}/refund`)
+      .set(await authHeader(await createUser()))
+      .send({});
+
+    expect(response.status).toBe(403);
+    expect((await Subscription.findById(subscription._id)).refunds).toHaveLength(0);
+  });
+});
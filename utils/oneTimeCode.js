@@ -0,0 +1,19 @@
+const crypto = require("crypto")
+
+// 6-digit codes sent by SMS or email (password reset, login, email change).
+// They are stored hashed, like passwords.
+const generateOneTimeCode = () => crypto.randomInt(100000, 1000000).toString()
+
+const hashOneTimeCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex")
+
+const oneTimeCodeMatches = (storedHash, code) => {
+  const expected = Buffer.from(storedHash, "hex")
+  const presented = Buffer.from(hashOneTimeCode(code), "hex")
+  return crypto.timingSafeEqual(expected, presented)
+}
+
+module.exports = {
+  generateOneTimeCode,
+  hashOneTimeCode,
+  oneTimeCodeMatches,
+}
@@ -0,0 +1,116 @@
+const { hasPermission } = require("../middleware/permissions")
+
+// Learner-facing views of questions, exams and exam attempts.
+// The answer key (each option's isCorrect flag and rightAnswerDescription) is only
+// sent to users who write questions (questions:answers), and to learners through
+// the review of a completed attempt.
+
+const toPlain = (record) => (record && typeof record.toObject === "function" ? record.toObject() : record)
+
+const canSeeAnswers = (user) => hasPermission(user, "questions:answers")
+
+// Populate option for an attempt's exam with the question fields a learner
+// needs while taking it
+const populateExamQuestions = {
+  path: "exam",
+  populate: {
+    path: "questions",
+    select: "text imageUrl answerOptions difficulty",
+  },
+}
+
+// A question without its answer key. Unpopulated references (plain IDs) are returned as they are.
+const toLearnerQuestion = (question) => {
+  const plain = toPlain(question)
+  if (!plain || typeof plain !== "object") return plain
+
+  const { rightAnswerDescription, ...rest } = plain
+  return {
+    ...rest,
+    answerOptions: (plain.answerOptions || []).map(({ isCorrect, ...option }) => option),
+  }
+}
+
+const toLearnerExam = (exam) => {
+  const plain = toPlain(exam)
+  if (!plain || typeof plain !== "object") return plain
+
+  // Exams populated without their questions are left that way
+  return plain.questions ? { ...plain, questions: plain.questions.map(toLearnerQuestion) } : plain
+}
+
+// An attempt as its learner sees it. Whether each answer was right is only
+// included in practice mode or once the attempt is completed.
+const toLearnerAttempt = (attempt) => {
+  const plain = toPlain(attempt)
+  const hideResults = plain.status === "in-progress" && plain.mode !== "practice"
+
+  return {
+    ...plain,
+    exam: toLearnerExam(plain.exam),
+    answers: (plain.answers || []).map(({ isCorrect, ...answer }) => ({
+      ...answer,
+      questionId: toLearnerQuestion(answer.questionId),
+      ...(hideResults ? {} : { isCorrect }),
+    })),
+  }
+}
+
+// Questions, exams and attempts for the user asking: full data for question
+// writers, learner views for everyone else
+const serializeQuestions = (user, questions) => (canSeeAnswers(user) ? questions : questions.map(toLearnerQuestion))
+
+const serializeExam = (user, exam) => (canSeeAnswers(user) ? exam : toLearnerExam(exam))
+
+const serializeAttempts = (user, attempts) => (canSeeAnswers(user) ? attempts : attempts.map(toLearnerAttempt))
+
+// Review of a completed attempt: every exam question with the correct option,
+// the learner's choice and the explanation. The attempt's exam must be populated
+// with its questions.
+const toAttemptReview = (attempt) => {
+  const plain = toPlain(attempt)
+  const answers = new Map((plain.answers || []).map((answer) => [String(answer.questionId), answer]))
+
+  const questions = (plain.exam.questions || []).map((question) => {
+    const answer = answers.get(String(question._id))
+    return {
+      questionId: question._id,
+      text: question.text,
+      imageUrl: question.imageUrl,
+      answerOptions: question.answerOptions.map(({ text, isCorrect }) => ({ text, isCorrect })),
+      correctOption: question.answerOptions.findIndex((option) => option.isCorrect),
+      selectedOption: answer ? answer.selectedOption : null,
+      isCorrect: answer ? answer.isCorrect : false,
+      rightAnswerDescription: question.rightAnswerDescription,
+    }
+  })
+
+  return {
+    attempt: {
+      _id: plain._id,
+      exam: { _id: plain.exam._id, title: plain.exam.title, passingScore: plain.exam.passingScore },
+      startTime: plain.startTime,
+      endTime: plain.endTime,
+      score: plain.score,
+      isPassed: plain.isPassed,
+    },
+    summary: {
+      totalQuestions: questions.length,
+      correctAnswers: questions.filter((question) => question.isCorrect).length,
+      unanswered: questions.filter((question) => question.selectedOption === null).length,
+    },
+    questions,
+  }
+}
+
+module.exports = {
+  canSeeAnswers,
+  populateExamQuestions,
+  toLearnerQuestion,
+  toLearnerExam,
+  toLearnerAttempt,
+  serializeQuestions,
+  serializeExam,
+  serializeAttempts,
+  toAttemptReview,
+}